@@ -1,6 +1,7 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  /* config options here */
+  // sql.js loads its .wasm from node_modules at runtime (Anki deck import)
+  serverExternalPackages: ['sql.js'],
 };
 
 export default nextConfig;
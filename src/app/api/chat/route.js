@@ -1,10 +1,24 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@supabase/supabase-js';
-import { createAIProvider, generateSystemPrompt, parseAIResponse, detectMessageLanguage, AI_PROVIDERS } from '@/lib/ai-providers';
+import { createAIProviderChain, generateSystemPrompt, parseAIResponseWithRepair, detectMessageLanguage, extractStreamingText, resolveAIProviderChain, AI_SETTINGS_COLUMNS } from '@/lib/ai-providers';
+import { estimateProficiency, getQuizResults, RECENT_QUIZZES } from '@/lib/proficiency';
+import { summarizeMistakes } from '@/lib/error-taxonomy';
+
+// Re-estimate the learner's level after this many new messages (or a new quiz)
+const PROFICIENCY_REFRESH_MESSAGES = 5;
+
+// Recent mistakes the tutor is told to target, and how many categories
+const RECURRING_MISTAKES_WINDOW = 200;
+const RECURRING_MISTAKES_LIMIT = 3;
 
 export async function POST(request) {
+  // Kept outside try so errors can name the provider and mark the unanswered message
+  let providerInfo = null;
+  let supabase = null;
+  let userMessage = null;
+
   try {
-    const { chatId, message, language, featureMode, replyToId } = await request.json();
+    const { chatId, message, language, featureMode, replyToId, stream, retryMessageId } = await request.json();
 
     // Get auth token from request header
     const authHeader = request.headers.get('authorization');
@@ -16,7 +30,7 @@ export async function POST(request) {
     }
 
     // Create authenticated Supabase client
-    const supabase = createClient(
+    supabase = createClient(
       process.env.NEXT_PUBLIC_SUPABASE_URL,
       process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
       {
@@ -66,8 +80,28 @@ export async function POST(request) {
 
     const isPremium = profile?.is_premium || false;
 
+    // A retry must point at one of this chat's messages whose reply actually failed
+    if (retryMessageId) {
+      const { data: failedMessage } = await supabase
+        .from('messages')
+        .select('id')
+        .eq('id', retryMessageId)
+        .eq('chat_id', chatId)
+        .eq('role', 'user')
+        .eq('reply_failed', true)
+        .single();
+
+      if (!failedMessage) {
+        return NextResponse.json(
+          { error: 'There is no failed message to retry.' },
+          { status: 404 }
+        );
+      }
+    }
+
     // Check message limit for non-premium users (20 messages per day)
-    if (!isPremium) {
+    // Retrying an unanswered message (checked above) doesn't count as a new one
+    if (!isPremium && !retryMessageId) {
       // Get today's start timestamp (midnight UTC)
       const today = new Date();
       today.setUTCHours(0, 0, 0, 0);
@@ -93,22 +127,10 @@ export async function POST(request) {
       }
     }
 
-    // Always use Gemini with the server's API key for all users
-    const aiProvider = 'gemini';
-    const apiKey = process.env.GOOGLE_AI_API_KEY;
-
-    if (!apiKey) {
-      console.error('GOOGLE_AI_API_KEY is not configured on server');
-      return NextResponse.json(
-        { error: 'AI service is not available. Please contact support.' },
-        { status: 500 }
-      );
-    }
-
-    // Get user's preferences (memes, music) - enable by default
+    // Get user's preferences (AI provider, memes, music) - enable features by default
     const { data: userSettings } = await supabase
       .from('user_settings')
-      .select('enable_memes, enable_music')
+      .select(`${AI_SETTINGS_COLUMNS}, enable_memes, enable_music`)
       .eq('id', chatData.user_id)
       .single();
 
@@ -116,39 +138,81 @@ export async function POST(request) {
     const enableMemes = userSettings?.enable_memes !== false; // Default to true
     const enableMusic = userSettings?.enable_music !== false; // Default to true
 
+    // Use the user's chosen provider first, then fail over along the configured chain
+    const providerChain = resolveAIProviderChain(userSettings);
+
+    if (providerChain.length === 0) {
+      console.error('No API key available for any AI provider');
+      return NextResponse.json(
+        { error: 'AI service is not available. Please add your API key in Settings.' },
+        { status: 500 }
+      );
+    }
+
+    providerInfo = providerChain[0];
+    console.log(`Using ${providerChain.map(p => `${p.providerName} (${p.keySource} key)`).join(' -> ')}`);
+
     // Create AI provider instance
-    const ai = createAIProvider(aiProvider, apiKey);
+    const ai = createAIProviderChain(providerChain);
 
-    // Get conversation history
-    const { data: messages } = await supabase
+    // Get conversation history (without the message being retried, it's added below)
+    const { data: allMessages } = await supabase
       .from('messages')
       .select('*')
       .eq('chat_id', chatId)
       .order('created_at', { ascending: true });
+    const messages = (allMessages || []).filter(msg => msg.id !== retryMessageId);
 
-    // Save user message first
-    const { data: userMessage, error: userMessageError } = await supabase
-      .from('messages')
-      .insert([
-        {
-          chat_id: chatId,
-          role: 'user',
-          content: message,
-          corrections: [],
-          reply_to_id: replyToId || null,
-        },
-      ])
-      .select()
-      .single();
+    // Learner level and weak spots, so replies match what the user can handle
+    const proficiency = await getProficiencyProfile(supabase, { chatId, userId: chatData.user_id, messages });
+    const recurringMistakes = await getRecurringMistakes(supabase, { userId: chatData.user_id, language });
 
-    if (userMessageError) throw userMessageError;
+    if (retryMessageId) {
+      // Retry: reuse the unanswered user message instead of saving a duplicate
+      const { data: retriedMessage, error: retryError } = await supabase
+        .from('messages')
+        .update({ reply_failed: false })
+        .eq('id', retryMessageId)
+        .eq('chat_id', chatId)
+        .eq('role', 'user')
+        .eq('reply_failed', true)
+        .select()
+        .single();
+
+      if (retryError) throw retryError;
+      userMessage = retriedMessage;
+    } else {
+      // Save user message first
+      const { data: insertedMessage, error: userMessageError } = await supabase
+        .from('messages')
+        .insert([
+          {
+            chat_id: chatId,
+            role: 'user',
+            content: message,
+            corrections: [],
+            reply_to_id: replyToId || null,
+          },
+        ])
+        .select()
+        .single();
+
+      if (userMessageError) throw userMessageError;
+      userMessage = insertedMessage;
+    }
+
+    // A retry replies to what the failed message replied to, not the request's replyToId
+    const replyTargetId = userMessage.reply_to_id || null;
+
+    // A retry answers the saved message, not whatever text came with the request
+    const messageText = userMessage.content;
 
     // Detect if user is asking for explanation in English
-    const messageLanguageType = detectMessageLanguage(message);
+    const messageLanguageType = detectMessageLanguage(messageText);
     const shouldRespondInTargetLanguage = messageLanguageType === 'target';
 
-    // Check response cache first (to save API costs)
-    const cacheKey = `${chatId}_${message.toLowerCase().trim()}`;
+    // Check response cache first (to save API costs), per feature mode since payloads differ
+    const cacheKey = `${chatId}_${featureMode || 'chat'}_${messageText.toLowerCase().trim()}`;
     const { data: cachedResponse } = await supabase
       .from('response_cache')
       .select('*')
@@ -169,7 +233,7 @@ export async function POST(request) {
         .eq('id', cachedResponse.id);
     } else {
       // Generate system prompt (with feature mode support)
-      const systemPrompt = generateSystemPrompt(language, enableMemes, enableMusic, featureMode);
+      const systemPrompt = generateSystemPrompt(language, enableMemes, enableMusic, featureMode, proficiency, recurringMistakes);
 
       // Override language in prompt if user asked for explanation in English
       const finalSystemPrompt = shouldRespondInTargetLanguage
@@ -185,201 +249,542 @@ export async function POST(request) {
       ];
 
       // Add current user message with reply context if replying
-      let userMessageContent = message;
-      if (replyToId) {
-        const repliedMessage = messages.find(m => m.id === replyToId);
+      let userMessageContent = messageText;
+      if (replyTargetId) {
+        const repliedMessage = messages.find(m => m.id === replyTargetId);
         if (repliedMessage) {
-          userMessageContent = `[Replying to: "${repliedMessage.content.substring(0, 100)}${repliedMessage.content.length > 100 ? '...' : ''}"]\n\n${message}`;
+          userMessageContent = `[Replying to: "${repliedMessage.content.substring(0, 100)}${repliedMessage.content.length > 100 ? '...' : ''}"]\n\n${messageText}`;
         }
       }
 
       conversationHistory.push({ role: 'user', content: userMessageContent });
 
-      // Call AI provider
+      // Streaming mode: send partial text over SSE, finalize when the stream ends
+      if (stream) {
+        return streamChatResponse({
+          ai,
+          providerInfo,
+          conversationHistory,
+          systemPrompt: finalSystemPrompt,
+          cacheKey,
+          featureMode,
+          saveArgs: { supabase, chatId, chatData, userMessage, replyToId: replyTargetId, language },
+        });
+      }
+
+      // Call AI provider (fails over along the chain)
       responseText = await ai.chat(conversationHistory, finalSystemPrompt, language);
+      providerInfo = ai.lastProvider;
+
+      // Parse and validate AI response (one repair attempt if the format is broken)
+      aiResponse = await parseAIResponseWithRepair(ai, responseText, {
+        messages: conversationHistory,
+        systemPrompt: finalSystemPrompt,
+        language,
+        featureMode,
+        onFailure: (failure) => recordResponseFailure(supabase, { chatId, featureMode, providerInfo, failure }),
+      });
 
-      // Parse AI response
-      aiResponse = parseAIResponse(responseText);
+      await cacheResponse(supabase, cacheKey, aiResponse, language);
+    }
 
-      // Cache the response (expires in 24 hours)
-      const expiresAt = new Date();
-      expiresAt.setHours(expiresAt.getHours() + 24);
+    const { userMessage: updatedUserMessage, assistantMessages } = await saveAIResponse(supabase, {
+      chatId,
+      chatData,
+      userMessage,
+      replyToId: replyTargetId,
+      aiResponse,
+      language,
+    });
+
+    return NextResponse.json({
+      success: true,
+      userMessage: updatedUserMessage,
+      messages: assistantMessages,
+      feature: aiResponse.feature || null,
+      provider: describeProvider(providerInfo),
+      cached: !!cachedResponse,
+    });
+  } catch (error) {
+    console.error('Error in chat API:', error);
 
-      try {
-        await supabase
-          .from('response_cache')
-          .insert({
-            cache_key: cacheKey,
-            response_data: aiResponse,
-            language: language,
-            expires_at: expiresAt.toISOString()
-          });
-        console.log('Response cached');
-      } catch (err) {
-        console.log('Cache insert failed (might already exist):', err.message || err);
-      }
+    // Name the provider that actually failed (may be later in the chain)
+    providerInfo = error.providerInfo || providerInfo;
+    const { errorMessage, statusCode } = getErrorResponse(error, providerInfo);
+
+    // Don't leave the user's message sitting there unanswered
+    if (supabase && userMessage) {
+      await markReplyFailed(supabase, userMessage.id);
     }
 
-    const corrections = aiResponse.corrections || [];
-    const grammarNote = aiResponse.grammarNote || null;
-    const musicRecommendation = aiResponse.musicRecommendation || null;
+    return NextResponse.json(
+      { error: errorMessage, provider: providerInfo?.providerId || null, failedMessageId: userMessage?.id || null },
+      { status: statusCode }
+    );
+  }
+}
+
+/**
+ * Cache a parsed AI response (expires in 24 hours)
+ */
+async function cacheResponse(supabase, cacheKey, aiResponse, language) {
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + 24);
 
-    // Update user message with corrections
-    if (corrections.length > 0) {
+  try {
+    await supabase
+      .from('response_cache')
+      .insert({
+        cache_key: cacheKey,
+        response_data: aiResponse,
+        language: language,
+        expires_at: expiresAt.toISOString()
+      });
+    console.log('Response cached');
+  } catch (err) {
+    console.log('Cache insert failed (might already exist):', err.message || err);
+  }
+}
+
+/**
+ * The chat's proficiency profile (seeded by the placement test), re-estimated
+ * every few messages or after a quiz. Each new estimate is also kept in proficiency_snapshots for analytics.
+ * Returns null if the proficiency migration hasn't been run.
+ */
+async function getProficiencyProfile(supabase, { chatId, userId, messages }) {
+  // All columns, so a missing proficiency or placement migration doesn't fail the query
+  const { data: chat, error } = await supabase
+    .from('chats')
+    .select('*')
+    .eq('id', chatId)
+    .single();
+
+  if (error || !('proficiency' in chat)) {
+    if (error) console.log('Failed to load proficiency:', error.message || error);
+    return null;
+  }
+
+  const stored = chat.proficiency;
+  const userMessageCount = messages.filter(msg => msg.role === 'user').length;
+
+  // Quiz scores come from quiz_attempts (newest first here)
+  const { data: recentAttempts, error: attemptsError } = await supabase
+    .from('quiz_attempts')
+    .select('quiz_type, percentage, created_at')
+    .eq('chat_id', chatId)
+    .order('created_at', { ascending: false })
+    .limit(RECENT_QUIZZES);
+
+  if (attemptsError && attemptsError.code !== '42P01') {
+    console.log('Failed to load quiz attempts:', attemptsError.message);
+  }
+
+  const quizAttempts = (recentAttempts || []).reverse();
+  const latestQuiz = getQuizResults(quizAttempts).at(-1);
+  const isStale = !stored
+    || userMessageCount - (stored.signals?.messageCount || 0) >= PROFICIENCY_REFRESH_MESSAGES
+    || (latestQuiz && new Date(latestQuiz.completedAt) > new Date(stored.updatedAt));
+
+  if (!isStale) return stored;
+
+  const { count: savedWordCount } = await supabase
+    .from('saved_vocabulary')
+    .select('*', { count: 'exact', head: true })
+    .eq('chat_id', chatId);
+
+  const proficiency = estimateProficiency(messages, {
+    quizAttempts,
+    savedWordCount: savedWordCount || 0,
+    startingLevel: chat.starting_level || null,
+  });
+
+  try {
+    await supabase
+      .from('chats')
+      .update({ proficiency })
+      .eq('id', chatId);
+
+    if (proficiency.level) {
       await supabase
-        .from('messages')
-        .update({ corrections })
-        .eq('id', userMessage.id);
+        .from('proficiency_snapshots')
+        .insert({
+          chat_id: chatId,
+          user_id: userId,
+          level: proficiency.level,
+          score: proficiency.score,
+          strengths: proficiency.strengths,
+          weaknesses: proficiency.weaknesses,
+          signals: proficiency.signals,
+        });
     }
+  } catch (err) {
+    console.log('Failed to save proficiency:', err.message || err);
+  }
 
-    // Determine if AI should reply to the user message (if user was replying to AI, AI should reply back)
-    let aiReplyToId = null;
-    if (replyToId) {
-      const { data: repliedMessage } = await supabase
-        .from('messages')
-        .select('role')
-        .eq('id', replyToId)
-        .single();
+  return proficiency;
+}
 
-      // If user replied to an AI message, AI should reply to user's message
-      if (repliedMessage && repliedMessage.role === 'assistant') {
-        aiReplyToId = userMessage.id;
-      }
+/**
+ * The user's most frequent mistake categories in this language (across chats),
+ * from their recent mistakes. Empty if the mistakes table doesn't exist yet.
+ */
+async function getRecurringMistakes(supabase, { userId, language }) {
+  const { data, error } = await supabase
+    .from('mistakes')
+    .select('category, incorrect, correction, created_at')
+    .eq('user_id', userId)
+    .eq('language', language)
+    .order('created_at', { ascending: false })
+    .limit(RECURRING_MISTAKES_WINDOW);
+
+  if (error) {
+    if (error.code !== '42P01') console.log('Failed to load mistakes:', error.message || error);
+    return [];
+  }
+
+  return summarizeMistakes(data || [], { limit: RECURRING_MISTAKES_LIMIT, minCount: 2 });
+}
+
+/**
+ * Flag a user message whose reply could not be generated so it can be retried
+ */
+async function markReplyFailed(supabase, messageId) {
+  const { error } = await supabase
+    .from('messages')
+    .update({ reply_failed: true })
+    .eq('id', messageId);
+
+  if (error) {
+    console.log('Failed to mark message as unanswered:', error.message || error);
+  }
+}
+
+/**
+ * Record a reply that failed schema validation, with the provider that produced it
+ */
+async function recordResponseFailure(supabase, { chatId, featureMode, providerInfo, failure }) {
+  console.warn(`${providerInfo.providerName} reply failed ${failure.schema} validation (repaired: ${failure.repaired}):`, failure.errors);
+
+  const { error } = await supabase
+    .from('ai_response_failures')
+    .insert({
+      chat_id: chatId,
+      provider: providerInfo.providerId,
+      feature_mode: featureMode || null,
+      schema_name: failure.schema,
+      errors: failure.errors,
+      raw_response: failure.responseText.substring(0, 4000),
+      repaired: failure.repaired,
+    });
+
+  // Tracking is best-effort (table may not exist yet)
+  if (error && error.code !== '42P01') {
+    console.log('Failed to record response failure:', error.message || error);
+  }
+}
+
+/**
+ * Save a parsed AI reply: corrections on the user message, assistant message(s),
+ * grammar note, music recommendation, chat timestamp and usage.
+ * Returns the updated user message and the saved assistant messages.
+ */
+async function saveAIResponse(supabase, { chatId, chatData, userMessage, replyToId, aiResponse, language }) {
+  const corrections = aiResponse.corrections || [];
+  const grammarNote = aiResponse.grammarNote || null;
+  const musicRecommendation = aiResponse.musicRecommendation || null;
+
+  // Update user message with corrections
+  if (corrections.length > 0) {
+    await supabase
+      .from('messages')
+      .update({ corrections })
+      .eq('id', userMessage.id);
+
+    // One row per correction, so mistakes can be counted by category
+    const { error: mistakesError } = await supabase
+      .from('mistakes')
+      .insert(corrections.map(correction => ({
+        user_id: chatData.user_id,
+        chat_id: chatId,
+        message_id: userMessage.id,
+        language,
+        category: correction.category,
+        incorrect: correction.incorrect,
+        correction: correction.correction,
+      })));
+
+    // Tracking is best-effort (table may not exist yet)
+    if (mistakesError && mistakesError.code !== '42P01') {
+      console.log('Failed to record mistakes:', mistakesError.message || mistakesError);
     }
+  }
 
-    // Save AI response(s) - handle both single and multiple messages
-    let assistantMessage = null;
-    if (aiResponse.isMultiMessage && aiResponse.messages) {
-      // Save multiple messages with slight delays
-      const savedMessages = [];
-      for (let i = 0; i < aiResponse.messages.length; i++) {
-        const msg = aiResponse.messages[i];
-        const { data } = await supabase
-          .from('messages')
-          .insert([
-            {
-              chat_id: chatId,
-              role: 'assistant',
-              content: msg.content,
-              reply_to_id: i === 0 ? aiReplyToId : null, // Only first message replies
-              read_at: null, // Mark as unread
-            },
-          ])
-          .select()
-          .single();
-
-        savedMessages.push(data);
-
-        // Add small delay between messages (except for last one)
-        if (i < aiResponse.messages.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
-      }
-      assistantMessage = savedMessages[savedMessages.length - 1]; // Last message for references
-    } else {
-      // Save single AI response
+  // Determine if AI should reply to the user message (if user was replying to AI, AI should reply back)
+  let aiReplyToId = null;
+  if (replyToId) {
+    const { data: repliedMessage } = await supabase
+      .from('messages')
+      .select('role')
+      .eq('id', replyToId)
+      .single();
+
+    // If user replied to an AI message, AI should reply to user's message
+    if (repliedMessage && repliedMessage.role === 'assistant') {
+      aiReplyToId = userMessage.id;
+    }
+  }
+
+  // Save AI response(s) - handle both single and multiple messages
+  let assistantMessage = null;
+  let savedMessages = [];
+  if (aiResponse.isMultiMessage && aiResponse.messages) {
+    // Save multiple messages with slight delays
+    for (let i = 0; i < aiResponse.messages.length; i++) {
+      const msg = aiResponse.messages[i];
       const { data } = await supabase
         .from('messages')
         .insert([
           {
             chat_id: chatId,
             role: 'assistant',
-            content: aiResponse.response,
-            reply_to_id: aiReplyToId,
+            content: msg.content,
+            reply_to_id: i === 0 ? aiReplyToId : null, // Only first message replies
             read_at: null, // Mark as unread
           },
         ])
         .select()
         .single();
-      assistantMessage = data;
+
+      savedMessages.push(data);
+
+      // Add small delay between messages (except for last one)
+      if (i < aiResponse.messages.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+      }
     }
+    assistantMessage = savedMessages[savedMessages.length - 1]; // Last message for references
+  } else {
+    // Save single AI response (feature payloads go in their own typed columns)
+    const { data } = await supabase
+      .from('messages')
+      .insert([
+        {
+          chat_id: chatId,
+          role: 'assistant',
+          content: aiResponse.response,
+          feature_type: aiResponse.feature?.type || null,
+          feature_data: aiResponse.feature || null,
+          reply_to_id: aiReplyToId,
+          read_at: null, // Mark as unread
+        },
+      ])
+      .select()
+      .single();
+    assistantMessage = data;
+    savedMessages = [data];
+  }
 
-    // Save grammar note if provided
-    if (grammarNote && grammarNote.title) {
+  // Save grammar note if provided
+  if (grammarNote && grammarNote.title) {
+    await supabase
+      .from('grammar_notes')
+      .insert([
+        {
+          chat_id: chatId,
+          title: grammarNote.title,
+          content: grammarNote.content,
+          category: grammarNote.category || 'General',
+        },
+      ]);
+  }
+
+  // Save music recommendation if provided
+  if (musicRecommendation && musicRecommendation.title && musicRecommendation.artist) {
+    try {
       await supabase
-        .from('grammar_notes')
+        .from('music_recommendations')
         .insert([
           {
             chat_id: chatId,
-            title: grammarNote.title,
-            content: grammarNote.content,
-            category: grammarNote.category || 'General',
+            message_id: assistantMessage?.id,
+            title: musicRecommendation.title,
+            artist: musicRecommendation.artist,
+            reason: musicRecommendation.reason || 'Great for learning!',
+            difficulty: musicRecommendation.difficulty || 'medium',
+            genre: musicRecommendation.genre || 'pop',
+            language: language,
           },
         ]);
+      console.log('Music recommendation saved');
+    } catch (err) {
+      console.log('Failed to save music:', err.message || err);
     }
+  }
 
-    // Save music recommendation if provided
-    if (musicRecommendation && musicRecommendation.title && musicRecommendation.artist) {
-      try {
-        await supabase
-          .from('music_recommendations')
-          .insert([
-            {
-              chat_id: chatId,
-              message_id: assistantMessage?.id,
-              title: musicRecommendation.title,
-              artist: musicRecommendation.artist,
-              reason: musicRecommendation.reason || 'Great for learning!',
-              difficulty: musicRecommendation.difficulty || 'medium',
-              genre: musicRecommendation.genre || 'pop',
-              language: language,
-            },
-          ]);
-        console.log('Music recommendation saved');
-      } catch (err) {
-        console.log('Failed to save music:', err.message || err);
-      }
-    }
+  // Update chat timestamp
+  await supabase
+    .from('chats')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', chatId);
 
-    // Update chat timestamp
-    await supabase
-      .from('chats')
-      .update({ updated_at: new Date().toISOString() })
-      .eq('id', chatId);
+  // Track usage
+  try {
+    await supabase.rpc('increment_usage', {
+      p_user_id: chatData.user_id,
+      p_usage_type: 'message'
+    });
+  } catch (err) {
+    console.log('Usage tracking failed:', err.message || err);
+  }
 
-    // Track usage
-    try {
-      await supabase.rpc('increment_usage', {
-        p_user_id: chatData.user_id,
-        p_usage_type: 'message'
-      });
-    } catch (err) {
-      console.log('Usage tracking failed:', err.message || err);
-    }
+  return {
+    userMessage: { ...userMessage, corrections },
+    assistantMessages: savedMessages.filter(Boolean),
+  };
+}
 
-    return NextResponse.json({ success: true });
-  } catch (error) {
-    console.error('Error in chat API:', error);
+/**
+ * Stream the AI reply as Server-Sent Events.
+ * Events: "provider" (who is answering), "delta" ({ text } so far),
+ * "done" (saved messages, corrections, grammar note, feature payload) and "error".
+ */
+function streamChatResponse({ ai, providerInfo, conversationHistory, systemPrompt, cacheKey, featureMode, saveArgs }) {
+  const encoder = new TextEncoder();
+  const { supabase, chatId, language } = saveArgs;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      // The client may disconnect mid-stream; keep generating and saving the reply anyway
+      let disconnected = false;
+      const send = (event, data) => {
+        if (disconnected) return;
+        try {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        } catch (err) {
+          disconnected = true;
+        }
+      };
 
-    // Provide more specific error message
-    let errorMessage = 'Failed to process message';
-    let statusCode = 500;
-
-    if (error.code === 'PGRST116') {
-      errorMessage = 'Please add your API key in Settings';
-      statusCode = 401;
-    } else if (error.message?.includes('API key')) {
-      errorMessage = error.message;
-      statusCode = 401;
-    } else if (error.message?.includes('rate limit') || error.status === 429) {
-      errorMessage = 'Rate limit exceeded. Please try again later.';
-      statusCode = 429;
-    } else if (error.message?.includes('quota')) {
-      errorMessage = 'API quota exceeded. Please check your API key or upgrade your plan.';
-      statusCode = 402;
-    } else if (error.status === 401) {
-      errorMessage = 'Invalid API key. Please check your settings.';
-      statusCode = 401;
-    } else if (error.status === 403) {
-      errorMessage = 'Access forbidden. Please verify your API key permissions.';
-      statusCode = 403;
-    } else if (error.message) {
-      errorMessage = error.message;
-    }
+      let activeProvider = providerInfo;
 
-    return NextResponse.json(
-      { error: errorMessage },
-      { status: statusCode }
-    );
+      try {
+        let responseText = '';
+        let lastSentText = '';
+
+        for await (const chunk of ai.chatStream(conversationHistory, systemPrompt, language)) {
+          // The chain settles on a provider once the first chunk arrives
+          if (!responseText) {
+            activeProvider = ai.lastProvider;
+            send('provider', describeProvider(activeProvider));
+          }
+
+          responseText += chunk;
+
+          // Only send readable text, never raw JSON fragments
+          const text = extractStreamingText(responseText);
+          if (text !== lastSentText) {
+            lastSentText = text;
+            send('delta', { text });
+          }
+        }
+
+        // Corrections and grammar notes are only known once the full reply is in
+        const aiResponse = await parseAIResponseWithRepair(ai, responseText, {
+          messages: conversationHistory,
+          systemPrompt,
+          language,
+          featureMode,
+          onFailure: (failure) => recordResponseFailure(supabase, { chatId, featureMode, providerInfo: activeProvider, failure }),
+        });
+        await cacheResponse(supabase, cacheKey, aiResponse, language);
+
+        const { userMessage, assistantMessages } = await saveAIResponse(supabase, { ...saveArgs, aiResponse });
+
+        send('done', {
+          userMessage,
+          messages: assistantMessages,
+          corrections: aiResponse.corrections || [],
+          grammarNote: aiResponse.grammarNote || null,
+          feature: aiResponse.feature || null,
+          provider: describeProvider(activeProvider),
+        });
+      } catch (error) {
+        // send() never throws, so this is a failure generating or saving the reply
+        console.error('Error streaming chat response:', error);
+        const { errorMessage, statusCode } = getErrorResponse(error, ai.lastProvider);
+        await markReplyFailed(supabase, saveArgs.userMessage.id);
+        send('error', {
+          error: errorMessage,
+          status: statusCode,
+          provider: ai.lastProvider.providerId,
+          failedMessageId: saveArgs.userMessage.id,
+        });
+      } finally {
+        try {
+          controller.close();
+        } catch (err) {
+          // Already closed by a disconnected client
+        }
+      }
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+    },
+  });
+}
+
+/**
+ * Public description of the provider that answered
+ */
+function describeProvider(providerInfo) {
+  return {
+    id: providerInfo.providerId,
+    name: providerInfo.providerName,
+    keySource: providerInfo.keySource,
+  };
+}
+
+/**
+ * Map an error from Supabase or the AI provider to a user-facing message and status
+ */
+function getErrorResponse(error, providerInfo) {
+  // Provide more specific error message
+  let errorMessage = 'Failed to process message';
+  let statusCode = 500;
+  const providerName = providerInfo?.providerName || 'AI provider';
+
+  if (error.code === 'PGRST116') {
+    errorMessage = 'Please add your API key in Settings';
+    statusCode = 401;
+  } else if (error.message?.includes('API key')) {
+    errorMessage = error.message;
+    statusCode = 401;
+  } else if (error.message?.includes('rate limit') || error.status === 429) {
+    errorMessage = `${providerName} rate limit exceeded. Please try again later.`;
+    statusCode = 429;
+  } else if (error.message?.includes('quota')) {
+    errorMessage = `${providerName} quota exceeded. Please check your API key or upgrade your plan.`;
+    statusCode = 402;
+  } else if (error.status === 401) {
+    errorMessage = `Invalid ${providerName} API key. Please check your settings.`;
+    statusCode = 401;
+  } else if (error.status === 503) {
+    errorMessage = error.message;
+    statusCode = 503;
+  } else if (error.isTimeout) {
+    errorMessage = `${providerName} took too long to respond. Please try again.`;
+    statusCode = 504;
+  } else if (error.status === 403) {
+    errorMessage = `Access forbidden. Please verify your ${providerName} API key permissions.`;
+    statusCode = 403;
+  } else if (error.message) {
+    errorMessage = error.message;
   }
+
+  return { errorMessage, statusCode };
 }
@@ -0,0 +1,200 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { createAnkiPackage } from '@/lib/anki-package';
+import {
+  EXPORT_FORMATS,
+  EXPORT_SECTIONS,
+  VOCAB_ONLY_FORMATS,
+  getExportFileName,
+  buildAnkiNotes,
+  buildExportJSON,
+  buildVocabCSV,
+  buildStudySheetMarkdown,
+  buildStudySheetHTML,
+} from '@/lib/study-export';
+
+/**
+ * Export study material as a file download.
+ * Body: { scope: 'chat' | 'all', chatId, format, sections: ['vocabulary', 'grammar', 'notes'] }
+ * Formats are listed in EXPORT_FORMATS; Anki and CSV exports only contain vocabulary.
+ */
+export async function POST(request) {
+  try {
+    const { scope = 'chat', chatId, format, sections } = await request.json();
+
+    // Get auth token from request header
+    const authHeader = request.headers.get('authorization');
+    if (!authHeader) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    // Create authenticated Supabase client
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+      {
+        global: {
+          headers: {
+            Authorization: authHeader,
+          },
+        },
+      }
+    );
+
+    if (!EXPORT_FORMATS[format] || (scope === 'chat' && !chatId)) {
+      return NextResponse.json(
+        { error: 'Missing required fields' },
+        { status: 400 }
+      );
+    }
+
+    const { data: { user } } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const included = VOCAB_ONLY_FORMATS.includes(format)
+      ? ['vocabulary']
+      : EXPORT_SECTIONS.filter(section => !Array.isArray(sections) || sections.includes(section));
+
+    // Load the chats being exported
+    let chatsQuery = supabase
+      .from('chats')
+      .select('id, title, language')
+      .eq('user_id', user.id)
+      .order('created_at', { ascending: true });
+
+    if (scope === 'chat') {
+      chatsQuery = chatsQuery.eq('id', chatId);
+    }
+
+    const { data: chats, error: chatsError } = await chatsQuery;
+    if (chatsError) throw chatsError;
+
+    if (scope === 'chat' && chats.length === 0) {
+      return NextResponse.json(
+        { error: 'Chat not found' },
+        { status: 404 }
+      );
+    }
+
+    const chatIds = chats.map(chat => chat.id);
+
+    const loadRows = async (table, enabled, columns, filterByUser = false) => {
+      if (!enabled || chatIds.length === 0) return [];
+
+      let query = supabase
+        .from(table)
+        .select(columns)
+        .in('chat_id', chatIds)
+        .order('created_at', { ascending: true });
+
+      if (filterByUser) {
+        query = query.eq('user_id', user.id);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    };
+
+    const [vocabulary, grammarNotes, customNotes] = await Promise.all([
+      loadRows('saved_vocabulary', included.includes('vocabulary'), 'chat_id, word, translation, context, starred, created_at'),
+      loadRows('grammar_notes', included.includes('grammar'), 'chat_id, title, content, category, created_at'),
+      loadRows('custom_notes', included.includes('notes'), 'chat_id, content, created_at', true),
+    ]);
+
+    // Words from deleted chats stay in the library, so they belong in a full export
+    let orphanedVocabulary = [];
+    if (scope === 'all' && included.includes('vocabulary')) {
+      const { data, error } = await supabase
+        .from('saved_vocabulary')
+        .select('language, chat_title, word, translation, context, starred, created_at')
+        .eq('user_id', user.id)
+        .is('chat_id', null)
+        .order('created_at', { ascending: true });
+
+      // 42703 = column doesn't exist yet (library migration not run)
+      if (error && error.code !== '42703') throw error;
+      orphanedVocabulary = data || [];
+    }
+
+    const orphanedLanguages = [...new Set(orphanedVocabulary.map(item => item.language || 'Unknown'))];
+
+    const title = scope === 'chat'
+      ? `${chats[0].title} - ${chats[0].language}`
+      : 'My Lingozo study sheet';
+
+    const data = {
+      title,
+      exportedAt: new Date().toISOString(),
+      chats: chats.map(chat => ({
+        ...chat,
+        vocabulary: vocabulary.filter(item => item.chat_id === chat.id),
+        grammarNotes: grammarNotes.filter(note => note.chat_id === chat.id),
+        customNotes: customNotes.filter(note => note.chat_id === chat.id),
+      })).concat(orphanedLanguages.map(language => ({
+        id: null,
+        title: 'Deleted chats',
+        language,
+        vocabulary: orphanedVocabulary.filter(item => (item.language || 'Unknown') === language),
+        grammarNotes: [],
+        customNotes: [],
+      }))),
+    };
+
+    const hasContent = data.chats.some(chat =>
+      chat.vocabulary.length > 0 || chat.grammarNotes.length > 0 || chat.customNotes.length > 0
+    );
+    if (!hasContent) {
+      return NextResponse.json(
+        { error: 'There is nothing to export yet' },
+        { status: 404 }
+      );
+    }
+
+    let body;
+    switch (format) {
+      case 'apkg':
+        body = await createAnkiPackage(
+          scope === 'chat' ? `Lingozo::${chats[0].language}::${chats[0].title}` : 'Lingozo',
+          buildAnkiNotes(data)
+        );
+        break;
+      case 'json':
+        body = buildExportJSON(data);
+        break;
+      case 'csv':
+        body = buildVocabCSV(data);
+        break;
+      case 'markdown':
+        body = buildStudySheetMarkdown(data);
+        break;
+      case 'print':
+        body = buildStudySheetHTML(data);
+        break;
+    }
+
+    const fileName = getExportFileName(scope === 'chat' ? chats[0].language : 'lingozo', format);
+
+    return new NextResponse(body, {
+      headers: {
+        'Content-Type': EXPORT_FORMATS[format].mimeType,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`,
+        'Cache-Control': 'no-store',
+      },
+    });
+  } catch (error) {
+    console.error('Error exporting study material:', error);
+    return NextResponse.json(
+      { error: 'Failed to export' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,186 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { createAIProviderChain, generateSystemPrompt, parseAIResponseWithRepair, resolveAIProviderChain, AI_SETTINGS_COLUMNS } from '@/lib/ai-providers';
+import { CEFR_LEVELS, estimateProficiency } from '@/lib/proficiency';
+import { getPlacementLevel, PLACEMENT_MAX_ROUNDS } from '@/lib/placement';
+
+const MAX_WRITING_LENGTH = 2000;
+
+/**
+ * Placement test for a new chat.
+ * Body: { chatId, action: 'questions', level } - a quiz round at that CEFR level
+ * Body: { chatId, action: 'finish', rounds: [{ level, score, total }], writing: { prompt, text } | null }
+ *   grades the writing sample and stores the starting level on the chat
+ */
+export async function POST(request) {
+  // Resolved provider, kept outside try so errors can name it
+  let providerInfo = null;
+
+  try {
+    const { chatId, action, level, rounds, writing } = await request.json();
+
+    // Get auth token from request header
+    const authHeader = request.headers.get('authorization');
+    if (!authHeader) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    // Create authenticated Supabase client
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+      {
+        global: {
+          headers: {
+            Authorization: authHeader,
+          },
+        },
+      }
+    );
+
+    if (!chatId || !['questions', 'finish'].includes(action) || (action === 'questions' && !CEFR_LEVELS.includes(level))) {
+      return NextResponse.json(
+        { error: 'Missing required fields' },
+        { status: 400 }
+      );
+    }
+
+    const { data: chat, error: chatError } = await supabase
+      .from('chats')
+      .select('user_id, language')
+      .eq('id', chatId)
+      .single();
+
+    if (chatError || !chat) {
+      return NextResponse.json(
+        { error: 'Chat not found' },
+        { status: 404 }
+      );
+    }
+
+    // Use the user's chosen provider and key, falling back to the server key
+    const { data: userSettings } = await supabase
+      .from('user_settings')
+      .select(AI_SETTINGS_COLUMNS)
+      .eq('id', chat.user_id)
+      .single();
+
+    const providerChain = resolveAIProviderChain(userSettings);
+
+    if (providerChain.length === 0) {
+      console.error('No API key available for any AI provider');
+      return NextResponse.json(
+        { error: 'AI service is not available. Please add your API key in Settings.' },
+        { status: 500 }
+      );
+    }
+
+    providerInfo = providerChain[0];
+    const ai = createAIProviderChain(providerChain);
+
+    // Ask for a feature payload and validate it (one repair attempt, like chat features)
+    const requestFeature = async (featureMode, content, featureLevel = null) => {
+      const systemPrompt = generateSystemPrompt(chat.language, false, false, featureMode, { level: featureLevel });
+      const messages = [{ role: 'user', content }];
+      const responseText = await ai.chat(messages, systemPrompt, chat.language);
+      providerInfo = ai.lastProvider;
+
+      const aiResponse = await parseAIResponseWithRepair(ai, responseText, {
+        messages,
+        systemPrompt,
+        language: chat.language,
+        featureMode,
+      });
+      return aiResponse.feature || null;
+    };
+
+    if (action === 'questions') {
+      const quiz = await requestFeature('placement', `Create the ${level} placement questions.`, level);
+
+      if (!quiz || quiz.type !== 'quiz') {
+        return NextResponse.json(
+          { error: 'Failed to create placement questions' },
+          { status: 502 }
+        );
+      }
+
+      return NextResponse.json({ quiz: { ...quiz, quizType: 'placement' }, level });
+    }
+
+    // Finish: grade the writing sample (if any) and combine it with the quiz rounds
+    const quizRounds = (Array.isArray(rounds) ? rounds : [])
+      .filter(round => CEFR_LEVELS.includes(round?.level) && Number.isFinite(round.score) && round.total > 0)
+      .slice(0, PLACEMENT_MAX_ROUNDS)
+      .map(round => ({ level: round.level, score: round.score, total: round.total }));
+
+    let writingResult = null;
+    const writingText = typeof writing?.text === 'string' ? writing.text.trim().slice(0, MAX_WRITING_LENGTH) : '';
+    if (writingText) {
+      const grade = await requestFeature('placement-writing', `Task: ${writing.prompt || ''}\n\nAnswer:\n${writingText}`);
+      if (grade?.type === 'placementWriting') {
+        writingResult = { level: grade.level, feedback: grade.feedback };
+      }
+    }
+
+    const startingLevel = getPlacementLevel(quizRounds, writingResult?.level);
+    if (!startingLevel) {
+      return NextResponse.json(
+        { error: 'Answer a quiz round or the writing task first' },
+        { status: 400 }
+      );
+    }
+
+    // Store the level on the chat and seed its proficiency profile with it
+    const proficiency = estimateProficiency([], { startingLevel });
+    const { error: updateError } = await supabase
+      .from('chats')
+      .update({
+        starting_level: startingLevel,
+        placement_result: { rounds: quizRounds, writing: writingResult, completedAt: new Date().toISOString() },
+        proficiency,
+      })
+      .eq('id', chatId);
+
+    if (updateError) throw updateError;
+
+    try {
+      await supabase
+        .from('proficiency_snapshots')
+        .insert({
+          chat_id: chatId,
+          user_id: chat.user_id,
+          level: proficiency.level,
+          score: proficiency.score,
+          strengths: proficiency.strengths,
+          weaknesses: proficiency.weaknesses,
+          signals: proficiency.signals,
+        });
+    } catch (err) {
+      console.log('Failed to save proficiency snapshot:', err.message || err);
+    }
+
+    return NextResponse.json({ level: startingLevel, rounds: quizRounds, writing: writingResult });
+  } catch (error) {
+    console.error('Error in placement API:', error);
+    providerInfo = error.providerInfo || providerInfo;
+
+    let errorMessage = 'Placement test failed';
+    let statusCode = 500;
+
+    if (error.message?.includes('API key')) {
+      errorMessage = error.message;
+      statusCode = 401;
+    } else if (error.message?.includes('rate limit') || error.status === 429) {
+      errorMessage = `${providerInfo?.providerName || 'AI provider'} rate limit exceeded. Please try again later.`;
+      statusCode = 429;
+    }
+
+    return NextResponse.json(
+      { error: errorMessage, provider: providerInfo?.providerId || null },
+      { status: statusCode }
+    );
+  }
+}
@@ -0,0 +1,227 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { createAIProviderChain, generateSystemPrompt, parseAIResponseWithRepair, resolveAIProviderChain, AI_SETTINGS_COLUMNS } from '@/lib/ai-providers';
+import {
+  formatPracticeItems,
+  getPracticeTextKey,
+  getPracticeUpdate,
+  parsePracticeItemId,
+  selectPracticeItems,
+  PRACTICE_CANDIDATE_LIMIT,
+  PRACTICE_QUESTION_COUNT,
+} from '@/lib/practice';
+
+const PRACTICE_TABLES = { mistake: 'mistakes', vocab: 'saved_vocabulary' };
+
+// Column an item's text comes from; rows with the same text are practised as one item
+const PRACTICE_TEXT_COLUMNS = { mistake: 'incorrect', vocab: 'word' };
+
+/**
+ * Unmastered rows of a practice source for a chat (newest first)
+ */
+async function getPracticeCandidates(supabase, table, columns, chatId) {
+  const { data, error } = await supabase
+    .from(table)
+    .select(`id, practice_streak, ${columns}`)
+    .eq('chat_id', chatId)
+    .is('mastered_at', null)
+    .order('created_at', { ascending: false })
+    .limit(PRACTICE_CANDIDATE_LIMIT);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * "Practice my mistakes" quiz for a chat.
+ * Body: { chatId, action: 'questions' } - a quiz written from the chat's
+ *   unmastered corrections and saved words; each question has an itemId
+ * Body: { chatId, action: 'results', answers: [{ itemId, isCorrect }] }
+ *   updates each item's streak (on every row with the same text) and marks it
+ *   mastered after enough right answers
+ */
+export async function POST(request) {
+  // Resolved provider, kept outside try so errors can name it
+  let providerInfo = null;
+
+  try {
+    const { chatId, action, answers } = await request.json();
+
+    // Get auth token from request header
+    const authHeader = request.headers.get('authorization');
+    if (!authHeader) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    // Create authenticated Supabase client
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+      {
+        global: {
+          headers: {
+            Authorization: authHeader,
+          },
+        },
+      }
+    );
+
+    if (!chatId || !['questions', 'results'].includes(action) || (action === 'results' && !Array.isArray(answers))) {
+      return NextResponse.json(
+        { error: 'Missing required fields' },
+        { status: 400 }
+      );
+    }
+
+    if (action === 'results') {
+      // Last answer per item wins if the quiz somehow asked about one twice
+      const results = new Map();
+      answers.forEach((answer) => {
+        const item = parsePracticeItemId(answer?.itemId);
+        if (item) results.set(answer.itemId, { ...item, isCorrect: answer.isCorrect === true });
+      });
+
+      const now = new Date();
+      const mastered = [];
+
+      for (const [source, table] of Object.entries(PRACTICE_TABLES)) {
+        const sourceResults = [...results.entries()].filter(([, result]) => result.source === source);
+        if (sourceResults.length === 0) continue;
+
+        const textColumn = PRACTICE_TEXT_COLUMNS[source];
+        const { data: rows, error } = await supabase
+          .from(table)
+          .select(`id, practice_streak, ${textColumn}`)
+          .eq('chat_id', chatId)
+          .in('id', sourceResults.map(([, result]) => result.id));
+
+        if (error) throw error;
+
+        // Repeats of the same mistake or word have their own rows; they share the item's progress
+        const { data: unmasteredRows, error: unmasteredError } = await supabase
+          .from(table)
+          .select(`id, ${textColumn}`)
+          .eq('chat_id', chatId)
+          .is('mastered_at', null);
+
+        if (unmasteredError) throw unmasteredError;
+
+        for (const row of rows || []) {
+          const [itemId, result] = sourceResults.find(([, entry]) => entry.id === row.id);
+          const update = getPracticeUpdate(row.practice_streak, result.isCorrect, now);
+          const key = getPracticeTextKey(row[textColumn]);
+          const duplicateIds = (unmasteredRows || [])
+            .filter(other => other.id !== row.id && key && getPracticeTextKey(other[textColumn]) === key)
+            .map(other => other.id);
+
+          const { error: updateError } = await supabase
+            .from(table)
+            .update(update)
+            .in('id', [row.id, ...duplicateIds]);
+
+          if (updateError) throw updateError;
+          if (update.mastered_at) mastered.push(itemId);
+        }
+      }
+
+      return NextResponse.json({ updated: results.size, mastered });
+    }
+
+    const { data: chat, error: chatError } = await supabase
+      .from('chats')
+      .select('*')
+      .eq('id', chatId)
+      .single();
+
+    if (chatError || !chat) {
+      return NextResponse.json(
+        { error: 'Chat not found' },
+        { status: 404 }
+      );
+    }
+
+    const items = selectPracticeItems(
+      await getPracticeCandidates(supabase, 'mistakes', 'category, incorrect, correction', chatId),
+      await getPracticeCandidates(supabase, 'saved_vocabulary', 'word, translation, context', chatId),
+      { count: PRACTICE_QUESTION_COUNT }
+    );
+
+    if (items.length === 0) {
+      return NextResponse.json(
+        { error: 'Nothing to practise yet - get a few corrections or save some words in this chat first.' },
+        { status: 404 }
+      );
+    }
+
+    // Use the user's chosen provider and key, falling back to the server key
+    const { data: userSettings } = await supabase
+      .from('user_settings')
+      .select(AI_SETTINGS_COLUMNS)
+      .eq('id', chat.user_id)
+      .single();
+
+    const providerChain = resolveAIProviderChain(userSettings);
+
+    if (providerChain.length === 0) {
+      console.error('No API key available for any AI provider');
+      return NextResponse.json(
+        { error: 'AI service is not available. Please add your API key in Settings.' },
+        { status: 500 }
+      );
+    }
+
+    providerInfo = providerChain[0];
+    const ai = createAIProviderChain(providerChain);
+
+    const featureMode = 'practice-mistakes';
+    const systemPrompt = generateSystemPrompt(chat.language, false, false, featureMode, chat.proficiency || null);
+    const messages = [{ role: 'user', content: formatPracticeItems(items) }];
+    const responseText = await ai.chat(messages, systemPrompt, chat.language);
+    providerInfo = ai.lastProvider;
+
+    const aiResponse = await parseAIResponseWithRepair(ai, responseText, {
+      messages,
+      systemPrompt,
+      language: chat.language,
+      featureMode,
+    });
+    const quiz = aiResponse.feature;
+
+    if (!quiz || quiz.type !== 'quiz') {
+      return NextResponse.json(
+        { error: 'Failed to create the practice quiz' },
+        { status: 502 }
+      );
+    }
+
+    // Questions that lost their item id still get asked, they just don't count towards mastery
+    const itemIds = new Set(items.map(item => item.itemId));
+    const questions = quiz.questions.map(({ itemId, ...question }) =>
+      (itemIds.has(itemId) ? { ...question, itemId } : question)
+    );
+
+    return NextResponse.json({ feature: { ...quiz, quizType: 'practice', questions } });
+  } catch (error) {
+    console.error('Error in practice API:', error);
+    providerInfo = error.providerInfo || providerInfo;
+
+    let errorMessage = 'Failed to start practice';
+    let statusCode = 500;
+
+    if (error.message?.includes('API key')) {
+      errorMessage = error.message;
+      statusCode = 401;
+    } else if (error.message?.includes('rate limit') || error.status === 429) {
+      errorMessage = `${providerInfo?.providerName || 'AI provider'} rate limit exceeded. Please try again later.`;
+      statusCode = 429;
+    }
+
+    return NextResponse.json(
+      { error: errorMessage, provider: providerInfo?.providerId || null },
+      { status: statusCode }
+    );
+  }
+}
@@ -1,6 +1,6 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@supabase/supabase-js';
-import { createAIProvider, generateSystemPrompt } from '@/lib/ai-providers';
+import { createAIProviderChain, resolveAIProviderChain, AI_SETTINGS_COLUMNS } from '@/lib/ai-providers';
 
 export async function POST(request) {
   try {
@@ -127,18 +127,23 @@ export async function POST(request) {
       .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
       .join('\n');
 
-    // Generate proactive message
-    const aiProvider = 'gemini';
-    const apiKey = process.env.GOOGLE_AI_API_KEY;
+    // Generate proactive message with the user's chosen provider and key
+    const { data: userSettings } = await supabase
+      .from('user_settings')
+      .select(AI_SETTINGS_COLUMNS)
+      .eq('id', chatData.user_id)
+      .single();
+
+    const providerChain = resolveAIProviderChain(userSettings);
 
-    if (!apiKey) {
+    if (providerChain.length === 0) {
       return NextResponse.json(
         { error: 'AI service not available' },
         { status: 500 }
       );
     }
 
-    const ai = createAIProvider(aiProvider, apiKey);
+    const ai = createAIProviderChain(providerChain);
 
     const systemPrompt = `You are a friendly language learning assistant. The user is learning ${chatData.language}.
 
@@ -166,6 +171,7 @@ Just send the message directly, no JSON format needed.`;
       systemPrompt,
       chatData.language
     );
+    const providerInfo = ai.lastProvider;
 
     // Save the proactive message
     const { data: savedMessage, error: saveError } = await supabase
@@ -194,7 +200,12 @@ Just send the message directly, no JSON format needed.`;
       {
         success: true,
         message: savedMessage,
-        shouldSend: true
+        shouldSend: true,
+        provider: {
+          id: providerInfo.providerId,
+          name: providerInfo.providerName,
+          keySource: providerInfo.keySource,
+        },
       },
       { status: 200 }
     );
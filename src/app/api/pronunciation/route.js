@@ -0,0 +1,110 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { normalizeWord, scorePronunciation } from '@/lib/pronunciation';
+
+const MAX_TEXT_LENGTH = 1000;
+
+// Optimistic messages have temporary ids until they're saved
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const asId = (value) => (typeof value === 'string' && UUID_PATTERN.test(value) ? value : null);
+
+/**
+ * Score a spoken attempt at a message or saved word and keep the per-word scores.
+ * Body: { language, expectedText, transcript, confidence?, chatId?, messageId?, vocabularyId? }
+ */
+export async function POST(request) {
+  try {
+    const { language, expectedText, transcript, confidence, chatId, messageId, vocabularyId } = await request.json();
+
+    // Get auth token from request header
+    const authHeader = request.headers.get('authorization');
+    if (!authHeader) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    // Create authenticated Supabase client
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+      {
+        global: {
+          headers: {
+            Authorization: authHeader,
+          },
+        },
+      }
+    );
+
+    if (!language || typeof expectedText !== 'string' || !expectedText.trim() || typeof transcript !== 'string') {
+      return NextResponse.json(
+        { error: 'Missing required fields' },
+        { status: 400 }
+      );
+    }
+
+    const { data: { user } } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const result = scorePronunciation(expectedText.slice(0, MAX_TEXT_LENGTH), transcript.slice(0, MAX_TEXT_LENGTH));
+    if (result.words.length === 0) {
+      return NextResponse.json(
+        { error: 'Nothing to read aloud in this text' },
+        { status: 400 }
+      );
+    }
+
+    // Storing is best effort - the learner still gets their score without the migration
+    try {
+      const { data: attempt, error: attemptError } = await supabase
+        .from('pronunciation_attempts')
+        .insert({
+          user_id: user.id,
+          chat_id: asId(chatId),
+          message_id: asId(messageId),
+          vocabulary_id: asId(vocabularyId),
+          language,
+          expected_text: expectedText.slice(0, MAX_TEXT_LENGTH),
+          transcript: transcript.slice(0, MAX_TEXT_LENGTH),
+          confidence: Number.isFinite(confidence) ? confidence : null,
+          score: result.score,
+        })
+        .select('id')
+        .single();
+
+      if (attemptError) throw attemptError;
+
+      const { error: wordsError } = await supabase
+        .from('pronunciation_word_scores')
+        .insert(result.words.map((word, position) => ({
+          attempt_id: attempt.id,
+          user_id: user.id,
+          language,
+          word: normalizeWord(word.word),
+          heard: word.heard,
+          score: word.score,
+          status: word.status,
+          position,
+        })));
+
+      if (wordsError) throw wordsError;
+    } catch (err) {
+      if (err.code !== '42P01') console.log('Failed to save pronunciation attempt:', err.message || err);
+    }
+
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error('Error in pronunciation API:', error);
+    return NextResponse.json(
+      { error: 'Failed to score pronunciation' },
+      { status: 500 }
+    );
+  }
+}
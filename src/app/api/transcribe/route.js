@@ -0,0 +1,121 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import {
+  STT_SETTINGS_COLUMNS,
+  STT_MAX_AUDIO_BYTES,
+  resolveSTTProvider,
+  createSTTProvider,
+  usesServerAPIKey,
+} from '@/lib/stt-providers';
+import { getVoiceLimitError, recordVoiceUsage } from '@/lib/voice-usage';
+
+// Room for the multipart boundaries and the language field around the audio
+const FORM_OVERHEAD_BYTES = 64 * 1024;
+
+/**
+ * Transcribe recorded speech, for browsers without the Web Speech API.
+ * Multipart body: audio (file), language? (hint, e.g. 'Spanish')
+ * Returns { text, language, duration, words: [{ word, start, end }], engine }.
+ * Free users get a daily limit on the server's OpenAI key (429 when used up)
+ */
+export async function POST(request) {
+  try {
+    // Get auth token from request header
+    const authHeader = request.headers.get('authorization');
+    if (!authHeader) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    // Create authenticated Supabase client
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+      {
+        global: {
+          headers: {
+            Authorization: authHeader,
+          },
+        },
+      }
+    );
+
+    // Turn away oversized uploads before reading them
+    const contentLength = Number(request.headers.get('content-length'));
+    if (contentLength > STT_MAX_AUDIO_BYTES + FORM_OVERHEAD_BYTES) {
+      return NextResponse.json(
+        { error: 'Recording is too long' },
+        { status: 413 }
+      );
+    }
+
+    const { data: { user } } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const form = await request.formData();
+    const audio = form.get('audio');
+    const language = form.get('language') || null;
+
+    if (!audio || typeof audio === 'string' || audio.size === 0) {
+      return NextResponse.json(
+        { error: 'Missing required fields' },
+        { status: 400 }
+      );
+    }
+
+    if (audio.size > STT_MAX_AUDIO_BYTES) {
+      return NextResponse.json(
+        { error: 'Recording is too long' },
+        { status: 413 }
+      );
+    }
+
+    const { data: userSettings } = await supabase
+      .from('user_settings')
+      .select(STT_SETTINGS_COLUMNS)
+      .eq('id', user.id)
+      .single();
+
+    const providerInfo = resolveSTTProvider(userSettings);
+    if (!providerInfo) {
+      return NextResponse.json(
+        { error: 'No speech-to-text engine is configured on the server' },
+        { status: 503 }
+      );
+    }
+
+    // Transcription on the server's key is limited per day like chat messages
+    const isServerKey = usesServerAPIKey(providerInfo);
+    if (isServerKey) {
+      const limitError = await getVoiceLimitError(supabase, user.id, 'stt');
+      if (limitError) {
+        return NextResponse.json(
+          { error: limitError },
+          { status: 429 }
+        );
+      }
+    }
+
+    const stt = createSTTProvider(providerInfo.providerId, providerInfo.apiKey, providerInfo.options);
+    const result = await stt.transcribe(audio, language);
+
+    if (isServerKey) {
+      await recordVoiceUsage(supabase, { userId: user.id, kind: 'stt', provider: providerInfo.providerId, amount: audio.size });
+    }
+
+    return NextResponse.json({ ...result, engine: providerInfo.providerId });
+  } catch (error) {
+    console.error('Error in transcribe API:', error);
+    return NextResponse.json(
+      { error: 'Failed to transcribe audio' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,10 +1,46 @@
+import { createHash } from 'crypto';
 import { NextResponse } from 'next/server';
 import { createClient } from '@supabase/supabase-js';
-import { createAIProvider } from '@/lib/ai-providers';
+import { createAIProviderChain, resolveAIProviderChain, AI_SETTINGS_COLUMNS } from '@/lib/ai-providers';
+import { validateWordLookup } from '@/lib/ai-schemas';
+
+// Up to this many words get a dictionary lookup (lemma, part of speech, ...);
+// longer text such as a whole message is only translated
+const MAX_LOOKUP_WORDS = 3;
+const MAX_CONTEXT_LENGTH = 500;
+const DEFAULT_NATIVE_LANGUAGE = 'English';
+
+const EMPTY_DETAILS = {
+  lemma: null,
+  lemmaTranslation: null,
+  partOfSpeech: null,
+  gender: null,
+  inflection: null,
+  senses: [],
+};
+
+/**
+ * Cache key for the sentence a word was looked up in ('' = no sentence),
+ * so each sense of a word is cached separately from the context-free lookup
+ */
+function getContextKey(context) {
+  if (!context) return '';
+  return createHash('sha1').update(context.toLowerCase()).digest('hex').slice(0, 16);
+}
 
+/**
+ * Translate a word or text for a chat.
+ * Body: { word, targetLanguage (the chat language), chatId, context, direction }
+ * direction 'to-native' (default) translates into the user's native language
+ * (user_settings.native_language); 'to-target' translates the user's own text
+ * into the chat language. Words also get a dictionary lookup, see validateWordLookup.
+ */
 export async function POST(request) {
+  // Resolved provider, kept outside try so errors can name it
+  let providerInfo = null;
+
   try {
-    const { word, targetLanguage, chatId } = await request.json();
+    const { word, targetLanguage, chatId, context: rawContext, direction } = await request.json();
 
     if (!word || !targetLanguage) {
       return NextResponse.json(
@@ -29,16 +65,59 @@ export async function POST(request) {
       } : undefined
     );
 
+    // Get user ID for usage tracking and provider settings (optional)
+    let userId = null;
+    if (chatId && authHeader) {
+      const { data: chat } = await supabase
+        .from('chats')
+        .select('user_id')
+        .eq('id', chatId)
+        .single();
+
+      if (chat) {
+        userId = chat.user_id;
+      }
+    }
+
+    // Use the user's chosen provider and key, falling back to the server key
+    let userSettings = null;
+    if (userId) {
+      const { data } = await supabase
+        .from('user_settings')
+        .select(`${AI_SETTINGS_COLUMNS}, native_language`)
+        .eq('id', userId)
+        .single();
+      userSettings = data;
+    }
+
+    // Translations go into the learner's own language (and out of it when composing)
+    const nativeLanguage = userSettings?.native_language?.trim() || DEFAULT_NATIVE_LANGUAGE;
+    const isReverse = direction === 'to-target';
+    const isLookup = !isReverse && word.trim().split(/\s+/).length <= MAX_LOOKUP_WORDS;
+
+    // The sentence around a word picks its sense ("banco" = bank or bench)
+    const context = isLookup && typeof rawContext === 'string'
+      ? rawContext.replace(/\s+/g, ' ').trim().slice(0, MAX_CONTEXT_LENGTH) || null
+      : null;
+    const contextKey = getContextKey(context);
+
     // Check translation cache first (to save API costs)
-    const cacheKey = `${word.toLowerCase().trim()}_${targetLanguage}`;
-    const { data: cachedTranslation } = await supabase
-      .from('translation_cache')
-      .select('*')
-      .eq('word', word.toLowerCase().trim())
-      .eq('target_language', targetLanguage)
-      .single();
-
-    if (cachedTranslation) {
+    // Reverse translations are drafts of the user's own messages, so they aren't cached
+    let cachedTranslation = null;
+    if (!isReverse) {
+      const { data } = await supabase
+        .from('translation_cache')
+        .select('*')
+        .eq('word', word.toLowerCase().trim())
+        .eq('target_language', targetLanguage)
+        .eq('native_language', nativeLanguage)
+        .eq('context_key', contextKey)
+        .single();
+      cachedTranslation = data;
+    }
+
+    // Entries cached before lookups existed have no details - look those words up again
+    if (cachedTranslation && (!isLookup || cachedTranslation.details)) {
       // Use cached translation and increment hit count
       console.log('Using cached translation');
       try {
@@ -50,51 +129,72 @@ export async function POST(request) {
         console.log('Cache update failed:', err.message || err);
       }
 
-      return NextResponse.json({ translation: cachedTranslation.translation });
+      return NextResponse.json({
+        translation: cachedTranslation.translation,
+        ...(isLookup ? { ...EMPTY_DETAILS, ...cachedTranslation.details } : {}),
+        nativeLanguage,
+        cached: true,
+      });
     }
 
-    // Always use Gemini with server API key
-    const aiProvider = 'gemini';
-    const apiKey = process.env.GOOGLE_AI_API_KEY;
+    const providerChain = resolveAIProviderChain(userSettings);
 
-    if (!apiKey) {
-      console.error('GOOGLE_AI_API_KEY is not configured on server');
+    if (providerChain.length === 0) {
+      console.error('No API key available for any AI provider');
       return NextResponse.json(
         { error: 'Translation service is not available' },
         { status: 500 }
       );
     }
 
-    // Get user ID for usage tracking (optional)
-    let userId = null;
-    if (chatId && authHeader) {
-      const { data: chat } = await supabase
-        .from('chats')
-        .select('user_id')
-        .eq('id', chatId)
-        .single();
+    // Create AI provider chain and translate (fails over on rate limits and outages)
+    providerInfo = providerChain[0];
+    const ai = createAIProviderChain(providerChain);
+    let translation = null;
+    let details = null;
+
+    if (isReverse) {
+      translation = await ai.translate(word, nativeLanguage, targetLanguage);
+    } else {
+      if (isLookup) {
+        const lookup = validateWordLookup(await ai.lookupWord(word, targetLanguage, { context, nativeLanguage }));
+        if (lookup.valid) {
+          ({ translation, ...details } = lookup.value);
+        } else {
+          console.warn('Word lookup reply was not valid, translating instead:', lookup.errors.join('; '));
+        }
+      }
 
-      if (chat) {
-        userId = chat.user_id;
+      if (!translation) {
+        translation = await ai.translate(word, targetLanguage, nativeLanguage);
       }
     }
+    providerInfo = ai.lastProvider;
 
-    // Create AI provider and translate
-    const ai = createAIProvider(aiProvider, apiKey);
-    const translation = await ai.translate(word, targetLanguage);
-
-    // Cache the translation
-    try {
-      await supabase
-        .from('translation_cache')
-        .insert({
-          word: word.toLowerCase().trim(),
-          target_language: targetLanguage,
-          translation: translation,
-        });
-      console.log('Translation cached');
-    } catch (err) {
-      console.log('Cache insert failed (might already exist):', err.message || err);
+    // Cache the translation (and refresh entries cached without details)
+    if (!isReverse) {
+      try {
+        if (cachedTranslation) {
+          await supabase
+            .from('translation_cache')
+            .update({ translation, details })
+            .eq('id', cachedTranslation.id);
+        } else {
+          await supabase
+            .from('translation_cache')
+            .insert({
+              word: word.toLowerCase().trim(),
+              target_language: targetLanguage,
+              native_language: nativeLanguage,
+              context_key: contextKey,
+              translation: translation,
+              details,
+            });
+        }
+        console.log('Translation cached');
+      } catch (err) {
+        console.log('Cache insert failed (might already exist):', err.message || err);
+      }
     }
 
     // Track usage if user is identified
@@ -109,9 +209,19 @@ export async function POST(request) {
       }
     }
 
-    return NextResponse.json({ translation });
+    return NextResponse.json({
+      translation,
+      ...(isLookup ? { ...EMPTY_DETAILS, ...details } : {}),
+      nativeLanguage,
+      provider: {
+        id: providerInfo.providerId,
+        name: providerInfo.providerName,
+        keySource: providerInfo.keySource,
+      },
+    });
   } catch (error) {
     console.error('Error in translate API:', error);
+    providerInfo = error.providerInfo || providerInfo;
 
     let errorMessage = 'Failed to translate';
     let statusCode = 500;
@@ -120,12 +230,12 @@ export async function POST(request) {
       errorMessage = error.message;
       statusCode = 401;
     } else if (error.message?.includes('rate limit') || error.status === 429) {
-      errorMessage = 'Rate limit exceeded. Please try again later.';
+      errorMessage = `${providerInfo?.providerName || 'AI provider'} rate limit exceeded. Please try again later.`;
       statusCode = 429;
     }
 
     return NextResponse.json(
-      { error: errorMessage },
+      { error: errorMessage, provider: providerInfo?.providerId || null },
       { status: statusCode }
     );
   }
@@ -0,0 +1,169 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import {
+  TTS_SETTINGS_COLUMNS,
+  TTS_MAX_TEXT_LENGTH,
+  resolveTTSProvider,
+  createTTSProvider,
+  getTTSCachePath,
+  usesServerAPIKey,
+} from '@/lib/tts-providers';
+import { getVoiceLimitError, hasVoiceUsageToday, recordVoiceUsage } from '@/lib/voice-usage';
+import { stripMarkdown } from '@/lib/pronunciation';
+import { clampSpeechRate } from '@/lib/playback';
+
+// Private bucket, one folder per user (see supabase-tts-migration.sql)
+const TTS_BUCKET = 'tts-audio';
+
+// Optimistic messages have temporary ids until they're saved
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const asId = (value) => (typeof value === 'string' && UUID_PATTERN.test(value) ? value : null);
+
+const normalizeSpace = (value) => value.replace(/\s+/g, ' ').trim();
+
+/**
+ * Whether the text is (part of) a message the user can read, so it can share
+ * that message's usage instead of counting on its own
+ */
+async function isPartOfMessage(supabase, messageId, spokenText) {
+  const { data: message } = await supabase
+    .from('messages')
+    .select('content')
+    .eq('id', messageId)
+    .single();
+
+  return !!message?.content && normalizeSpace(stripMarkdown(message.content)).includes(normalizeSpace(spokenText));
+}
+
+/**
+ * Speak a text with the user's voice engine.
+ * Body: { text, language, messageId?, rate?, browserHasVoice? }
+ * Returns { engine: 'browser' } when the browser should speak it itself,
+ * otherwise the audio (cached in storage, so each message is generated once).
+ * Free users get a daily limit on the server's OpenAI key (429 when used up)
+ */
+export async function POST(request) {
+  try {
+    const { text, language, messageId, rate, browserHasVoice } = await request.json();
+
+    // Get auth token from request header
+    const authHeader = request.headers.get('authorization');
+    if (!authHeader) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    // Create authenticated Supabase client
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+      {
+        global: {
+          headers: {
+            Authorization: authHeader,
+          },
+        },
+      }
+    );
+
+    const spokenText = typeof text === 'string' ? stripMarkdown(text).trim().slice(0, TTS_MAX_TEXT_LENGTH) : '';
+    if (!language || !spokenText) {
+      return NextResponse.json(
+        { error: 'Missing required fields' },
+        { status: 400 }
+      );
+    }
+
+    const { data: { user } } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    let { data: userSettings, error: settingsError } = await supabase
+      .from('user_settings')
+      .select(TTS_SETTINGS_COLUMNS)
+      .eq('id', user.id)
+      .single();
+
+    // Without the migration everyone is on 'auto'
+    if (settingsError?.code === '42703') {
+      ({ data: userSettings, error: settingsError } = await supabase
+        .from('user_settings')
+        .select('openai_api_key')
+        .eq('id', user.id)
+        .single());
+    }
+
+    if (settingsError && settingsError.code !== 'PGRST116') {
+      console.log('Failed to load TTS settings:', settingsError.message);
+    }
+
+    const providerInfo = resolveTTSProvider(userSettings, language, { browserHasVoice: browserHasVoice === true });
+    if (!providerInfo.server) {
+      return NextResponse.json({ engine: 'browser' });
+    }
+
+    const speechRate = clampSpeechRate(rate);
+    const savedMessageId = asId(messageId);
+    const cachePath = getTTSCachePath(user.id, providerInfo, spokenText, language, { messageId: savedMessageId, rate: speechRate });
+
+    // Replays come straight from storage
+    const { data: cached } = await supabase.storage.from(TTS_BUCKET).download(cachePath);
+    if (cached) {
+      return new NextResponse(cached, {
+        headers: { 'Content-Type': cached.type || 'application/octet-stream', 'X-TTS-Engine': providerInfo.providerId, 'X-TTS-Cache': 'hit' },
+      });
+    }
+
+    // Speech on the server's key is limited per day like chat messages. Cached replays
+    // are free, and a message counts once however many sentences or speeds it's played in
+    const isServerKey = usesServerAPIKey(providerInfo);
+    const countedMessageId = isServerKey && savedMessageId && await isPartOfMessage(supabase, savedMessageId, spokenText)
+      ? savedMessageId
+      : null;
+    const alreadyCounted = countedMessageId
+      ? await hasVoiceUsageToday(supabase, { userId: user.id, kind: 'tts', messageId: countedMessageId })
+      : false;
+
+    if (isServerKey && !alreadyCounted) {
+      const limitError = await getVoiceLimitError(supabase, user.id, 'tts');
+      if (limitError) {
+        return NextResponse.json(
+          { error: limitError },
+          { status: 429 }
+        );
+      }
+    }
+
+    const tts = createTTSProvider(providerInfo.providerId, providerInfo.apiKey, providerInfo.options);
+    const { audio, contentType } = await tts.synthesize(spokenText, language, { rate: speechRate });
+
+    if (isServerKey && !alreadyCounted) {
+      await recordVoiceUsage(supabase, { userId: user.id, kind: 'tts', provider: providerInfo.providerId, amount: spokenText.length, messageId: countedMessageId });
+    }
+
+    // Caching is best effort - the audio is still returned without the bucket
+    const { error: uploadError } = await supabase.storage
+      .from(TTS_BUCKET)
+      .upload(cachePath, audio, { contentType, upsert: true });
+
+    if (uploadError) {
+      console.log('Failed to cache TTS audio:', uploadError.message);
+    }
+
+    return new NextResponse(audio, {
+      headers: { 'Content-Type': contentType, 'X-TTS-Engine': providerInfo.providerId, 'X-TTS-Cache': 'miss' },
+    });
+  } catch (error) {
+    console.error('Error in TTS API:', error);
+    return NextResponse.json(
+      { error: 'Failed to generate speech' },
+      { status: 500 }
+    );
+  }
+}
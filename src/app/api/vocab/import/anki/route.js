@@ -0,0 +1,77 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { readAnkiPackage } from '@/lib/anki-package';
+
+const MAX_PACKAGE_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Read the notes of an uploaded Anki .apkg deck (multipart field "file").
+ * Returns { headers, rows } for column mapping - nothing is saved here.
+ */
+export async function POST(request) {
+  try {
+    // Get auth token from request header
+    const authHeader = request.headers.get('authorization');
+    if (!authHeader) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    // Only signed-in users may have decks parsed
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+      {
+        global: {
+          headers: {
+            Authorization: authHeader,
+          },
+        },
+      }
+    );
+
+    const { data: { user } } = await supabase.auth.getUser(authHeader.replace('Bearer ', ''));
+    if (!user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    const formData = await request.formData();
+    const file = formData.get('file');
+
+    if (!file || typeof file.arrayBuffer !== 'function') {
+      return NextResponse.json(
+        { error: 'Missing required fields' },
+        { status: 400 }
+      );
+    }
+
+    if (file.size > MAX_PACKAGE_BYTES) {
+      return NextResponse.json(
+        { error: 'This deck is too large to import (max 25 MB)' },
+        { status: 413 }
+      );
+    }
+
+    try {
+      const { headers, rows } = await readAnkiPackage(new Uint8Array(await file.arrayBuffer()));
+      return NextResponse.json({ success: true, headers, rows });
+    } catch (error) {
+      // Problems with the deck itself are the user's to fix
+      return NextResponse.json(
+        { error: error.message },
+        { status: 422 }
+      );
+    }
+  } catch (error) {
+    console.error('Error reading Anki package:', error);
+    return NextResponse.json(
+      { error: 'Failed to read Anki package' },
+      { status: 500 }
+    );
+  }
+}
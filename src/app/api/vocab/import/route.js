@@ -0,0 +1,143 @@
+import { NextResponse } from 'next/server';
+import { createClient } from '@supabase/supabase-js';
+import { indexSavedVocab } from '@/lib/vocab-import';
+
+const MAX_IMPORT_ITEMS = 5000;
+const BATCH_SIZE = 200;
+
+/**
+ * Save imported vocabulary for a chat.
+ * Body: { chatId, items: [{ word, translation, context, overwrite }] }
+ * Words already saved in the chat, as a headword or as one of its forms
+ * (see POST /api/vocab), are skipped unless the item asks to overwrite,
+ * which replaces the saved translation and context.
+ */
+export async function POST(request) {
+  try {
+    const { chatId, items } = await request.json();
+
+    // Get auth token from request header
+    const authHeader = request.headers.get('authorization');
+    if (!authHeader) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      );
+    }
+
+    // Create authenticated Supabase client
+    const supabase = createClient(
+      process.env.NEXT_PUBLIC_SUPABASE_URL,
+      process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY,
+      {
+        global: {
+          headers: {
+            Authorization: authHeader,
+          },
+        },
+      }
+    );
+
+    if (!chatId || !Array.isArray(items) || items.length === 0) {
+      return NextResponse.json(
+        { error: 'Missing required fields' },
+        { status: 400 }
+      );
+    }
+
+    if (items.length > MAX_IMPORT_ITEMS) {
+      return NextResponse.json(
+        { error: `You can import up to ${MAX_IMPORT_ITEMS} words at a time` },
+        { status: 400 }
+      );
+    }
+
+    // Keep the first valid row for each word
+    const uniqueItems = new Map();
+    items.forEach((item) => {
+      const word = typeof item?.word === 'string' ? item.word.trim() : '';
+      const translation = typeof item?.translation === 'string' ? item.translation.trim() : '';
+      if (!word || !translation || uniqueItems.has(word)) return;
+
+      uniqueItems.set(word, {
+        word,
+        translation,
+        context: typeof item.context === 'string' && item.context.trim() ? item.context.trim() : null,
+        overwrite: item.overwrite === true,
+      });
+    });
+
+    // Check which words are already saved, as a headword or a form of one
+    const words = [...uniqueItems.keys()];
+    const savedRows = new Map();
+    for (let i = 0; i < words.length; i += BATCH_SIZE) {
+      const batch = words.slice(i, i + BATCH_SIZE);
+      const [byWord, byForm] = await Promise.all([
+        supabase
+          .from('saved_vocabulary')
+          .select('id, word, forms')
+          .eq('chat_id', chatId)
+          .in('word', batch),
+        supabase
+          .from('saved_vocabulary')
+          .select('id, word, forms')
+          .eq('chat_id', chatId)
+          .overlaps('forms', batch),
+      ]);
+
+      if (byWord.error) throw byWord.error;
+      if (byForm.error) throw byForm.error;
+      [...(byWord.data || []), ...(byForm.data || [])].forEach(row => savedRows.set(row.id, row));
+    }
+    const existingByWord = indexSavedVocab([...savedRows.values()]);
+
+    const toInsert = [];
+    const toUpdate = [];
+    uniqueItems.forEach((item) => {
+      const existingId = existingByWord.get(item.word)?.id;
+      if (!existingId) {
+        toInsert.push(item);
+      } else if (item.overwrite) {
+        toUpdate.push({ ...item, id: existingId });
+      }
+    });
+
+    // Save new vocabulary
+    for (let i = 0; i < toInsert.length; i += BATCH_SIZE) {
+      const { error } = await supabase
+        .from('saved_vocabulary')
+        .insert(toInsert.slice(i, i + BATCH_SIZE).map(item => ({
+          chat_id: chatId,
+          word: item.word,
+          translation: item.translation,
+          context: item.context,
+          starred: false,
+        })));
+
+      if (error) throw error;
+    }
+
+    // Replace the translation of words the user chose to overwrite
+    for (const item of toUpdate) {
+      const { error } = await supabase
+        .from('saved_vocabulary')
+        .update({ translation: item.translation, context: item.context })
+        .eq('id', item.id);
+
+      if (error) throw error;
+    }
+
+    return NextResponse.json({
+      success: true,
+      inserted: toInsert.length,
+      updated: toUpdate.length,
+      skipped: items.length - toInsert.length - toUpdate.length,
+    });
+  } catch (error) {
+    console.error('Error importing vocabulary:', error);
+    return NextResponse.json(
+      { error: 'Failed to import vocabulary' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,9 +1,15 @@
 import { NextResponse } from 'next/server';
 import { createClient } from '@supabase/supabase-js';
 
+/**
+ * Save a word to a chat's vocabulary.
+ * Body: { chatId, word, translation, context, lemma, partOfSpeech, gender }
+ * With a lemma the word is saved under its dictionary form and the clicked
+ * form is kept in "forms"; saving another form of a saved lemma adds the form.
+ */
 export async function POST(request) {
   try {
-    const { chatId, word, translation, context } = await request.json();
+    const { chatId, word, translation, context, lemma, partOfSpeech, gender } = await request.json();
 
     // Get auth token from request header
     const authHeader = request.headers.get('authorization');
@@ -34,15 +40,34 @@ export async function POST(request) {
       );
     }
 
+    const form = word.trim();
+    const headword = typeof lemma === 'string' && lemma.trim() ? lemma.trim() : form;
+
     // Check if already saved
     const { data: existing } = await supabase
       .from('saved_vocabulary')
-      .select('id')
+      .select(headword !== form ? 'id, forms' : 'id')
       .eq('chat_id', chatId)
-      .eq('word', word)
+      .eq('word', headword)
       .single();
 
     if (existing) {
+      const forms = existing.forms || [];
+
+      // A new form of a saved word becomes another example
+      if (headword !== form && !forms.includes(form)) {
+        const { data, error } = await supabase
+          .from('saved_vocabulary')
+          .update({ forms: [...forms, form] })
+          .eq('id', existing.id)
+          .select()
+          .single();
+
+        if (error) throw error;
+
+        return NextResponse.json({ success: true, data, merged: true });
+      }
+
       return NextResponse.json(
         { error: 'This word is already saved' },
         { status: 409 }
@@ -55,10 +80,13 @@ export async function POST(request) {
       .insert([
         {
           chat_id: chatId,
-          word: word,
+          word: headword,
           translation: translation,
           context: context || null,
           starred: false,
+          ...(headword !== form ? { forms: [form] } : {}),
+          ...(partOfSpeech ? { part_of_speech: partOfSpeech } : {}),
+          ...(gender ? { gender } : {}),
         },
       ])
       .select()
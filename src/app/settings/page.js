@@ -4,15 +4,34 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '@/contexts/AuthContext';
 import { useRouter } from 'next/navigation';
 import { supabase } from '@/lib/supabase';
+import { resetTTSPreferences } from '@/lib/audio-utils';
+import { SPEECH_RATES, DEFAULT_SPEECH_RATE, clampSpeechRate } from '@/lib/playback';
 import { motion } from 'framer-motion';
-import { Key, Save, ArrowLeft, Eye, EyeOff, CheckCircle, AlertCircle, Sparkles, Volume2, Mic, Music } from 'lucide-react';
+import { Key, Save, ArrowLeft, Eye, EyeOff, CheckCircle, AlertCircle, Sparkles, Volume2, Mic, Music, Languages } from 'lucide-react';
 
 const AI_PROVIDERS = [
-  { id: 'gemini', name: 'Google Gemini', getKeyUrl: 'https://aistudio.google.com/apikey', recommended: true },
-  { id: 'openai', name: 'OpenAI', getKeyUrl: 'https://platform.openai.com/api-keys', recommended: false },
-  { id: 'claude', name: 'Anthropic Claude', getKeyUrl: 'https://console.anthropic.com/settings/keys', recommended: false },
+  { id: 'gemini', name: 'Google Gemini', tagline: 'Fast & Free', getKeyUrl: 'https://aistudio.google.com/apikey', recommended: true },
+  { id: 'openai', name: 'OpenAI', tagline: 'GPT-4o Mini', getKeyUrl: 'https://platform.openai.com/api-keys', recommended: false },
+  { id: 'claude', name: 'Anthropic Claude', tagline: 'Claude Haiku', getKeyUrl: 'https://console.anthropic.com/settings/keys', recommended: false },
+  { id: 'local', name: 'Local Model', tagline: 'Ollama, llama.cpp & co.', recommended: false },
 ];
 
+// Suggestions for the native-language field; any language can be typed in
+const NATIVE_LANGUAGES = ['English', 'Spanish', 'French', 'German', 'Italian', 'Portuguese', 'Dutch', 'Polish', 'Russian', 'Ukrainian', 'Turkish', 'Arabic', 'Hindi', 'Chinese', 'Japanese', 'Korean'];
+
+// Engines that read messages aloud (see lib/tts-providers); server engines
+// need an OpenAI key or a local engine configured on the server
+const TTS_ENGINES = [
+  { id: 'auto', name: 'Automatic', description: 'Browser voices, or a server voice when the browser has none for the language' },
+  { id: 'browser', name: 'Browser voices', description: 'Free and offline, but quality varies by browser' },
+  { id: 'openai', name: 'OpenAI TTS', description: 'Natural voices for most languages (uses your OpenAI key)' },
+  { id: 'piper', name: 'Piper (local)', description: 'Neural voices from a Piper server' },
+  { id: 'espeak', name: 'eSpeak NG (local)', description: 'Robotic, but covers 100+ languages' },
+];
+
+// Providers that use an API key (the local model is configured separately)
+const KEY_PROVIDERS = AI_PROVIDERS.filter(provider => provider.id !== 'local');
+
 export default function SettingsPage() {
   const { user, loading } = useAuth();
   const router = useRouter();
@@ -22,11 +41,20 @@ export default function SettingsPage() {
   const [geminiApiKey, setGeminiApiKey] = useState('');
   const [openaiApiKey, setOpenaiApiKey] = useState('');
   const [claudeApiKey, setClaudeApiKey] = useState('');
+  const [localBaseUrl, setLocalBaseUrl] = useState('');
+  const [localApiKey, setLocalApiKey] = useState('');
+  const [localChatModel, setLocalChatModel] = useState('');
+  const [localTranslateModel, setLocalTranslateModel] = useState('');
   const [showApiKeys, setShowApiKeys] = useState({});
 
+  // Language translations are given in
+  const [nativeLanguage, setNativeLanguage] = useState('English');
+
   // Feature toggles
   const [enableMemes, setEnableMemes] = useState(false);
   const [enableTts, setEnableTts] = useState(false);
+  const [ttsProvider, setTtsProvider] = useState('auto');
+  const [speechRate, setSpeechRate] = useState(DEFAULT_SPEECH_RATE);
   const [enableStt, setEnableStt] = useState(true);
   const [enableMusic, setEnableMusic] = useState(false);
 
@@ -52,7 +80,7 @@ export default function SettingsPage() {
     try {
       const { data, error } = await supabase
         .from('user_settings')
-        .select('ai_provider, gemini_api_key, openai_api_key, claude_api_key, enable_memes, enable_tts, enable_stt, enable_music')
+        .select('ai_provider, gemini_api_key, openai_api_key, claude_api_key, local_base_url, local_api_key, local_chat_model, local_translate_model, enable_memes, enable_tts, enable_stt, enable_music, native_language, tts_provider, speech_rate')
         .eq('id', user.id)
         .single();
 
@@ -69,8 +97,15 @@ export default function SettingsPage() {
         setGeminiApiKey(data.gemini_api_key || '');
         setOpenaiApiKey(data.openai_api_key || '');
         setClaudeApiKey(data.claude_api_key || '');
+        setLocalBaseUrl(data.local_base_url || '');
+        setLocalApiKey(data.local_api_key || '');
+        setLocalChatModel(data.local_chat_model || '');
+        setLocalTranslateModel(data.local_translate_model || '');
+        setNativeLanguage(data.native_language || 'English');
         setEnableMemes(data.enable_memes || false);
         setEnableTts(data.enable_tts || false);
+        setTtsProvider(data.tts_provider || 'auto');
+        setSpeechRate(clampSpeechRate(data.speech_rate ?? DEFAULT_SPEECH_RATE));
         setEnableStt(data.enable_stt !== false); // Default to true
         setEnableMusic(data.enable_music || false);
       }
@@ -84,10 +119,11 @@ export default function SettingsPage() {
 
   const handleSave = async () => {
     // Validate that the selected provider has an API key
+    // (the local model can fall back to the server's local endpoint)
     const currentApiKey = aiProvider === 'gemini' ? geminiApiKey :
                           aiProvider === 'openai' ? openaiApiKey : claudeApiKey;
 
-    if (!currentApiKey.trim()) {
+    if (aiProvider !== 'local' && !currentApiKey.trim()) {
       setMessage({ type: 'error', text: `Please enter your ${AI_PROVIDERS.find(p => p.id === aiProvider)?.name} API key` });
       return;
     }
@@ -105,8 +141,15 @@ export default function SettingsPage() {
             gemini_api_key: geminiApiKey.trim() || null,
             openai_api_key: openaiApiKey.trim() || null,
             claude_api_key: claudeApiKey.trim() || null,
+            local_base_url: localBaseUrl.trim() || null,
+            local_api_key: localApiKey.trim() || null,
+            local_chat_model: localChatModel.trim() || null,
+            local_translate_model: localTranslateModel.trim() || null,
+            native_language: nativeLanguage.trim() || 'English',
             enable_memes: enableMemes,
             enable_tts: enableTts,
+            tts_provider: ttsProvider,
+            speech_rate: speechRate,
             enable_stt: enableStt,
             enable_music: enableMusic,
             updated_at: new Date().toISOString(),
@@ -130,6 +173,7 @@ export default function SettingsPage() {
         return;
       }
 
+      resetTTSPreferences();
       setMessage({ type: 'success', text: 'Settings saved successfully!' });
       setNeedsSchema(false);
       setTimeout(() => setMessage(null), 3000);
@@ -221,7 +265,7 @@ export default function SettingsPage() {
               </div>
             </div>
 
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-4 mb-6">
               {AI_PROVIDERS.map((provider) => (
                 <motion.button
                   key={provider.id}
@@ -244,7 +288,7 @@ export default function SettingsPage() {
                       {provider.name}
                     </h3>
                     <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                      {provider.id === 'gemini' ? 'Fast & Free' : provider.id === 'openai' ? 'GPT-4o Mini' : 'Claude Haiku'}
+                      {provider.tagline}
                     </p>
                   </div>
                 </motion.button>
@@ -253,7 +297,7 @@ export default function SettingsPage() {
 
             {/* API Key Inputs */}
             <div className="space-y-4">
-              {AI_PROVIDERS.map((provider) => (
+              {KEY_PROVIDERS.map((provider) => (
                 <div key={provider.id} className={aiProvider === provider.id ? '' : 'opacity-50'}>
                   <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
                     {provider.name} API Key {aiProvider === provider.id && <span className="text-red-500">*</span>}
@@ -295,7 +339,92 @@ export default function SettingsPage() {
                   </p>
                 </div>
               ))}
+
+              {/* Local Model (OpenAI-compatible endpoint) */}
+              <div className={aiProvider === 'local' ? '' : 'opacity-50'}>
+                <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                  Local Model Endpoint
+                </label>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <input
+                    type="url"
+                    value={localBaseUrl}
+                    onChange={(e) => setLocalBaseUrl(e.target.value)}
+                    placeholder="http://localhost:11434/v1"
+                    disabled={aiProvider !== 'local'}
+                    className="w-full px-4 py-3 border-2 border-gray-200 dark:border-gray-700 dark:bg-gray-700 dark:text-gray-100 rounded-xl focus:outline-none focus:border-purple-500 dark:focus:border-purple-400 transition-colors disabled:opacity-50"
+                  />
+                  <div className="relative">
+                    <input
+                      type={showApiKeys.local ? 'text' : 'password'}
+                      value={localApiKey}
+                      onChange={(e) => setLocalApiKey(e.target.value)}
+                      placeholder="API key (optional)"
+                      disabled={aiProvider !== 'local'}
+                      className="w-full px-4 py-3 pr-12 border-2 border-gray-200 dark:border-gray-700 dark:bg-gray-700 dark:text-gray-100 rounded-xl focus:outline-none focus:border-purple-500 dark:focus:border-purple-400 transition-colors disabled:opacity-50"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => toggleShowKey('local')}
+                      className="absolute right-3 top-1/2 -translate-y-1/2 p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
+                    >
+                      {showApiKeys.local ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                    </button>
+                  </div>
+                  <input
+                    type="text"
+                    value={localChatModel}
+                    onChange={(e) => setLocalChatModel(e.target.value)}
+                    placeholder="Chat model (e.g. llama3.2)"
+                    disabled={aiProvider !== 'local'}
+                    className="w-full px-4 py-3 border-2 border-gray-200 dark:border-gray-700 dark:bg-gray-700 dark:text-gray-100 rounded-xl focus:outline-none focus:border-purple-500 dark:focus:border-purple-400 transition-colors disabled:opacity-50"
+                  />
+                  <input
+                    type="text"
+                    value={localTranslateModel}
+                    onChange={(e) => setLocalTranslateModel(e.target.value)}
+                    placeholder="Translation model (optional)"
+                    disabled={aiProvider !== 'local'}
+                    className="w-full px-4 py-3 border-2 border-gray-200 dark:border-gray-700 dark:bg-gray-700 dark:text-gray-100 rounded-xl focus:outline-none focus:border-purple-500 dark:focus:border-purple-400 transition-colors disabled:opacity-50"
+                  />
+                </div>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Any OpenAI-compatible server such as Ollama or llama.cpp. Custom endpoints only apply on self-hosted installs; leave blank to use the server&apos;s local model.
+                </p>
+              </div>
+            </div>
+          </motion.div>
+
+          {/* Native Language */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.05 }}
+            className="bg-white dark:bg-gray-800 rounded-2xl shadow-lg p-6 md:p-8"
+          >
+            <div className="flex items-center gap-3 mb-6">
+              <div className="p-3 bg-gradient-to-br from-green-500 to-emerald-500 rounded-xl">
+                <Languages className="w-6 h-6 text-white" />
+              </div>
+              <div>
+                <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">Native Language</h2>
+                <p className="text-sm text-gray-600 dark:text-gray-400">Words and messages are translated into this language</p>
+              </div>
             </div>
+
+            <input
+              type="text"
+              list="native-languages"
+              value={nativeLanguage}
+              onChange={(e) => setNativeLanguage(e.target.value)}
+              placeholder="English"
+              className="w-full px-4 py-3 border-2 border-gray-200 dark:border-gray-700 dark:bg-gray-700 dark:text-gray-100 rounded-xl focus:outline-none focus:border-purple-500 dark:focus:border-purple-400 transition-colors"
+            />
+            <datalist id="native-languages">
+              {NATIVE_LANGUAGES.map(language => (
+                <option key={language} value={language} />
+              ))}
+            </datalist>
           </motion.div>
 
           {/* Feature Toggles */}
@@ -362,6 +491,45 @@ export default function SettingsPage() {
                 </button>
               </div>
 
+              {/* Voice engine */}
+              <div className="p-4 rounded-xl bg-gray-50 dark:bg-gray-700/50">
+                <label htmlFor="tts-provider" className="block font-semibold text-gray-900 dark:text-gray-100">Voice engine</label>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                  {TTS_ENGINES.find(engine => engine.id === ttsProvider)?.description}
+                </p>
+                <select
+                  id="tts-provider"
+                  value={ttsProvider}
+                  onChange={(e) => setTtsProvider(e.target.value)}
+                  className="w-full px-4 py-3 border-2 border-gray-200 dark:border-gray-700 dark:bg-gray-700 dark:text-gray-100 rounded-xl focus:outline-none focus:border-purple-500 dark:focus:border-purple-400 transition-colors"
+                >
+                  {TTS_ENGINES.map(engine => (
+                    <option key={engine.id} value={engine.id}>{engine.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Speech speed */}
+              <div className="p-4 rounded-xl bg-gray-50 dark:bg-gray-700/50">
+                <h3 className="font-semibold text-gray-900 dark:text-gray-100">Speech speed</h3>
+                <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">How fast messages are read aloud - slow down for listening practice</p>
+                <div className="flex flex-wrap gap-2">
+                  {SPEECH_RATES.map(rate => (
+                    <button
+                      key={rate}
+                      onClick={() => setSpeechRate(rate)}
+                      className={`px-4 py-2 rounded-xl text-sm font-semibold transition-colors ${
+                        speechRate === rate
+                          ? 'bg-gradient-to-r from-blue-600 to-cyan-600 text-white'
+                          : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 border-2 border-gray-200 dark:border-gray-700 hover:border-blue-400'
+                      }`}
+                    >
+                      {rate}×
+                    </button>
+                  ))}
+                </div>
+              </div>
+
               {/* STT Toggle */}
               <div className="flex items-center justify-between p-4 rounded-xl bg-gray-50 dark:bg-gray-700/50">
                 <div className="flex items-center gap-3">
@@ -6,6 +6,10 @@ import { motion } from 'framer-motion';
 import { supabase } from '@/lib/supabase';
 import { useAuth } from '@/contexts/AuthContext';
 import Navbar from '@/components/Navbar';
+import { CEFR_LEVELS, CEFR_DESCRIPTIONS, getLevelIndex } from '@/lib/proficiency';
+import { summarizeMistakes } from '@/lib/error-taxonomy';
+import { getQuizAccuracyByDay } from '@/lib/quiz-attempts';
+import { summarizeMispronounced } from '@/lib/pronunciation';
 import {
   TrendingUp,
   MessageSquare,
@@ -17,9 +21,98 @@ import {
   Globe,
   Flame,
   Loader2,
-  Menu
+  Menu,
+  GraduationCap,
+  Repeat,
+  ChartLine,
+  Mic
 } from 'lucide-react';
 
+/**
+ * CEFR level over time for one chat, as a step chart of proficiency snapshots
+ */
+function LevelChart({ snapshots }) {
+  const width = 320;
+  const height = 120;
+  const padding = { top: 8, right: 8, bottom: 8, left: 28 };
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+
+  const times = snapshots.map(snapshot => new Date(snapshot.created_at).getTime());
+  const start = times[0];
+  const span = Math.max(1, times[times.length - 1] - start);
+
+  const x = (time) => padding.left + (snapshots.length === 1 ? chartWidth : ((time - start) / span) * chartWidth);
+  const y = (level) => padding.top + chartHeight - (getLevelIndex(level) / (CEFR_LEVELS.length - 1)) * chartHeight;
+
+  // Steps: the level holds until the next estimate
+  const points = snapshots.flatMap((snapshot, index) => {
+    const point = [x(times[index]), y(snapshot.level)];
+    return index === 0 ? [point] : [[point[0], y(snapshots[index - 1].level)], point];
+  });
+  if (snapshots.length === 1) points.unshift([padding.left, y(snapshots[0].level)]);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-32" role="img" aria-label="Level over time">
+      {CEFR_LEVELS.map(level => (
+        <g key={level}>
+          <line x1={padding.left} x2={width - padding.right} y1={y(level)} y2={y(level)} stroke="rgba(255,255,255,0.08)" />
+          <text x={0} y={y(level) + 4} fontSize="10" fill="rgba(255,255,255,0.4)">{level}</text>
+        </g>
+      ))}
+      <polyline
+        points={points.map(point => point.join(',')).join(' ')}
+        fill="none"
+        stroke="#a855f7"
+        strokeWidth="2"
+        strokeLinejoin="round"
+      />
+      {snapshots.map((snapshot, index) => (
+        <circle key={snapshot.id} cx={x(times[index])} cy={y(snapshot.level)} r="3" fill="#ec4899">
+          <title>{`${snapshot.level} - ${new Date(snapshot.created_at).toLocaleDateString()}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Quiz accuracy per day as a line chart (0-100%)
+ */
+function AccuracyChart({ days }) {
+  const width = 320;
+  const height = 120;
+  const padding = { top: 8, right: 8, bottom: 8, left: 32 };
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+
+  const x = (index) => padding.left + (days.length === 1 ? chartWidth / 2 : (index / (days.length - 1)) * chartWidth);
+  const y = (percentage) => padding.top + chartHeight - (percentage / 100) * chartHeight;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-32" role="img" aria-label="Quiz accuracy over time">
+      {[0, 50, 100].map(percentage => (
+        <g key={percentage}>
+          <line x1={padding.left} x2={width - padding.right} y1={y(percentage)} y2={y(percentage)} stroke="rgba(255,255,255,0.08)" />
+          <text x={0} y={y(percentage) + 4} fontSize="10" fill="rgba(255,255,255,0.4)">{percentage}%</text>
+        </g>
+      ))}
+      <polyline
+        points={days.map((day, index) => `${x(index)},${y(day.percentage)}`).join(' ')}
+        fill="none"
+        stroke="#22c55e"
+        strokeWidth="2"
+        strokeLinejoin="round"
+      />
+      {days.map((day, index) => (
+        <circle key={day.day} cx={x(index)} cy={y(day.percentage)} r="3" fill="#10b981">
+          <title>{`${day.percentage}% - ${day.correct}/${day.total} in ${day.attempts} ${day.attempts === 1 ? 'quiz' : 'quizzes'} on ${new Date(`${day.day}T00:00:00`).toLocaleDateString()}`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
 export default function AnalyticsContent() {
   const router = useRouter();
   const searchParams = useSearchParams();
@@ -27,6 +120,10 @@ export default function AnalyticsContent() {
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState(null);
   const [chatStats, setChatStats] = useState([]);
+  const [levelProgress, setLevelProgress] = useState([]);
+  const [mistakes, setMistakes] = useState([]);
+  const [quizAttempts, setQuizAttempts] = useState([]);
+  const [wordScores, setWordScores] = useState([]);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const selectedChatId = searchParams.get('chat');
 
@@ -61,6 +158,60 @@ export default function AnalyticsContent() {
       if (!chatError && chatData) {
         setChatStats(chatData);
       }
+
+      // Load estimated levels over time (table may not exist yet)
+      const { data: snapshots, error: snapshotsError } = await supabase
+        .from('proficiency_snapshots')
+        .select('id, chat_id, level, score, strengths, weaknesses, created_at, chats(title, language)')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true });
+
+      if (!snapshotsError && snapshots) {
+        const byChat = new Map();
+        snapshots.forEach((snapshot) => {
+          if (!byChat.has(snapshot.chat_id)) {
+            byChat.set(snapshot.chat_id, { chatId: snapshot.chat_id, chat: snapshot.chats, snapshots: [] });
+          }
+          byChat.get(snapshot.chat_id).snapshots.push(snapshot);
+        });
+        setLevelProgress([...byChat.values()]);
+      }
+
+      // Load recent mistakes for the recurring-mistakes breakdown (table may not exist yet)
+      const { data: mistakeData, error: mistakesError } = await supabase
+        .from('mistakes')
+        .select('chat_id, category, incorrect, correction, created_at')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(1000);
+
+      if (!mistakesError && mistakeData) {
+        setMistakes(mistakeData);
+      }
+
+      // Load quiz attempts for the accuracy chart (table may not exist yet)
+      const { data: attemptData, error: attemptsError } = await supabase
+        .from('quiz_attempts')
+        .select('chat_id, quiz_type, score, total_questions, created_at')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(1000);
+
+      if (!attemptsError && attemptData) {
+        setQuizAttempts(attemptData);
+      }
+
+      // Load per-word pronunciation scores (table may not exist yet)
+      const { data: wordScoreData, error: wordScoresError } = await supabase
+        .from('pronunciation_word_scores')
+        .select('word, language, score, heard, created_at')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(2000);
+
+      if (!wordScoresError && wordScoreData) {
+        setWordScores(wordScoreData);
+      }
     } catch (error) {
       console.error('Error loading stats:', error);
     } finally {
@@ -68,6 +219,21 @@ export default function AnalyticsContent() {
     }
   };
 
+  const recurringMistakes = summarizeMistakes(
+    selectedChatId ? mistakes.filter(mistake => mistake.chat_id === selectedChatId) : mistakes
+  );
+
+  const selectedAttempts = selectedChatId
+    ? quizAttempts.filter(attempt => attempt.chat_id === selectedChatId)
+    : quizAttempts;
+  const quizAccuracy = getQuizAccuracyByDay(selectedAttempts);
+  const quizTotals = selectedAttempts.reduce(
+    (totals, attempt) => ({ correct: totals.correct + (attempt.score || 0), total: totals.total + (attempt.total_questions || 0) }),
+    { correct: 0, total: 0 }
+  );
+
+  const mispronounced = summarizeMispronounced(wordScores);
+
   const statCards = stats ? [
     {
       icon: MessageSquare,
@@ -226,6 +392,158 @@ export default function AnalyticsContent() {
                 </motion.div>
               )}
 
+              {/* Level Progress */}
+              {levelProgress.length > 0 && (
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: 0.65 }}
+                  className="bg-gray-800/50 backdrop-blur-md rounded-xl p-6 border border-purple-500/30"
+                >
+                  <div className="flex items-center gap-2 mb-4">
+                    <GraduationCap className="w-5 h-5 text-purple-400" />
+                    <h3 className="text-lg font-semibold text-white">Level Progress</h3>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    {levelProgress
+                      .filter(progress => !selectedChatId || progress.chatId === selectedChatId)
+                      .map((progress) => {
+                        const latest = progress.snapshots[progress.snapshots.length - 1];
+                        const first = progress.snapshots[0];
+                        const change = getLevelIndex(latest.level) - getLevelIndex(first.level);
+
+                        return (
+                          <div key={progress.chatId} className="bg-gray-900/40 rounded-xl p-4 border border-gray-700/50">
+                            <div className="flex items-start justify-between mb-2">
+                              <div>
+                                <h4 className="font-semibold text-white">{progress.chat?.title || 'Untitled Chat'}</h4>
+                                <p className="text-sm text-gray-400">{progress.chat?.language}</p>
+                              </div>
+                              <div className="text-right">
+                                <div className="text-2xl font-bold text-purple-400">{latest.level}</div>
+                                <div className="text-xs text-gray-500">
+                                  {CEFR_DESCRIPTIONS[latest.level]}
+                                  {change !== 0 && ` (${change > 0 ? '+' : ''}${change} since ${first.level})`}
+                                </div>
+                              </div>
+                            </div>
+                            <LevelChart snapshots={progress.snapshots} />
+                            {(latest.strengths?.length > 0 || latest.weaknesses?.length > 0) && (
+                              <div className="flex flex-wrap gap-2 mt-3">
+                                {latest.strengths?.map(item => (
+                                  <span key={item.category} className="px-2 py-1 text-xs rounded-lg bg-green-500/15 text-green-300 border border-green-500/30" title={item.reason}>
+                                    {item.label}
+                                  </span>
+                                ))}
+                                {latest.weaknesses?.map(item => (
+                                  <span key={item.category} className="px-2 py-1 text-xs rounded-lg bg-orange-500/15 text-orange-300 border border-orange-500/30" title={`${item.count} recent mistakes`}>
+                                    {item.label}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                        );
+                      })}
+                  </div>
+                </motion.div>
+              )}
+
+              {/* Quiz Accuracy */}
+              {quizAccuracy.length > 0 && (
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: 0.68 }}
+                  className="bg-gray-800/50 backdrop-blur-md rounded-xl p-6 border border-green-500/30"
+                >
+                  <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center gap-2">
+                      <ChartLine className="w-5 h-5 text-green-400" />
+                      <h3 className="text-lg font-semibold text-white">Quiz Accuracy</h3>
+                    </div>
+                    <div className="text-right">
+                      <div className="text-2xl font-bold text-green-400">
+                        {Math.round((quizTotals.correct / Math.max(1, quizTotals.total)) * 100)}%
+                      </div>
+                      <p className="text-xs text-gray-400">
+                        {selectedAttempts.length} {selectedAttempts.length === 1 ? 'quiz' : 'quizzes'}, {quizTotals.total} questions
+                      </p>
+                    </div>
+                  </div>
+                  <AccuracyChart days={quizAccuracy} />
+                </motion.div>
+              )}
+
+              {/* Recurring Mistakes */}
+              {recurringMistakes.length > 0 && (
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: 0.7 }}
+                  className="bg-gray-800/50 backdrop-blur-md rounded-xl p-6 border border-orange-500/30"
+                >
+                  <div className="flex items-center gap-2 mb-4">
+                    <Repeat className="w-5 h-5 text-orange-400" />
+                    <h3 className="text-lg font-semibold text-white">Top Recurring Mistakes</h3>
+                  </div>
+                  <div className="space-y-4">
+                    {recurringMistakes.map((mistake) => (
+                      <div key={mistake.category}>
+                        <div className="flex items-center justify-between mb-1.5">
+                          <span className="text-sm font-semibold text-white">{mistake.label}</span>
+                          <span className="text-sm text-orange-400 font-medium">{mistake.count}×</span>
+                        </div>
+                        <div className="h-1.5 bg-gray-700 rounded-full overflow-hidden mb-2">
+                          <div
+                            className="h-full bg-gradient-to-r from-orange-500 to-red-500"
+                            style={{ width: `${(mistake.count / recurringMistakes[0].count) * 100}%` }}
+                          />
+                        </div>
+                        <div className="space-y-1">
+                          {mistake.examples.map((example, index) => (
+                            <p key={index} className="text-xs text-gray-400">
+                              <span className="line-through text-red-400/80">{example.incorrect}</span>
+                              {' - '}
+                              {example.correction}
+                            </p>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </motion.div>
+              )}
+
+              {/* Hard-to-Say Words */}
+              {mispronounced.length > 0 && (
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: 0.72 }}
+                  className="bg-gray-800/50 backdrop-blur-md rounded-xl p-6 border border-red-500/30"
+                >
+                  <div className="flex items-center gap-2 mb-4">
+                    <Mic className="w-5 h-5 text-red-400" />
+                    <h3 className="text-lg font-semibold text-white">Words You Find Hard to Say</h3>
+                  </div>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    {mispronounced.map((entry) => (
+                      <div key={`${entry.language}:${entry.word}`} className="bg-gray-900/40 rounded-xl p-3 border border-gray-700/50">
+                        <div className="flex items-center justify-between mb-1">
+                          <span className="font-semibold text-white">{entry.word}</span>
+                          <span className="text-sm text-red-400 font-medium">{entry.averageScore}%</span>
+                        </div>
+                        <p className="text-xs text-gray-400">
+                          {entry.attempts} tries{entry.language ? ` · ${entry.language}` : ''}
+                          {entry.heardAs.length > 0 && ` · heard as ${entry.heardAs.map(heard => `"${heard}"`).join(', ')}`}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                </motion.div>
+              )}
+
               {/* Achievement Badge */}
               {stats.overall_accuracy_percentage >= 90 && (
                 <motion.div
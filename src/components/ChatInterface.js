@@ -7,9 +7,12 @@ import CustomNotes from './CustomNotes';
 import MusicCard from './MusicCard';
 import FeaturesPanel from './FeaturesPanel';
 import QuizComponent from './QuizComponent';
+import DailyChallenge from './DailyChallenge';
+import ScenarioCard from './ScenarioCard';
+import SpeedRound from './SpeedRound';
 
-// Quiz Results Display Component
-const QuizResultsDisplay = ({ results, summary, onClose }) => {
+// Results Display Component for completed quizzes, challenges and speed rounds
+const QuizResultsDisplay = ({ type, results, summary, onClose, onReview }) => {
   const { score, totalQuestions, percentage, quizType } = results;
   const isPerfect = percentage === 100;
   const isGood = percentage >= 70;
@@ -45,24 +48,44 @@ const QuizResultsDisplay = ({ results, summary, onClose }) => {
           {score} / {totalQuestions}
         </p>
         <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400 mb-4 sm:mb-6">
-          You got {percentage}% correct in {quizType} quiz!
+          {type === 'challenge-completed' ? `You finished ${score} of ${totalQuestions} tasks in "${results.title}"!` :
+           type === 'speedRound-completed' ? `You got ${percentage}% correct in ${results.timeUsed}s!` :
+           `You got ${percentage}% correct in ${quizType} quiz!`}
         </p>
 
-        {/* Action */}
-        <motion.button
-          whileHover={{ scale: 1.02 }}
-          whileTap={{ scale: 0.98 }}
-          onClick={onClose}
-          className="px-4 sm:px-6 py-2.5 sm:py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all text-sm sm:text-base"
-        >
-          Continue Learning
-        </motion.button>
+        {/* Actions */}
+        <div className="flex flex-wrap justify-center gap-3">
+          {type === 'quiz-completed' && onReview && (
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={onReview}
+              className="px-4 sm:px-6 py-2.5 sm:py-3 bg-white/60 dark:bg-gray-700/60 border-2 border-purple-300/60 dark:border-purple-500/40 text-purple-700 dark:text-purple-300 rounded-xl font-semibold hover:shadow-lg transition-all text-sm sm:text-base flex items-center gap-1.5"
+            >
+              <ClipboardList className="w-4 h-4" />
+              Review Answers
+            </motion.button>
+          )}
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={onClose}
+            className="px-4 sm:px-6 py-2.5 sm:py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all text-sm sm:text-base"
+          >
+            Continue Learning
+          </motion.button>
+        </div>
       </div>
     </motion.div>
   );
 };
 import SavedVocab from './SavedVocab';
-import { Menu, Send, Loader2, Mic, MicOff, Sparkles, BookmarkCheck, X, StickyNote, Zap, Trophy } from 'lucide-react';
+import QuizReview from './QuizReview';
+import VoiceConversation from './VoiceConversation';
+import WordLookupDetails from './WordLookupDetails';
+import { buildRetryQuiz, toQuizAttempt } from '@/lib/quiz-attempts';
+import { DEFAULT_SPEECH_RATE, clampSpeechRate } from '@/lib/playback';
+import { Menu, Send, Loader2, Mic, MicOff, Sparkles, BookmarkCheck, X, StickyNote, Zap, Trophy, Languages, ClipboardList, Phone } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { startListening, isSTTSupported } from '@/lib/audio-utils';
 import { Particles } from '@/components/ui/particles';
@@ -70,6 +93,62 @@ import { BlurFade } from '@/components/ui/blur-fade';
 import { ShimmerButton } from '@/components/ui/shimmer-button';
 import { BorderBeam } from '@/components/ui/border-beam';
 
+// Parse one Server-Sent Event block ("event: x\ndata: {...}")
+const parseServerSentEvent = (rawEvent) => {
+  let event = 'message';
+  let data = '';
+
+  rawEvent.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data += line.slice(5).trim();
+    }
+  });
+
+  try {
+    return { event, data: data ? JSON.parse(data) : null };
+  } catch (e) {
+    return { event, data: null };
+  }
+};
+
+// Feature payload types rendered as widgets instead of chat messages
+const FEATURE_TYPES = ['quiz', 'challenge', 'scenario', 'speedRound'];
+
+// Completion records saved for finished features (hidden from the chat)
+const COMPLETED_FEATURE_TYPES = ['quiz-completed', 'challenge-completed', 'speedRound-completed'];
+
+// Messages saved before feature_type/feature_data existed kept the JSON in content
+const parseLegacyFeatureContent = (content) => {
+  if (typeof content !== 'string' || !content.includes('"type"')) return null;
+
+  try {
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return null;
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    if (parsed.questions && !parsed.type) {
+      return { ...parsed, type: 'quiz', quizType: parsed.quizType || 'vocabulary' };
+    }
+    if (FEATURE_TYPES.includes(parsed.type) || COMPLETED_FEATURE_TYPES.includes(parsed.type)) {
+      return parsed.type === 'quiz' ? { ...parsed, quizType: parsed.quizType || 'vocabulary' } : parsed;
+    }
+  } catch (e) {
+    // Not valid JSON, treat as regular message
+  }
+
+  return null;
+};
+
+// Feature payload or completion record stored on a message, or null for normal messages
+const getMessageFeature = (msg) => {
+  if (msg.feature_type) {
+    return { ...msg.feature_data, type: msg.feature_type };
+  }
+  return msg.role === 'assistant' ? parseLegacyFeatureContent(msg.content) : null;
+};
+
 export default function ChatInterface({ chatId, language, onMenuClick }) {
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
@@ -86,11 +165,20 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
   const [activeFeature, setActiveFeature] = useState(null);
   const [featureData, setFeatureData] = useState(null);
   const [showVocabPanel, setShowVocabPanel] = useState(false);
+  const [showQuizReview, setShowQuizReview] = useState(false);
+  const [showVoiceMode, setShowVoiceMode] = useState(false);
+  const [speechRate, setSpeechRate] = useState(DEFAULT_SPEECH_RATE);
+  const [quizRound, setQuizRound] = useState(0);
   const [replyingTo, setReplyingTo] = useState(null);
+  const [reverseSuggestion, setReverseSuggestion] = useState(null);
+  const [reverseTranslating, setReverseTranslating] = useState(false);
   const [isPremium, setIsPremium] = useState(false);
   const [todayMessageCount, setTodayMessageCount] = useState(0);
+  const [lastProvider, setLastProvider] = useState(null);
   const messagesEndRef = useRef(null);
   const recognitionRef = useRef(null);
+  // { attempt, saved } for the quiz just finished - saved resolves to the stored row
+  const lastQuizAttemptRef = useRef(null);
 
   // Check STT support on mount
   useEffect(() => {
@@ -113,6 +201,7 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
       await loadMusicRecommendations();
       await loadPremiumStatus();
       await loadTodayMessageCount();
+      await loadSpeechRate();
 
       // Set up subscription and store cleanup function
       subscriptionCleanup = subscribeToMessages();
@@ -202,34 +291,22 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
 
       // Parse messages and filter out quiz/feature JSON
       const regularMessages = [];
-      let lastCompletedQuiz = null;
+      let lastCompletedFeature = null;
 
       (data || []).forEach((msg) => {
-        // Check if message contains quiz/feature JSON
-        if (msg.role === 'assistant' && typeof msg.content === 'string') {
-          try {
-            const jsonMatch = msg.content.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-              const parsed = JSON.parse(jsonMatch[0]);
-
-              // If it's a completed quiz, restore it
-              if (parsed.type === 'quiz-completed' && parsed.results) {
-                lastCompletedQuiz = {
-                  type: 'quiz-completed',
-                  results: parsed.results,
-                  summary: parsed.summary
-                };
-                return; // Don't show as regular message
-              }
-
-              // If it's an incomplete quiz, don't show or restore
-              if (parsed.type === 'quiz' || parsed.questions) {
-                return; // Skip adding to regular messages
-              }
-            }
-          } catch (e) {
-            // Not valid JSON, treat as regular message
+        const parsed = getMessageFeature(msg);
+
+        if (parsed) {
+          // If it's a completed quiz, challenge or speed round, restore it
+          if (COMPLETED_FEATURE_TYPES.includes(parsed.type) && parsed.results) {
+            lastCompletedFeature = {
+              type: parsed.type,
+              results: parsed.results,
+              summary: parsed.summary
+            };
           }
+          // Incomplete features are neither shown nor restored
+          return;
         }
 
         // Add to regular messages
@@ -238,10 +315,10 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
 
       setMessages(regularMessages);
 
-      // Restore the last completed quiz if found
-      if (lastCompletedQuiz) {
-        setFeatureData(lastCompletedQuiz);
-        setActiveFeature('quiz-completed');
+      // Restore the last completed feature if found
+      if (lastCompletedFeature) {
+        setFeatureData(lastCompletedFeature);
+        setActiveFeature('completed');
       }
     } catch (error) {
       console.error('Error loading messages:', error);
@@ -290,6 +367,32 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
     }
   };
 
+  // The user's speed for reading messages aloud (Settings)
+  const loadSpeechRate = async () => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session) return;
+
+      const { data, error } = await supabase
+        .from('user_settings')
+        .select('speech_rate')
+        .eq('id', session.user.id)
+        .single();
+
+      // Silently handle no settings yet or the column not migrated
+      if (error) {
+        if (error.code !== 'PGRST116' && error.code !== '42703') {
+          console.error('Error loading speech rate:', error);
+        }
+        return;
+      }
+
+      setSpeechRate(clampSpeechRate(data.speech_rate ?? DEFAULT_SPEECH_RATE));
+    } catch (error) {
+      console.error('Error loading speech rate:', error);
+    }
+  };
+
   const loadTodayMessageCount = async () => {
     try {
       // Get today's start timestamp (midnight UTC)
@@ -360,27 +463,10 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
           filter: `chat_id=eq.${chatId}`,
         },
         (payload) => {
-          // Check if message contains feature data (quiz, challenge, etc.)
-          try {
-            const content = payload.new.content;
-            if (typeof content === 'string' && (content.includes('"type":') || content.includes('"quiz'))) {
-              const jsonMatch = content.match(/\{[\s\S]*\}/);
-              if (jsonMatch) {
-                const parsedData = JSON.parse(jsonMatch[0]);
-                if (parsedData.type === 'quiz' || parsedData.questions) {
-                  setFeatureData({
-                    type: 'quiz',
-                    quizType: parsedData.quizType || 'vocabulary',
-                    questions: parsedData.questions
-                  });
-                  setActiveFeature('quiz');
-                  setLoading(false);
-                  return; // Don't add quiz JSON to messages
-                }
-              }
-            }
-          } catch (e) {
-            // Not feature data, continue as normal message
+          // Feature payloads arrive in the /api/chat response - keep them and
+          // completion records out of the message list
+          if (getMessageFeature(payload.new)) {
+            return;
           }
 
           setMessages((prev) => {
@@ -458,14 +544,15 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
     try {
       const { data: { session } } = await supabase.auth.getSession();
 
-      // Request feature content from AI
-      const response = await fetch('/api/chat', {
+      // Request feature content from AI (practice quizzes are built from this chat's history)
+      const isPractice = featureId === 'practice-mistakes';
+      const response = await fetch(isPractice ? '/api/practice' : '/api/chat', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${session?.access_token}`,
         },
-        body: JSON.stringify({
+        body: JSON.stringify(isPractice ? { chatId, action: 'questions' } : {
           chatId,
           message: `Start ${featureId}`,
           language,
@@ -473,55 +560,25 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
         }),
       });
 
+      const data = await response.json();
+
       if (!response.ok) {
-        throw new Error('Failed to start feature');
+        throw new Error(data.error || 'Failed to start feature');
       }
 
-      // Wait a moment for the message to be processed and saved
-      // Then check for the feature data in recent messages
-      setTimeout(async () => {
-        try {
-          const { data: recentMessages } = await supabase
-            .from('messages')
-            .select('*')
-            .eq('chat_id', chatId)
-            .eq('role', 'assistant')
-            .order('created_at', { ascending: false })
-            .limit(1);
-
-          if (recentMessages && recentMessages.length > 0) {
-            const content = recentMessages[0].content;
-            // Try to parse JSON from the message content
-            try {
-              const jsonMatch = content.match(/\{[\s\S]*\}/);
-              if (jsonMatch) {
-                const parsed = JSON.parse(jsonMatch[0]);
-                if (parsed.type === 'quiz' || parsed.questions) {
-                  setFeatureData({
-                    type: 'quiz',
-                    quizType: parsed.quizType || 'vocabulary',
-                    questions: parsed.questions
-                  });
-                  setLoading(false);
-                  return;
-                }
-              }
-            } catch (e) {
-              console.log('Message is not a feature response');
-            }
-          }
-          // If no quiz data found, show in chat
-          setActiveFeature(null);
-          setLoading(false);
-        } catch (err) {
-          console.error('Error checking for feature data:', err);
-          setActiveFeature(null);
-          setLoading(false);
-        }
-      }, 2000);
+      // The generated payload comes back directly - no need to look it up afterwards
+      if (data.feature && FEATURE_TYPES.includes(data.feature.type)) {
+        setFeatureData(data.feature);
+        setActiveFeature(data.feature.type);
+      } else {
+        // The AI answered with plain chat instead, show it in the conversation
+        mergeSavedMessages([data.userMessage, ...(data.messages || [])].filter(Boolean));
+        setActiveFeature(null);
+      }
+      setLoading(false);
     } catch (error) {
       console.error('Error starting feature:', error);
-      alert('Failed to start feature. Please try again.');
+      alert(featureId === 'practice-mistakes' ? error.message : 'Failed to start feature. Please try again.');
       setActiveFeature(null);
       setLoading(false);
     }
@@ -532,32 +589,148 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
     setFeatureData(null);
   };
 
-  const handleQuizComplete = async (summary, quizResults) => {
+  // Save a finished feature (quiz, challenge, speed round) with its results data
+  const saveFeatureCompletion = async (type, summary, results) => {
     try {
       const { data: { session } } = await supabase.auth.getSession();
       if (!session) return;
 
-      // Save quiz completion with results data
       const completionData = {
-        type: 'quiz-completed',
         summary: summary,
-        results: quizResults,
+        results,
         completedAt: new Date().toISOString()
       };
 
-      const { error } = await supabase
+      const { data, error } = await supabase
         .from('messages')
         .insert({
           chat_id: chatId,
           role: 'assistant',
-          content: JSON.stringify(completionData),
-        });
+          content: summary,
+          feature_type: type,
+          feature_data: completionData,
+        })
+        .select('id')
+        .single();
 
       if (error) {
-        console.error('Error saving quiz completion:', error);
+        console.error(`Error saving ${type}:`, error);
       }
+      return data?.id || null;
+    } catch (error) {
+      console.error('Error in saveFeatureCompletion:', error);
+      return null;
+    }
+  };
+
+  // Keep every quiz with its per-question answers for review, retries and analytics
+  const saveQuizAttempt = async (attempt) => {
+    try {
+      const { data, error } = await supabase
+        .from('quiz_attempts')
+        .insert(attempt)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
     } catch (error) {
-      console.error('Error in handleQuizComplete:', error);
+      console.error('Error saving quiz attempt:', error);
+      return null;
+    }
+  };
+
+  // Practice quizzes also move each mistake or word towards mastery
+  const recordPracticeResults = async (quiz, quizResults) => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const answers = quizResults.answers
+        .map((answer, index) => ({ itemId: quiz.questions[index]?.itemId, isCorrect: answer.isCorrect }))
+        .filter(answer => answer.itemId);
+
+      const response = await fetch('/api/practice', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token}`,
+        },
+        body: JSON.stringify({ chatId, action: 'results', answers }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to save practice results');
+      return data.mastered || [];
+    } catch (error) {
+      console.error('Error saving practice results:', error);
+      return [];
+    }
+  };
+
+  const handleQuizComplete = async (summary, quizResults) => {
+    const quiz = featureData;
+    const { data: { session } } = await supabase.auth.getSession();
+    const attempt = toQuizAttempt(quiz, quizResults, { chatId, userId: session?.user?.id, language });
+
+    // Retrying the missed questions can start before the attempt is stored
+    const saved = (async () => {
+      if (quiz?.quizType === 'practice') {
+        const mastered = await recordPracticeResults(quiz, quizResults);
+        if (mastered.length > 0) {
+          summary += `\nMastered: ${mastered.length} ${mastered.length === 1 ? 'item' : 'items'} 🎯`;
+        }
+      }
+
+      const messageId = await saveFeatureCompletion('quiz-completed', summary, quizResults);
+      return session ? saveQuizAttempt({ ...attempt, message_id: messageId }) : null;
+    })();
+    lastQuizAttemptRef.current = { attempt, saved };
+  };
+
+  const startRetryQuiz = (quiz) => {
+    if (!quiz) return;
+    setFeatureData(quiz);
+    setActiveFeature('quiz');
+    setQuizRound(round => round + 1);
+  };
+
+  // Retry the questions missed in the quiz that just finished
+  const handleRetryMissed = async () => {
+    const { attempt, saved } = lastQuizAttemptRef.current || {};
+    if (!attempt) return;
+
+    const savedAttempt = await saved;
+    startRetryQuiz(buildRetryQuiz({ ...attempt, id: savedAttempt?.id }));
+  };
+
+  const handleRetryFromReview = (quiz) => {
+    setShowQuizReview(false);
+    startRetryQuiz(quiz);
+  };
+
+  const handleChallengeComplete = (summary, challengeResults) =>
+    saveFeatureCompletion('challenge-completed', summary, challengeResults);
+
+  const handleSpeedRoundComplete = (summary, roundResults) =>
+    saveFeatureCompletion('speedRound-completed', summary, roundResults);
+
+  // Seed the conversation with the scenario's opening line and roles, then return to chat
+  const handleStartScenario = async (scenario) => {
+    try {
+      const { error } = await supabase
+        .from('messages')
+        .insert({
+          chat_id: chatId,
+          role: 'assistant',
+          content: `🎭 ${scenario.title} — you are the ${scenario.yourRole}, I'm the ${scenario.aiRole}.\n\n${scenario.startingMessage}`,
+        });
+
+      if (error) throw error;
+
+      setActiveFeature(null);
+      setFeatureData(null);
+    } catch (error) {
+      console.error('Error starting scenario:', error);
+      alert('Failed to start the role-play. Please try again.');
     }
   };
 
@@ -570,8 +743,14 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
     if (!inputMessage.trim() || loading) return;
 
     const userMessage = inputMessage.trim();
-    const replyToId = replyingTo?.id || null;
     setInputMessage('');
+    await sendUserMessage(userMessage, featureMode);
+  };
+
+  // Send a message with an optimistic placeholder for the reply.
+  // Resolves to the saved messages, or null if sending failed
+  const sendUserMessage = async (userMessage, featureMode = null) => {
+    const replyToId = replyingTo?.id || null;
     setReplyingTo(null);
     setLoading(true);
 
@@ -600,71 +779,187 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
     setMessages((prev) => [...prev, tempUserMessage, tempAiMessage]);
 
     try {
-      // Get the user's session token
-      const { data: { session } } = await supabase.auth.getSession();
-
-      // Send message to API
-      const response = await fetch('/api/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${session?.access_token}`,
-        },
-        body: JSON.stringify({
-          chatId,
+      const savedMessages = await requestAIReply(
+        {
           message: userMessage,
-          language,
           featureMode: featureMode || activeFeature,
           replyToId: replyToId,
-        }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-
-        // Handle 401 specifically - session might be expired
-        if (response.status === 401) {
-          // Try to refresh session before showing error
-          const { error: refreshError } = await supabase.auth.refreshSession();
-          if (!refreshError) {
-            // Refresh succeeded, ask user to retry
-            throw new Error('Session expired. Please try sending your message again.');
-          } else {
-            throw new Error('Session expired. Please log in again.');
-          }
-        }
-
-        throw new Error(errorData.error || 'Failed to send message');
-      }
+        },
+        tempAiMessage.id
+      );
 
       // Increment message count after successful send
       setTodayMessageCount(prev => prev + 1);
-
-      // Real-time subscription will replace temp messages with actual ones
-      // Fallback: reload messages after a short delay if real-time doesn't fire
-      setTimeout(async () => {
-        // Check if temp messages are still there (meaning real-time didn't fire)
-        setMessages((prev) => {
-          const hasTempMessages = prev.some(msg => msg.id.startsWith('temp-'));
-          if (hasTempMessages) {
-            loadMessages();
-          }
-          return prev;
-        });
-      }, 1500);
+      return savedMessages;
     } catch (error) {
       console.error('Error sending message:', error);
       // Remove optimistic messages on error
       setMessages((prev) => prev.filter(msg => !msg.id.startsWith('temp-')));
+      // The saved message comes back flagged as unanswered so it can be retried
+      if (error.failedMessageId) {
+        loadMessages();
+      }
       alert(error.message || 'Failed to send message. Please try again.');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Ask for a reply again to a user message whose reply failed
+  const handleRetryMessage = async (message) => {
+    if (loading) return;
+    setLoading(true);
+
+    const tempAiMessage = {
+      id: `temp-ai-${Date.now()}`,
+      role: 'assistant',
+      content: '...',
+      created_at: new Date().toISOString(),
+      chat_id: chatId,
+      isLoading: true,
+    };
+
+    setMessages((prev) => [
+      ...prev.map(msg => (msg.id === message.id ? { ...msg, reply_failed: false } : msg)),
+      tempAiMessage,
+    ]);
+
+    try {
+      await requestAIReply(
+        {
+          message: message.content,
+          featureMode: activeFeature,
+          retryMessageId: message.id,
+        },
+        tempAiMessage.id
+      );
+    } catch (error) {
+      console.error('Error retrying message:', error);
+      setMessages((prev) =>
+        prev
+          .filter(msg => !msg.id.startsWith('temp-'))
+          .map(msg => (msg.id === message.id ? { ...msg, reply_failed: true } : msg))
+      );
+      alert(error.message || 'Failed to get a reply. Please try again.');
     } finally {
       setLoading(false);
     }
   };
 
-  const handleWordClick = async (word, position) => {
-    // Toggle off if clicking the same word
-    if (showTranslation && showTranslation.word === word) {
+  // Send a message to /api/chat and fill in the reply (streamed or cached).
+  // Resolves to the saved user message and replies
+  const requestAIReply = async (body, tempAiId) => {
+    // Get the user's session token
+    const { data: { session } } = await supabase.auth.getSession();
+
+    const response = await fetch('/api/chat', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session?.access_token}`,
+      },
+      body: JSON.stringify({
+        chatId,
+        language,
+        ...body,
+        stream: true,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+
+      // Handle 401 specifically - session might be expired
+      if (response.status === 401) {
+        // Try to refresh session before showing error
+        const { error: refreshError } = await supabase.auth.refreshSession();
+        if (!refreshError) {
+          // Refresh succeeded, ask user to retry
+          throw new Error('Session expired. Please try sending your message again.');
+        } else {
+          throw new Error('Session expired. Please log in again.');
+        }
+      }
+
+      const error = new Error(errorData.error || 'Failed to send message');
+      error.failedMessageId = errorData.failedMessageId;
+      throw error;
+    }
+
+    if (response.headers.get('content-type')?.includes('text/event-stream')) {
+      // Streaming reply: fill the placeholder as text arrives
+      return readChatStream(response, tempAiId);
+    }
+
+    // Cached reply: saved messages come back in one response
+    const result = await response.json().catch(() => ({}));
+    if (result.provider && !result.cached) {
+      setLastProvider(result.provider);
+    }
+    if (!result.userMessage) return [];
+
+    const savedMessages = [result.userMessage, ...(result.messages || [])];
+    mergeSavedMessages(savedMessages);
+    return savedMessages;
+  };
+
+  // Replace optimistic temp messages with the rows saved by the server
+  const mergeSavedMessages = (savedMessages) => {
+    setMessages((prev) => {
+      const savedIds = new Set(savedMessages.map(msg => msg.id));
+      const kept = prev.filter(msg => !msg.id.startsWith('temp-') && !savedIds.has(msg.id));
+      return [...kept, ...savedMessages];
+    });
+  };
+
+  // Read Server-Sent Events from /api/chat and update the streaming placeholder
+  const readChatStream = async (response, tempAiId) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let savedMessages = [];
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const rawEvents = buffer.split('\n\n');
+      buffer = rawEvents.pop();
+
+      for (const rawEvent of rawEvents) {
+        const { event, data } = parseServerSentEvent(rawEvent);
+        if (!data) continue;
+
+        if (event === 'provider') {
+          setLastProvider(data);
+        } else if (event === 'delta') {
+          setMessages((prev) =>
+            prev.map((msg) =>
+              msg.id === tempAiId
+                ? { ...msg, content: data.text, isLoading: false, isStreaming: true }
+                : msg
+            )
+          );
+        } else if (event === 'done') {
+          savedMessages = [data.userMessage, ...data.messages];
+          mergeSavedMessages(savedMessages);
+        } else if (event === 'error') {
+          const error = new Error(data.error || 'Failed to send message');
+          error.failedMessageId = data.failedMessageId;
+          throw error;
+        }
+      }
+    }
+
+    return savedMessages;
+  };
+
+  // The message and sentence the word came from, so it's translated in that sense
+  const handleWordClick = async (word, position, { messageId = null, context = null } = {}) => {
+    // Toggle off if clicking the same word in the same message
+    if (showTranslation && showTranslation.word === word && showTranslation.messageId === messageId) {
       setShowTranslation(null);
       return;
     }
@@ -673,6 +968,7 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
       setLoadingTranslation(true);
       setShowTranslation({
         word,
+        messageId,
         translation: null,
         position,
       });
@@ -690,6 +986,7 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
           word,
           targetLanguage: language,
           chatId,
+          context,
         }),
       });
 
@@ -718,7 +1015,9 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
 
       setShowTranslation({
         word,
+        messageId,
         translation: data.translation,
+        lookup: data.lemma ? data : null,
         position: { x: adjustedX, y: adjustedY },
       });
       setLoadingTranslation(false);
@@ -729,9 +1028,51 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
     }
   };
 
+  // Suggest how to say the composer text (written in the user's native language) in the chat language
+  const handleReverseTranslate = async () => {
+    const text = inputMessage.trim();
+    if (!text || reverseTranslating) return;
+
+    try {
+      setReverseTranslating(true);
+
+      // Get the user's session token
+      const { data: { session } } = await supabase.auth.getSession();
+
+      const response = await fetch('/api/translate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token}`,
+        },
+        body: JSON.stringify({
+          word: text,
+          targetLanguage: language,
+          chatId,
+          direction: 'to-target',
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Translation failed');
+
+      setReverseSuggestion({ source: text, translation: data.translation });
+    } catch (error) {
+      console.error('Error translating message:', error);
+      setReverseSuggestion({ source: text, error: error.message || 'Translation failed' });
+    } finally {
+      setReverseTranslating(false);
+    }
+  };
+
+  const handleUseReverseSuggestion = () => {
+    setInputMessage(reverseSuggestion.translation);
+    setReverseSuggestion(null);
+  };
+
   const handleStartListening = () => {
     if (!sttSupported) {
-      alert('Speech recognition is not supported in your browser. Try Chrome or Edge.');
+      alert('Voice input is not supported in your browser.');
       return;
     }
 
@@ -766,6 +1107,11 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
           if (error !== 'no-speech' && error !== 'aborted') {
             alert(`Speech recognition error: ${error}`);
           }
+        },
+        null,
+        {
+          // Browsers without speech recognition transcribe on the server
+          getAccessToken: async () => (await supabase.auth.getSession()).data.session?.access_token,
         }
       );
 
@@ -951,6 +1297,14 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
                 </span>
               </motion.div>
             )}
+            {lastProvider && (
+              <span
+                className="hidden sm:inline text-xs text-white/50 truncate"
+                title={lastProvider.keySource === 'user' ? 'Using your API key' : 'Using the server API key'}
+              >
+                via {lastProvider.name}
+              </span>
+            )}
           </div>
         </div>
         <div className="flex items-center gap-1 sm:gap-2">
@@ -996,6 +1350,28 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
             <BookmarkCheck className="w-4 h-4 sm:w-4 sm:h-4" />
             <span className="hidden sm:inline">Vocab</span>
           </motion.button>
+          <motion.button
+            onClick={() => setShowQuizReview(true)}
+            whileTap={{ scale: 0.95 }}
+            transition={{ type: "spring", stiffness: 400, damping: 17 }}
+            className="p-2.5 sm:px-4 sm:py-2 text-xs sm:text-sm font-semibold text-white bg-white/10 hover:bg-white/20 rounded-lg sm:rounded-xl transition-all flex-shrink-0 border border-white/20 hover:border-white/30 flex items-center gap-1.5 shadow-md min-h-[44px]"
+            title="Review past quizzes"
+          >
+            <ClipboardList className="w-4 h-4 sm:w-4 sm:h-4" />
+            <span className="hidden sm:inline">Quizzes</span>
+          </motion.button>
+          {sttSupported && (
+            <motion.button
+              onClick={() => setShowVoiceMode(true)}
+              whileTap={{ scale: 0.95 }}
+              transition={{ type: "spring", stiffness: 400, damping: 17 }}
+              className="p-2.5 sm:px-4 sm:py-2 text-xs sm:text-sm font-semibold text-white bg-white/10 hover:bg-white/20 rounded-lg sm:rounded-xl transition-all flex-shrink-0 border border-white/20 hover:border-white/30 flex items-center gap-1.5 shadow-md min-h-[44px]"
+              title="Talk hands-free, like a phone call"
+            >
+              <Phone className="w-4 h-4 sm:w-4 sm:h-4" />
+              <span className="hidden sm:inline">Voice</span>
+            </motion.button>
+          )}
         </div>
       </div>
 
@@ -1006,19 +1382,47 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
             {/* Active Feature Display */}
             {activeFeature === 'quiz' && featureData && featureData.type === 'quiz' && (
               <QuizComponent
+                key={quizRound}
                 quiz={featureData}
                 onComplete={handleFeatureComplete}
                 onQuizComplete={handleQuizComplete}
+                onRetryMissed={handleRetryMissed}
                 language={language}
               />
             )}
 
-            {/* Completed Quiz Results Display */}
-            {activeFeature === 'quiz-completed' && featureData && featureData.type === 'quiz-completed' && (
+            {activeFeature === 'challenge' && featureData && featureData.type === 'challenge' && (
+              <DailyChallenge
+                challenge={featureData}
+                onComplete={handleFeatureComplete}
+                onChallengeComplete={handleChallengeComplete}
+              />
+            )}
+
+            {activeFeature === 'scenario' && featureData && featureData.type === 'scenario' && (
+              <ScenarioCard
+                scenario={featureData}
+                onComplete={handleFeatureComplete}
+                onStartScenario={handleStartScenario}
+              />
+            )}
+
+            {activeFeature === 'speedRound' && featureData && featureData.type === 'speedRound' && (
+              <SpeedRound
+                round={featureData}
+                onComplete={handleFeatureComplete}
+                onSpeedRoundComplete={handleSpeedRoundComplete}
+              />
+            )}
+
+            {/* Completed Quiz / Challenge / Speed Round Results Display */}
+            {activeFeature === 'completed' && featureData && COMPLETED_FEATURE_TYPES.includes(featureData.type) && (
               <QuizResultsDisplay
+                type={featureData.type}
                 results={featureData.results}
                 summary={featureData.summary}
                 onClose={handleFeatureComplete}
+                onReview={() => setShowQuizReview(true)}
               />
             )}
 
@@ -1054,7 +1458,9 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
                   language={language}
                   chatId={chatId}
                   onReply={handleReply}
+                  onRetry={handleRetryMessage}
                   replyToMessage={replyToMessage}
+                  speechRate={speechRate}
                 />
               );
             })}
@@ -1130,6 +1536,51 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
               )}
             </AnimatePresence>
 
+            {/* Reverse Translation Suggestion */}
+            <AnimatePresence>
+              {reverseSuggestion && (
+                <motion.div
+                  initial={{ opacity: 0, height: 0, y: -10 }}
+                  animate={{ opacity: 1, height: 'auto', y: 0 }}
+                  exit={{ opacity: 0, height: 0, y: -10 }}
+                  transition={{ type: "spring", stiffness: 300, damping: 25 }}
+                  className="mb-3 px-4 py-2.5 bg-emerald-500/10 backdrop-blur-lg rounded-xl border border-emerald-500/30 flex items-start justify-between gap-2"
+                >
+                  <div className="flex-1 min-w-0">
+                    <div className="text-xs font-semibold text-emerald-300 mb-1 flex items-center gap-1.5">
+                      <Languages className="w-3 h-3" />
+                      In {language}: &quot;{reverseSuggestion.source.substring(0, 60)}{reverseSuggestion.source.length > 60 ? '...' : ''}&quot;
+                    </div>
+                    {reverseSuggestion.error ? (
+                      <div className="text-sm text-red-300">{reverseSuggestion.error}</div>
+                    ) : (
+                      <div className="text-sm text-white/90">{reverseSuggestion.translation}</div>
+                    )}
+                  </div>
+                  {!reverseSuggestion.error && (
+                    <motion.button
+                      onClick={handleUseReverseSuggestion}
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      className="flex-shrink-0 px-3 py-1 text-xs font-semibold bg-emerald-500/20 hover:bg-emerald-500/30 text-emerald-200 rounded-lg transition-colors"
+                      title="Replace your message with this"
+                    >
+                      Use
+                    </motion.button>
+                  )}
+                  <motion.button
+                    onClick={() => setReverseSuggestion(null)}
+                    whileHover={{ scale: 1.1, rotate: 90 }}
+                    whileTap={{ scale: 0.9 }}
+                    transition={{ type: "spring", stiffness: 400 }}
+                    className="flex-shrink-0 p-1.5 hover:bg-white/20 rounded-lg transition-colors"
+                  >
+                    <X className="w-4 h-4 text-white" />
+                  </motion.button>
+                </motion.div>
+              )}
+            </AnimatePresence>
+
             <form onSubmit={handleSendMessage} className="flex gap-3">
               <div className="flex-1 relative group">
                 <div className="hidden md:block absolute -inset-0.5 bg-gradient-to-r from-purple-600/20 to-violet-600/20 rounded-2xl blur opacity-0 group-focus-within:opacity-100 transition-opacity duration-300" />
@@ -1139,8 +1590,24 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
                   onChange={(e) => setInputMessage(e.target.value)}
                   placeholder={isListening ? 'Listening...' : `Type in ${language}...`}
                   disabled={loading}
-                  className="relative w-full px-4 sm:px-5 py-3 sm:py-3.5 pr-12 border-2 border-white/10 bg-white/10 backdrop-blur-sm md:backdrop-blur-md rounded-xl focus:outline-none focus:border-purple-500/50 focus:ring-2 focus:ring-purple-500/20 disabled:opacity-50 text-sm sm:text-base transition-all text-white placeholder:text-white/40 shadow-lg hover:border-white/20"
+                  className={`relative w-full px-4 sm:px-5 py-3 sm:py-3.5 ${sttSupported ? 'pr-20 sm:pr-24' : 'pr-12'} border-2 border-white/10 bg-white/10 backdrop-blur-sm md:backdrop-blur-md rounded-xl focus:outline-none focus:border-purple-500/50 focus:ring-2 focus:ring-purple-500/20 disabled:opacity-50 text-sm sm:text-base transition-all text-white placeholder:text-white/40 shadow-lg hover:border-white/20`}
                 />
+                {/* Reverse Translate Button */}
+                <motion.button
+                  type="button"
+                  onClick={handleReverseTranslate}
+                  disabled={loading || reverseTranslating || !inputMessage.trim()}
+                  whileHover={{ scale: 1.1 }}
+                  whileTap={{ scale: 0.9 }}
+                  className={`absolute ${sttSupported ? 'right-11 sm:right-12' : 'right-2'} top-1/2 -translate-y-1/2 p-2 rounded-lg transition-all hover:bg-white/10 text-white/50 hover:text-white disabled:opacity-40 disabled:hover:bg-transparent`}
+                  title={`Say it in ${language}`}
+                >
+                  {reverseTranslating ? (
+                    <Loader2 className="w-4 h-4 sm:w-5 sm:h-5 animate-spin" />
+                  ) : (
+                    <Languages className="w-4 h-4 sm:w-5 sm:h-5" />
+                  )}
+                </motion.button>
                 {/* Microphone Button */}
                 {sttSupported && (
                   <motion.button
@@ -1271,7 +1738,14 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
                 <span className="text-gray-500 dark:text-gray-400 italic">Translating...</span>
               </div>
             ) : (
-              showTranslation.translation
+              <>
+                {showTranslation.translation}
+                <WordLookupDetails
+                  lookup={showTranslation.lookup}
+                  word={showTranslation.word}
+                  className="mt-2 pt-2 border-t border-purple-200 dark:border-purple-800"
+                />
+              </>
             )}
           </div>
         </motion.div>
@@ -1295,6 +1769,30 @@ export default function ChatInterface({ chatId, language, onMenuClick }) {
         isOpen={showVocabPanel}
         onClose={() => setShowVocabPanel(false)}
       />
+
+      {/* Quiz Review */}
+      <AnimatePresence>
+        {showQuizReview && (
+          <QuizReview
+            chatId={chatId}
+            isOpen={showQuizReview}
+            onClose={() => setShowQuizReview(false)}
+            onRetry={handleRetryFromReview}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Hands-free voice mode */}
+      <AnimatePresence>
+        {showVoiceMode && (
+          <VoiceConversation
+            language={language}
+            speechRate={speechRate}
+            onSend={(text) => sendUserMessage(text)}
+            onClose={() => setShowVoiceMode(false)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   );
 }
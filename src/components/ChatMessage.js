@@ -3,14 +3,30 @@
 import React from 'react';
 import { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Bot, User, AlertCircle, Volume2, VolumeX, BookmarkPlus, BookmarkCheck, Reply, Heart } from 'lucide-react';
+import { Bot, User, AlertCircle, Volume2, VolumeX, BookmarkPlus, BookmarkCheck, Reply, Heart, Mic, Loader2 } from 'lucide-react';
 import { supabase } from '@/lib/supabase';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { speak, stopSpeaking, isSpeaking, isTTSSupported } from '@/lib/audio-utils';
+import { isTTSSupported, isSTTSupported } from '@/lib/audio-utils';
+import { stripMarkdown } from '@/lib/pronunciation';
+import { DEFAULT_SPEECH_RATE } from '@/lib/playback';
+import PronunciationFeedback, { usePronunciationCheck } from './PronunciationFeedback';
+import ListeningPlayer from './ListeningPlayer';
+import WordLookupDetails from './WordLookupDetails';
 import Avatar from 'boring-avatars';
 
-export default function ChatMessage({ message, onWordClick, showTranslation, language, chatId, onReply, replyToMessage }) {
+/**
+ * The sentence of a message that contains the selected text - sent with
+ * lookups so words are translated in the sense they have there
+ */
+function getSentenceContaining(text, fragment) {
+  const needle = fragment.toLowerCase();
+  const sentences = text.split(/(?<=[.!?…])\s+|\n+/);
+  const sentence = sentences.find(candidate => candidate.toLowerCase().includes(needle));
+  return (sentence || text).trim().substring(0, 300);
+}
+
+export default function ChatMessage({ message, onWordClick, showTranslation, language, chatId, onReply, onRetry, replyToMessage, speechRate }) {
   const [selectedText, setSelectedText] = useState('');
   const [showSaveButton, setShowSaveButton] = useState(false);
   const [savePosition, setSavePosition] = useState({ x: 0, y: 0 });
@@ -20,8 +36,9 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
   const [correctionPosition, setCorrectionPosition] = useState({ x: 0, y: 0 });
   const [englishTranslation, setEnglishTranslation] = useState(null);
   const [loadingTranslation, setLoadingTranslation] = useState(false);
-  const [isSpeakingThis, setIsSpeakingThis] = useState(false);
+  const [showPlayer, setShowPlayer] = useState(false);
   const [ttsSupported, setTtsSupported] = useState(false);
+  const [sttSupported, setSttSupported] = useState(false);
   const [isLiked, setIsLiked] = useState(false);
   const [showReactions, setShowReactions] = useState(false);
   const [lastClickTime, setLastClickTime] = useState(0);
@@ -29,10 +46,21 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
   const [quickActionsPosition, setQuickActionsPosition] = useState({ x: 0, y: 0 });
   const [loadingAction, setLoadingAction] = useState(null);
   const [quickTranslation, setQuickTranslation] = useState(null);
+  const [quickLookup, setQuickLookup] = useState(null); // lemma, part of speech, ... for single words
+
+  // Reading the message aloud for a pronunciation score
+  const spokenText = useMemo(() => stripMarkdown(message.content), [message.content]);
+  const pronunciation = usePronunciationCheck({
+    text: spokenText,
+    language,
+    chatId,
+    messageId: message.id,
+  });
 
   // Check TTS support on mount and load reactions
   useEffect(() => {
     setTtsSupported(isTTSSupported());
+    setSttSupported(isSTTSupported());
     // Check if message has reactions
     if (message.reactions && message.reactions.like) {
       setIsLiked(true);
@@ -71,7 +99,7 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
   // Fetch translation when showTranslation is enabled for assistant messages
   useEffect(() => {
     const fetchTranslation = async () => {
-      if (showTranslation && message.role === 'assistant' && !message.isLoading && !englishTranslation) {
+      if (showTranslation && message.role === 'assistant' && !message.isLoading && !message.isStreaming && !englishTranslation) {
         setLoadingTranslation(true);
         try {
           const { data: { session } } = await supabase.auth.getSession();
@@ -102,7 +130,7 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
     };
 
     fetchTranslation();
-  }, [showTranslation, message.role, message.content, message.isLoading, language, message.chat_id]);
+  }, [showTranslation, message.role, message.content, message.isLoading, message.isStreaming, language, message.chat_id]);
 
   // Process corrections once to add indices
   const processedCorrections = useMemo(() => {
@@ -233,7 +261,10 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
     if (selectedText && onWordClick) {
       const range = selection.getRangeAt(0);
       const rect = range.getBoundingClientRect();
-      onWordClick(selectedText, { x: rect.left, y: rect.top });
+      onWordClick(selectedText, { x: rect.left, y: rect.top }, {
+        messageId: message.id,
+        context: getSentenceContaining(message.content, selectedText),
+      });
     }
   };
 
@@ -263,6 +294,7 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
       setShowSaveButton(false);
       setSaved(false);
       setQuickTranslation(null);
+      setQuickLookup(null);
     }
   };
 
@@ -293,38 +325,46 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
       setShowSaveButton(false);
       setSaved(false);
       setQuickTranslation(null);
+      setQuickLookup(null);
     } else {
       setShowQuickActions(false);
       setShowSaveButton(false);
     }
   };
 
+  // Translate the selection; words also come back with their dictionary form
+  const lookupSelection = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    const translationResponse = await fetch('/api/translate', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session?.access_token}`,
+      },
+      body: JSON.stringify({
+        word: selectedText,
+        targetLanguage: language,
+        chatId,
+        context: getSentenceContaining(message.content, selectedText),
+      }),
+    });
+
+    if (!translationResponse.ok) {
+      throw new Error('Translation failed');
+    }
+
+    const data = await translationResponse.json();
+    setQuickTranslation(data.translation);
+    setQuickLookup(data.lemma ? data : null);
+    return data;
+  };
+
   const handleTranslateSelection = async () => {
     if (!selectedText) return;
 
     try {
       setLoadingAction('translate');
-
-      const { data: { session } } = await supabase.auth.getSession();
-      const translationResponse = await fetch('/api/translate', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${session?.access_token}`,
-        },
-        body: JSON.stringify({
-          word: selectedText,
-          targetLanguage: language,
-          chatId,
-        }),
-      });
-
-      if (!translationResponse.ok) {
-        throw new Error('Translation failed');
-      }
-
-      const { translation } = await translationResponse.json();
-      setQuickTranslation(translation);
+      await lookupSelection();
     } catch (error) {
       console.error('Error translating:', error);
       alert('Failed to translate');
@@ -340,31 +380,12 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
       setLoadingAction('save');
 
       // Get translation first if we don't have it
-      let translation = quickTranslation;
-      if (!translation) {
-        const { data: { session } } = await supabase.auth.getSession();
-        const translationResponse = await fetch('/api/translate', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${session?.access_token}`,
-          },
-          body: JSON.stringify({
-            word: selectedText,
-            targetLanguage: language,
-            chatId,
-          }),
-        });
-
-        if (!translationResponse.ok) {
-          throw new Error('Translation failed');
-        }
-
-        const data = await translationResponse.json();
-        translation = data.translation;
+      let lookup = quickLookup || { translation: quickTranslation };
+      if (!quickTranslation) {
+        lookup = await lookupSelection();
       }
 
-      // Save vocabulary
+      // Save under the dictionary form, with its translation rather than the inflected one's
       const { data: { session } } = await supabase.auth.getSession();
       const saveResponse = await fetch('/api/vocab', {
         method: 'POST',
@@ -375,8 +396,11 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
         body: JSON.stringify({
           chatId,
           word: selectedText,
-          translation,
-          context: message.content.substring(0, 200),
+          translation: (lookup.lemma && lookup.lemmaTranslation) || lookup.translation,
+          context: getSentenceContaining(message.content, selectedText),
+          lemma: lookup.lemma || null,
+          partOfSpeech: lookup.partOfSpeech || null,
+          gender: lookup.gender || null,
         }),
       });
 
@@ -385,6 +409,7 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
         setTimeout(() => {
           setShowQuickActions(false);
           setQuickTranslation(null);
+          setQuickLookup(null);
           window.getSelection().removeAllRanges();
         }, 1500);
       } else {
@@ -403,47 +428,9 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
     }
   };
 
-  const handleSpeak = async () => {
-    if (isSpeakingThis) {
-      stopSpeaking();
-      setIsSpeakingThis(false);
-    } else {
-      try {
-        setIsSpeakingThis(true);
-        await speak(message.content, language);
-        setIsSpeakingThis(false);
-      } catch (error) {
-        console.error('TTS error:', error);
-        setIsSpeakingThis(false);
-
-        // Only show alert for actual errors (not canceled/interrupted)
-        if (error && error.message) {
-          const errorMsg = error.message.toLowerCase();
-
-          // Don't show alerts for these non-critical cases
-          if (errorMsg.includes('unknown') ||
-              errorMsg.includes('canceled') ||
-              errorMsg.includes('interrupted')) {
-            console.log('Non-critical TTS error, ignoring');
-            return;
-          }
-
-          // Show user-friendly error message for real errors
-          let errorMessage = 'Could not play audio. ';
-          if (errorMsg.includes('not supported')) {
-            errorMessage += 'Your browser does not support text-to-speech. Try Chrome or Edge.';
-          } else if (errorMsg.includes('no text')) {
-            errorMessage += 'No text to speak.';
-          } else if (errorMsg.includes('failed to start')) {
-            errorMessage += 'Please try again in a moment.';
-          } else {
-            errorMessage += error.message;
-          }
-
-          alert(errorMessage);
-        }
-      }
-    }
+  // Listening practice player: reads the message sentence by sentence
+  const handleSpeak = () => {
+    setShowPlayer(!showPlayer);
   };
 
   const handleDoubleClick = async (e) => {
@@ -667,7 +654,7 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
             onDoubleClick={handleDoubleClick}
           >
             {/* Unread Badge */}
-            {!isUser && !message.read_at && !message.isLoading && (
+            {!isUser && !message.read_at && !message.isLoading && !message.isStreaming && (
               <motion.div
                 initial={{ scale: 0 }}
                 animate={{ scale: 1 }}
@@ -717,7 +704,8 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
             </div>
           </motion.div>
 
-          {!message.isLoading && (
+          {/* Actions wait until the streamed reply is saved */}
+          {!message.isLoading && !message.isStreaming && (
             <>
               {showTranslation && !isUser && (
                 <AnimatePresence>
@@ -749,6 +737,39 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
                   </motion.div>
                 </AnimatePresence>
               )}
+              <AnimatePresence>
+                {showPlayer && (
+                  <ListeningPlayer
+                    text={spokenText}
+                    language={language}
+                    messageId={message.id}
+                    rate={speechRate ?? DEFAULT_SPEECH_RATE}
+                    onClose={() => setShowPlayer(false)}
+                  />
+                )}
+              </AnimatePresence>
+              <AnimatePresence>
+                {pronunciation.result && (
+                  <PronunciationFeedback
+                    text={spokenText}
+                    result={pronunciation.result}
+                    onClose={pronunciation.clear}
+                  />
+                )}
+              </AnimatePresence>
+              {/* Unanswered message - the AI reply failed */}
+              {isUser && message.reply_failed && onRetry && (
+                <div className="flex items-center justify-end gap-2 px-2 text-[11px] sm:text-xs text-red-400">
+                  <AlertCircle className="w-3 h-3" />
+                  <span>No reply received</span>
+                  <button
+                    onClick={() => onRetry(message)}
+                    className="font-semibold underline hover:text-red-300 transition-colors"
+                  >
+                    Retry
+                  </button>
+                </div>
+              )}
               <div className={`flex items-center gap-2 px-2 ${isUser ? 'justify-end' : 'justify-start'}`}>
                 <div className={`text-[11px] sm:text-xs font-medium ${isUser ? 'text-gray-700 dark:text-gray-300' : 'text-gray-600 dark:text-gray-400'}`}>
                   {new Date(message.created_at).toLocaleTimeString([], {
@@ -777,13 +798,13 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
                     whileHover={{ scale: 1.1 }}
                     whileTap={{ scale: 0.9 }}
                     className={`p-1 rounded-lg transition-colors ${
-                      isSpeakingThis
+                      showPlayer
                         ? 'bg-blue-500 text-white'
                         : 'hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400 hover:text-blue-500'
                     }`}
-                    title={isSpeakingThis ? 'Stop speaking' : 'Listen to message'}
+                    title={showPlayer ? 'Close listening player' : 'Listen to message'}
                   >
-                    {isSpeakingThis ? (
+                    {showPlayer ? (
                       <VolumeX className="w-3 h-3 sm:w-4 sm:h-4" />
                     ) : (
                       <Volume2 className="w-3 h-3 sm:w-4 sm:h-4" />
@@ -791,6 +812,33 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
                   </motion.button>
                 )}
 
+                {/* Pronunciation practice - read the message aloud */}
+                {!isUser && sttSupported && spokenText.trim().length > 0 && (
+                  <motion.button
+                    onClick={pronunciation.start}
+                    disabled={pronunciation.checking}
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                    className={`p-1 rounded-lg transition-colors disabled:opacity-50 ${
+                      pronunciation.listening
+                        ? 'bg-red-500 text-white animate-pulse'
+                        : 'hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-500 dark:text-gray-400 hover:text-purple-500'
+                    }`}
+                    title={pronunciation.listening ? 'Stop listening' : 'Read this aloud to check your pronunciation'}
+                  >
+                    {pronunciation.checking ? (
+                      <Loader2 className="w-3 h-3 sm:w-4 sm:h-4 animate-spin" />
+                    ) : (
+                      <Mic className="w-3 h-3 sm:w-4 sm:h-4" />
+                    )}
+                  </motion.button>
+                )}
+                {pronunciation.listening && pronunciation.heard && (
+                  <span className="text-[10px] sm:text-xs text-gray-500 dark:text-gray-400 italic truncate max-w-[160px]">
+                    {pronunciation.heard}
+                  </span>
+                )}
+
                 {/* Double-tap hint (only show on first few messages) */}
                 {!message.isLoading && !isLiked && (
                   <span className="text-[10px] sm:text-xs text-gray-600 dark:text-gray-400 font-medium">
@@ -880,6 +928,11 @@ export default function ChatMessage({ message, onWordClick, showTranslation, lan
               >
                 <div className="text-xs text-blue-600 dark:text-blue-400 font-semibold mb-1">Translation:</div>
                 <div className="text-sm text-gray-700 dark:text-gray-300">{quickTranslation}</div>
+                <WordLookupDetails
+                  lookup={quickLookup}
+                  word={selectedText}
+                  className="mt-2 pt-2 border-t border-blue-200 dark:border-blue-800"
+                />
               </motion.div>
             )}
 
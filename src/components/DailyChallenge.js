@@ -0,0 +1,165 @@
+'use client';
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { CheckCircle, Circle, Target, Trophy } from 'lucide-react';
+
+const DIFFICULTY_STYLES = {
+  easy: 'bg-green-500/15 text-green-700 dark:text-green-300 border-green-500/30',
+  medium: 'bg-yellow-500/15 text-yellow-700 dark:text-yellow-300 border-yellow-500/30',
+  hard: 'bg-red-500/15 text-red-700 dark:text-red-300 border-red-500/30',
+};
+
+export default function DailyChallenge({
+  challenge,
+  onComplete,
+  onChallengeComplete
+}) {
+  const [tasks, setTasks] = useState(() =>
+    (challenge?.tasks || []).map(task => ({ ...task, completed: !!task.completed }))
+  );
+  const [finished, setFinished] = useState(false);
+
+  const completedCount = tasks.filter(task => task.completed).length;
+  const percentage = tasks.length > 0 ? Math.round((completedCount / tasks.length) * 100) : 0;
+  const difficulty = challenge?.difficulty || 'medium';
+
+  const toggleTask = (index) => {
+    if (finished) return;
+    setTasks(tasks.map((task, i) => (i === index ? { ...task, completed: !task.completed } : task)));
+  };
+
+  const handleFinish = () => {
+    setFinished(true);
+
+    if (onChallengeComplete) {
+      const summary = `🎯 Daily Challenge Completed!\n\n${challenge.title}\nTasks: ${completedCount}/${tasks.length} (${percentage}%)`;
+
+      onChallengeComplete(summary, {
+        score: completedCount,
+        totalQuestions: tasks.length,
+        percentage,
+        title: challenge.title,
+        difficulty,
+        tasks,
+      });
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="p-4 sm:p-6 rounded-xl sm:rounded-2xl bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl border border-white/40 dark:border-gray-700/40 shadow-xl mx-2 sm:mx-0"
+    >
+      {/* Header */}
+      <div className="flex items-start gap-3 mb-4 sm:mb-6">
+        <div className="w-10 h-10 sm:w-12 sm:h-12 rounded-xl bg-gradient-to-br from-orange-400 to-pink-500 flex items-center justify-center flex-shrink-0">
+          <Target className="w-5 h-5 sm:w-6 sm:h-6 text-white" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2 flex-wrap">
+            <h3 className="text-base sm:text-xl font-bold text-gray-900 dark:text-white">
+              {challenge.title}
+            </h3>
+            <span className={`px-2 py-0.5 rounded-full text-[10px] sm:text-xs font-semibold border capitalize ${DIFFICULTY_STYLES[difficulty] || DIFFICULTY_STYLES.medium}`}>
+              {difficulty}
+            </span>
+          </div>
+          {challenge.description && (
+            <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400 mt-1">
+              {challenge.description}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Progress Bar */}
+      <div className="mb-4">
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300">
+            {completedCount} of {tasks.length} tasks done
+          </span>
+          <span className="text-xs sm:text-sm font-semibold text-purple-600 dark:text-purple-400">
+            {percentage}%
+          </span>
+        </div>
+        <div className="h-1.5 sm:h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+          <motion.div
+            initial={{ width: 0 }}
+            animate={{ width: `${percentage}%` }}
+            className="h-full bg-gradient-to-r from-purple-600 to-pink-600"
+          />
+        </div>
+      </div>
+
+      {/* Tasks */}
+      <div className="space-y-2 sm:space-y-3 mb-4 sm:mb-6">
+        {tasks.map((task, index) => (
+          <motion.button
+            key={index}
+            whileHover={!finished ? { scale: 1.01, x: 3 } : {}}
+            whileTap={!finished ? { scale: 0.99 } : {}}
+            onClick={() => toggleTask(index)}
+            disabled={finished}
+            className={`w-full p-3 sm:p-4 rounded-lg sm:rounded-xl border-2 text-left transition-all flex items-center gap-3 ${
+              task.completed
+                ? 'bg-green-500/15 border-green-500/50 text-green-900 dark:text-green-100'
+                : 'bg-white/60 dark:bg-gray-800/60 border-white/40 dark:border-gray-700/40 hover:border-purple-300/60 text-gray-900 dark:text-white'
+            } ${finished ? 'cursor-default' : 'cursor-pointer'}`}
+          >
+            {task.completed ? (
+              <CheckCircle className="w-5 h-5 text-green-600 dark:text-green-400 flex-shrink-0" />
+            ) : (
+              <Circle className="w-5 h-5 text-gray-400 flex-shrink-0" />
+            )}
+            <span className={`font-medium text-sm sm:text-base ${task.completed ? 'line-through opacity-80' : ''}`}>
+              {task.task}
+            </span>
+          </motion.button>
+        ))}
+      </div>
+
+      {challenge.reward && (
+        <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400 mb-4 sm:mb-6 flex items-center gap-2">
+          <Trophy className="w-4 h-4 text-yellow-500 flex-shrink-0" />
+          <span>{challenge.reward}</span>
+        </p>
+      )}
+
+      {/* Actions */}
+      <div className="flex gap-3">
+        {finished ? (
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={onComplete}
+            className="flex-1 px-4 sm:px-6 py-2.5 sm:py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all text-sm sm:text-base"
+          >
+            Continue Learning
+          </motion.button>
+        ) : (
+          <>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={onComplete}
+              className="px-4 sm:px-6 py-2.5 sm:py-3 bg-white/60 dark:bg-gray-700/60 text-gray-700 dark:text-gray-200 rounded-xl font-semibold border border-white/40 dark:border-gray-600/40 transition-all text-sm sm:text-base"
+            >
+              Later
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={handleFinish}
+              disabled={completedCount === 0}
+              className="flex-1 px-4 sm:px-6 py-2.5 sm:py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all text-sm sm:text-base disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {completedCount === tasks.length ? 'Complete Challenge 🎉' : 'Finish for Today'}
+            </motion.button>
+          </>
+        )}
+      </div>
+    </motion.div>
+  );
+}
@@ -1,15 +1,20 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '@/contexts/AuthContext';
 import { useRouter, useSearchParams } from 'next/navigation';
 import Navbar from '@/components/Navbar';
 import ChatInterface from '@/components/ChatInterface';
 import WelcomeGuide from '@/components/WelcomeGuide';
 import UIHighlights from '@/components/UIHighlights';
+import VocabReview from '@/components/VocabReview';
+import StudyExport from '@/components/StudyExport';
+import SavedVocab from '@/components/SavedVocab';
+import PlacementTest from '@/components/PlacementTest';
 import { supabase } from '@/lib/supabase';
+import { getEndOfToday } from '@/lib/spaced-repetition';
 import { motion, AnimatePresence } from 'framer-motion';
-import { MessageSquare, Plus, Clock, Loader2, Menu, Sparkles } from 'lucide-react';
+import { MessageSquare, Plus, Clock, Loader2, Menu, Sparkles, Brain, FileDown, BookmarkCheck } from 'lucide-react';
 import { MagicCard } from '@/components/ui/magic-card';
 import { Particles } from '@/components/ui/particles';
 import { BlurFade } from '@/components/ui/blur-fade';
@@ -25,9 +30,15 @@ export default function DashboardContent() {
   const [showNewChatModal, setShowNewChatModal] = useState(false);
   const [newChatLanguage, setNewChatLanguage] = useState('');
   const [newChatTitle, setNewChatTitle] = useState('');
+  const [takePlacementTest, setTakePlacementTest] = useState(true);
+  const [placementChat, setPlacementChat] = useState(null);
   const [selectedChat, setSelectedChat] = useState(null);
   const [isPremium, setIsPremium] = useState(false);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const [dueReviewCount, setDueReviewCount] = useState(0);
+  const [showReview, setShowReview] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showLibrary, setShowLibrary] = useState(false);
   const selectedChatId = searchParams.get('chat');
 
   useEffect(() => {
@@ -69,6 +80,35 @@ export default function DashboardContent() {
     }
   };
 
+  // Saved words due for spaced-repetition review today, across all chats (deleted ones included)
+  const loadDueReviewCount = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      const { count, error } = await supabase
+        .from('saved_vocabulary')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', user.id)
+        .lte('due_at', getEndOfToday().toISOString());
+
+      // 42703 = column doesn't exist yet (review migration not run)
+      if (error) {
+        if (error.code !== '42703') {
+          console.error('Error loading due reviews:', error);
+        }
+        return;
+      }
+
+      setDueReviewCount(count || 0);
+    } catch (error) {
+      console.error('Error loading due reviews:', error);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    loadDueReviewCount();
+  }, [loadDueReviewCount]);
+
   useEffect(() => {
     if (selectedChatId && chats.length > 0) {
       const chat = chats.find(c => c.id === selectedChatId);
@@ -150,12 +190,27 @@ export default function DashboardContent() {
 
       // Update URL without full page reload
       router.push(`/dashboard?chat=${data.id}`, { scroll: false });
+
+      // Optional placement test so the tutor starts at the right level
+      if (takePlacementTest) {
+        setPlacementChat(data);
+      }
     } catch (error) {
       console.error('Error creating chat:', error);
       alert('Failed to create chat');
     }
   };
 
+  const handlePlacementClose = (level) => {
+    if (level) {
+      setChats(prevChats => prevChats.map(chat =>
+        chat.id === placementChat.id ? { ...chat, starting_level: level } : chat
+      ));
+      setSelectedChat(prev => (prev?.id === placementChat.id ? { ...prev, starting_level: level } : prev));
+    }
+    setPlacementChat(null);
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-900 via-slate-900 to-black">
@@ -278,6 +333,51 @@ export default function DashboardContent() {
                         </span>
                       </motion.div>
                     )}
+                    {dueReviewCount > 0 && (
+                      <motion.button
+                        initial={{ opacity: 0, scale: 0.9 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => setShowReview(true)}
+                        className="px-3 py-1 bg-gradient-to-r from-green-400/20 to-emerald-400/20 backdrop-blur-md rounded-full border border-green-400/40 flex items-center gap-1.5"
+                      >
+                        <Brain className="w-3.5 h-3.5 text-green-200" />
+                        <span className="text-xs font-semibold text-green-200">
+                          {dueReviewCount} due today
+                        </span>
+                      </motion.button>
+                    )}
+                    <motion.button
+                      initial={{ opacity: 0, scale: 0.9 }}
+                      animate={{ opacity: 1, scale: 1 }}
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => setShowLibrary(true)}
+                      className="px-3 py-1 bg-white/20 backdrop-blur-md rounded-full border border-white/30 flex items-center gap-1.5"
+                      title="Vocabulary from all your chats, by language"
+                    >
+                      <BookmarkCheck className="w-3.5 h-3.5 text-white" />
+                      <span className="text-xs font-semibold text-white">
+                        Library
+                      </span>
+                    </motion.button>
+                    {chats.length > 0 && (
+                      <motion.button
+                        initial={{ opacity: 0, scale: 0.9 }}
+                        animate={{ opacity: 1, scale: 1 }}
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => setShowExport(true)}
+                        className="px-3 py-1 bg-white/20 backdrop-blur-md rounded-full border border-white/30 flex items-center gap-1.5"
+                        title="Export vocabulary and notes from all chats"
+                      >
+                        <FileDown className="w-3.5 h-3.5 text-white" />
+                        <span className="text-xs font-semibold text-white">
+                          Export
+                        </span>
+                      </motion.button>
+                    )}
                   </div>
                 </BlurFade>
                 <BlurFade delay={0.2} inView>
@@ -397,6 +497,52 @@ export default function DashboardContent() {
         </div>
       )}
 
+      {/* Vocabulary Review Session */}
+      <AnimatePresence>
+        {showReview && (
+          <VocabReview
+            isOpen={showReview}
+            onClose={() => {
+              setShowReview(false);
+              loadDueReviewCount();
+            }}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Vocabulary library across all chats */}
+      <AnimatePresence>
+        {showLibrary && (
+          <SavedVocab
+            isOpen={showLibrary}
+            onClose={() => setShowLibrary(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Export across all chats */}
+      <AnimatePresence>
+        {showExport && (
+          <StudyExport
+            isOpen={showExport}
+            onClose={() => setShowExport(false)}
+          />
+        )}
+      </AnimatePresence>
+
+      {/* Placement Test for a new chat */}
+      <AnimatePresence>
+        {placementChat && (
+          <PlacementTest
+            key={placementChat.id}
+            chatId={placementChat.id}
+            language={placementChat.language}
+            isOpen={!!placementChat}
+            onClose={handlePlacementClose}
+          />
+        )}
+      </AnimatePresence>
+
       {/* New Chat Modal */}
       <AnimatePresence>
         {showNewChatModal && (
@@ -466,6 +612,20 @@ export default function DashboardContent() {
                         Enter any language you'd like to practice conversationally
                       </p>
                     </div>
+                    <label className="flex items-start gap-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={takePlacementTest}
+                        onChange={(e) => setTakePlacementTest(e.target.checked)}
+                        className="mt-0.5 w-4 h-4 accent-purple-500"
+                      />
+                      <span className="text-sm text-white/80">
+                        Take a short placement test
+                        <span className="block text-xs text-white/50">
+                          So your tutor starts at your level (about 3 minutes)
+                        </span>
+                      </span>
+                    </label>
                     <div className="flex gap-3 pt-3">
                       <ShimmerButton
                         onClick={handleNewChat}
@@ -43,6 +43,16 @@ export default function FeaturesPanel({ language, onFeatureSelect, onClose }) {
       gradientTo: '#ec4899',
       badge: 'Challenge',
     },
+    {
+      id: 'practice-mistakes',
+      icon: Target,
+      title: 'Practice My Mistakes',
+      description: 'A quiz built from your own corrections and saved words',
+      color: 'from-indigo-500 to-violet-500',
+      gradientFrom: '#6366f1',
+      gradientTo: '#8b5cf6',
+      badge: 'Personal',
+    },
     {
       id: 'tea-time',
       icon: Coffee,
@@ -0,0 +1,205 @@
+'use client';
+
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '@/lib/supabase';
+import { speakText, stopSpeaking } from '@/lib/audio-utils';
+import { SPEECH_RATES, splitSentences, getWordAt } from '@/lib/playback';
+import { Play, Square, Repeat1, X } from 'lucide-react';
+
+/**
+ * User-friendly message for a TTS failure, or null when speech was only
+ * canceled or interrupted
+ */
+function getSpeechErrorMessage(error) {
+  const errorMsg = (error?.message || '').toLowerCase();
+  if (!errorMsg || errorMsg.includes('unknown') || errorMsg.includes('canceled') || errorMsg.includes('interrupted')) {
+    return null;
+  }
+
+  if (errorMsg.includes('not supported')) return 'Could not play audio. Your browser does not support text-to-speech. Try Chrome or Edge.';
+  if (errorMsg.includes('failed to start')) return 'Could not play audio. Please try again in a moment.';
+  return `Could not play audio. ${error.message}`;
+}
+
+/**
+ * Read a message aloud sentence by sentence, highlighting the current word.
+ * Tapping a sentence replays it; with loop on it repeats until stopped.
+ * Starts playing the whole text when opened.
+ */
+export default function ListeningPlayer({ text, language, messageId, rate: initialRate, onClose }) {
+  const sentences = useMemo(() => splitSentences(text, language), [text, language]);
+  const [rate, setRate] = useState(initialRate);
+  const [loop, setLoop] = useState(false);
+  const [current, setCurrent] = useState(null); // Index of the sentence being spoken
+  const [word, setWord] = useState(null); // { start, end } in the text
+
+  // Each playback gets a token so a stopped one doesn't carry on
+  const runRef = useRef(0);
+  const loopRef = useRef(loop);
+  const rateRef = useRef(rate);
+  const singleRef = useRef(false);
+  const playRef = useRef(null);
+
+  useEffect(() => {
+    loopRef.current = loop;
+  }, [loop]);
+
+  useEffect(() => {
+    rateRef.current = rate;
+  }, [rate]);
+
+  const stop = () => {
+    runRef.current++;
+    stopSpeaking();
+    setCurrent(null);
+    setWord(null);
+  };
+
+  // Play from a sentence to the end, or just that one (repeated while looping)
+  const play = async (index, { single = false } = {}) => {
+    stopSpeaking();
+    const run = ++runRef.current;
+    singleRef.current = single;
+    const { data: { session } } = await supabase.auth.getSession();
+
+    let next = index;
+    while (run === runRef.current && next < sentences.length) {
+      const sentence = sentences[next];
+      setCurrent(next);
+      setWord(null);
+
+      try {
+        await speakText(sentence.text, language, {
+          accessToken: session?.access_token,
+          messageId,
+          rate: rateRef.current,
+          onBoundary: (charIndex) => {
+            if (run !== runRef.current) return;
+            const spoken = getWordAt(sentence.text, charIndex);
+            setWord(spoken ? { start: sentence.start + spoken.start, end: sentence.start + spoken.end } : null);
+          },
+        });
+      } catch (error) {
+        if (run !== runRef.current) return;
+        console.error('TTS error:', error);
+        const errorMessage = getSpeechErrorMessage(error);
+        if (errorMessage) alert(errorMessage);
+        break;
+      }
+
+      if (loopRef.current && single) continue;
+      if (single) break;
+      next++;
+    }
+
+    if (run === runRef.current) {
+      setCurrent(null);
+      setWord(null);
+    }
+  };
+
+  useEffect(() => {
+    playRef.current = play;
+  });
+
+  // Start reading when the player opens
+  useEffect(() => {
+    const runs = runRef;
+    playRef.current(0);
+    return () => {
+      runs.current++;
+      stopSpeaking();
+    };
+  }, []);
+
+  const changeRate = (nextRate) => {
+    setRate(nextRate);
+    rateRef.current = nextRate;
+    // Restart the sentence at the new speed
+    if (current !== null) play(current, { single: singleRef.current });
+  };
+
+  const renderSentence = (sentence) => {
+    if (!word || word.start < sentence.start || word.end > sentence.end) return sentence.text;
+
+    const from = word.start - sentence.start;
+    const to = word.end - sentence.start;
+    return (
+      <>
+        {sentence.text.slice(0, from)}
+        <mark className="bg-yellow-300/80 dark:bg-yellow-400/40 text-inherit rounded px-0.5">
+          {sentence.text.slice(from, to)}
+        </mark>
+        {sentence.text.slice(to)}
+      </>
+    );
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+      className="mt-2 px-3 py-2 rounded-xl text-xs sm:text-sm bg-white/80 dark:bg-gray-800/80 border border-blue-200 dark:border-blue-800 text-gray-700 dark:text-gray-300"
+    >
+      <div className="flex items-center justify-between gap-2 mb-1.5 flex-wrap">
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => (current === null ? play(0) : stop())}
+            className="p-1 rounded-lg bg-blue-500 text-white hover:bg-blue-600 transition-colors"
+            title={current === null ? 'Play from the start' : 'Stop'}
+          >
+            {current === null ? <Play className="w-3.5 h-3.5" /> : <Square className="w-3.5 h-3.5" />}
+          </button>
+          <button
+            onClick={() => setLoop(!loop)}
+            className={`p-1 rounded-lg transition-colors ${
+              loop ? 'bg-blue-500/20 text-blue-600 dark:text-blue-300' : 'text-gray-500 dark:text-gray-400 hover:bg-gray-200/60 dark:hover:bg-gray-700/60'
+            }`}
+            title={loop ? 'Stop looping sentences' : 'Loop the sentence you tap'}
+          >
+            <Repeat1 className="w-3.5 h-3.5" />
+          </button>
+          <div className="flex items-center gap-0.5 ml-1">
+            {SPEECH_RATES.map(option => (
+              <button
+                key={option}
+                onClick={() => changeRate(option)}
+                className={`px-1.5 py-0.5 rounded-md text-[11px] font-semibold transition-colors ${
+                  option === rate
+                    ? 'bg-blue-500 text-white'
+                    : 'text-gray-500 dark:text-gray-400 hover:bg-gray-200/60 dark:hover:bg-gray-700/60'
+                }`}
+              >
+                {option}×
+              </button>
+            ))}
+          </div>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-0.5 rounded hover:bg-gray-200/60 dark:hover:bg-gray-700/60 transition-colors"
+          aria-label="Close"
+        >
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      <div className="space-y-0.5 leading-relaxed">
+        {sentences.map((sentence, index) => (
+          <button
+            key={sentence.start}
+            onClick={() => play(index, { single: true })}
+            className={`block w-full text-left px-1.5 py-0.5 rounded-md transition-colors ${
+              index === current ? 'bg-blue-500/15 text-gray-900 dark:text-white' : 'hover:bg-gray-200/60 dark:hover:bg-gray-700/60'
+            }`}
+            title={loop ? 'Loop this sentence' : 'Replay this sentence'}
+          >
+            {renderSentence(sentence)}
+          </button>
+        ))}
+      </div>
+    </motion.div>
+  );
+}
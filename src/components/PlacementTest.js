@@ -0,0 +1,285 @@
+'use client';
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '@/lib/supabase';
+import { CEFR_DESCRIPTIONS } from '@/lib/proficiency';
+import { getNextPlacementLevel, getPlacementWritingPrompt, PLACEMENT_MAX_ROUNDS } from '@/lib/placement';
+import QuizComponent from '@/components/QuizComponent';
+import {
+  GraduationCap,
+  PenLine,
+  TriangleAlert,
+  ArrowRight,
+  Loader2,
+  X,
+} from 'lucide-react';
+
+/**
+ * Optional placement test for a new chat: adaptive quiz rounds, then a short
+ * writing task graded by the AI. onClose(level) gets the starting level, or
+ * null if the test was skipped.
+ */
+export default function PlacementTest({ chatId, language, isOpen, onClose }) {
+  // intro -> quiz (one or more rounds) -> writing -> result
+  const [stage, setStage] = useState('intro');
+  const [rounds, setRounds] = useState([]);
+  const [quiz, setQuiz] = useState(null);
+  const [quizLevel, setQuizLevel] = useState(null);
+  const [roundResult, setRoundResult] = useState(null);
+  const [writingText, setWritingText] = useState('');
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const writingPrompt = getPlacementWritingPrompt(language);
+
+  const callPlacement = async (body) => {
+    const { data: { session } } = await supabase.auth.getSession();
+    const response = await fetch('/api/placement', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${session?.access_token}`,
+      },
+      body: JSON.stringify({ chatId, ...body }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Placement test failed');
+    return data;
+  };
+
+  const loadRound = async (level) => {
+    setWorking(true);
+    setError(null);
+
+    try {
+      const data = await callPlacement({ action: 'questions', level });
+      setQuiz(data.quiz);
+      setQuizLevel(level);
+      setRoundResult(null);
+      setStage('quiz');
+    } catch (err) {
+      console.error('Error loading placement questions:', err);
+      setError(err.message);
+      // Later rounds are a bonus - carry on with what's been answered
+      if (stage !== 'intro') setStage('writing');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Move up or down a level after each round, then go on to the writing task
+  const handleRoundDone = () => {
+    const nextRounds = roundResult ? [...rounds, roundResult] : rounds;
+    setRounds(nextRounds);
+    setQuiz(null);
+
+    const nextLevel = getNextPlacementLevel(nextRounds);
+    if (nextLevel) {
+      loadRound(nextLevel);
+    } else {
+      setStage('writing');
+    }
+  };
+
+  const handleFinish = async (includeWriting) => {
+    setWorking(true);
+    setError(null);
+
+    try {
+      const data = await callPlacement({
+        action: 'finish',
+        rounds,
+        writing: includeWriting && writingText.trim() ? { prompt: writingPrompt, text: writingText } : null,
+      });
+      setResult(data);
+      setStage('result');
+    } catch (err) {
+      console.error('Error finishing placement test:', err);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/60 backdrop-blur-md z-50 flex items-center justify-center p-4"
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.9, opacity: 0, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white/90 dark:bg-gray-800/90 backdrop-blur-2xl rounded-3xl w-full max-w-xl max-h-[90vh] flex flex-col shadow-2xl border border-white/20 dark:border-gray-700/20"
+      >
+        {/* Header */}
+        <div className="p-6 border-b border-white/20 dark:border-gray-700/30 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-purple-500 to-pink-500 flex items-center justify-center">
+              <GraduationCap className="w-6 h-6 text-white" />
+            </div>
+            <div>
+              <h2 className="text-2xl font-bold bg-gradient-to-r from-purple-600 to-pink-600 bg-clip-text text-transparent">
+                Placement Test
+              </h2>
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {stage === 'quiz' && quizLevel
+                  ? `Round ${rounds.length + 1} of up to ${PLACEMENT_MAX_ROUNDS} - level ${quizLevel}`
+                  : `Find your ${language} level`}
+              </p>
+            </div>
+          </div>
+          {stage !== 'result' && (
+            <button
+              onClick={() => onClose(null)}
+              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-xl transition-colors"
+              title="Skip the placement test"
+            >
+              <X className="w-6 h-6 text-gray-600 dark:text-gray-400" />
+            </button>
+          )}
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-5">
+          {error && (
+            <div className="p-3 rounded-xl bg-red-500/10 border border-red-500/30 text-sm text-red-700 dark:text-red-300 flex items-start gap-2">
+              <TriangleAlert className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {stage === 'intro' && (
+            <div className="space-y-3 text-sm text-gray-700 dark:text-gray-300">
+              <p>
+                A few quick questions and a short piece of writing, so your tutor starts at the right
+                level instead of guessing. It takes about three minutes.
+              </p>
+              <p className="text-gray-500 dark:text-gray-400">
+                The questions get harder or easier depending on your answers. You can skip the test and
+                your level will be worked out from your messages instead.
+              </p>
+            </div>
+          )}
+
+          {stage === 'quiz' && quiz && (
+            <QuizComponent
+              key={rounds.length}
+              quiz={quiz}
+              language={language}
+              onQuizComplete={(summary, quizResults) =>
+                setRoundResult({ level: quizLevel, score: quizResults.score, total: quizResults.totalQuestions })
+              }
+              onComplete={handleRoundDone}
+              continueLabel="Next"
+            />
+          )}
+
+          {working && stage !== 'writing' && (
+            <div className="flex items-center justify-center gap-2 py-8 text-gray-600 dark:text-gray-400">
+              <Loader2 className="w-5 h-5 animate-spin" />
+              <span className="text-sm">Preparing questions...</span>
+            </div>
+          )}
+
+          {stage === 'writing' && (
+            <div className="space-y-3">
+              <div className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <PenLine className="w-4 h-4 mt-0.5 flex-shrink-0 text-purple-500" />
+                <p>{writingPrompt}</p>
+              </div>
+              <textarea
+                value={writingText}
+                onChange={(e) => setWritingText(e.target.value)}
+                rows={6}
+                placeholder={`Write in ${language}...`}
+                disabled={working}
+                className="w-full px-4 py-3 text-sm rounded-xl border-2 border-gray-200 dark:border-gray-700 bg-white/60 dark:bg-gray-700/60 text-gray-900 dark:text-gray-100 focus:outline-none focus:border-purple-500 transition-colors disabled:opacity-50"
+              />
+            </div>
+          )}
+
+          {stage === 'result' && result && (
+            <div className="text-center space-y-3">
+              <div className="text-5xl font-bold bg-gradient-to-r from-purple-600 to-pink-600 bg-clip-text text-transparent">
+                {result.level}
+              </div>
+              <div className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+                {CEFR_DESCRIPTIONS[result.level]}
+              </div>
+              {result.writing?.feedback && (
+                <p className="text-sm text-gray-600 dark:text-gray-400 text-left p-3 rounded-xl bg-purple-500/10 border border-purple-500/20">
+                  {result.writing.feedback}
+                </p>
+              )}
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Your tutor will start here and adjust as you chat.
+              </p>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        {stage !== 'quiz' && (
+          <div className="p-6 border-t border-white/20 dark:border-gray-700/30 flex gap-3">
+            {stage === 'intro' && (
+              <>
+                <button
+                  onClick={() => loadRound(getNextPlacementLevel([]))}
+                  disabled={working}
+                  className="flex-1 px-4 py-2.5 rounded-xl font-semibold text-sm bg-gradient-to-r from-purple-600 to-pink-600 text-white shadow-md transition-all flex items-center justify-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {working ? <Loader2 className="w-4 h-4 animate-spin" /> : <ArrowRight className="w-4 h-4" />}
+                  Start
+                </button>
+                <button
+                  onClick={() => onClose(null)}
+                  className="px-4 py-2.5 rounded-xl font-semibold text-sm bg-gray-200/60 dark:bg-gray-700/60 text-gray-700 dark:text-gray-300 transition-all"
+                >
+                  Skip
+                </button>
+              </>
+            )}
+
+            {stage === 'writing' && (
+              <>
+                <button
+                  onClick={() => handleFinish(true)}
+                  disabled={working || !writingText.trim()}
+                  className="flex-1 px-4 py-2.5 rounded-xl font-semibold text-sm bg-gradient-to-r from-purple-600 to-pink-600 text-white shadow-md transition-all flex items-center justify-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {working ? <Loader2 className="w-4 h-4 animate-spin" /> : <PenLine className="w-4 h-4" />}
+                  {working ? 'Grading...' : 'Submit'}
+                </button>
+                <button
+                  onClick={() => handleFinish(false)}
+                  disabled={working || rounds.length === 0}
+                  className="px-4 py-2.5 rounded-xl font-semibold text-sm bg-gray-200/60 dark:bg-gray-700/60 text-gray-700 dark:text-gray-300 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Skip writing
+                </button>
+              </>
+            )}
+
+            {stage === 'result' && (
+              <button
+                onClick={() => onClose(result.level)}
+                className="flex-1 px-4 py-2.5 rounded-xl font-semibold text-sm bg-gradient-to-r from-purple-600 to-pink-600 text-white shadow-md transition-all flex items-center justify-center gap-1.5"
+              >
+                <ArrowRight className="w-4 h-4" />
+                Start chatting
+              </button>
+            )}
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
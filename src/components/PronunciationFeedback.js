@@ -0,0 +1,162 @@
+'use client';
+
+import { useState, useRef, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '@/lib/supabase';
+import { startListening } from '@/lib/audio-utils';
+import { X } from 'lucide-react';
+
+const STATUS_STYLES = {
+  correct: 'text-green-700 dark:text-green-300',
+  close: 'bg-amber-400/20 text-amber-800 dark:text-amber-200 rounded',
+  wrong: 'bg-red-500/20 text-red-700 dark:text-red-300 rounded underline decoration-wavy decoration-red-500/60',
+  missed: 'bg-red-500/10 text-red-500/80 dark:text-red-400/80 rounded line-through',
+};
+
+/**
+ * Read a text aloud and get it scored word by word (see scorePronunciation).
+ * target: { text, language, chatId?, messageId?, vocabularyId? }
+ */
+export function usePronunciationCheck(target) {
+  const [listening, setListening] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [heard, setHeard] = useState('');
+  const [result, setResult] = useState(null);
+  const recognitionRef = useRef(null);
+  const gotResultRef = useRef(false);
+
+  useEffect(() => () => recognitionRef.current?.abort(), []);
+
+  const scoreTranscript = async (transcript, confidence) => {
+    setChecking(true);
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await fetch('/api/pronunciation', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token}`,
+        },
+        body: JSON.stringify({
+          language: target.language,
+          expectedText: target.text,
+          transcript,
+          confidence,
+          chatId: target.chatId || null,
+          messageId: target.messageId || null,
+          vocabularyId: target.vocabularyId || null,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to score pronunciation');
+      setResult({ ...data, transcript });
+    } catch (error) {
+      console.error('Pronunciation check error:', error);
+      alert(error.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const start = () => {
+    if (listening) {
+      recognitionRef.current?.stop();
+      return;
+    }
+
+    gotResultRef.current = false;
+    setResult(null);
+    setHeard('');
+    setListening(true);
+
+    recognitionRef.current = startListening(
+      target.language,
+      (interim) => setHeard(interim),
+      (transcript, confidence) => {
+        gotResultRef.current = true;
+        setHeard(transcript);
+        scoreTranscript(transcript, confidence);
+      },
+      (error) => {
+        console.error('STT error:', error);
+        if (error !== 'no-speech' && error !== 'aborted') {
+          alert(`Speech recognition error: ${error}`);
+        }
+      },
+      () => {
+        setListening(false);
+        if (!gotResultRef.current) setHeard('');
+      },
+      { getAccessToken: async () => (await supabase.auth.getSession()).data.session?.access_token }
+    );
+
+    if (recognitionRef.current) {
+      recognitionRef.current.start();
+    } else {
+      setListening(false);
+    }
+  };
+
+  return { start, listening, checking, heard, result, clear: () => setResult(null) };
+}
+
+/**
+ * Expected text with each word coloured by how well it was pronounced
+ */
+export default function PronunciationFeedback({ text, result, onClose }) {
+  const parts = [];
+  let cursor = 0;
+
+  result.words.forEach((word, index) => {
+    if (word.start > cursor) parts.push(text.slice(cursor, word.start));
+    parts.push(
+      <span
+        key={index}
+        className={`px-0.5 ${STATUS_STYLES[word.status]}`}
+        title={word.heard === null ? 'Not heard' : word.status === 'correct' ? `${word.score}%` : `Heard "${word.heard}" (${word.score}%)`}
+      >
+        {text.slice(word.start, word.end)}
+      </span>
+    );
+    cursor = word.end;
+  });
+
+  const lastWord = result.words[result.words.length - 1];
+  const rest = text.slice(cursor);
+  const isCutOff = lastWord && rest.trim().length > 0 && /[\p{L}\p{N}]/u.test(rest);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+      className="mt-2 px-3 py-2 rounded-xl text-xs sm:text-sm bg-white/80 dark:bg-gray-800/80 border border-purple-200 dark:border-purple-800 text-gray-700 dark:text-gray-300"
+    >
+      <div className="flex items-center justify-between gap-2 mb-1.5">
+        <span className={`font-semibold ${
+          result.score >= 85 ? 'text-green-600 dark:text-green-400' :
+          result.score >= 50 ? 'text-amber-600 dark:text-amber-400' :
+          'text-red-600 dark:text-red-400'
+        }`}>
+          🎙️ Pronunciation: {result.score}%
+        </span>
+        <button
+          onClick={onClose}
+          className="p-0.5 rounded hover:bg-gray-200/60 dark:hover:bg-gray-700/60 transition-colors"
+          aria-label="Close"
+        >
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+      <p className="leading-relaxed whitespace-pre-wrap">
+        {parts}
+        {isCutOff ? '…' : rest}
+      </p>
+      <p className="mt-1.5 text-[11px] text-gray-500 dark:text-gray-400 italic">
+        Heard: &ldquo;{result.transcript || '…'}&rdquo;
+      </p>
+    </motion.div>
+  );
+}
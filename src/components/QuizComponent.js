@@ -1,6 +1,6 @@
 'use client';
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   CheckCircle,
@@ -10,13 +10,16 @@ import {
   ArrowRight,
   Star,
   Loader2,
+  RotateCcw,
 } from 'lucide-react';
 
 export default function QuizComponent({
   quiz,
   onComplete,
   language,
-  onQuizComplete
+  onQuizComplete,
+  onRetryMissed,
+  continueLabel = 'Continue Learning'
 }) {
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [selectedAnswer, setSelectedAnswer] = useState(null);
@@ -24,6 +27,12 @@ export default function QuizComponent({
   const [score, setScore] = useState(0);
   const [answers, setAnswers] = useState([]);
   const [hasNotifiedCompletion, setHasNotifiedCompletion] = useState(false);
+  const questionStartedAt = useRef(null);
+
+  // Time each question from when it's shown (same clock as event.timeStamp)
+  useEffect(() => {
+    questionStartedAt.current = performance.now();
+  }, [currentQuestion]);
 
   // Notify parent when quiz is completed
   useEffect(() => {
@@ -36,6 +45,7 @@ export default function QuizComponent({
         totalQuestions: quiz.questions.length,
         percentage,
         quizType: quiz.quizType || 'General',
+        durationSeconds: Math.round(answers.reduce((sum, answer) => sum + (answer.timeMs || 0), 0) / 1000),
         answers
       };
 
@@ -61,7 +71,7 @@ export default function QuizComponent({
   const isLastQuestion = currentQuestion === quiz.questions.length - 1;
   const progress = ((currentQuestion + 1) / quiz.questions.length) * 100;
 
-  const handleAnswer = (answerIndex) => {
+  const handleAnswer = (answerIndex, answeredAt) => {
     if (selectedAnswer !== null) return;
 
     setSelectedAnswer(answerIndex);
@@ -76,6 +86,7 @@ export default function QuizComponent({
       selected: answerIndex,
       correct: question.correctAnswer,
       isCorrect,
+      timeMs: questionStartedAt.current !== null && answeredAt ? Math.round(answeredAt - questionStartedAt.current) : null,
     }]);
 
     setTimeout(() => {
@@ -177,13 +188,24 @@ export default function QuizComponent({
 
           {/* Actions */}
           <div className="flex gap-3">
+            {onRetryMissed && score < quiz.questions.length && (
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={onRetryMissed}
+                className="px-4 sm:px-6 py-2.5 sm:py-3 bg-white/60 dark:bg-gray-700/60 border-2 border-purple-300/60 dark:border-purple-500/40 text-purple-700 dark:text-purple-300 rounded-xl font-semibold hover:shadow-lg transition-all text-sm sm:text-base flex items-center justify-center gap-1.5"
+              >
+                <RotateCcw className="w-4 h-4" />
+                Retry {quiz.questions.length - score} missed
+              </motion.button>
+            )}
             <motion.button
               whileHover={{ scale: 1.02 }}
               whileTap={{ scale: 0.98 }}
               onClick={onComplete}
               className="flex-1 px-4 sm:px-6 py-2.5 sm:py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all text-sm sm:text-base"
             >
-              Continue Learning
+              {continueLabel}
             </motion.button>
           </div>
         </div>
@@ -237,7 +259,7 @@ export default function QuizComponent({
             key={index}
             whileHover={selectedAnswer === null ? { scale: 1.02, x: 5 } : {}}
             whileTap={selectedAnswer === null ? { scale: 0.98 } : {}}
-            onClick={() => handleAnswer(index)}
+            onClick={(event) => handleAnswer(index, event.timeStamp)}
             disabled={selectedAnswer !== null}
             className={`w-full p-3 sm:p-4 rounded-lg sm:rounded-xl border-2 backdrop-blur-lg text-left transition-all ${getAnswerClassName(index)} ${
               selectedAnswer !== null ? 'cursor-not-allowed' : 'cursor-pointer'
@@ -0,0 +1,206 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '@/lib/supabase';
+import { buildRetryQuiz, getMissedQuestions } from '@/lib/quiz-attempts';
+import {
+  ClipboardList,
+  CheckCircle,
+  XCircle,
+  RotateCcw,
+  ArrowLeft,
+  Loader2,
+  X,
+} from 'lucide-react';
+
+const ATTEMPT_LIMIT = 20;
+
+/**
+ * Past quiz attempts in a chat, each with its answers. onRetry(quiz) starts a
+ * quiz of the questions missed in the selected attempt.
+ */
+export default function QuizReview({ chatId, isOpen, onClose, onRetry }) {
+  const [attempts, setAttempts] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!isOpen || !chatId) return;
+
+    const loadAttempts = async () => {
+      setLoading(true);
+      setSelected(null);
+
+      try {
+        const { data, error } = await supabase
+          .from('quiz_attempts')
+          .select('*')
+          .eq('chat_id', chatId)
+          .order('created_at', { ascending: false })
+          .limit(ATTEMPT_LIMIT);
+
+        // Table may not exist yet
+        if (error && error.code !== '42P01') throw error;
+        setAttempts(data || []);
+      } catch (error) {
+        console.error('Error loading quiz attempts:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAttempts();
+  }, [isOpen, chatId]);
+
+  if (!isOpen) return null;
+
+  const missedCount = selected ? getMissedQuestions(selected).length : 0;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/60 backdrop-blur-md z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.9, opacity: 0, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white/90 dark:bg-gray-800/90 backdrop-blur-2xl rounded-3xl w-full max-w-xl max-h-[90vh] flex flex-col shadow-2xl border border-white/20 dark:border-gray-700/20"
+      >
+        {/* Header */}
+        <div className="p-6 border-b border-white/20 dark:border-gray-700/30 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            {selected ? (
+              <button
+                onClick={() => setSelected(null)}
+                className="w-12 h-12 rounded-2xl bg-gray-100 dark:bg-gray-700 flex items-center justify-center hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+                title="Back to all quizzes"
+              >
+                <ArrowLeft className="w-6 h-6 text-gray-700 dark:text-gray-300" />
+              </button>
+            ) : (
+              <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-purple-500 to-pink-500 flex items-center justify-center">
+                <ClipboardList className="w-6 h-6 text-white" />
+              </div>
+            )}
+            <div>
+              <h2 className="text-2xl font-bold bg-gradient-to-r from-purple-600 to-pink-600 bg-clip-text text-transparent">
+                Quiz Review
+              </h2>
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {selected
+                  ? `${selected.quiz_type} quiz - ${new Date(selected.created_at).toLocaleString()}`
+                  : 'Go over your answers and retry what you missed'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-xl transition-colors"
+          >
+            <X className="w-6 h-6 text-gray-600 dark:text-gray-400" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-3">
+          {loading && (
+            <div className="flex items-center justify-center gap-2 py-8 text-gray-600 dark:text-gray-400">
+              <Loader2 className="w-5 h-5 animate-spin" />
+              <span className="text-sm">Loading quizzes...</span>
+            </div>
+          )}
+
+          {!loading && !selected && attempts.length === 0 && (
+            <p className="text-center text-sm text-gray-500 dark:text-gray-400 py-8">
+              No quizzes in this chat yet. Finished quizzes show up here.
+            </p>
+          )}
+
+          {!loading && !selected && attempts.map((attempt) => (
+            <button
+              key={attempt.id}
+              onClick={() => setSelected(attempt)}
+              className="w-full p-4 rounded-2xl bg-white/60 dark:bg-gray-700/60 border border-white/40 dark:border-gray-600/40 hover:border-purple-300/60 text-left transition-all flex items-center justify-between gap-3"
+            >
+              <div className="min-w-0">
+                <p className="text-sm font-semibold text-gray-900 dark:text-white capitalize">
+                  {attempt.quiz_type} quiz
+                  {attempt.retry_of && (
+                    <span className="ml-2 px-1.5 py-0.5 text-[10px] rounded-md bg-purple-500/15 text-purple-600 dark:text-purple-300 normal-case">
+                      retry
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {new Date(attempt.created_at).toLocaleString()}
+                  {attempt.duration_seconds ? ` - ${attempt.duration_seconds}s` : ''}
+                </p>
+              </div>
+              <span className={`text-sm font-bold flex-shrink-0 ${
+                attempt.percentage >= 70 ? 'text-green-600 dark:text-green-400' : 'text-orange-600 dark:text-orange-400'
+              }`}>
+                {attempt.score}/{attempt.total_questions}
+              </span>
+            </button>
+          ))}
+
+          {selected && (selected.answers || []).map((answer, index) => (
+            <div
+              key={index}
+              className={`p-3 rounded-xl ${
+                answer.isCorrect
+                  ? 'bg-green-500/10 border border-green-500/30'
+                  : 'bg-red-500/10 border border-red-500/30'
+              }`}
+            >
+              <div className="flex items-start gap-2">
+                {answer.isCorrect ? (
+                  <CheckCircle className="w-5 h-5 text-green-600 dark:text-green-400 mt-0.5 flex-shrink-0" />
+                ) : (
+                  <XCircle className="w-5 h-5 text-red-600 dark:text-red-400 mt-0.5 flex-shrink-0" />
+                )}
+                <div className="flex-1 min-w-0 space-y-1">
+                  <p className="text-sm font-medium text-gray-900 dark:text-white">{answer.question}</p>
+                  {answer.options?.length > 0 && (
+                    <>
+                      {!answer.isCorrect && (
+                        <p className="text-xs text-red-700 dark:text-red-300">
+                          Your answer: {answer.options[answer.selected] ?? '-'}
+                        </p>
+                      )}
+                      <p className="text-xs text-gray-600 dark:text-gray-400">
+                        Correct answer: {answer.options[answer.correctAnswer]}
+                      </p>
+                    </>
+                  )}
+                  {answer.explanation && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">💡 {answer.explanation}</p>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Footer */}
+        {selected && (
+          <div className="p-6 border-t border-white/20 dark:border-gray-700/30 flex gap-3">
+            <button
+              onClick={() => onRetry(buildRetryQuiz(selected))}
+              disabled={missedCount === 0}
+              className="flex-1 px-4 py-2.5 rounded-xl font-semibold text-sm bg-gradient-to-r from-purple-600 to-pink-600 text-white shadow-md transition-all flex items-center justify-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <RotateCcw className="w-4 h-4" />
+              {missedCount > 0 ? `Retry ${missedCount} missed` : 'Nothing to retry'}
+            </button>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -3,42 +3,123 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { supabase } from '@/lib/supabase';
+import { getEndOfToday, formatDueDate } from '@/lib/spaced-repetition';
+import { groupVocabularyLibrary, getLibraryLanguages } from '@/lib/vocab-library';
 import Avatar from 'boring-avatars';
+import VocabReview from './VocabReview';
+import VocabImport from './VocabImport';
+import StudyExport from './StudyExport';
+import PronunciationFeedback, { usePronunciationCheck } from './PronunciationFeedback';
+import { isSTTSupported } from '@/lib/audio-utils';
 import {
   BookmarkCheck,
   Trash2,
   Search,
   Filter,
   Download,
+  Upload,
   Star,
   Calendar,
   Loader2,
   BookOpen,
+  Brain,
+  MessageSquare,
+  Mic,
   X,
 } from 'lucide-react';
 
+/**
+ * "Say it" button for a saved word, with its pronunciation score
+ */
+function SayItCheck({ item, language, chatId }) {
+  const pronunciation = usePronunciationCheck({
+    text: item.word,
+    language: item.language || language,
+    chatId: item.chat_id || chatId,
+    vocabularyId: item.ids ? item.ids[0] : item.id,
+  });
+
+  return (
+    <div className="mb-2">
+      <button
+        onClick={pronunciation.start}
+        disabled={pronunciation.checking}
+        className={`inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-lg transition-colors disabled:opacity-50 ${
+          pronunciation.listening
+            ? 'bg-red-500 text-white animate-pulse'
+            : 'bg-green-500/10 text-green-700 dark:text-green-300 hover:bg-green-500/20'
+        }`}
+        title="Say the word to check your pronunciation"
+      >
+        {pronunciation.checking ? <Loader2 className="w-3 h-3 animate-spin" /> : <Mic className="w-3 h-3" />}
+        {pronunciation.listening ? 'Listening...' : 'Say it'}
+      </button>
+      <AnimatePresence>
+        {pronunciation.result && (
+          <PronunciationFeedback
+            text={item.word}
+            result={pronunciation.result}
+            onClose={pronunciation.clear}
+          />
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
 export default function SavedVocab({ chatId, language, isOpen, onClose }) {
   const [vocabItems, setVocabItems] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [scope, setScope] = useState(chatId ? 'chat' : 'all'); // chat, all
+  const [libraryLanguage, setLibraryLanguage] = useState(language || null);
+  const [libraryUnavailable, setLibraryUnavailable] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [filter, setFilter] = useState('all'); // all, starred, recent
   const [deleting, setDeleting] = useState(null);
+  const [showReview, setShowReview] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [sttSupported, setSttSupported] = useState(false);
 
   useEffect(() => {
-    if (isOpen && chatId) {
+    setSttSupported(isSTTSupported());
+  }, []);
+
+  const isLibrary = scope === 'all';
+
+  useEffect(() => {
+    if (isOpen && (chatId || isLibrary)) {
       loadVocab();
     }
-  }, [chatId, isOpen]);
+  }, [chatId, isOpen, isLibrary]);
 
   const loadVocab = async () => {
     try {
       setLoading(true);
-      const { data, error } = await supabase
+      setLibraryUnavailable(false);
+
+      let query = supabase
         .from('saved_vocabulary')
         .select('*')
-        .eq('chat_id', chatId)
         .order('created_at', { ascending: false });
 
+      if (isLibrary) {
+        // Every word the user saved, including words from deleted chats
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return;
+        query = query.eq('user_id', user.id);
+      } else {
+        query = query.eq('chat_id', chatId);
+      }
+
+      const { data, error } = await query;
+
+      // 42703 = column doesn't exist yet (library migration not run)
+      if (error?.code === '42703' && isLibrary) {
+        setLibraryUnavailable(true);
+        setVocabItems([]);
+        return;
+      }
       if (error) throw error;
       setVocabItems(data || []);
     } catch (error) {
@@ -48,16 +129,23 @@ export default function SavedVocab({ chatId, language, isOpen, onClose }) {
     }
   };
 
-  const handleDelete = async (id) => {
+  // Library entries stand for every saved occurrence of the word
+  const getItemIds = (item) => item.ids || [item.id];
+  const getItemKey = (item) => item.key || item.id;
+
+  const handleDelete = async (item) => {
+    const ids = getItemIds(item);
+    if (ids.length > 1 && !confirm(`Delete "${item.word}" from all ${ids.length} chats it was saved in?`)) return;
+
     try {
-      setDeleting(id);
+      setDeleting(getItemKey(item));
       const { error } = await supabase
         .from('saved_vocabulary')
         .delete()
-        .eq('id', id);
+        .in('id', ids);
 
       if (error) throw error;
-      setVocabItems(vocabItems.filter(item => item.id !== id));
+      setVocabItems(vocabItems.filter(row => !ids.includes(row.id)));
     } catch (error) {
       console.error('Error deleting vocab:', error);
       alert('Failed to delete vocabulary item');
@@ -66,43 +154,38 @@ export default function SavedVocab({ chatId, language, isOpen, onClose }) {
     }
   };
 
-  const handleToggleStar = async (id, currentStarred) => {
+  const handleToggleStar = async (item) => {
+    const ids = getItemIds(item);
+
     try {
       const { error } = await supabase
         .from('saved_vocabulary')
-        .update({ starred: !currentStarred })
-        .eq('id', id);
+        .update({ starred: !item.starred })
+        .in('id', ids);
 
       if (error) throw error;
 
-      setVocabItems(vocabItems.map(item =>
-        item.id === id ? { ...item, starred: !currentStarred } : item
+      setVocabItems(vocabItems.map(row =>
+        ids.includes(row.id) ? { ...row, starred: !item.starred } : row
       ));
     } catch (error) {
       console.error('Error toggling star:', error);
     }
   };
 
-  const exportVocab = () => {
-    const csv = [
-      ['Word/Phrase', 'Translation', 'Context', 'Date'],
-      ...filteredItems.map(item => [
-        item.word,
-        item.translation,
-        item.context || '',
-        new Date(item.created_at).toLocaleDateString()
-      ])
-    ].map(row => row.join(',')).join('\n');
-
-    const blob = new Blob([csv], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${language}_vocabulary_${Date.now()}.csv`;
-    a.click();
-  };
+  const libraryLanguages = isLibrary ? getLibraryLanguages(vocabItems) : [];
+  const activeLanguage = libraryLanguages.some(entry => entry.language === libraryLanguage)
+    ? libraryLanguage
+    : libraryLanguages[0]?.language || language;
+
+  const displayItems = isLibrary
+    ? groupVocabularyLibrary(vocabItems.filter(row => row.language === activeLanguage))
+    : vocabItems;
+
+  const endOfToday = getEndOfToday();
+  const dueCount = vocabItems.filter(item => !item.due_at || new Date(item.due_at) <= endOfToday).length;
 
-  const filteredItems = vocabItems.filter(item => {
+  const filteredItems = displayItems.filter(item => {
     const matchesSearch = item.word.toLowerCase().includes(searchQuery.toLowerCase()) ||
                          item.translation.toLowerCase().includes(searchQuery.toLowerCase());
 
@@ -144,18 +227,61 @@ export default function SavedVocab({ chatId, language, isOpen, onClose }) {
                   Saved Vocabulary
                 </h2>
                 <p className="text-sm text-gray-600 dark:text-gray-400">
-                  {filteredItems.length} items in {language}
+                  {isLibrary
+                    ? `${filteredItems.length} words in ${activeLanguage || 'your library'} across all chats`
+                    : `${filteredItems.length} items in ${language}`}
                 </p>
               </div>
             </div>
-            <button
-              onClick={onClose}
-              className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-xl transition-colors"
-            >
-              <X className="w-6 h-6 text-gray-600 dark:text-gray-400" />
-            </button>
+            <div className="flex items-center gap-2">
+              {chatId && (
+                <div className="flex p-1 rounded-xl bg-white/60 dark:bg-gray-700/60">
+                  {[
+                    { id: 'chat', label: 'This chat' },
+                    { id: 'all', label: 'All chats' },
+                  ].map(option => (
+                    <button
+                      key={option.id}
+                      onClick={() => setScope(option.id)}
+                      className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-all ${
+                        scope === option.id
+                          ? 'bg-gradient-to-r from-green-600 to-emerald-600 text-white shadow-md'
+                          : 'text-gray-700 dark:text-gray-300 hover:bg-white/80 dark:hover:bg-gray-700/80'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <button
+                onClick={onClose}
+                className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-xl transition-colors"
+              >
+                <X className="w-6 h-6 text-gray-600 dark:text-gray-400" />
+              </button>
+            </div>
           </div>
 
+          {/* Library languages */}
+          {isLibrary && libraryLanguages.length > 1 && (
+            <div className="flex flex-wrap gap-2 mb-3">
+              {libraryLanguages.map(({ language: entryLanguage, count }) => (
+                <button
+                  key={entryLanguage}
+                  onClick={() => setLibraryLanguage(entryLanguage)}
+                  className={`px-3 py-1 rounded-full text-xs font-semibold transition-all ${
+                    entryLanguage === activeLanguage
+                      ? 'bg-gradient-to-r from-green-600 to-emerald-600 text-white shadow-md'
+                      : 'bg-white/60 dark:bg-gray-700/60 text-gray-700 dark:text-gray-300 hover:bg-white/80 dark:hover:bg-gray-700/80'
+                  }`}
+                >
+                  {entryLanguage} · {count}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Search and Filters */}
           <div className="flex flex-col sm:flex-row gap-3">
             <div className="flex-1 relative">
@@ -201,13 +327,33 @@ export default function SavedVocab({ chatId, language, isOpen, onClose }) {
                 <Calendar className="w-4 h-4" />
                 Recent
               </button>
+              {!isLibrary && (
+                <button
+                  onClick={() => setShowReview(true)}
+                  disabled={dueCount === 0}
+                  className="px-4 py-2.5 rounded-xl font-semibold text-sm bg-gradient-to-r from-green-600 to-emerald-600 text-white shadow-md transition-all flex items-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed"
+                  title="Review words due today"
+                >
+                  <Brain className="w-4 h-4" />
+                  Review{dueCount > 0 ? ` (${dueCount})` : ''}
+                </button>
+              )}
               <button
-                onClick={exportVocab}
+                onClick={() => setShowExport(true)}
                 className="px-4 py-2.5 rounded-xl font-semibold text-sm bg-white/60 dark:bg-gray-700/60 text-gray-700 dark:text-gray-300 hover:bg-white/80 dark:hover:bg-gray-700/80 transition-all flex items-center gap-1.5"
-                title="Export to CSV"
+                title="Export to Anki, PDF, Markdown, JSON or CSV"
               >
                 <Download className="w-4 h-4" />
               </button>
+              {!isLibrary && (
+                <button
+                  onClick={() => setShowImport(true)}
+                  className="px-4 py-2.5 rounded-xl font-semibold text-sm bg-white/60 dark:bg-gray-700/60 text-gray-700 dark:text-gray-300 hover:bg-white/80 dark:hover:bg-gray-700/80 transition-all flex items-center gap-1.5"
+                  title="Import CSV, TSV or Anki deck"
+                >
+                  <Upload className="w-4 h-4" />
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -222,17 +368,21 @@ export default function SavedVocab({ chatId, language, isOpen, onClose }) {
             <div className="text-center py-12">
               <BookOpen className="w-16 h-16 text-gray-300 dark:text-gray-600 mx-auto mb-4" />
               <h3 className="text-xl font-semibold text-gray-600 dark:text-gray-400 mb-2">
-                {searchQuery ? 'No matching vocabulary' : 'No saved vocabulary yet'}
+                {libraryUnavailable
+                  ? 'Vocabulary library not set up'
+                  : searchQuery ? 'No matching vocabulary' : 'No saved vocabulary yet'}
               </h3>
               <p className="text-gray-500 dark:text-gray-400">
-                {searchQuery ? 'Try a different search term' : 'Start saving words and phrases from your conversations!'}
+                {libraryUnavailable
+                  ? 'Run supabase-vocab-library-migration.sql to see words from all your chats'
+                  : searchQuery ? 'Try a different search term' : 'Start saving words and phrases from your conversations!'}
               </p>
             </div>
           ) : (
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               {filteredItems.map((item, index) => (
                 <motion.div
-                  key={item.id}
+                  key={getItemKey(item)}
                   initial={{ opacity: 0, y: 20 }}
                   animate={{ opacity: 1, y: 0 }}
                   transition={{ delay: index * 0.05 }}
@@ -259,9 +409,19 @@ export default function SavedVocab({ chatId, language, isOpen, onClose }) {
                           <p className="text-sm text-gray-600 dark:text-gray-400">
                             {item.translation}
                           </p>
+                          {(item.part_of_speech || item.gender) && (
+                            <p className="text-xs italic text-gray-500 dark:text-gray-400">
+                              {[item.part_of_speech, item.gender].filter(Boolean).join(', ')}
+                            </p>
+                          )}
+                          {item.forms?.length > 0 && (
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                              Seen as: {item.forms.join(', ')}
+                            </p>
+                          )}
                         </div>
                         <button
-                          onClick={() => handleToggleStar(item.id, item.starred)}
+                          onClick={() => handleToggleStar(item)}
                           className="p-1 hover:bg-yellow-500/20 rounded-lg transition-colors flex-shrink-0"
                         >
                           <Star
@@ -274,25 +434,55 @@ export default function SavedVocab({ chatId, language, isOpen, onClose }) {
                         </button>
                       </div>
 
-                      {item.context && (
+                      {isLibrary ? (
+                        <div className="space-y-1.5 mb-2">
+                          {item.occurrences.map(occurrence => (
+                            <div key={occurrence.id} className="text-xs text-gray-500 dark:text-gray-400">
+                              {occurrence.context && (
+                                <p className="line-clamp-2">&ldquo;{occurrence.context}&rdquo;</p>
+                              )}
+                              {occurrence.chatId ? (
+                                <a
+                                  href={`/dashboard?chat=${occurrence.chatId}`}
+                                  className="inline-flex items-center gap-1 text-green-600 dark:text-green-400 hover:underline"
+                                >
+                                  <MessageSquare className="w-3 h-3" />
+                                  {occurrence.chatTitle || 'Open chat'}
+                                </a>
+                              ) : (
+                                <span className="inline-flex items-center gap-1 italic">
+                                  <MessageSquare className="w-3 h-3" />
+                                  {occurrence.chatTitle ? `${occurrence.chatTitle} (deleted)` : 'Deleted chat'}
+                                </span>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      ) : item.context && (
                         <p className="text-xs text-gray-500 dark:text-gray-400 mb-2 line-clamp-2">
                           "{item.context}"
                         </p>
                       )}
 
+                      {sttSupported && (
+                        <SayItCheck item={item} language={isLibrary ? libraryLanguage : language} chatId={chatId} />
+                      )}
+
                       <div className="flex items-center justify-between">
                         <span className="text-xs text-gray-500 dark:text-gray-400">
                           {new Date(item.created_at).toLocaleDateString('en-US', {
                             month: 'short',
                             day: 'numeric',
                           })}
+                          {' · '}
+                          {formatDueDate(item.due_at)}
                         </span>
                         <button
-                          onClick={() => handleDelete(item.id)}
-                          disabled={deleting === item.id}
+                          onClick={() => handleDelete(item)}
+                          disabled={deleting === getItemKey(item)}
                           className="p-1.5 hover:bg-red-500/20 rounded-lg transition-colors text-red-600 dark:text-red-400 disabled:opacity-50"
                         >
-                          {deleting === item.id ? (
+                          {deleting === getItemKey(item) ? (
                             <Loader2 className="w-4 h-4 animate-spin" />
                           ) : (
                             <Trash2 className="w-4 h-4" />
@@ -307,6 +497,42 @@ export default function SavedVocab({ chatId, language, isOpen, onClose }) {
           )}
         </div>
       </motion.div>
+
+      {showReview && (
+        <div onClick={(e) => e.stopPropagation()}>
+          <VocabReview
+            chatId={chatId}
+            isOpen={showReview}
+            onClose={() => {
+              setShowReview(false);
+              loadVocab();
+            }}
+          />
+        </div>
+      )}
+
+      {showImport && (
+        <div onClick={(e) => e.stopPropagation()}>
+          <VocabImport
+            chatId={chatId}
+            language={language}
+            isOpen={showImport}
+            onClose={() => setShowImport(false)}
+            onImported={loadVocab}
+          />
+        </div>
+      )}
+
+      {showExport && (
+        <div onClick={(e) => e.stopPropagation()}>
+          <StudyExport
+            chatId={isLibrary ? null : chatId}
+            language={language}
+            isOpen={showExport}
+            onClose={() => setShowExport(false)}
+          />
+        </div>
+      )}
     </motion.div>
   );
 }
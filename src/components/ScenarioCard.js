@@ -0,0 +1,107 @@
+'use client';
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Drama, User, Bot, Loader2, MessageCircle } from 'lucide-react';
+
+export default function ScenarioCard({
+  scenario,
+  onComplete,
+  onStartScenario
+}) {
+  const [starting, setStarting] = useState(false);
+
+  const handleStart = async () => {
+    setStarting(true);
+    try {
+      await onStartScenario?.(scenario);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="p-4 sm:p-6 rounded-xl sm:rounded-2xl bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl border border-white/40 dark:border-gray-700/40 shadow-xl mx-2 sm:mx-0"
+    >
+      {/* Header */}
+      <div className="flex items-start gap-3 mb-4">
+        <div className="w-10 h-10 sm:w-12 sm:h-12 rounded-xl bg-gradient-to-br from-indigo-500 to-purple-600 flex items-center justify-center flex-shrink-0">
+          <Drama className="w-5 h-5 sm:w-6 sm:h-6 text-white" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="text-[10px] sm:text-xs font-semibold uppercase tracking-wide text-purple-600 dark:text-purple-400">
+            Role-play
+          </p>
+          <h3 className="text-base sm:text-xl font-bold text-gray-900 dark:text-white">
+            {scenario.title}
+          </h3>
+          {scenario.description && (
+            <p className="text-xs sm:text-sm text-gray-600 dark:text-gray-400 mt-1">
+              {scenario.description}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Roles */}
+      <div className="grid grid-cols-2 gap-2 sm:gap-3 mb-4">
+        <div className="p-3 rounded-lg sm:rounded-xl bg-purple-500/10 border border-purple-500/30">
+          <div className="flex items-center gap-1.5 text-[10px] sm:text-xs font-semibold text-purple-700 dark:text-purple-300 mb-1">
+            <User className="w-3.5 h-3.5" />
+            You
+          </div>
+          <p className="text-sm sm:text-base font-medium text-gray-900 dark:text-white">{scenario.yourRole}</p>
+        </div>
+        <div className="p-3 rounded-lg sm:rounded-xl bg-pink-500/10 border border-pink-500/30">
+          <div className="flex items-center gap-1.5 text-[10px] sm:text-xs font-semibold text-pink-700 dark:text-pink-300 mb-1">
+            <Bot className="w-3.5 h-3.5" />
+            Tutor
+          </div>
+          <p className="text-sm sm:text-base font-medium text-gray-900 dark:text-white">{scenario.aiRole}</p>
+        </div>
+      </div>
+
+      {scenario.context && (
+        <p className="text-xs sm:text-sm text-gray-700 dark:text-gray-300 mb-4 p-3 rounded-lg sm:rounded-xl bg-blue-500/10 border border-blue-500/30">
+          <strong>📍 Setting:</strong> {scenario.context}
+        </p>
+      )}
+
+      {/* Opening line */}
+      <div className="mb-4 sm:mb-6 p-3 sm:p-4 rounded-lg sm:rounded-xl bg-white/60 dark:bg-gray-900/40 border border-white/40 dark:border-gray-700/40">
+        <p className="text-[10px] sm:text-xs font-semibold text-gray-500 dark:text-gray-400 mb-1">
+          {scenario.aiRole} says:
+        </p>
+        <p className="text-sm sm:text-base text-gray-900 dark:text-white italic">
+          “{scenario.startingMessage}”
+        </p>
+      </div>
+
+      {/* Actions */}
+      <div className="flex gap-3">
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          onClick={onComplete}
+          disabled={starting}
+          className="px-4 sm:px-6 py-2.5 sm:py-3 bg-white/60 dark:bg-gray-700/60 text-gray-700 dark:text-gray-200 rounded-xl font-semibold border border-white/40 dark:border-gray-600/40 transition-all text-sm sm:text-base"
+        >
+          Skip
+        </motion.button>
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          onClick={handleStart}
+          disabled={starting}
+          className="flex-1 px-4 sm:px-6 py-2.5 sm:py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all text-sm sm:text-base flex items-center justify-center gap-2 disabled:opacity-60"
+        >
+          {starting ? <Loader2 className="w-4 h-4 animate-spin" /> : <MessageCircle className="w-4 h-4" />}
+          Start Role-play
+        </motion.button>
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,277 @@
+'use client';
+
+import { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { CheckCircle, XCircle, Timer, Zap, SkipForward } from 'lucide-react';
+
+// Compare answers ignoring case, punctuation and extra spaces
+const normalizeAnswer = (text) =>
+  (text || '')
+    .toLowerCase()
+    .replace(/[¡!¿?.,;:"']/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+export default function SpeedRound({
+  round,
+  onComplete,
+  onSpeedRoundComplete
+}) {
+  const timeLimit = round?.timeLimit || 60;
+  const challenges = round?.challenges || [];
+
+  const [started, setStarted] = useState(false);
+  const [finished, setFinished] = useState(false);
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [timeLeft, setTimeLeft] = useState(timeLimit);
+  const [answer, setAnswer] = useState('');
+  const [answers, setAnswers] = useState([]);
+  const [lastResult, setLastResult] = useState(null);
+  const inputRef = useRef(null);
+  const hasNotifiedCompletion = useRef(false);
+
+  // Countdown while the round is running
+  useEffect(() => {
+    if (!started || finished) return;
+
+    const interval = setInterval(() => {
+      setTimeLeft((prev) => {
+        if (prev <= 1) {
+          setFinished(true);
+          return 0;
+        }
+        return prev - 1;
+      });
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [started, finished]);
+
+  useEffect(() => {
+    if (started && !finished) {
+      inputRef.current?.focus();
+    }
+  }, [started, finished, currentIndex]);
+
+  // Notify parent once when the round ends (all answered or time up)
+  useEffect(() => {
+    if (!finished || hasNotifiedCompletion.current || !onSpeedRoundComplete) return;
+    hasNotifiedCompletion.current = true;
+
+    const score = answers.filter(item => item.isCorrect).length;
+    const percentage = challenges.length > 0 ? Math.round((score / challenges.length) * 100) : 0;
+    const timeUsed = timeLimit - timeLeft;
+    const summary = `⚡ Speed Round Completed!\n\nScore: ${score}/${challenges.length} (${percentage}%)\nTime: ${timeUsed}s of ${timeLimit}s`;
+
+    onSpeedRoundComplete(summary, {
+      score,
+      totalQuestions: challenges.length,
+      percentage,
+      timeLimit,
+      timeUsed,
+      answers,
+    });
+  }, [finished, answers, challenges.length, timeLimit, timeLeft, onSpeedRoundComplete]);
+
+  const recordAnswer = (given) => {
+    const challenge = challenges[currentIndex];
+    const isCorrect = given.trim().length > 0 &&
+      [challenge.answer, ...(challenge.alternatives || [])].some(alt => normalizeAnswer(alt) === normalizeAnswer(given));
+
+    setAnswers([...answers, { prompt: challenge.prompt, given: given.trim(), answer: challenge.answer, isCorrect }]);
+    setLastResult({ isCorrect, answer: challenge.answer });
+    setAnswer('');
+
+    if (currentIndex === challenges.length - 1) {
+      setFinished(true);
+    } else {
+      setCurrentIndex(currentIndex + 1);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!answer.trim()) return;
+    recordAnswer(answer);
+  };
+
+  if (!started) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="p-4 sm:p-6 rounded-xl sm:rounded-2xl bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl border border-white/40 dark:border-gray-700/40 shadow-xl mx-2 sm:mx-0 text-center"
+      >
+        <div className="w-16 h-16 sm:w-20 sm:h-20 mx-auto mb-3 sm:mb-4 rounded-full bg-gradient-to-br from-yellow-400 to-orange-500 flex items-center justify-center">
+          <Zap className="w-8 h-8 sm:w-10 sm:h-10 text-white" />
+        </div>
+        <h3 className="text-xl sm:text-2xl font-bold text-gray-900 dark:text-white mb-2">
+          Speed Round
+        </h3>
+        <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400 mb-4 sm:mb-6">
+          {challenges.length} quick translations in {timeLimit} seconds. Ready?
+        </p>
+        <div className="flex gap-3">
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={onComplete}
+            className="px-4 sm:px-6 py-2.5 sm:py-3 bg-white/60 dark:bg-gray-700/60 text-gray-700 dark:text-gray-200 rounded-xl font-semibold border border-white/40 dark:border-gray-600/40 transition-all text-sm sm:text-base"
+          >
+            Later
+          </motion.button>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={() => setStarted(true)}
+            className="flex-1 px-4 sm:px-6 py-2.5 sm:py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all text-sm sm:text-base"
+          >
+            Start!
+          </motion.button>
+        </div>
+      </motion.div>
+    );
+  }
+
+  if (finished) {
+    const score = answers.filter(item => item.isCorrect).length;
+
+    return (
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="p-4 sm:p-6 rounded-xl sm:rounded-2xl bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl border border-white/40 dark:border-gray-700/40 shadow-xl mx-2 sm:mx-0"
+      >
+        <div className="text-center">
+          <h3 className="text-xl sm:text-2xl font-bold text-gray-900 dark:text-white mb-2">
+            {timeLeft === 0 ? '⏰ Time\'s up!' : '⚡ Round complete!'}
+          </h3>
+          <p className="text-3xl sm:text-4xl font-bold bg-gradient-to-r from-purple-600 to-pink-600 bg-clip-text text-transparent mb-3 sm:mb-4">
+            {score} / {challenges.length}
+          </p>
+          <p className="text-sm sm:text-base text-gray-600 dark:text-gray-400 mb-4 sm:mb-6">
+            Finished in {timeLimit - timeLeft}s
+          </p>
+
+          {/* Detailed Results */}
+          <div className="space-y-2 mb-4 sm:mb-6 max-h-48 sm:max-h-60 overflow-y-auto">
+            {answers.map((item, index) => (
+              <div
+                key={index}
+                className={`p-2 sm:p-3 rounded-lg text-left ${
+                  item.isCorrect
+                    ? 'bg-green-500/10 border border-green-500/30'
+                    : 'bg-red-500/10 border border-red-500/30'
+                }`}
+              >
+                <div className="flex items-start gap-2">
+                  {item.isCorrect ? (
+                    <CheckCircle className="w-4 h-4 sm:w-5 sm:h-5 text-green-600 dark:text-green-400 mt-0.5 flex-shrink-0" />
+                  ) : (
+                    <XCircle className="w-4 h-4 sm:w-5 sm:h-5 text-red-600 dark:text-red-400 mt-0.5 flex-shrink-0" />
+                  )}
+                  <div className="flex-1 min-w-0">
+                    <p className="text-xs sm:text-sm font-medium text-gray-900 dark:text-white">
+                      {item.prompt}
+                    </p>
+                    {!item.isCorrect && (
+                      <p className="text-[10px] sm:text-xs text-gray-600 dark:text-gray-400 mt-1">
+                        {item.given ? `You said "${item.given}" · ` : ''}Answer: {item.answer}
+                      </p>
+                    )}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={onComplete}
+            className="w-full px-4 sm:px-6 py-2.5 sm:py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold hover:shadow-lg transition-all text-sm sm:text-base"
+          >
+            Continue Learning
+          </motion.button>
+        </div>
+      </motion.div>
+    );
+  }
+
+  const challenge = challenges[currentIndex];
+  const score = answers.filter(item => item.isCorrect).length;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      className="p-4 sm:p-6 rounded-xl sm:rounded-2xl bg-white/80 dark:bg-gray-800/80 backdrop-blur-xl border border-white/40 dark:border-gray-700/40 shadow-xl mx-2 sm:mx-0"
+    >
+      {/* Timer */}
+      <div className="mb-4 sm:mb-6">
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-xs sm:text-sm font-semibold text-gray-700 dark:text-gray-300">
+            {currentIndex + 1} of {challenges.length} · Score: {score}
+          </span>
+          <span className={`text-xs sm:text-sm font-semibold flex items-center gap-1 ${timeLeft <= 10 ? 'text-red-600 dark:text-red-400' : 'text-purple-600 dark:text-purple-400'}`}>
+            <Timer className="w-4 h-4" />
+            {timeLeft}s
+          </span>
+        </div>
+        <div className="h-1.5 sm:h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+          <motion.div
+            animate={{ width: `${(timeLeft / timeLimit) * 100}%` }}
+            transition={{ ease: 'linear', duration: 1 }}
+            className={`h-full ${timeLeft <= 10 ? 'bg-red-500' : 'bg-gradient-to-r from-purple-600 to-pink-600'}`}
+          />
+        </div>
+      </div>
+
+      {/* Prompt */}
+      <motion.h3
+        key={currentIndex}
+        initial={{ opacity: 0, x: 20 }}
+        animate={{ opacity: 1, x: 0 }}
+        className="text-lg sm:text-2xl font-bold text-gray-900 dark:text-white mb-4 text-center"
+      >
+        {challenge.prompt}
+      </motion.h3>
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          ref={inputRef}
+          type="text"
+          value={answer}
+          onChange={(e) => setAnswer(e.target.value)}
+          placeholder="Type your answer..."
+          autoComplete="off"
+          className="flex-1 px-4 py-2.5 sm:py-3 rounded-xl bg-white/70 dark:bg-gray-900/50 border-2 border-white/40 dark:border-gray-700/40 focus:border-purple-400 outline-none text-sm sm:text-base text-gray-900 dark:text-white"
+        />
+        <motion.button
+          type="button"
+          whileTap={{ scale: 0.95 }}
+          onClick={() => recordAnswer('')}
+          title="Skip"
+          className="px-3 rounded-xl bg-white/60 dark:bg-gray-700/60 border border-white/40 dark:border-gray-600/40 text-gray-600 dark:text-gray-300"
+        >
+          <SkipForward className="w-4 h-4" />
+        </motion.button>
+        <motion.button
+          type="submit"
+          whileTap={{ scale: 0.95 }}
+          disabled={!answer.trim()}
+          className="px-4 sm:px-6 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-semibold text-sm sm:text-base disabled:opacity-50"
+        >
+          Go
+        </motion.button>
+      </form>
+
+      {/* Feedback on the previous answer */}
+      {lastResult && (
+        <p className={`mt-3 text-xs sm:text-sm font-medium ${lastResult.isCorrect ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+          {lastResult.isCorrect ? '✓ Correct!' : `✗ It was "${lastResult.answer}"`}
+        </p>
+      )}
+    </motion.div>
+  );
+}
@@ -0,0 +1,217 @@
+'use client';
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '@/lib/supabase';
+import { EXPORT_FORMATS, VOCAB_ONLY_FORMATS } from '@/lib/study-export';
+import {
+  FileDown,
+  Layers,
+  Braces,
+  FileText,
+  Printer,
+  Sheet,
+  TriangleAlert,
+  Loader2,
+  X,
+} from 'lucide-react';
+
+const FORMAT_OPTIONS = [
+  { id: 'apkg', icon: Layers, description: 'Flashcards with front, back and context' },
+  { id: 'print', icon: Printer, description: 'Study sheet to print or save as PDF' },
+  { id: 'markdown', icon: FileText, description: 'Study sheet for notes apps' },
+  { id: 'json', icon: Braces, description: 'Everything, for backups and other tools' },
+  { id: 'csv', icon: Sheet, description: 'Vocabulary spreadsheet' },
+];
+
+const SECTION_OPTIONS = [
+  { id: 'vocabulary', label: 'Vocabulary' },
+  { id: 'grammar', label: 'Grammar notes' },
+  { id: 'notes', label: 'My notes' },
+];
+
+const optionClassName = (selected) => `p-3 rounded-xl border text-left transition-all ${
+  selected
+    ? 'border-green-500 bg-green-500/10 shadow-md'
+    : 'border-white/40 dark:border-gray-600/40 bg-white/60 dark:bg-gray-700/60 hover:bg-white/80 dark:hover:bg-gray-700/80'
+}`;
+
+export default function StudyExport({ chatId, language, isOpen, onClose }) {
+  const [scope, setScope] = useState(chatId ? 'chat' : 'all');
+  const [format, setFormat] = useState('apkg');
+  const [sections, setSections] = useState(['vocabulary', 'grammar', 'notes']);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const vocabOnly = VOCAB_ONLY_FORMATS.includes(format);
+
+  const toggleSection = (section) => {
+    setSections(sections.includes(section)
+      ? sections.filter(item => item !== section)
+      : [...sections, section]);
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+
+    // Open the print tab now - browsers block popups opened after an await
+    const printWindow = format === 'print' ? window.open('', '_blank') : null;
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const response = await fetch('/api/export', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token}`,
+        },
+        body: JSON.stringify({ scope, chatId, format, sections }),
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Failed to export');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+
+      if (printWindow) {
+        printWindow.location.href = url;
+      } else {
+        const disposition = response.headers.get('content-disposition') || '';
+        const match = disposition.match(/filename\*=UTF-8''([^;]+)/);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = match ? decodeURIComponent(match[1]) : `lingozo_export.${EXPORT_FORMATS[format].extension}`;
+        a.click();
+      }
+
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      console.error('Error exporting:', err);
+      printWindow?.close();
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/60 backdrop-blur-md z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.9, opacity: 0, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white/90 dark:bg-gray-800/90 backdrop-blur-2xl rounded-3xl w-full max-w-xl max-h-[90vh] flex flex-col shadow-2xl border border-white/20 dark:border-gray-700/20"
+      >
+        {/* Header */}
+        <div className="p-6 border-b border-white/20 dark:border-gray-700/30 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-green-500 to-emerald-500 flex items-center justify-center">
+              <FileDown className="w-6 h-6 text-white" />
+            </div>
+            <div>
+              <h2 className="text-2xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+                Export
+              </h2>
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {scope === 'chat' ? `Your ${language} chat` : 'All your chats'}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-xl transition-colors"
+          >
+            <X className="w-6 h-6 text-gray-600 dark:text-gray-400" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-5">
+          {error && (
+            <div className="p-3 rounded-xl bg-red-500/10 border border-red-500/30 text-sm text-red-700 dark:text-red-300 flex items-start gap-2">
+              <TriangleAlert className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {/* Scope */}
+          {chatId && (
+            <div className="grid grid-cols-2 gap-2">
+              <button onClick={() => setScope('chat')} className={optionClassName(scope === 'chat')}>
+                <p className="font-semibold text-sm text-gray-900 dark:text-white">This chat</p>
+              </button>
+              <button onClick={() => setScope('all')} className={optionClassName(scope === 'all')}>
+                <p className="font-semibold text-sm text-gray-900 dark:text-white">All chats</p>
+              </button>
+            </div>
+          )}
+
+          {/* Format */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Format</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {FORMAT_OPTIONS.map(({ id, icon: Icon, description }) => (
+                <button key={id} onClick={() => setFormat(id)} className={optionClassName(format === id)}>
+                  <div className="flex items-center gap-2 mb-0.5">
+                    <Icon className="w-4 h-4 text-green-600" />
+                    <span className="font-semibold text-sm text-gray-900 dark:text-white">{EXPORT_FORMATS[id].label}</span>
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">{description}</p>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Sections */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Include</h3>
+            <div className="flex flex-wrap gap-4">
+              {SECTION_OPTIONS.map(({ id, label }) => (
+                <label key={id} className={`flex items-center gap-2 text-sm ${vocabOnly && id !== 'vocabulary' ? 'opacity-50' : 'cursor-pointer'} text-gray-700 dark:text-gray-300`}>
+                  <input
+                    type="checkbox"
+                    checked={vocabOnly ? id === 'vocabulary' : sections.includes(id)}
+                    onChange={() => toggleSection(id)}
+                    disabled={vocabOnly}
+                    className="accent-green-600"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            {vocabOnly && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                {EXPORT_FORMATS[format].label} exports contain vocabulary only.
+              </p>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="p-6 border-t border-white/20 dark:border-gray-700/30">
+          <button
+            onClick={handleExport}
+            disabled={exporting || (!vocabOnly && sections.length === 0)}
+            className="w-full px-4 py-2.5 rounded-xl font-semibold text-sm bg-gradient-to-r from-green-600 to-emerald-600 text-white shadow-md transition-all flex items-center justify-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <FileDown className="w-4 h-4" />}
+            {format === 'print' ? 'Open Study Sheet' : 'Download'}
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,398 @@
+'use client';
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '@/lib/supabase';
+import { parseVocabFile, guessColumnMapping, buildImportPreview } from '@/lib/vocab-import';
+import {
+  Upload,
+  FileUp,
+  ArrowLeft,
+  TriangleAlert,
+  CheckCircle,
+  Loader2,
+  X,
+} from 'lucide-react';
+
+const STATUS_LABELS = {
+  new: { label: 'New', className: 'bg-green-500/15 text-green-700 dark:text-green-300' },
+  conflict: { label: 'Conflicts', className: 'bg-orange-500/15 text-orange-700 dark:text-orange-300' },
+  duplicate: { label: 'Already saved', className: 'bg-gray-500/15 text-gray-700 dark:text-gray-300' },
+  repeat: { label: 'Repeated in file', className: 'bg-gray-500/15 text-gray-700 dark:text-gray-300' },
+  invalid: { label: 'Missing word or translation', className: 'bg-red-500/15 text-red-700 dark:text-red-300' },
+};
+
+const selectClassName = 'w-full px-3 py-2 bg-white/60 dark:bg-gray-700/60 border border-white/40 dark:border-gray-600/40 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500/50 text-gray-900 dark:text-gray-100 text-sm';
+
+export default function VocabImport({ chatId, language, isOpen, onClose, onImported }) {
+  const [step, setStep] = useState('pick'); // pick, map, preview, done
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [preview, setPreview] = useState([]);
+  const [overwrite, setOverwrite] = useState({});
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const reset = () => {
+    setStep('pick');
+    setFileName('');
+    setParsed(null);
+    setMapping(null);
+    setPreview([]);
+    setOverwrite({});
+    setError(null);
+    setResult(null);
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setWorking(true);
+    setError(null);
+    setFileName(file.name);
+
+    try {
+      let data;
+
+      if (file.name.toLowerCase().endsWith('.apkg')) {
+        // Anki decks are SQLite inside a zip - read on the server
+        const { data: { session } } = await supabase.auth.getSession();
+        const formData = new FormData();
+        formData.append('file', file);
+
+        const response = await fetch('/api/vocab/import/anki', {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${session?.access_token}` },
+          body: formData,
+        });
+        data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to read Anki deck');
+      } else {
+        data = parseVocabFile(await file.text(), file.name);
+      }
+
+      const columnCount = Math.max(0, ...data.rows.map(row => row.length));
+      if (data.rows.length === 0 || columnCount < 2) {
+        throw new Error('No rows with at least two columns were found in this file');
+      }
+
+      setParsed({ ...data, columnCount });
+      setMapping(guessColumnMapping(data.headers, columnCount));
+      setStep('map');
+    } catch (err) {
+      console.error('Error reading import file:', err);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const columnName = (index) => parsed.headers?.[index] || `Column ${index + 1}`;
+
+  const handlePreview = async () => {
+    setWorking(true);
+    setError(null);
+
+    try {
+      const { data, error: loadError } = await supabase
+        .from('saved_vocabulary')
+        .select('word, translation, forms')
+        .eq('chat_id', chatId);
+
+      if (loadError) throw loadError;
+
+      setPreview(buildImportPreview(parsed.rows, mapping, data || []));
+      setOverwrite({});
+      setStep('preview');
+    } catch (err) {
+      console.error('Error checking existing vocabulary:', err);
+      setError('Failed to check your saved vocabulary');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const counts = preview.reduce((acc, item) => {
+    acc[item.status] = (acc[item.status] || 0) + 1;
+    return acc;
+  }, {});
+  const conflicts = preview.filter(item => item.status === 'conflict');
+  const newItems = preview.filter(item => item.status === 'new');
+  const overwriteCount = conflicts.filter(item => overwrite[item.index]).length;
+
+  const handleImport = async () => {
+    setWorking(true);
+    setError(null);
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const items = [
+        ...newItems,
+        ...conflicts.filter(item => overwrite[item.index]).map(item => ({ ...item, overwrite: true })),
+      ].map(({ word, translation, context, overwrite: replace }) => ({ word, translation, context, overwrite: !!replace }));
+
+      const response = await fetch('/api/vocab/import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${session?.access_token}`,
+        },
+        body: JSON.stringify({ chatId, items }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to import vocabulary');
+
+      setResult(data);
+      setStep('done');
+      onImported?.();
+    } catch (err) {
+      console.error('Error importing vocabulary:', err);
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/60 backdrop-blur-md z-50 flex items-center justify-center p-4"
+      onClick={handleClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.9, opacity: 0, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white/90 dark:bg-gray-800/90 backdrop-blur-2xl rounded-3xl w-full max-w-2xl max-h-[90vh] flex flex-col shadow-2xl border border-white/20 dark:border-gray-700/20"
+      >
+        {/* Header */}
+        <div className="p-6 border-b border-white/20 dark:border-gray-700/30 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-green-500 to-emerald-500 flex items-center justify-center">
+              <Upload className="w-6 h-6 text-white" />
+            </div>
+            <div>
+              <h2 className="text-2xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+                Import Vocabulary
+              </h2>
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {fileName || `Into your ${language} words`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={handleClose}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-xl transition-colors"
+          >
+            <X className="w-6 h-6 text-gray-600 dark:text-gray-400" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {error && (
+            <div className="mb-4 p-3 rounded-xl bg-red-500/10 border border-red-500/30 text-sm text-red-700 dark:text-red-300 flex items-start gap-2">
+              <TriangleAlert className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          {/* Step 1: choose a file */}
+          {step === 'pick' && (
+            <label className="block border-2 border-dashed border-green-500/40 rounded-2xl p-10 text-center cursor-pointer hover:bg-green-500/5 transition-colors">
+              {working ? (
+                <Loader2 className="w-10 h-10 text-green-600 animate-spin mx-auto mb-3" />
+              ) : (
+                <FileUp className="w-10 h-10 text-green-600 mx-auto mb-3" />
+              )}
+              <p className="font-semibold text-gray-900 dark:text-white mb-1">
+                {working ? 'Reading file...' : 'Choose a file to import'}
+              </p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                CSV, TSV, Anki plain-text export (.txt) or Anki deck (.apkg)
+              </p>
+              <input
+                type="file"
+                accept=".csv,.tsv,.txt,.apkg"
+                onChange={handleFile}
+                disabled={working}
+                className="hidden"
+              />
+            </label>
+          )}
+
+          {/* Step 2: map columns */}
+          {step === 'map' && parsed && (
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                {[
+                  { key: 'word', label: `Word (${language})` },
+                  { key: 'translation', label: 'Translation' },
+                  { key: 'context', label: 'Context (optional)' },
+                ].map(({ key, label }) => (
+                  <div key={key}>
+                    <label className="block text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">
+                      {label}
+                    </label>
+                    <select
+                      value={mapping[key] ?? ''}
+                      onChange={(e) => setMapping({ ...mapping, [key]: e.target.value === '' ? null : Number(e.target.value) })}
+                      className={selectClassName}
+                    >
+                      {key === 'context' && <option value="">None</option>}
+                      {Array.from({ length: parsed.columnCount }, (_, index) => (
+                        <option key={index} value={index}>{columnName(index)}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+
+              {/* Sample rows with the current mapping */}
+              <div className="rounded-xl border border-white/40 dark:border-gray-700/40 overflow-hidden">
+                <table className="w-full text-sm">
+                  <thead className="bg-white/60 dark:bg-gray-700/60 text-gray-700 dark:text-gray-300">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-semibold">Word</th>
+                      <th className="px-3 py-2 text-left font-semibold">Translation</th>
+                      <th className="px-3 py-2 text-left font-semibold">Context</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-gray-900 dark:text-gray-100">
+                    {parsed.rows.slice(0, 5).map((row, index) => (
+                      <tr key={index} className="border-t border-white/40 dark:border-gray-700/40">
+                        <td className="px-3 py-2">{row[mapping.word]}</td>
+                        <td className="px-3 py-2">{row[mapping.translation]}</td>
+                        <td className="px-3 py-2 text-gray-500 dark:text-gray-400">{mapping.context !== null ? row[mapping.context] : ''}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {parsed.rows.length} rows found
+              </p>
+            </div>
+          )}
+
+          {/* Step 3: preview conflicts before saving */}
+          {step === 'preview' && (
+            <div className="space-y-4">
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(STATUS_LABELS).map(([status, { label, className }]) => counts[status] ? (
+                  <span key={status} className={`px-3 py-1 rounded-full text-xs font-semibold ${className}`}>
+                    {label}: {counts[status]}
+                  </span>
+                ) : null)}
+              </div>
+
+              {conflicts.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">
+                    Already saved with a different translation
+                  </h3>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                    Tick the words whose saved translation should be replaced. The rest are kept as they are.
+                  </p>
+                  <div className="space-y-2">
+                    {conflicts.map(item => (
+                      <label
+                        key={item.index}
+                        className="flex items-start gap-3 p-3 rounded-xl bg-orange-500/5 border border-orange-500/30 cursor-pointer"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={!!overwrite[item.index]}
+                          onChange={(e) => setOverwrite({ ...overwrite, [item.index]: e.target.checked })}
+                          className="mt-1 accent-green-600"
+                        />
+                        <div className="flex-1 min-w-0 text-sm">
+                          <p className="font-semibold text-gray-900 dark:text-white">{item.word}</p>
+                          <p className="text-gray-600 dark:text-gray-400">
+                            Saved: {item.existingTranslation} → Import: {item.translation}
+                          </p>
+                        </div>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {newItems.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">
+                    New words
+                  </h3>
+                  <div className="flex flex-wrap gap-2">
+                    {newItems.slice(0, 30).map(item => (
+                      <span key={item.index} className="px-2.5 py-1 rounded-lg bg-white/60 dark:bg-gray-700/60 text-xs text-gray-800 dark:text-gray-200">
+                        {item.word} · {item.translation}
+                      </span>
+                    ))}
+                    {newItems.length > 30 && (
+                      <span className="px-2.5 py-1 text-xs text-gray-500 dark:text-gray-400">
+                        +{newItems.length - 30} more
+                      </span>
+                    )}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Step 4: result */}
+          {step === 'done' && result && (
+            <div className="text-center py-8">
+              <CheckCircle className="w-16 h-16 text-green-500 mx-auto mb-4" />
+              <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+                Import complete
+              </h3>
+              <p className="text-gray-500 dark:text-gray-400">
+                {result.inserted} added · {result.updated} updated · {result.skipped} skipped
+              </p>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        {step !== 'pick' && (
+          <div className="p-6 border-t border-white/20 dark:border-gray-700/30 flex gap-3">
+            {step !== 'done' && (
+              <button
+                onClick={() => setStep(step === 'preview' ? 'map' : 'pick')}
+                disabled={working}
+                className="px-4 py-2.5 rounded-xl font-semibold text-sm bg-white/60 dark:bg-gray-700/60 text-gray-700 dark:text-gray-300 hover:bg-white/80 dark:hover:bg-gray-700/80 transition-all flex items-center gap-1.5"
+              >
+                <ArrowLeft className="w-4 h-4" />
+                Back
+              </button>
+            )}
+            <button
+              onClick={step === 'map' ? handlePreview : step === 'preview' ? handleImport : handleClose}
+              disabled={working || (step === 'map' && mapping.word === mapping.translation) || (step === 'preview' && newItems.length + overwriteCount === 0)}
+              className="flex-1 px-4 py-2.5 rounded-xl font-semibold text-sm bg-gradient-to-r from-green-600 to-emerald-600 text-white shadow-md transition-all flex items-center justify-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {working && <Loader2 className="w-4 h-4 animate-spin" />}
+              {step === 'map' && 'Preview Import'}
+              {step === 'preview' && `Import ${newItems.length + overwriteCount} words`}
+              {step === 'done' && 'Done'}
+            </button>
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+}
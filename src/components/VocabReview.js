@@ -0,0 +1,257 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '@/lib/supabase';
+import { REVIEW_GRADES, scheduleReview, gradeTypedAnswer, getEndOfToday } from '@/lib/spaced-repetition';
+import { Brain, X, Loader2, CheckCircle, Eye, PartyPopper } from 'lucide-react';
+
+const GRADE_STYLES = {
+  again: 'bg-red-500/15 border-red-500/40 text-red-700 dark:text-red-300',
+  hard: 'bg-orange-500/15 border-orange-500/40 text-orange-700 dark:text-orange-300',
+  good: 'bg-green-500/15 border-green-500/40 text-green-700 dark:text-green-300',
+  easy: 'bg-blue-500/15 border-blue-500/40 text-blue-700 dark:text-blue-300',
+};
+
+// Alternate card direction as a word progresses: recognise it first, then recall it
+const getCardType = (card) => ((card.repetitions || 0) % 2 === 0 ? 'recognition' : 'recall');
+
+export default function VocabReview({ chatId, isOpen, onClose, onReviewed }) {
+  const [queue, setQueue] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revealed, setRevealed] = useState(false);
+  const [typedAnswer, setTypedAnswer] = useState('');
+  const [suggestedGrade, setSuggestedGrade] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+
+  // Load the cards due today when the session opens (one chat, or every word the user saved)
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const loadDueCards = async () => {
+      try {
+        setLoading(true);
+        setReviewedCount(0);
+        resetCard();
+
+        let query = supabase
+          .from('saved_vocabulary')
+          .select('*')
+          .lte('due_at', getEndOfToday().toISOString())
+          .order('due_at', { ascending: true })
+          .limit(50);
+
+        if (chatId) {
+          query = query.eq('chat_id', chatId);
+        } else {
+          // Includes words kept from deleted chats
+          const { data: { user } } = await supabase.auth.getUser();
+          if (!user) return;
+          query = query.eq('user_id', user.id);
+        }
+
+        const { data, error } = await query;
+
+        if (error) throw error;
+        setQueue(data || []);
+      } catch (error) {
+        console.error('Error loading due vocabulary:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDueCards();
+  }, [isOpen, chatId]);
+
+  const resetCard = () => {
+    setRevealed(false);
+    setTypedAnswer('');
+    setSuggestedGrade(null);
+  };
+
+  const card = queue[0];
+  const cardType = card ? getCardType(card) : null;
+
+  const handleCheckAnswer = (e) => {
+    e.preventDefault();
+    setSuggestedGrade(gradeTypedAnswer(typedAnswer, card.word));
+    setRevealed(true);
+  };
+
+  const handleGrade = async (grade) => {
+    if (!card || saving) return;
+
+    try {
+      setSaving(true);
+      const updates = scheduleReview(card, grade);
+
+      const { error } = await supabase
+        .from('saved_vocabulary')
+        .update(updates)
+        .eq('id', card.id);
+
+      if (error) throw error;
+
+      // Failed cards go to the back of the queue for another try this session
+      setQueue(grade === 'again' ? [...queue.slice(1), { ...card, ...updates }] : queue.slice(1));
+      setReviewedCount(reviewedCount + 1);
+      resetCard();
+      onReviewed?.();
+    } catch (error) {
+      console.error('Error saving review:', error);
+      alert('Failed to save review');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/60 backdrop-blur-md z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.9, opacity: 0, y: 20 }}
+        onClick={(e) => e.stopPropagation()}
+        className="bg-white/90 dark:bg-gray-800/90 backdrop-blur-2xl rounded-3xl w-full max-w-lg max-h-[90vh] flex flex-col shadow-2xl border border-white/20 dark:border-gray-700/20"
+      >
+        {/* Header */}
+        <div className="p-6 border-b border-white/20 dark:border-gray-700/30 flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-2xl bg-gradient-to-br from-green-500 to-emerald-500 flex items-center justify-center">
+              <Brain className="w-6 h-6 text-white" />
+            </div>
+            <div>
+              <h2 className="text-2xl font-bold bg-gradient-to-r from-green-600 to-emerald-600 bg-clip-text text-transparent">
+                Review
+              </h2>
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {loading ? 'Loading...' : `${queue.length} left · ${reviewedCount} reviewed`}
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-xl transition-colors"
+          >
+            <X className="w-6 h-6 text-gray-600 dark:text-gray-400" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {loading ? (
+            <div className="flex items-center justify-center py-12">
+              <Loader2 className="w-8 h-8 text-green-600 animate-spin" />
+            </div>
+          ) : !card ? (
+            <div className="text-center py-12">
+              <PartyPopper className="w-16 h-16 text-green-500 mx-auto mb-4" />
+              <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+                All caught up!
+              </h3>
+              <p className="text-gray-500 dark:text-gray-400">
+                {reviewedCount > 0
+                  ? `You reviewed ${reviewedCount} card${reviewedCount === 1 ? '' : 's'}. Come back tomorrow for more.`
+                  : 'No words are due for review today.'}
+              </p>
+            </div>
+          ) : (
+            <motion.div
+              key={`${card.id}-${card.last_reviewed_at || ''}`}
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+            >
+              <p className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2 text-center">
+                {cardType === 'recognition' ? 'What does this mean?' : 'How do you say this?'}
+              </p>
+
+              {/* Prompt */}
+              <div className="p-6 rounded-2xl bg-white/60 dark:bg-gray-900/40 border border-white/40 dark:border-gray-700/40 text-center mb-4">
+                <h3 className="text-2xl sm:text-3xl font-bold text-gray-900 dark:text-white">
+                  {cardType === 'recognition' ? card.word : card.translation}
+                </h3>
+                {cardType === 'recognition' && card.context && (
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-2 line-clamp-2">
+                    &ldquo;{card.context}&rdquo;
+                  </p>
+                )}
+              </div>
+
+              {/* Recall cards are answered by typing */}
+              {cardType === 'recall' && !revealed && (
+                <form onSubmit={handleCheckAnswer} className="flex gap-2 mb-4">
+                  <input
+                    type="text"
+                    value={typedAnswer}
+                    onChange={(e) => setTypedAnswer(e.target.value)}
+                    placeholder="Type the word..."
+                    autoFocus
+                    autoComplete="off"
+                    className="flex-1 px-4 py-2.5 bg-white/60 dark:bg-gray-700/60 border border-white/40 dark:border-gray-600/40 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500/50 text-gray-900 dark:text-gray-100 placeholder:text-gray-500"
+                  />
+                  <button
+                    type="submit"
+                    className="px-4 py-2.5 rounded-xl font-semibold text-sm bg-gradient-to-r from-green-600 to-emerald-600 text-white shadow-md flex items-center gap-1.5"
+                  >
+                    <CheckCircle className="w-4 h-4" />
+                    Check
+                  </button>
+                </form>
+              )}
+
+              {cardType === 'recognition' && !revealed && (
+                <button
+                  onClick={() => setRevealed(true)}
+                  className="w-full px-4 py-3 rounded-xl font-semibold text-sm bg-gradient-to-r from-green-600 to-emerald-600 text-white shadow-md flex items-center justify-center gap-1.5 mb-4"
+                >
+                  <Eye className="w-4 h-4" />
+                  Show Answer
+                </button>
+              )}
+
+              {/* Answer and grading */}
+              {revealed && (
+                <>
+                  <div className="p-4 rounded-2xl bg-green-500/10 border border-green-500/30 text-center mb-4">
+                    <p className="text-lg font-semibold text-gray-900 dark:text-white">
+                      {cardType === 'recognition' ? card.translation : card.word}
+                    </p>
+                    {cardType === 'recall' && (
+                      <p className={`text-sm mt-1 ${suggestedGrade === 'again' ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                        {typedAnswer.trim() ? `You typed "${typedAnswer.trim()}"` : 'No answer'}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-4 gap-2">
+                    {Object.entries(REVIEW_GRADES).map(([grade, { label }]) => (
+                      <button
+                        key={grade}
+                        onClick={() => handleGrade(grade)}
+                        disabled={saving}
+                        className={`px-2 py-2.5 rounded-xl border-2 font-semibold text-sm transition-all disabled:opacity-50 ${GRADE_STYLES[grade]} ${
+                          suggestedGrade === grade ? 'ring-2 ring-offset-2 ring-green-500 dark:ring-offset-gray-800' : ''
+                        }`}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
+            </motion.div>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,331 @@
+'use client';
+
+import { useState, useRef, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { supabase } from '@/lib/supabase';
+import { startListening, isSpeechRecognitionSupported, speakText, stopSpeaking } from '@/lib/audio-utils';
+import { startVoiceActivityDetection, VAD_DEFAULTS } from '@/lib/voice-activity';
+import { stripMarkdown } from '@/lib/pronunciation';
+import { Mic, PhoneOff, Loader2, Volume2, AudioLines } from 'lucide-react';
+
+// While the tutor speaks, talking must be this much louder to interrupt
+// (what's left of the tutor's voice after echo cancellation shouldn't)
+const BARGE_IN_FACTOR = 2.5;
+
+// Pause before listening again after a turn ended without speech
+const RELISTEN_DELAY_MS = 300;
+
+const STATUS_LABELS = {
+  starting: 'Starting microphone...',
+  listening: 'Listening - go ahead and speak',
+  hearing: 'Hearing you...',
+  thinking: 'Tutor is thinking...',
+  speaking: 'Tutor is speaking - talk to interrupt',
+  off: 'Voice mode paused',
+};
+
+const getAccessToken = async () => (await supabase.auth.getSession()).data.session?.access_token;
+
+/**
+ * Hands-free conversation: listens for a turn (voice activity detection
+ * decides when it ends), sends the transcript with onSend(text), speaks the
+ * reply and listens again. Talking over the tutor interrupts the reply.
+ * onSend resolves to the saved messages, or null if sending failed.
+ */
+export default function VoiceConversation({ language, speechRate, onSend, onClose }) {
+  const [status, setStatus] = useState('starting');
+  const [turns, setTurns] = useState([]);
+  const [interim, setInterim] = useState('');
+  const [level, setLevel] = useState(0);
+  const [error, setError] = useState(null);
+
+  const statusRef = useRef('starting');
+  const activeRef = useRef(false);
+  const turnRef = useRef(0);
+  const heardSpeechRef = useRef(false);
+  const listenerRef = useRef(null);
+  const vadRef = useRef(null);
+  const streamRef = useRef(null);
+  // Cancels the reply being fetched or spoken when the user barges in or pauses
+  const speechAbortRef = useRef(null);
+  const onSendRef = useRef(onSend);
+  const actionsRef = useRef({});
+  const transcriptEndRef = useRef(null);
+
+  useEffect(() => {
+    onSendRef.current = onSend;
+  }, [onSend]);
+
+  const updateStatus = (next) => {
+    statusRef.current = next;
+    setStatus(next);
+  };
+
+  const listen = () => {
+    if (!activeRef.current) return;
+
+    // Callbacks from earlier turns are ignored
+    const turn = ++turnRef.current;
+    heardSpeechRef.current = false;
+    setInterim('');
+    updateStatus('listening');
+    vadRef.current?.reset();
+    vadRef.current?.setThreshold(VAD_DEFAULTS.threshold);
+
+    listenerRef.current = startListening(
+      language,
+      (text) => {
+        if (turn === turnRef.current) setInterim(text);
+      },
+      (transcript) => {
+        if (turn !== turnRef.current) return;
+        // Recordings without any speech in them only get noise transcribed
+        if (!heardSpeechRef.current && !isSpeechRecognitionSupported()) return;
+        sendTurn(transcript);
+      },
+      (speechError) => {
+        if (turn !== turnRef.current) return;
+        if (speechError === 'no-speech' || speechError === 'aborted') return;
+
+        console.error('Voice mode STT error:', speechError);
+        setError(speechError === 'not-allowed' ? 'Microphone access was blocked.' : `Speech recognition error: ${speechError}`);
+        pause();
+      },
+      () => {
+        // Ended without a usable result - listen again
+        if (turn !== turnRef.current || !activeRef.current) return;
+        setTimeout(() => {
+          if (turn === turnRef.current) listen();
+        }, RELISTEN_DELAY_MS);
+      },
+      { getAccessToken }
+    );
+
+    listenerRef.current?.start();
+  };
+
+  const sendTurn = async (transcript) => {
+    const text = transcript.trim();
+    turnRef.current++;
+
+    if (!text) {
+      listen();
+      return;
+    }
+
+    setInterim('');
+    setError(null);
+    updateStatus('thinking');
+    setTurns(prev => [...prev, { role: 'user', text }]);
+
+    const saved = await onSendRef.current(text);
+    if (!activeRef.current) return;
+
+    if (!saved) {
+      setError('The tutor could not reply. Say it again?');
+      listen();
+      return;
+    }
+
+    const replies = saved.filter(msg => msg.role === 'assistant' && !msg.feature_type && msg.content?.trim());
+    setTurns(prev => [...prev, ...replies.map(msg => ({ role: 'assistant', text: stripMarkdown(msg.content) }))]);
+
+    updateStatus('speaking');
+    vadRef.current?.reset();
+    vadRef.current?.setThreshold(VAD_DEFAULTS.threshold * BARGE_IN_FACTOR);
+
+    const speechAbort = new AbortController();
+    speechAbortRef.current = speechAbort;
+
+    const accessToken = await getAccessToken();
+    for (const reply of replies) {
+      if (statusRef.current !== 'speaking' || speechAbort.signal.aborted) break;
+      try {
+        await speakText(stripMarkdown(reply.content), language, { accessToken, messageId: reply.id, rate: speechRate, signal: speechAbort.signal });
+      } catch (speakError) {
+        console.warn('Voice mode TTS error:', speakError);
+      }
+    }
+
+    // Barge-in already started the next turn
+    if (activeRef.current && statusRef.current === 'speaking' && !speechAbort.signal.aborted) listen();
+  };
+
+  const handleSpeechStart = () => {
+    if (statusRef.current === 'speaking') {
+      // Barge-in: cut the tutor off (including audio still being fetched) and take the turn
+      stopTutor();
+      listen();
+      heardSpeechRef.current = true;
+      updateStatus('hearing');
+    } else if (statusRef.current === 'listening') {
+      heardSpeechRef.current = true;
+      updateStatus('hearing');
+    }
+  };
+
+  const handleSpeechEnd = () => {
+    // The recogniser gives its final result once stopped
+    if (statusRef.current === 'hearing') listenerRef.current?.stop();
+  };
+
+  const stopTutor = () => {
+    speechAbortRef.current?.abort();
+    speechAbortRef.current = null;
+    stopSpeaking();
+  };
+
+  const pause = () => {
+    turnRef.current++;
+    listenerRef.current?.abort();
+    stopTutor();
+    setInterim('');
+    updateStatus('off');
+  };
+
+  const resume = () => {
+    setError(null);
+    listen();
+  };
+
+  useEffect(() => {
+    actionsRef.current = { listen, handleSpeechStart, handleSpeechEnd };
+  });
+
+  useEffect(() => {
+    transcriptEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [turns, interim]);
+
+  useEffect(() => {
+    activeRef.current = true;
+
+    navigator.mediaDevices
+      .getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } })
+      .then((stream) => {
+        if (!activeRef.current) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        streamRef.current = stream;
+        vadRef.current = startVoiceActivityDetection(stream, {
+          onSpeechStart: () => actionsRef.current.handleSpeechStart(),
+          onSpeechEnd: () => actionsRef.current.handleSpeechEnd(),
+          onLevel: setLevel,
+        });
+        actionsRef.current.listen();
+      })
+      .catch((micError) => {
+        console.error('Voice mode microphone error:', micError);
+        setError('Voice mode needs access to your microphone.');
+        statusRef.current = 'off';
+        setStatus('off');
+      });
+
+    return () => {
+      activeRef.current = false;
+      listenerRef.current?.abort();
+      vadRef.current?.stop();
+      streamRef.current?.getTracks().forEach(track => track.stop());
+      speechAbortRef.current?.abort();
+      stopSpeaking();
+    };
+  }, []);
+
+  const isLive = status === 'listening' || status === 'hearing';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/60 backdrop-blur-md z-50 flex items-center justify-center p-4"
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0, y: 20 }}
+        animate={{ scale: 1, opacity: 1, y: 0 }}
+        exit={{ scale: 0.9, opacity: 0, y: 20 }}
+        className="bg-white/90 dark:bg-gray-800/90 backdrop-blur-2xl rounded-3xl w-full max-w-md max-h-[90vh] flex flex-col shadow-2xl border border-white/20 dark:border-gray-700/20"
+      >
+        {/* Header */}
+        <div className="p-6 pb-4 flex flex-col items-center text-center">
+          <p className="text-sm font-semibold text-purple-600 dark:text-purple-300 mb-4">
+            Voice mode · {language}
+          </p>
+
+          <motion.button
+            onClick={status === 'off' ? resume : undefined}
+            disabled={status !== 'off'}
+            animate={{ scale: isLive ? 1 + Math.min(level * 8, 0.35) : 1 }}
+            transition={{ duration: 0.1 }}
+            className={`w-24 h-24 rounded-full flex items-center justify-center shadow-xl ${
+              status === 'hearing' ? 'bg-gradient-to-br from-red-500 to-pink-500 shadow-red-500/30' :
+              status === 'speaking' ? 'bg-gradient-to-br from-blue-500 to-cyan-500 shadow-blue-500/30' :
+              status === 'off' ? 'bg-gray-400 dark:bg-gray-600 cursor-pointer' :
+              'bg-gradient-to-br from-purple-500 to-pink-500 shadow-purple-500/30'
+            }`}
+            title={status === 'off' ? 'Start listening again' : STATUS_LABELS[status]}
+          >
+            {status === 'thinking' || status === 'starting' ? (
+              <Loader2 className="w-10 h-10 text-white animate-spin" />
+            ) : status === 'speaking' ? (
+              <Volume2 className="w-10 h-10 text-white" />
+            ) : status === 'hearing' ? (
+              <AudioLines className="w-10 h-10 text-white" />
+            ) : (
+              <Mic className="w-10 h-10 text-white" />
+            )}
+          </motion.button>
+
+          <p className="mt-4 text-sm text-gray-700 dark:text-gray-300">
+            {status === 'off' && !error ? 'Tap the microphone to continue' : STATUS_LABELS[status]}
+          </p>
+          {error && (
+            <p className="mt-2 text-xs text-red-600 dark:text-red-400">{error}</p>
+          )}
+        </div>
+
+        {/* Transcript */}
+        <div className="flex-1 overflow-y-auto px-6 space-y-2 min-h-[8rem]">
+          {turns.length === 0 && !interim && (
+            <p className="text-center text-xs text-gray-500 dark:text-gray-400 py-6">
+              Talk like you would on a phone call. Pause when you&apos;re done and the tutor answers out loud.
+            </p>
+          )}
+
+          {turns.map((turn, index) => (
+            <div key={index} className={`flex ${turn.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+              <p className={`max-w-[85%] px-3 py-2 rounded-2xl text-sm whitespace-pre-wrap ${
+                turn.role === 'user'
+                  ? 'bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-br-md'
+                  : 'bg-white/70 dark:bg-gray-700/70 text-gray-800 dark:text-gray-100 rounded-bl-md'
+              }`}>
+                {turn.text}
+              </p>
+            </div>
+          ))}
+
+          {interim && (
+            <div className="flex justify-end">
+              <p className="max-w-[85%] px-3 py-2 rounded-2xl rounded-br-md text-sm italic bg-purple-500/15 text-purple-700 dark:text-purple-200">
+                {interim}
+              </p>
+            </div>
+          )}
+          <div ref={transcriptEndRef} />
+        </div>
+
+        {/* Controls */}
+        <div className="p-6 pt-4 flex justify-center">
+          <button
+            onClick={onClose}
+            className="px-6 py-3 rounded-2xl bg-red-500 hover:bg-red-600 text-white font-semibold flex items-center gap-2 shadow-lg shadow-red-500/30 transition-colors"
+          >
+            <PhoneOff className="w-5 h-5" />
+            End voice mode
+          </button>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
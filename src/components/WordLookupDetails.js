@@ -0,0 +1,36 @@
+'use client';
+
+/**
+ * Dictionary form, grammar and other meanings of a looked-up word
+ * (the extra fields /api/translate returns for single words)
+ */
+export default function WordLookupDetails({ lookup, word, className = '' }) {
+  if (!lookup?.lemma) return null;
+
+  return (
+    <div className={`text-xs text-gray-600 dark:text-gray-400 space-y-0.5 ${className}`}>
+      <div>
+        <span className="font-semibold text-gray-800 dark:text-gray-200">{lookup.lemma}</span>
+        {lookup.lemmaTranslation && lookup.lemma.toLowerCase() !== word.toLowerCase() && (
+          <span> · {lookup.lemmaTranslation}</span>
+        )}
+      </div>
+      {(lookup.partOfSpeech || lookup.gender) && (
+        <div className="italic">
+          {[lookup.partOfSpeech, lookup.gender].filter(Boolean).join(', ')}
+        </div>
+      )}
+      {lookup.inflection && (
+        <div>{lookup.inflection}</div>
+      )}
+      {lookup.senses?.length > 0 && (
+        <div className="pt-1">
+          <span className="font-semibold">Other meanings: </span>
+          {lookup.senses.map(sense => (
+            sense.note ? `${sense.translation} (${sense.note})` : sense.translation
+          )).join('; ')}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,346 @@
+/**
+ * Scripted responses for the mock AI provider
+ * Output is deterministic for a given seed and input, so tests and demos are repeatable
+ */
+
+// Failure modes the mock provider can simulate
+export const MOCK_FAILURES = ['rate-limit', 'quota', 'server-error', 'timeout', 'malformed'];
+
+/**
+ * Small seeded PRNG (mulberry32) - returns a function giving numbers in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Stable 32-bit hash of a string, used to mix the input into the seed
+ */
+export function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+
+/**
+ * Work out the feature mode from the system prompt built by generateSystemPrompt
+ */
+export function detectFeatureMode(systemPrompt = '') {
+  // Match on how each feature prompt opens - the chat prompt mentions these features too
+  const prompt = systemPrompt.trim();
+  if (prompt.startsWith('You are creating a vocabulary quiz')) return 'quiz-vocab';
+  if (prompt.startsWith('You are creating a grammar quiz')) return 'quiz-grammar';
+  if (prompt.startsWith('You are creating a personal practice quiz')) return 'practice-mistakes';
+  if (prompt.startsWith('You are having a relaxed "tea time"')) return 'tea-time';
+  if (prompt.startsWith('Create a fun daily challenge')) return 'daily-challenge';
+  if (prompt.startsWith('Create a realistic conversation scenario')) return 'scenario';
+  if (prompt.startsWith('Create a speed round')) return 'speed-round';
+  if (prompt.startsWith('You are writing placement test questions')) return 'placement';
+  if (prompt.startsWith('You are grading the writing part')) return 'placement-writing';
+  return null;
+}
+
+/**
+ * Read a per-request failure directive such as "[mock:rate-limit]" from a message
+ */
+export function parseMockDirective(text = '') {
+  const match = text.match(/\[mock:([a-z-]+)\]/);
+  return match && MOCK_FAILURES.includes(match[1]) ? match[1] : null;
+}
+
+/**
+ * Build an error shaped like the ones the real SDKs throw
+ */
+export function createMockError(failure) {
+  const errors = {
+    'rate-limit': { message: 'Mock rate limit exceeded', status: 429 },
+    'quota': { message: 'Mock API quota exceeded for this key' },
+    'server-error': { message: 'Mock internal server error', status: 500 },
+    'timeout': { message: 'Mock AI request timed out', isTimeout: true },
+  };
+
+  const details = errors[failure];
+  if (!details) return null;
+
+  const error = new Error(details.message);
+  if (details.status) error.status = details.status;
+  if (details.isTimeout) error.isTimeout = true;
+  return error;
+}
+
+const GREETINGS = ['¡Hola! ¿Qué tal tu día?', '¡Qué bien verte por aquí! 😊', '¡Buenísimo! Sigamos practicando.'];
+const FOLLOW_UPS = ['Me encanta hablar contigo.', '¡Vas muy bien!', 'Eso suena interesante.'];
+const QUESTIONS = ['¿Qué hiciste ayer?', '¿Cuál es tu comida favorita?', '¿Adónde te gustaría viajar?'];
+
+/**
+ * Normal conversation - single reply with a correction, or 2-3 short messages
+ */
+function mockChat(random, lastMessage) {
+  if (random() < 0.5) {
+    // Correct the longest word so the correction matches text the user actually wrote
+    const words = lastMessage.split(/\s+/).filter(word => /\p{L}{3,}/u.test(word));
+    const target = words.sort((a, b) => b.length - a.length)[0];
+
+    return JSON.stringify({
+      response: pick(random, GREETINGS),
+      corrections: target
+        ? [{ incorrect: target, correction: `Mock correction: double-check the spelling of "${target}".`, category: 'spelling' }]
+        : [],
+      grammarNote: {
+        title: 'Ser vs Estar',
+        content: '## Rule\nUse **ser** for identity and **estar** for states.\n\n## Examples\n- Soy profesor\n- Estoy cansado\n\n## Tip 💡\nHow you feel → estar',
+        category: 'Verbs',
+      },
+      musicRecommendation: null,
+    });
+  }
+
+  return JSON.stringify({
+    messages: [
+      { content: pick(random, GREETINGS) },
+      { content: pick(random, FOLLOW_UPS) },
+      { content: pick(random, QUESTIONS) },
+    ].slice(0, 2 + Math.floor(random() * 2)),
+    corrections: [],
+    grammarNote: null,
+    musicRecommendation: null,
+  });
+}
+
+function mockQuiz(random, quizType) {
+  const vocabulary = [
+    { question: "What does 'palabra' mean in English?", options: ['word', 'sentence', 'letter', 'book'], correctAnswer: 0, explanation: "'Palabra' means 'word'.", hint: 'You use it to speak' },
+    { question: "What does 'perro' mean in English?", options: ['cat', 'dog', 'bird', 'fish'], correctAnswer: 1, explanation: "'Perro' means 'dog'.", hint: 'A loyal pet' },
+    { question: "What does 'rojo' mean in English?", options: ['blue', 'green', 'red', 'yellow'], correctAnswer: 2, explanation: "'Rojo' means 'red'.", hint: 'Color of a tomato' },
+    { question: "What does 'mañana' mean in English?", options: ['tonight', 'yesterday', 'noon', 'tomorrow'], correctAnswer: 3, explanation: "'Mañana' means 'tomorrow' (or 'morning').", hint: 'Not today' },
+    { question: "What does 'agua' mean in English?", options: ['water', 'fire', 'air', 'earth'], correctAnswer: 0, explanation: "'Agua' means 'water'.", hint: 'You drink it' },
+  ];
+  const grammar = [
+    { question: "Which is correct: 'Yo ___ estudiante'?", options: ['soy', 'estoy', 'es', 'está'], correctAnswer: 0, explanation: "Use 'soy' (ser) for occupations.", hint: 'Ser vs estar' },
+    { question: "Which is correct: 'Ella ___ cansada'?", options: ['es', 'está', 'son', 'soy'], correctAnswer: 1, explanation: "Use 'está' (estar) for temporary states.", hint: 'How she feels right now' },
+    { question: "Pick the right article: '___ casa'", options: ['el', 'los', 'la', 'un'], correctAnswer: 2, explanation: "'Casa' is feminine.", hint: 'Most nouns ending in -a' },
+    { question: "Which is correct: 'Nosotros ___ español'?", options: ['hablo', 'hablas', 'habla', 'hablamos'], correctAnswer: 3, explanation: "'Hablamos' is the nosotros form.", hint: 'We speak' },
+    { question: "Past tense of 'yo como'?", options: ['comí', 'comía', 'comeré', 'comería'], correctAnswer: 0, explanation: "'Comí' is the preterite.", hint: 'A finished action' },
+  ];
+
+  const questions = [...(quizType === 'grammar' ? grammar : vocabulary)].sort(() => random() - 0.5);
+
+  return JSON.stringify({ type: 'quiz', quizType, questions });
+}
+
+function mockChallenge(random) {
+  return JSON.stringify({
+    type: 'challenge',
+    title: "Today's Challenge",
+    description: pick(random, ['Describe your morning routine', 'Plan a weekend trip', 'Talk about your favorite food']),
+    tasks: [
+      { task: 'Write 3 sentences using the present tense', completed: false },
+      { task: 'Use 2 new vocabulary words', completed: false },
+      { task: 'Ask the tutor one question', completed: false },
+    ],
+    reward: 'Everyday vocabulary and present tense practice',
+    difficulty: pick(random, ['easy', 'medium', 'hard']),
+  });
+}
+
+function mockScenario(random) {
+  const scenarios = [
+    { title: 'At the Restaurant', description: "You're ordering food at a local restaurant", yourRole: 'Customer', aiRole: 'Waiter', context: 'A busy lunchtime in a small family restaurant.', startingMessage: '¡Buenas tardes! ¿Qué le gustaría tomar?' },
+    { title: 'At the Train Station', description: 'You need a ticket to the next city', yourRole: 'Traveler', aiRole: 'Ticket clerk', context: 'The next train leaves in 20 minutes.', startingMessage: 'Buenos días, ¿adónde quiere viajar?' },
+  ];
+
+  return JSON.stringify({ type: 'scenario', ...pick(random, scenarios) });
+}
+
+function mockSpeedRound(random) {
+  const challenges = [
+    { prompt: 'Translate: Hello', answer: 'Hola', alternatives: ['Hola', 'Buenas'] },
+    { prompt: 'Translate: Thank you', answer: 'Gracias', alternatives: ['Gracias'] },
+    { prompt: 'Translate: Goodbye', answer: 'Adiós', alternatives: ['Adiós', 'Adios', 'Chao'] },
+    { prompt: 'Translate: Please', answer: 'Por favor', alternatives: ['Por favor'] },
+    { prompt: 'Translate: Cat', answer: 'Gato', alternatives: ['Gato', 'El gato'] },
+    { prompt: 'Translate: House', answer: 'Casa', alternatives: ['Casa', 'La casa'] },
+    { prompt: 'Translate: Water', answer: 'Agua', alternatives: ['Agua', 'El agua'] },
+    { prompt: 'Translate: Friend', answer: 'Amigo', alternatives: ['Amigo', 'Amiga'] },
+    { prompt: 'Translate: Good morning', answer: 'Buenos días', alternatives: ['Buenos días', 'Buenos dias'] },
+    { prompt: 'Translate: Book', answer: 'Libro', alternatives: ['Libro', 'El libro'] },
+  ];
+
+  return JSON.stringify({
+    type: 'speedRound',
+    challenges: [...challenges].sort(() => random() - 0.5),
+    timeLimit: 60,
+  });
+}
+
+// Two vocabulary and two grammar questions from the regular quizzes
+function mockPlacementQuiz(random) {
+  const vocabulary = JSON.parse(mockQuiz(random, 'vocabulary')).questions.slice(0, 2);
+  const grammar = JSON.parse(mockQuiz(random, 'grammar')).questions.slice(0, 2);
+
+  return JSON.stringify({ type: 'quiz', quizType: 'placement', questions: [...vocabulary, ...grammar] });
+}
+
+// Longer answers get a higher level
+function mockPlacementWriting(answer) {
+  const wordCount = (answer.split('Answer:')[1] || '').trim().split(/\s+/).filter(Boolean).length;
+  const level = wordCount >= 80 ? 'B2' : wordCount >= 40 ? 'B1' : wordCount >= 15 ? 'A2' : 'A1';
+
+  return JSON.stringify({
+    type: 'placementWriting',
+    level,
+    feedback: `Mock grading: ${wordCount} words. Nice start - try adding a past tense sentence next time.`,
+  });
+}
+
+// One question per "N. [itemId] ..." line of the practice item list
+function mockPracticeQuiz(random, items) {
+  const questions = [...items.matchAll(/^\d+\. \[([^\]]+)\] (.+)$/gm)].map(([, itemId, text]) => {
+    const options = ['The corrected form', 'What you wrote before', 'Neither of these'];
+    const correct = options[0];
+    const shuffled = [...options].sort(() => random() - 0.5);
+
+    return {
+      itemId,
+      question: `Mock practice - ${text}`,
+      options: shuffled,
+      correctAnswer: shuffled.indexOf(correct),
+      explanation: 'Mock explanation: pick the corrected form.',
+      hint: null,
+    };
+  });
+
+  return JSON.stringify({ type: 'quiz', quizType: 'practice', questions });
+}
+
+/**
+ * Scripted reply for a feature mode (JSON string, or plain text for tea time)
+ */
+export function getMockChatResponse(featureMode, { random, language, lastMessage = '' }) {
+  switch (featureMode) {
+    case 'quiz-vocab':
+      return mockQuiz(random, 'vocabulary');
+    case 'quiz-grammar':
+      return mockQuiz(random, 'grammar');
+    case 'practice-mistakes':
+      return mockPracticeQuiz(random, lastMessage);
+    case 'daily-challenge':
+      return mockChallenge(random);
+    case 'scenario':
+      return mockScenario(random);
+    case 'speed-round':
+      return mockSpeedRound(random);
+    case 'placement':
+      return mockPlacementQuiz(random);
+    case 'placement-writing':
+      return mockPlacementWriting(lastMessage);
+    case 'tea-time':
+      return `${pick(random, FOLLOW_UPS)} ${pick(random, QUESTIONS)} (mock ${language} tea time)`;
+    default:
+      return mockChat(random, lastMessage);
+  }
+}
+
+/**
+ * A reply that is cut off mid-JSON, for exercising validation and repair
+ */
+export function getMalformedResponse() {
+  return '{"response": "¡Hola! ¿Cómo est';
+}
+
+const MOCK_DICTIONARY = {
+  hola: 'hello',
+  gracias: 'thank you',
+  perro: 'dog',
+  gato: 'cat',
+  casa: 'house',
+  agua: 'water',
+  libro: 'book',
+  amigo: 'friend',
+};
+
+/**
+ * Deterministic translation (the dictionary only covers Spanish to English)
+ */
+export function getMockTranslation(text, fromLanguage, toLanguage = 'English') {
+  const known = toLanguage === 'English' ? MOCK_DICTIONARY[text.toLowerCase().trim()] : null;
+  if (known) return known;
+
+  return toLanguage === 'English'
+    ? `"${text}" (mock ${fromLanguage} translation)`
+    : `"${text}" (mock ${fromLanguage} to ${toLanguage} translation)`;
+}
+
+const MOCK_LEMMAS = {
+  hablo: { lemma: 'hablar', translation: 'I speak', lemmaTranslation: 'to speak', partOfSpeech: 'verb', inflection: '1st person singular, present indicative' },
+  hablaba: { lemma: 'hablar', translation: 'I was speaking', lemmaTranslation: 'to speak', partOfSpeech: 'verb', inflection: '1st/3rd person singular, imperfect indicative' },
+  hablamos: { lemma: 'hablar', translation: 'we speak', lemmaTranslation: 'to speak', partOfSpeech: 'verb', inflection: '1st person plural, present indicative' },
+  perros: { lemma: 'perro', translation: 'dogs', lemmaTranslation: 'dog', partOfSpeech: 'noun', gender: 'masculine', inflection: 'plural' },
+  casas: { lemma: 'casa', translation: 'houses', lemmaTranslation: 'house', partOfSpeech: 'noun', gender: 'feminine', inflection: 'plural' },
+};
+
+// Words whose meaning depends on the sentence - the first sense whose cue appears wins
+const MOCK_SENSES = {
+  banco: [
+    { translation: 'bench', note: 'a seat, e.g. in a park', cues: ['parque', 'sentar', 'sienta', 'plaza'] },
+    { translation: 'bank', note: 'where money is kept', cues: [] },
+  ],
+  tiempo: [
+    { translation: 'weather', note: 'rain, sun, temperature', cues: ['hace', 'llueve', 'frío', 'calor', 'sol'] },
+    { translation: 'time', note: 'hours, minutes, duration', cues: [] },
+  ],
+};
+
+/**
+ * Deterministic word lookup (JSON, like a real provider's lookupWord reply)
+ */
+export function getMockWordLookup(word, language, context = null, nativeLanguage = 'English') {
+  const key = word.toLowerCase().trim();
+  const known = MOCK_LEMMAS[key];
+
+  if (known) {
+    return JSON.stringify({ gender: null, senses: [], ...known });
+  }
+
+  const senses = MOCK_SENSES[key];
+  if (senses) {
+    const sentence = (context || '').toLowerCase();
+    const chosen = senses.find(sense => sense.cues.some(cue => sentence.includes(cue))) || senses[senses.length - 1];
+
+    return JSON.stringify({
+      translation: chosen.translation,
+      lemma: key,
+      lemmaTranslation: chosen.translation,
+      partOfSpeech: 'noun',
+      gender: 'masculine',
+      inflection: null,
+      senses: senses
+        .filter(sense => sense !== chosen)
+        .map(({ translation, note }) => ({ translation, note })),
+    });
+  }
+
+  const translation = getMockTranslation(word, language, nativeLanguage);
+  return JSON.stringify({
+    translation,
+    lemma: key,
+    lemmaTranslation: translation,
+    partOfSpeech: null,
+    gender: null,
+    inflection: null,
+    senses: [],
+  });
+}
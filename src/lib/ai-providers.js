@@ -1,10 +1,28 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import OpenAI from 'openai';
 import Anthropic from '@anthropic-ai/sdk';
+import { RESPONSE_SCHEMAS, validateAIResponse, buildRepairPrompt } from '@/lib/ai-schemas';
+import { CEFR_DESCRIPTIONS } from '@/lib/proficiency';
+import { PLACEMENT_QUESTIONS_PER_ROUND } from '@/lib/placement';
+import { ERROR_CATEGORY_IDS } from '@/lib/error-taxonomy';
+import {
+  createSeededRandom,
+  hashString,
+  detectFeatureMode,
+  parseMockDirective,
+  createMockError,
+  getMockChatResponse,
+  getMalformedResponse,
+  getMockTranslation,
+  getMockWordLookup,
+} from '@/lib/ai-mock-responses';
 
 /**
  * AI Provider Factory
- * Supports multiple AI providers: Gemini, OpenAI, Claude
+ * Supports multiple AI providers: Gemini, OpenAI, Claude and any
+ * OpenAI-compatible server (Ollama, llama.cpp, ...) as a local provider,
+ * plus a deterministic mock provider for tests and demos
+ * Provider and key are chosen per user (see resolveAIProvider)
  */
 
 // Model configurations for each provider
@@ -17,6 +35,8 @@ export const AI_PROVIDERS = {
       translate: 'gemini-2.0-flash-exp', // Fast translations
     },
     requiresApiKey: true,
+    settingsKeyColumn: 'gemini_api_key', // Column in user_settings
+    serverKeyEnv: 'GOOGLE_AI_API_KEY', // Server fallback key
   },
   OPENAI: {
     id: 'openai',
@@ -26,6 +46,8 @@ export const AI_PROVIDERS = {
       translate: 'gpt-4o-mini', // Fast translations
     },
     requiresApiKey: true,
+    settingsKeyColumn: 'openai_api_key',
+    serverKeyEnv: 'OPENAI_API_KEY',
   },
   CLAUDE: {
     id: 'claude',
@@ -35,6 +57,32 @@ export const AI_PROVIDERS = {
       translate: 'claude-3-5-haiku-20241022', // Fast translations
     },
     requiresApiKey: true,
+    settingsKeyColumn: 'claude_api_key',
+    serverKeyEnv: 'ANTHROPIC_API_KEY',
+  },
+  LOCAL: {
+    id: 'local',
+    name: 'Local (OpenAI-compatible)',
+    models: {
+      chat: process.env.LOCAL_AI_CHAT_MODEL || 'llama3.2', // e.g. an Ollama model tag
+      translate: process.env.LOCAL_AI_TRANSLATE_MODEL || process.env.LOCAL_AI_CHAT_MODEL || 'llama3.2',
+    },
+    requiresApiKey: false, // Most local servers ignore the key
+    settingsKeyColumn: 'local_api_key',
+    serverKeyEnv: 'LOCAL_AI_API_KEY',
+    serverBaseUrlEnv: 'LOCAL_AI_BASE_URL', // e.g. http://localhost:11434/v1
+    failover: false, // Conversations stay on the user's own server, never sent to a cloud provider
+  },
+  MOCK: {
+    id: 'mock',
+    name: 'Mock (scripted)',
+    models: {
+      chat: 'mock',
+      translate: 'mock',
+    },
+    requiresApiKey: false,
+    serverEnabledEnv: 'MOCK_AI_ENABLED', // Only available when set to "true"
+    failover: false, // Scripted failures should surface, not be answered by a real provider
   },
 };
 
@@ -50,9 +98,30 @@ class AIProvider {
     throw new Error('chat method must be implemented');
   }
 
-  async translate(word, targetLanguage) {
+  /**
+   * Stream chat response as text chunks.
+   * Default falls back to a single chunk with the full chat() result.
+   */
+  async *chatStream(messages, systemPrompt, language) {
+    yield await this.chat(messages, systemPrompt, language);
+  }
+
+  /**
+   * Translate text between two languages, e.g. from the chat language to the
+   * learner's native language, or back when they compose a message
+   */
+  async translate(text, fromLanguage, toLanguage = 'English') {
     throw new Error('translate method must be implemented');
   }
+
+  /**
+   * Look up a word, optionally in the sentence it came from:
+   * JSON reply in the format of generateWordLookupPrompt.
+   * Default falls back to a plain translation.
+   */
+  async lookupWord(word, language, { context = null, nativeLanguage = 'English' } = {}) {
+    return this.translate(word, language, nativeLanguage);
+  }
 }
 
 /**
@@ -64,17 +133,12 @@ class GeminiProvider extends AIProvider {
     this.client = new GoogleGenerativeAI(apiKey);
   }
 
-  async chat(messages, systemPrompt, language) {
+  startChat(systemPrompt, language) {
     const model = this.client.getGenerativeModel({
       model: AI_PROVIDERS.GEMINI.models.chat
     });
 
-    const conversationHistory = messages.map((msg) => ({
-      role: msg.role === 'user' ? 'user' : 'model',
-      parts: [{ text: msg.content }],
-    }));
-
-    const aiChat = model.startChat({
+    return model.startChat({
       history: [
         {
           role: 'user',
@@ -88,22 +152,46 @@ class GeminiProvider extends AIProvider {
         },
       ],
     });
+  }
 
+  async chat(messages, systemPrompt, language) {
+    const aiChat = this.startChat(systemPrompt, language);
     const lastMessage = messages[messages.length - 1];
     const result = await aiChat.sendMessage(lastMessage.content);
     return result.response.text();
   }
 
-  async translate(word, targetLanguage) {
+  async *chatStream(messages, systemPrompt, language) {
+    const aiChat = this.startChat(systemPrompt, language);
+    const lastMessage = messages[messages.length - 1];
+    const result = await aiChat.sendMessageStream(lastMessage.content);
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+
+  async translate(text, fromLanguage, toLanguage = 'English') {
     const model = this.client.getGenerativeModel({
       model: AI_PROVIDERS.GEMINI.models.translate
     });
 
-    const prompt = `Translate "${word}" from ${targetLanguage} to English. Provide a brief, clear translation (1-2 sentences max). Return only the translation.`;
+    const prompt = `Translate "${text}" from ${fromLanguage} to ${toLanguage}. Provide a brief, clear translation (1-2 sentences max). Return only the translation.`;
 
     const result = await model.generateContent(prompt);
     return result.response.text().trim();
   }
+
+  async lookupWord(word, language, { context = null, nativeLanguage = 'English' } = {}) {
+    const model = this.client.getGenerativeModel({
+      model: AI_PROVIDERS.GEMINI.models.translate,
+      generationConfig: { responseMimeType: 'application/json' },
+    });
+
+    const result = await model.generateContent(`${generateWordLookupPrompt(language, nativeLanguage)}\n\n${formatWordLookupRequest(word, context)}`);
+    return result.response.text().trim();
+  }
 }
 
 /**
@@ -113,20 +201,23 @@ class OpenAIProvider extends AIProvider {
   constructor(apiKey) {
     super(apiKey);
     this.client = new OpenAI({ apiKey });
+    this.models = AI_PROVIDERS.OPENAI.models;
   }
 
-  async chat(messages, systemPrompt, language) {
-    const openaiMessages = [
+  toOpenAIMessages(messages, systemPrompt) {
+    return [
       { role: 'system', content: systemPrompt },
       ...messages.map(msg => ({
         role: msg.role === 'assistant' ? 'assistant' : 'user',
         content: msg.content
       }))
     ];
+  }
 
+  async chat(messages, systemPrompt, language) {
     const response = await this.client.chat.completions.create({
-      model: AI_PROVIDERS.OPENAI.models.chat,
-      messages: openaiMessages,
+      model: this.models.chat,
+      messages: this.toOpenAIMessages(messages, systemPrompt),
       temperature: 0.7,
       max_tokens: 1000,
     });
@@ -134,15 +225,30 @@ class OpenAIProvider extends AIProvider {
     return response.choices[0].message.content;
   }
 
-  async translate(word, targetLanguage) {
+  async *chatStream(messages, systemPrompt, language) {
+    const stream = await this.client.chat.completions.create({
+      model: this.models.chat,
+      messages: this.toOpenAIMessages(messages, systemPrompt),
+      temperature: 0.7,
+      max_tokens: 1000,
+      stream: true,
+    });
+
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  async translate(text, fromLanguage, toLanguage = 'English') {
     const response = await this.client.chat.completions.create({
-      model: AI_PROVIDERS.OPENAI.models.translate,
+      model: this.models.translate,
       messages: [
         {
           role: 'system',
-          content: `Translate from ${targetLanguage} to English. Be brief (1-2 sentences max).`
+          content: `Translate from ${fromLanguage} to ${toLanguage}. Be brief (1-2 sentences max).`
         },
-        { role: 'user', content: word }
+        { role: 'user', content: text }
       ],
       temperature: 0.3,
       max_tokens: 100,
@@ -150,6 +256,141 @@ class OpenAIProvider extends AIProvider {
 
     return response.choices[0].message.content.trim();
   }
+
+  async lookupWord(word, language, { context = null, nativeLanguage = 'English' } = {}) {
+    const response = await this.client.chat.completions.create({
+      model: this.models.translate,
+      messages: [
+        { role: 'system', content: generateWordLookupPrompt(language, nativeLanguage) },
+        { role: 'user', content: formatWordLookupRequest(word, context) }
+      ],
+      temperature: 0.2,
+      max_tokens: 400,
+    });
+
+    return response.choices[0].message.content.trim();
+  }
+}
+
+/**
+ * Local Provider - any OpenAI-compatible endpoint (Ollama, llama.cpp server, LM Studio, ...)
+ * Reuses the OpenAI client with a custom base URL and configurable models
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor(apiKey, { baseUrl, models } = {}) {
+    super(apiKey || 'local');
+    this.client = new OpenAI({ apiKey: apiKey || 'local', baseURL: baseUrl });
+    this.models = { ...AI_PROVIDERS.LOCAL.models, ...models };
+  }
+
+  /**
+   * Nothing fails over from the local provider, so say plainly when the server can't be reached
+   */
+  describeError(error) {
+    const message = (error.message || '').toLowerCase();
+    if (!error.status && (message.includes('connection') || message.includes('fetch failed'))) {
+      error.message = 'Could not reach your local AI server. Check that it is running and that the URL in Settings is right.';
+    }
+    return error;
+  }
+
+  async chat(messages, systemPrompt, language) {
+    try {
+      return await super.chat(messages, systemPrompt, language);
+    } catch (error) {
+      throw this.describeError(error);
+    }
+  }
+
+  async *chatStream(messages, systemPrompt, language) {
+    try {
+      yield* super.chatStream(messages, systemPrompt, language);
+    } catch (error) {
+      throw this.describeError(error);
+    }
+  }
+
+  async translate(text, fromLanguage, toLanguage = 'English') {
+    try {
+      return await super.translate(text, fromLanguage, toLanguage);
+    } catch (error) {
+      throw this.describeError(error);
+    }
+  }
+
+  async lookupWord(word, language, options = {}) {
+    try {
+      return await super.lookupWord(word, language, options);
+    } catch (error) {
+      throw this.describeError(error);
+    }
+  }
+}
+
+/**
+ * Mock Provider - scripted, seedable replies for tests and demos (no network)
+ * Same seed + same conversation gives the same reply. Failures can be forced for
+ * every request (options.failure) or per message with a "[mock:rate-limit]" style directive.
+ */
+class MockProvider extends AIProvider {
+  constructor({ seed = 0, failure = null, delayMs = 0 } = {}) {
+    super(null);
+    this.seed = seed;
+    this.failure = failure;
+    this.delayMs = delayMs;
+  }
+
+  getReply(messages, systemPrompt, language) {
+    const lastMessage = messages[messages.length - 1]?.content || '';
+    const isRepair = lastMessage.startsWith('Your previous reply did not match');
+
+    // Answer a repair request from the original user message, and let it succeed
+    const userMessage = isRepair ? messages[messages.length - 3]?.content || '' : lastMessage;
+    const failure = isRepair ? null : parseMockDirective(userMessage) || this.failure;
+
+    const error = createMockError(failure);
+    if (error) throw error;
+    if (failure === 'malformed') return getMalformedResponse();
+
+    const featureMode = detectFeatureMode(systemPrompt);
+    const random = createSeededRandom(this.seed ^ hashString(`${featureMode}|${messages.length}|${userMessage}`));
+
+    return getMockChatResponse(featureMode, { random, language, lastMessage: userMessage });
+  }
+
+  async chat(messages, systemPrompt, language) {
+    await this.wait();
+    return this.getReply(messages, systemPrompt, language);
+  }
+
+  async *chatStream(messages, systemPrompt, language) {
+    const reply = this.getReply(messages, systemPrompt, language);
+
+    for (let i = 0; i < reply.length; i += 16) {
+      await this.wait();
+      yield reply.slice(i, i + 16);
+    }
+  }
+
+  async translate(text, fromLanguage, toLanguage = 'English') {
+    const error = createMockError(parseMockDirective(text) || this.failure);
+    if (error) throw error;
+
+    await this.wait();
+    return getMockTranslation(text, fromLanguage, toLanguage);
+  }
+
+  async lookupWord(word, language, { context = null, nativeLanguage = 'English' } = {}) {
+    const error = createMockError(parseMockDirective(word) || this.failure);
+    if (error) throw error;
+
+    await this.wait();
+    return getMockWordLookup(word, language, context, nativeLanguage);
+  }
+
+  wait() {
+    return this.delayMs > 0 ? new Promise(resolve => setTimeout(resolve, this.delayMs)) : Promise.resolve();
+  }
 }
 
 /**
@@ -161,29 +402,60 @@ class ClaudeProvider extends AIProvider {
     this.client = new Anthropic({ apiKey });
   }
 
-  async chat(messages, systemPrompt, language) {
-    const claudeMessages = messages.map(msg => ({
+  toClaudeMessages(messages) {
+    return messages.map(msg => ({
       role: msg.role === 'assistant' ? 'assistant' : 'user',
       content: msg.content
     }));
+  }
 
+  async chat(messages, systemPrompt, language) {
     const response = await this.client.messages.create({
       model: AI_PROVIDERS.CLAUDE.models.chat,
       max_tokens: 1000,
       system: systemPrompt,
-      messages: claudeMessages,
+      messages: this.toClaudeMessages(messages),
     });
 
     return response.content[0].text;
   }
 
-  async translate(word, targetLanguage) {
+  async *chatStream(messages, systemPrompt, language) {
+    const stream = await this.client.messages.create({
+      model: AI_PROVIDERS.CLAUDE.models.chat,
+      max_tokens: 1000,
+      system: systemPrompt,
+      messages: this.toClaudeMessages(messages),
+      stream: true,
+    });
+
+    for await (const event of stream) {
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield event.delta.text;
+      }
+    }
+  }
+
+  async translate(text, fromLanguage, toLanguage = 'English') {
     const response = await this.client.messages.create({
       model: AI_PROVIDERS.CLAUDE.models.translate,
       max_tokens: 100,
-      system: `Translate from ${targetLanguage} to English. Be brief (1-2 sentences max).`,
+      system: `Translate from ${fromLanguage} to ${toLanguage}. Be brief (1-2 sentences max).`,
       messages: [
-        { role: 'user', content: word }
+        { role: 'user', content: text }
+      ],
+    });
+
+    return response.content[0].text.trim();
+  }
+
+  async lookupWord(word, language, { context = null, nativeLanguage = 'English' } = {}) {
+    const response = await this.client.messages.create({
+      model: AI_PROVIDERS.CLAUDE.models.translate,
+      max_tokens: 400,
+      system: generateWordLookupPrompt(language, nativeLanguage),
+      messages: [
+        { role: 'user', content: formatWordLookupRequest(word, context) }
       ],
     });
 
@@ -194,8 +466,8 @@ class ClaudeProvider extends AIProvider {
 /**
  * Factory function to create AI provider instance
  */
-export function createAIProvider(providerId, apiKey) {
-  if (!apiKey) {
+export function createAIProvider(providerId, apiKey, options = {}) {
+  if (!apiKey && getProviderConfig(providerId)?.requiresApiKey !== false) {
     throw new Error('API key is required');
   }
 
@@ -206,16 +478,423 @@ export function createAIProvider(providerId, apiKey) {
       return new OpenAIProvider(apiKey);
     case AI_PROVIDERS.CLAUDE.id:
       return new ClaudeProvider(apiKey);
+    case AI_PROVIDERS.LOCAL.id:
+      if (!options.baseUrl) {
+        throw new Error('Local AI base URL is required');
+      }
+      return new LocalProvider(apiKey, options);
+    case AI_PROVIDERS.MOCK.id:
+      return new MockProvider(options);
     default:
       throw new Error(`Unknown AI provider: ${providerId}`);
   }
 }
 
+/**
+ * Columns to select from user_settings for provider resolution
+ */
+export const AI_SETTINGS_COLUMNS = 'ai_provider, gemini_api_key, openai_api_key, claude_api_key, local_base_url, local_api_key, local_chat_model, local_translate_model';
+
+/**
+ * Look up a provider config by its id (e.g. 'openai')
+ */
+export function getProviderConfig(providerId) {
+  return Object.values(AI_PROVIDERS).find(provider => provider.id === providerId) || null;
+}
+
+/**
+ * Resolve which provider and API key to use from a user_settings row.
+ * Prefers the user's own key for their chosen provider, then the server key
+ * for that provider, and finally the server Gemini key.
+ * Returns { providerId, providerName, apiKey, keySource, options } where keySource is 'user' or 'server'
+ * and options carries the base URL and models for the local provider.
+ */
+export function resolveAIProvider(userSettings) {
+  const selected = getProviderConfig(userSettings?.ai_provider) || AI_PROVIDERS.GEMINI;
+  const selectedKey = getProviderKey(selected, userSettings);
+
+  if (selectedKey) {
+    return { providerId: selected.id, providerName: selected.name, ...selectedKey };
+  }
+
+  // No key for the chosen provider anywhere - use the default server provider
+  const fallback = AI_PROVIDERS.GEMINI;
+  return {
+    providerId: fallback.id,
+    providerName: fallback.name,
+    apiKey: process.env[fallback.serverKeyEnv] || null,
+    keySource: 'server',
+  };
+}
+
+/**
+ * Get the user's key for a provider, or the server key if they have none
+ */
+function getProviderKey(config, userSettings) {
+  if (config.id === AI_PROVIDERS.LOCAL.id) {
+    return getLocalProviderKey(config, userSettings);
+  }
+
+  if (config.id === AI_PROVIDERS.MOCK.id) {
+    return getMockProviderKey(config);
+  }
+
+  const userKey = userSettings?.[config.settingsKeyColumn]?.trim();
+  if (userKey) {
+    return { apiKey: userKey, keySource: 'user' };
+  }
+
+  const serverKey = process.env[config.serverKeyEnv];
+  if (serverKey) {
+    return { apiKey: serverKey, keySource: 'server' };
+  }
+
+  return null;
+}
+
+/**
+ * The local provider is available when a base URL is configured.
+ * User-supplied URLs are only honoured when ALLOW_USER_AI_BASE_URL=true
+ * (self-hosted setups) - otherwise the server would fetch arbitrary URLs.
+ */
+function getLocalProviderKey(config, userSettings) {
+  const userBaseUrl = process.env.ALLOW_USER_AI_BASE_URL === 'true'
+    ? userSettings?.local_base_url?.trim()
+    : null;
+  const baseUrl = userBaseUrl || process.env[config.serverBaseUrlEnv];
+
+  if (!baseUrl) return null;
+
+  const models = {};
+  if (userSettings?.local_chat_model?.trim()) models.chat = userSettings.local_chat_model.trim();
+  if (userSettings?.local_translate_model?.trim()) models.translate = userSettings.local_translate_model.trim();
+
+  return {
+    apiKey: (userBaseUrl && userSettings?.local_api_key?.trim()) || process.env[config.serverKeyEnv] || null,
+    keySource: userBaseUrl ? 'user' : 'server',
+    options: { baseUrl, models },
+  };
+}
+
+/**
+ * The mock provider is opt-in per deployment (MOCK_AI_ENABLED=true) so it can
+ * never answer real users by accident. MOCK_AI_SEED, MOCK_AI_FAILURE and
+ * MOCK_AI_DELAY_MS control the scripted replies.
+ */
+function getMockProviderKey(config) {
+  if (process.env[config.serverEnabledEnv] !== 'true') return null;
+
+  return {
+    apiKey: null,
+    keySource: 'server',
+    options: {
+      seed: Number(process.env.MOCK_AI_SEED) || 0,
+      failure: process.env.MOCK_AI_FAILURE || null,
+      delayMs: Number(process.env.MOCK_AI_DELAY_MS) || 0,
+    },
+  };
+}
+
+/**
+ * Resolve the ordered failover chain for a user.
+ * The user's own provider comes first, followed by the providers listed in
+ * AI_PROVIDER_CHAIN (comma-separated ids, default "gemini,openai,claude")
+ * that have a key available. Providers that don't fail over (local, mock)
+ * are used on their own, and their errors go straight to the user.
+ */
+export function resolveAIProviderChain(userSettings) {
+  const primary = resolveAIProvider(userSettings);
+  const chain = primary.apiKey || primary.options ? [primary] : [];
+
+  if (chain.length > 0 && getProviderConfig(primary.providerId)?.failover === false) {
+    return chain;
+  }
+
+  const order = (process.env.AI_PROVIDER_CHAIN || 'gemini,openai,claude')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  order.forEach((providerId) => {
+    const config = getProviderConfig(providerId);
+    if (!config || chain.some(provider => provider.providerId === config.id)) return;
+
+    const key = getProviderKey(config, userSettings);
+    if (key) {
+      chain.push({ providerId: config.id, providerName: config.name, ...key });
+    }
+  });
+
+  return chain;
+}
+
+// Failover settings (overridable per deployment)
+const REQUEST_TIMEOUT_MS = Number(process.env.AI_REQUEST_TIMEOUT_MS) || 30000;
+const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 3;
+const CIRCUIT_COOLDOWN_MS = Number(process.env.AI_CIRCUIT_COOLDOWN_MS) || 60000;
+
+/**
+ * Per-provider circuit breaker.
+ * Opens after repeated consecutive failures and skips the provider until the
+ * cooldown has passed. After that it is half-open: one success closes it,
+ * one more failure reopens it for another cooldown.
+ */
+class CircuitBreaker {
+  constructor() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  canRequest() {
+    if (this.openedAt === null) return true;
+    return Date.now() - this.openedAt >= CIRCUIT_COOLDOWN_MS;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    if (this.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+// Breakers live for the lifetime of the server instance, one per provider + key
+const circuitBreakers = new Map();
+
+function getCircuitBreaker(providerInfo) {
+  const breakerKey = `${providerInfo.providerId}:${providerInfo.options?.baseUrl || ''}:${(providerInfo.apiKey || '').slice(-8)}`;
+  if (!circuitBreakers.has(breakerKey)) {
+    circuitBreakers.set(breakerKey, new CircuitBreaker());
+  }
+  return circuitBreakers.get(breakerKey);
+}
+
+/**
+ * Reject if a provider call takes longer than REQUEST_TIMEOUT_MS
+ */
+function withTimeout(promise, providerName) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${providerName} request timed out`);
+      error.isTimeout = true;
+      reject(error);
+    }, REQUEST_TIMEOUT_MS);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Errors worth trying the next provider for: rate limits, server errors,
+ * timeouts and dropped connections. Bad keys or bad requests are not.
+ */
+function isFailoverError(error) {
+  if (error.isTimeout) return true;
+  if (error.status === 429 || error.status >= 500) return true;
+
+  const message = (error.message || '').toLowerCase();
+  return !error.status && (
+    message.includes('rate limit') ||
+    message.includes('overloaded') ||
+    message.includes('fetch failed') ||
+    message.includes('connection')
+  );
+}
+
+/**
+ * Provider that tries an ordered chain of providers, failing over on
+ * 429, 5xx or timeout and skipping providers whose circuit is open.
+ * lastProvider holds the provider info that answered the last call.
+ */
+class FailoverAIProvider extends AIProvider {
+  constructor(providerInfos) {
+    super(null);
+    this.providers = providerInfos.map(info => ({
+      info,
+      client: createAIProvider(info.providerId, info.apiKey, info.options),
+      breaker: getCircuitBreaker(info),
+    }));
+    this.lastProvider = providerInfos[0];
+  }
+
+  /**
+   * Run an operation on each provider in turn until one succeeds.
+   * With deferSuccess the caller records the success itself (streams only
+   * succeed once they finish)
+   */
+  async runWithFailover(operation, { deferSuccess = false } = {}) {
+    let lastError = null;
+
+    for (const provider of this.providers) {
+      if (!provider.breaker.canRequest()) {
+        console.warn(`Skipping ${provider.info.providerName}: circuit open`);
+        continue;
+      }
+
+      try {
+        const result = await operation(provider);
+        if (!deferSuccess) provider.breaker.recordSuccess();
+        this.lastProvider = provider.info;
+        return result;
+      } catch (error) {
+        this.lastProvider = provider.info;
+        // Errors get logged, so attach the provider without its key
+        const { apiKey, ...publicInfo } = provider.info;
+        error.providerInfo = publicInfo;
+        if (!isFailoverError(error)) throw error;
+
+        provider.breaker.recordFailure();
+        console.warn(`${provider.info.providerName} failed (${error.status || error.message}), trying next provider`);
+        lastError = error;
+      }
+    }
+
+    if (lastError) throw lastError;
+
+    const error = new Error('All AI providers are temporarily unavailable. Please try again in a minute.');
+    error.status = 503;
+    throw error;
+  }
+
+  async chat(messages, systemPrompt, language) {
+    return this.runWithFailover(({ client, info }) =>
+      withTimeout(client.chat(messages, systemPrompt, language), info.providerName)
+    );
+  }
+
+  async translate(text, fromLanguage, toLanguage = 'English') {
+    return this.runWithFailover(({ client, info }) =>
+      withTimeout(client.translate(text, fromLanguage, toLanguage), info.providerName)
+    );
+  }
+
+  async lookupWord(word, language, options = {}) {
+    return this.runWithFailover(({ client, info }) =>
+      withTimeout(client.lookupWord(word, language, options), info.providerName)
+    );
+  }
+
+  /**
+   * Fail over only until the first chunk arrives - after that the
+   * partial reply is already on its way to the client. The circuit breaker
+   * counts the stream as a success only once it finishes.
+   */
+  async *chatStream(messages, systemPrompt, language) {
+    const { iterator, first, breaker } = await this.runWithFailover(async ({ client, info, breaker: providerBreaker }) => {
+      const providerIterator = client.chatStream(messages, systemPrompt, language)[Symbol.asyncIterator]();
+      const firstResult = await withTimeout(providerIterator.next(), info.providerName);
+      return { iterator: providerIterator, first: firstResult, breaker: providerBreaker };
+    }, { deferSuccess: true });
+
+    try {
+      if (!first.done) {
+        yield first.value;
+
+        while (true) {
+          const { value, done } = await withTimeout(iterator.next(), this.lastProvider.providerName);
+          if (done) break;
+          yield value;
+        }
+      }
+    } catch (error) {
+      if (isFailoverError(error)) breaker.recordFailure();
+      throw error;
+    }
+
+    breaker.recordSuccess();
+  }
+}
+
+/**
+ * Create a failover provider from a resolved chain (see resolveAIProviderChain)
+ */
+export function createAIProviderChain(providerInfos) {
+  if (!providerInfos || providerInfos.length === 0) {
+    throw new Error('API key is required');
+  }
+
+  return new FailoverAIProvider(providerInfos);
+}
+
+/**
+ * Describe the learner's estimated level (see estimateProficiency) for prompts
+ */
+function describeLearnerProfile(proficiency) {
+  if (!proficiency?.level) return '';
+
+  const lines = [`- Estimated level: ${proficiency.level} (${CEFR_DESCRIPTIONS[proficiency.level]}) on the CEFR scale`];
+  if (proficiency.weaknesses?.length > 0) {
+    lines.push(`- Often gets wrong: ${proficiency.weaknesses.map(item => item.label).join(', ')}`);
+  }
+  if (proficiency.strengths?.length > 0) {
+    lines.push(`- Doing well with: ${proficiency.strengths.map(item => item.label).join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Describe the user's most frequent mistake categories (see summarizeMistakes) for prompts
+ */
+function describeRecurringMistakes(recurringMistakes) {
+  return recurringMistakes
+    .map((mistake) => {
+      const example = mistake.examples?.[0];
+      return `- ${mistake.label} (${mistake.count} times)${example ? `, e.g. "${example.incorrect}": ${example.correction}` : ''}`;
+    })
+    .join('\n');
+}
+
 /**
  * Generate system prompt for language learning with features support
+ * proficiency is the chat's learner profile from estimateProficiency and
+ * recurringMistakes the user's top mistake categories (both optional)
  */
-export function generateSystemPrompt(language, includeMemeTip = false, includeMusicTip = false, featureMode = null) {
+export function generateSystemPrompt(language, includeMemeTip = false, includeMusicTip = false, featureMode = null, proficiency = null, recurringMistakes = []) {
+  const learnerProfile = describeLearnerProfile(proficiency);
+  const mistakeList = describeRecurringMistakes(recurringMistakes);
+  const levelHint = proficiency?.level ? ` (${proficiency.level})` : '';
+
   // Feature-specific prompts
+  if (featureMode === 'placement') {
+    return `You are writing placement test questions for ${language} learners at CEFR level ${proficiency?.level || 'A2'}. Generate ${PLACEMENT_QUESTIONS_PER_ROUND} multiple-choice questions: half testing vocabulary, half testing grammar.
+
+Return ONLY valid JSON in this exact format:
+{
+  "type": "quiz",
+  "quizType": "placement",
+  "questions": [
+    {
+      "question": "Which is correct: 'Ayer yo ___ al cine'?",
+      "options": ["voy", "fui", "iré", "iba a"],
+      "correctAnswer": 1,
+      "explanation": "'Fui' is the preterite of 'ir' for a finished action in the past",
+      "hint": null
+    }
+  ]
+}
+
+Each question must be something a ${proficiency?.level || 'A2'} learner can just about answer and a learner one level below usually can't. Write questions and explanations in English, no hints.`;
+  }
+
+  if (featureMode === 'placement-writing') {
+    return `You are grading the writing part of a ${language} placement test. The learner was given a short writing task; you will get the task and their answer.
+
+Estimate the CEFR level the answer shows (range of vocabulary and grammar, accuracy, sentence complexity and length). An empty, very short or non-${language} answer is A1.
+
+Return ONLY valid JSON in this exact format:
+{
+  "type": "placementWriting",
+  "level": "A1 | A2 | B1 | B2 | C1 | C2",
+  "feedback": "2-3 encouraging sentences in English on what they did well and what to work on"
+}`;
+  }
+
   if (featureMode === 'quiz-vocab') {
     return `You are creating a vocabulary quiz for ${language} learners. Generate 5 multiple-choice questions testing vocabulary knowledge.
 
@@ -234,7 +913,7 @@ Return ONLY valid JSON in this exact format:
   ]
 }
 
-Make questions appropriate for the learner's level. Include clear explanations.`;
+Make questions appropriate for the learner's level${levelHint}. Include clear explanations.`;
   }
 
   if (featureMode === 'quiz-grammar') {
@@ -255,7 +934,36 @@ Return ONLY valid JSON in this exact format:
   ]
 }
 
-Make questions clear and educational with helpful explanations.`;
+Make questions clear and educational with helpful explanations.${learnerProfile ? `
+
+About the learner:
+${learnerProfile}
+Pitch the questions at this level and favour the topics they often get wrong.` : ''}${mistakeList ? `
+
+The learner's most frequent mistakes - test these first:
+${mistakeList}` : ''}`;
+  }
+
+  if (featureMode === 'practice-mistakes') {
+    return `You are creating a personal practice quiz for a ${language} learner from their own past mistakes and saved words. You will get a numbered list of items, each with an id in square brackets. Write one multiple-choice question per item, in the same order.
+
+Return ONLY valid JSON in this exact format:
+{
+  "type": "quiz",
+  "quizType": "practice",
+  "questions": [
+    {
+      "itemId": "the item's id, exactly as given",
+      "question": "Which is correct: '___ problema es difícil'?",
+      "options": ["La", "El", "Los", "Las"],
+      "correctAnswer": 1,
+      "explanation": "'Problema' is masculine even though it ends in -a",
+      "hint": "Not every word ending in -a is feminine"
+    }
+  ]
+}
+
+For a mistake, test the same rule in a new sentence and include the learner's original error among the wrong options - don't just repeat their sentence. For a saved word, test its meaning or use it in context. Write questions and explanations in English.${levelHint ? ` Keep the sentences at the learner's level${levelHint}.` : ''}`;
   }
 
   if (featureMode === 'tea-time') {
@@ -287,7 +995,9 @@ Return ONLY valid JSON:
   ],
   "reward": "What they'll learn",
   "difficulty": "easy|medium|hard"
-}`;
+}${proficiency?.level ? `
+
+The learner is at ${proficiency.level} level, pick tasks and difficulty to match.` : ''}`;
   }
 
   if (featureMode === 'scenario') {
@@ -336,6 +1046,18 @@ Return ONLY valid JSON:
    - A memorable lyric snippet
    Focus on catchy songs (pop, rock, karaoke favorites).` : '';
 
+  const learnerProfileTip = learnerProfile ? `
+
+LEARNER PROFILE:
+${learnerProfile}
+Match your vocabulary and sentence length to this level, stretching it slightly. Pay extra attention to (and gently recycle) the topics they often get wrong.` : '';
+
+  const recurringMistakesTip = mistakeList ? `
+
+RECURRING MISTAKES (most frequent first):
+${mistakeList}
+Target these: steer the conversation so they come up naturally (e.g. ask questions that need that structure), always correct them, and give a short grammar note when one keeps coming back.` : '';
+
   const randomFeatureTip = `
 10. 🎲 RANDOM FEATURES: Occasionally (every 8-12 messages) surprise the user with:
    - Mini vocabulary quiz (3 quick questions)
@@ -349,7 +1071,7 @@ Return ONLY valid JSON:
 
 CRITICAL: Respond ONLY in ${language}. Be concise - max 2-3 sentences unless asked for more.
 
-IMPORTANT: You can use memes, jokes, and internet slang IN ${language} to make learning fun! Don't translate memes to English.
+IMPORTANT: You can use memes, jokes, and internet slang IN ${language} to make learning fun! Don't translate memes to English.${learnerProfileTip}${recurringMistakesTip}
 
 CONVERSATIONAL FLOW - SEND MULTIPLE MESSAGES:
 To make the conversation feel more natural and engaging, you should sometimes send 2-3 short messages in a row instead of one long message. Use this pattern:
@@ -396,7 +1118,8 @@ SINGLE MESSAGE FORMAT (use when corrections needed):
   "corrections": [
     {
       "incorrect": "exact text that's wrong",
-      "correction": "What's wrong + correct version (English, max 2 sentences)"
+      "correction": "What's wrong + correct version (English, max 2 sentences)",
+      "category": "${ERROR_CATEGORY_IDS.join(' | ')}"
     }
   ],
   "grammarNote": {
@@ -437,6 +1160,38 @@ ENGAGE WITH FEATURES:
 REMEMBER: Be SHORT, respond in ${language}, only explain when asked.`;
 }
 
+/**
+ * Instructions for lookupWord - the word (and its sentence) are sent as the
+ * user message, see formatWordLookupRequest
+ */
+export function generateWordLookupPrompt(language, nativeLanguage = 'English') {
+  return `You are a ${language} dictionary for ${nativeLanguage}-speaking learners. You will get a ${language} word or short phrase exactly as it appeared in a text, and usually the sentence it appeared in.
+
+Reply with ONLY valid JSON in this format:
+{
+  "translation": "brief ${nativeLanguage} translation of the word as written, in the sense it has in the sentence (e.g. 'we were speaking')",
+  "lemma": "the dictionary form (infinitive for verbs, singular for nouns, masculine singular for adjectives)",
+  "lemmaTranslation": "brief ${nativeLanguage} translation of the dictionary form in that same sense (e.g. 'to speak')",
+  "partOfSpeech": "noun | verb | adjective | adverb | pronoun | preposition | conjunction | determiner | interjection | numeral | particle | phrase",
+  "gender": "masculine | feminine | neuter, or null if the word has no grammatical gender",
+  "inflection": "short description of this form (e.g. '1st person plural, imperfect indicative' or 'feminine plural'), or null if it is the dictionary form",
+  "senses": [
+    {"translation": "another common meaning", "note": "when it means this (a few words)"}
+  ]
+}
+
+"senses" lists up to 4 OTHER common meanings of the word, not the one in "translation"; use [] if it has no others. Without a sentence, give the most common meaning in "translation".
+
+No markdown code fences and no text before or after the JSON.`;
+}
+
+/**
+ * User message for lookupWord
+ */
+export function formatWordLookupRequest(word, context = null) {
+  return context ? `Word: ${word}\nSentence: ${context}` : `Word: ${word}`;
+}
+
 /**
  * Detect language from user message for auto-response language
  */
@@ -454,50 +1209,151 @@ export function detectMessageLanguage(message) {
 }
 
 /**
- * Parse AI response (handle JSON extraction and multiple messages)
+ * Convert a validated reply into the shape the chat route saves.
+ * Feature payloads (quiz, challenge, ...) are returned separately in "feature"
+ */
+function toAIResponse(value, schema) {
+  if (schema === RESPONSE_SCHEMAS.chat) {
+    return value;
+  }
+
+  return {
+    response: schema.describe(value),
+    corrections: [],
+    grammarNote: null,
+    musicRecommendation: null,
+    isMultiMessage: false,
+    feature: value,
+  };
+}
+
+/**
+ * Parse AI response (validate against its schema, handle multiple messages)
+ * Falls back to readable text so JSON fragments never reach a chat bubble
+ */
+export function parseAIResponse(responseText, featureMode = null) {
+  const { valid, value, schema } = validateAIResponse(responseText, featureMode);
+
+  if (valid) {
+    return toAIResponse(value, schema);
+  }
+
+  // Prefer message strings inside broken JSON, then any prose around it
+  const jsonStart = responseText.indexOf('{');
+  const extractedText = jsonStart === -1 ? '' : extractStreamingText(responseText.slice(jsonStart));
+  const proseText = responseText
+    .replace(/```(?:json)?[\s\S]*?(```|$)/g, '')
+    .replace(/\{[\s\S]*\}?/g, '')
+    .trim();
+
+  return {
+    response: extractedText.trim() || proseText || "Sorry, I got a bit mixed up there. Could you say that again?",
+    corrections: [],
+    grammarNote: null,
+    musicRecommendation: null,
+    isMultiMessage: false,
+  };
+}
+
+/**
+ * Parse an AI response and, if it breaks the expected format, ask the provider
+ * to fix it once. onFailure({ schema, errors, responseText, repaired }) is called
+ * for every reply that failed validation so format problems can be tracked.
  */
-export function parseAIResponse(responseText) {
+export async function parseAIResponseWithRepair(ai, responseText, { messages, systemPrompt, language, featureMode = null, onFailure } = {}) {
+  const result = validateAIResponse(responseText, featureMode);
+
+  if (result.valid) {
+    return toAIResponse(result.value, result.schema);
+  }
+
+  // Single bounded repair round-trip
+  let repairedResponse = null;
   try {
-    // Extract JSON from markdown code blocks if present
-    const jsonMatch = responseText.match(/```json\n([\s\S]*?)\n```/);
-    let jsonText = jsonMatch ? jsonMatch[1] : responseText;
-
-    // Clean up any text before/after JSON
-    const jsonStartMatch = jsonText.match(/\{[\s\S]*\}/);
-    if (jsonStartMatch) {
-      jsonText = jsonStartMatch[0];
+    const repairText = await ai.chat(
+      [
+        ...messages,
+        { role: 'assistant', content: responseText },
+        { role: 'user', content: buildRepairPrompt(result.schema, result.errors, responseText) },
+      ],
+      systemPrompt,
+      language
+    );
+
+    const retry = validateAIResponse(repairText, featureMode);
+    if (retry.valid) {
+      repairedResponse = toAIResponse(retry.value, retry.schema);
     }
+  } catch (error) {
+    console.error('Repair request failed:', error.message || error);
+  }
 
-    const parsed = JSON.parse(jsonText);
-
-    // Check if this is a multiple messages response
-    if (parsed.messages && Array.isArray(parsed.messages)) {
-      return {
-        messages: parsed.messages.filter(m => m.content && m.content.trim()),
-        corrections: parsed.corrections || [],
-        grammarNote: parsed.grammarNote || null,
-        musicRecommendation: parsed.musicRecommendation || null,
-        isMultiMessage: true,
-      };
+  try {
+    await onFailure?.({
+      schema: result.schema.name,
+      errors: result.errors,
+      responseText,
+      repaired: !!repairedResponse,
+    });
+  } catch (error) {
+    console.log('Failed to record response failure:', error.message || error);
+  }
+
+  return repairedResponse || parseAIResponse(responseText, featureMode);
+}
+
+/**
+ * Extract displayable text from a partially streamed AI response.
+ * The model usually answers in JSON, so pull out the "response" or
+ * messages[].content string values seen so far instead of showing raw JSON.
+ */
+export function extractStreamingText(partialText) {
+  const trimmed = partialText.replace(/^```(?:json)?\s*/, '').trimStart();
+
+  // Plain-text reply - show as-is
+  if (!trimmed.startsWith('{')) {
+    return partialText;
+  }
+
+  // Only look at the message part, not corrections or grammar notes
+  const endIndex = trimmed.search(/"(corrections|grammarNote|musicRecommendation)"\s*:/);
+  const messagePart = endIndex === -1 ? trimmed : trimmed.slice(0, endIndex);
+
+  const texts = [];
+  const keyPattern = /"(response|content)"\s*:\s*"/g;
+  let match;
+
+  while ((match = keyPattern.exec(messagePart)) !== null) {
+    let value = '';
+    let i = keyPattern.lastIndex;
+
+    // Read the (possibly unterminated) JSON string value
+    while (i < messagePart.length && messagePart[i] !== '"') {
+      if (messagePart[i] === '\\') {
+        const escape = messagePart.slice(i, i + 2);
+        if (escape.length < 2) break; // Escape split across chunks
+
+        if (escape === '\\u') {
+          const hex = messagePart.slice(i + 2, i + 6);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+          value += String.fromCharCode(parseInt(hex, 16));
+          i += 6;
+          continue;
+        }
+
+        const escapes = { '\\n': '\n', '\\t': '\t', '\\"': '"', '\\\\': '\\', '\\/': '/' };
+        value += escapes[escape] ?? escape[1];
+        i += 2;
+        continue;
+      }
+
+      value += messagePart[i];
+      i++;
     }
 
-    // Single message response
-    return {
-      response: parsed.response || responseText,
-      corrections: parsed.corrections || [],
-      grammarNote: parsed.grammarNote || null,
-      musicRecommendation: parsed.musicRecommendation || null,
-      isMultiMessage: false,
-    };
-  } catch (e) {
-    // If not JSON, use the response as-is
-    const cleanedResponse = responseText.replace(/\{[\s\S]*?"response"[\s\S]*?\}/g, '').trim();
-    return {
-      response: cleanedResponse || responseText,
-      corrections: [],
-      grammarNote: null,
-      musicRecommendation: null,
-      isMultiMessage: false,
-    };
+    texts.push(value);
+    keyPattern.lastIndex = i;
   }
+
+  return texts.filter(text => text.trim()).join('\n\n');
 }
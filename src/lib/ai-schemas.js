@@ -0,0 +1,472 @@
+/**
+ * Response schemas for the JSON formats defined in generateSystemPrompt
+ * Each schema validates a parsed reply and fills in missing optional fields;
+ * feature schemas also describe their payload as a short chat label
+ */
+
+import { CEFR_LEVELS } from '@/lib/proficiency';
+import { classifyCorrection } from '@/lib/error-taxonomy';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const textOr = (value, fallback) => (isText(value) ? value.trim() : fallback);
+
+/**
+ * Corrections: keep only { incorrect, correction } pairs with both fields,
+ * each with an error category (classified from the text if the tag is missing)
+ */
+function coerceCorrections(value) {
+  if (!Array.isArray(value)) return [];
+
+  return value
+    .filter(item => item && isText(item.incorrect) && isText(item.correction))
+    .map(item => ({ incorrect: item.incorrect, correction: item.correction, category: classifyCorrection(item) }));
+}
+
+function coerceGrammarNote(value) {
+  if (!value || !isText(value.title) || !isText(value.content)) return null;
+
+  return {
+    title: value.title.trim(),
+    content: value.content,
+    category: textOr(value.category, 'General'),
+  };
+}
+
+function coerceMusicRecommendation(value) {
+  if (!value || !isText(value.title) || !isText(value.artist)) return null;
+
+  return {
+    title: value.title.trim(),
+    artist: value.artist.trim(),
+    reason: textOr(value.reason, 'Great for learning!'),
+    difficulty: DIFFICULTIES.includes(value.difficulty) ? value.difficulty : 'medium',
+    genre: textOr(value.genre, 'pop'),
+  };
+}
+
+/**
+ * Chat reply - single ({ response }) or multiple ({ messages: [{ content }] })
+ */
+const chatSchema = {
+  name: 'chat',
+  allowsPlainText: true,
+
+  fromPlainText(text) {
+    return {
+      response: text.trim(),
+      corrections: [],
+      grammarNote: null,
+      musicRecommendation: null,
+      isMultiMessage: false,
+    };
+  },
+
+  validate(data) {
+    const errors = [];
+    const extras = {
+      corrections: coerceCorrections(data.corrections),
+      grammarNote: coerceGrammarNote(data.grammarNote),
+      musicRecommendation: coerceMusicRecommendation(data.musicRecommendation),
+    };
+
+    if (Array.isArray(data.messages)) {
+      const messages = data.messages
+        .map(msg => (typeof msg === 'string' ? { content: msg } : msg))
+        .filter(msg => msg && isText(msg.content))
+        .map(msg => ({ content: msg.content.trim() }));
+
+      if (messages.length === 0) {
+        errors.push('"messages" must contain at least one {"content": "..."} item');
+      }
+
+      return { valid: errors.length === 0, errors, value: { messages, ...extras, isMultiMessage: true } };
+    }
+
+    if (!isText(data.response)) {
+      errors.push('Missing "response" string (or "messages" array)');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      value: { response: textOr(data.response, ''), ...extras, isMultiMessage: false },
+    };
+  },
+};
+
+/**
+ * Multiple-choice quiz (quiz-vocab, quiz-grammar, practice-mistakes, placement)
+ */
+const quizSchema = {
+  name: 'quiz',
+
+  describe(value) {
+    return `📝 ${value.quizType.charAt(0).toUpperCase()}${value.quizType.slice(1)} quiz (${value.questions.length} questions)`;
+  },
+
+  validate(data, { featureMode } = {}) {
+    const errors = [];
+    const questions = [];
+
+    (Array.isArray(data.questions) ? data.questions : []).forEach((question, index) => {
+      const options = Array.isArray(question?.options)
+        ? question.options.filter(isText).map(option => option.trim())
+        : [];
+
+      // Accept a numeric string or the answer text itself
+      let correctAnswer = Number.parseInt(question?.correctAnswer, 10);
+      if (Number.isNaN(correctAnswer) && isText(question?.correctAnswer)) {
+        correctAnswer = options.indexOf(question.correctAnswer.trim());
+      }
+
+      if (!isText(question?.question) || options.length < 2 || correctAnswer < 0 || correctAnswer >= options.length || Number.isNaN(correctAnswer)) {
+        errors.push(`Question ${index + 1} needs "question", at least 2 "options" and a valid "correctAnswer" index`);
+        return;
+      }
+
+      questions.push({
+        question: question.question.trim(),
+        options,
+        correctAnswer,
+        explanation: textOr(question.explanation, ''),
+        hint: textOr(question.hint, null),
+        // practice-mistakes questions point back at the mistake or word they test
+        ...(isText(question.itemId) && { itemId: question.itemId.trim() }),
+      });
+    });
+
+    if (questions.length === 0) {
+      errors.push('"questions" must contain at least one valid question');
+    }
+
+    return {
+      // Drop broken questions as long as some usable ones remain
+      valid: questions.length > 0,
+      errors,
+      value: {
+        type: 'quiz',
+        quizType: textOr(data.quizType, { 'quiz-grammar': 'grammar', 'practice-mistakes': 'practice' }[featureMode] || 'vocabulary'),
+        questions,
+      },
+    };
+  },
+};
+
+/**
+ * Daily challenge checklist
+ */
+const challengeSchema = {
+  name: 'challenge',
+
+  describe(value) {
+    return `🎯 ${value.title}`;
+  },
+
+  validate(data) {
+    const errors = [];
+    const tasks = (Array.isArray(data.tasks) ? data.tasks : [])
+      .map(task => (typeof task === 'string' ? { task } : task))
+      .filter(task => task && isText(task.task))
+      .map(task => ({ task: task.task.trim(), completed: task.completed === true }));
+
+    if (tasks.length === 0) {
+      errors.push('"tasks" must contain at least one {"task": "...", "completed": false} item');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      value: {
+        type: 'challenge',
+        title: textOr(data.title, "Today's Challenge"),
+        description: textOr(data.description, ''),
+        tasks,
+        reward: textOr(data.reward, ''),
+        difficulty: DIFFICULTIES.includes(data.difficulty) ? data.difficulty : 'medium',
+      },
+    };
+  },
+};
+
+/**
+ * Graded placement test writing sample
+ */
+const placementWritingSchema = {
+  name: 'placementWriting',
+
+  describe(value) {
+    return `✍️ Writing sample: ${value.level}`;
+  },
+
+  validate(data) {
+    const errors = [];
+    const level = textOr(data.level, '').toUpperCase();
+
+    if (!CEFR_LEVELS.includes(level)) {
+      errors.push(`"level" must be one of ${CEFR_LEVELS.join(', ')}`);
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      value: {
+        type: 'placementWriting',
+        level,
+        feedback: textOr(data.feedback, ''),
+      },
+    };
+  },
+};
+
+/**
+ * Role-play scenario
+ */
+const scenarioSchema = {
+  name: 'scenario',
+
+  describe(value) {
+    return `🎭 Role-play: ${value.title}`;
+  },
+
+  validate(data) {
+    const errors = [];
+
+    if (!isText(data.startingMessage)) {
+      errors.push('Missing "startingMessage" string');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      value: {
+        type: 'scenario',
+        title: textOr(data.title, 'Role-play'),
+        description: textOr(data.description, ''),
+        yourRole: textOr(data.yourRole, 'You'),
+        aiRole: textOr(data.aiRole, 'Partner'),
+        context: textOr(data.context, ''),
+        startingMessage: textOr(data.startingMessage, ''),
+      },
+    };
+  },
+};
+
+/**
+ * Timed translation speed round
+ */
+const speedRoundSchema = {
+  name: 'speedRound',
+
+  describe(value) {
+    return `⚡ Speed round (${value.challenges.length} challenges)`;
+  },
+
+  validate(data) {
+    const errors = [];
+    const challenges = (Array.isArray(data.challenges) ? data.challenges : [])
+      .filter(challenge => challenge && isText(challenge.prompt) && isText(challenge.answer))
+      .map(challenge => {
+        const answer = challenge.answer.trim();
+        const alternatives = Array.isArray(challenge.alternatives)
+          ? challenge.alternatives.filter(isText).map(alt => alt.trim())
+          : [];
+
+        return {
+          prompt: challenge.prompt.trim(),
+          answer,
+          alternatives: alternatives.includes(answer) ? alternatives : [answer, ...alternatives],
+        };
+      });
+
+    if (challenges.length === 0) {
+      errors.push('"challenges" must contain at least one {"prompt", "answer"} item');
+    }
+
+    const timeLimit = Number(data.timeLimit);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      value: {
+        type: 'speedRound',
+        challenges,
+        timeLimit: timeLimit > 0 ? Math.round(timeLimit) : 60,
+      },
+    };
+  },
+};
+
+const PARTS_OF_SPEECH = [
+  'noun', 'verb', 'adjective', 'adverb', 'pronoun', 'preposition', 'conjunction',
+  'determiner', 'interjection', 'numeral', 'particle', 'phrase',
+];
+
+/**
+ * Alternative senses: [{ translation, note }], at most 4, excluding the main translation
+ */
+function coerceSenses(value, translation) {
+  if (!Array.isArray(value)) return [];
+
+  return value
+    .map(item => (typeof item === 'string' ? { translation: item } : item))
+    .filter(item => item && isText(item.translation) && item.translation.trim().toLowerCase() !== translation.toLowerCase())
+    .slice(0, 4)
+    .map(item => ({ translation: item.translation.trim(), note: textOr(item.note, null) }));
+}
+
+const nullableText = (value) => (isText(value) && !/^(null|none|n\/a|-)$/i.test(value.trim()) ? value.trim() : null);
+
+/**
+ * Word lookup (/api/translate) - translation in context plus dictionary form,
+ * grammar and other senses. Plain text is accepted as a bare translation
+ */
+const wordLookupSchema = {
+  name: 'wordLookup',
+  allowsPlainText: true,
+
+  fromPlainText(text) {
+    return {
+      translation: text.trim(),
+      lemma: null,
+      lemmaTranslation: null,
+      partOfSpeech: null,
+      gender: null,
+      inflection: null,
+      senses: [],
+    };
+  },
+
+  validate(data) {
+    const errors = [];
+
+    if (!isText(data.translation)) {
+      errors.push('Missing "translation" string');
+    }
+
+    const partOfSpeech = nullableText(data.partOfSpeech)?.toLowerCase();
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      value: {
+        translation: textOr(data.translation, ''),
+        lemma: nullableText(data.lemma),
+        lemmaTranslation: nullableText(data.lemmaTranslation),
+        partOfSpeech: PARTS_OF_SPEECH.includes(partOfSpeech) ? partOfSpeech : null,
+        gender: nullableText(data.gender)?.toLowerCase() || null,
+        inflection: nullableText(data.inflection),
+        senses: coerceSenses(data.senses, textOr(data.translation, '')),
+      },
+    };
+  },
+};
+
+export const RESPONSE_SCHEMAS = {
+  chat: chatSchema,
+  quiz: quizSchema,
+  challenge: challengeSchema,
+  scenario: scenarioSchema,
+  speedRound: speedRoundSchema,
+  wordLookup: wordLookupSchema,
+  placementWriting: placementWritingSchema,
+};
+
+// Feature modes that answer with a structured payload instead of chat
+const FEATURE_SCHEMAS = {
+  'quiz-vocab': quizSchema,
+  'quiz-grammar': quizSchema,
+  'practice-mistakes': quizSchema,
+  'daily-challenge': challengeSchema,
+  'scenario': scenarioSchema,
+  'speed-round': speedRoundSchema,
+  'placement': quizSchema,
+  'placement-writing': placementWritingSchema,
+};
+
+/**
+ * Get the schema a reply should follow for a feature mode (chat by default)
+ */
+export function getResponseSchema(featureMode) {
+  return FEATURE_SCHEMAS[featureMode] || chatSchema;
+}
+
+/**
+ * Extract a JSON object from a reply (handles ```json fences and surrounding text)
+ * Returns null when no valid JSON object is found
+ */
+export function extractJSON(responseText) {
+  if (typeof responseText !== 'string') return null;
+
+  const fenceMatch = responseText.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+  const jsonText = fenceMatch ? fenceMatch[1] : responseText;
+  const objectMatch = jsonText.match(/\{[\s\S]*\}/);
+
+  if (!objectMatch) return null;
+
+  try {
+    const parsed = JSON.parse(objectMatch[0]);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// A reply that opens like a JSON object (bare or in a code fence) but didn't
+// parse is broken JSON, not conversation - braces later in the text are fine
+const startsLikeJSON = (text) => /^(?:```(?:json)?\s*)?\{/i.test(text.trim());
+
+/**
+ * Validate a raw AI reply against the schema for its feature mode
+ * Returns { valid, value, errors, schema }
+ */
+export function validateAIResponse(responseText, featureMode = null) {
+  const schema = getResponseSchema(featureMode);
+  const parsed = extractJSON(responseText);
+
+  if (!parsed) {
+    // Plain conversational text is fine for chat, as long as it isn't broken JSON
+    if (schema.allowsPlainText && isText(responseText) && !startsLikeJSON(responseText)) {
+      return { valid: true, value: schema.fromPlainText(responseText), errors: [], schema };
+    }
+
+    return { valid: false, value: null, errors: ['Reply is not valid JSON'], schema };
+  }
+
+  return { ...schema.validate(parsed, { featureMode }), schema };
+}
+
+/**
+ * Validate a lookupWord reply (see generateWordLookupPrompt)
+ * Returns { valid, value, errors }
+ */
+export function validateWordLookup(responseText) {
+  const parsed = extractJSON(responseText);
+
+  if (!parsed) {
+    if (isText(responseText) && !startsLikeJSON(responseText)) {
+      return { valid: true, value: wordLookupSchema.fromPlainText(responseText), errors: [] };
+    }
+
+    return { valid: false, value: null, errors: ['Reply is not valid JSON'] };
+  }
+
+  return wordLookupSchema.validate(parsed);
+}
+
+/**
+ * Follow-up prompt asking the model to fix a reply that failed validation
+ */
+export function buildRepairPrompt(schema, errors, responseText) {
+  return `Your previous reply did not match the required JSON format (${schema.name}).
+
+Previous reply:
+${responseText.substring(0, 2000)}
+
+Problems:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Reply again with ONLY valid JSON in the exact format from your instructions. Keep the same content. No markdown code fences and no text before or after the JSON.`;
+}
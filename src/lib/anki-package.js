@@ -0,0 +1,229 @@
+import { createHash } from 'crypto';
+import { unzipSync, zipSync, strToU8 } from 'fflate';
+import initSqlJs from 'sql.js';
+import { stripHtml } from '@/lib/vocab-import';
+
+/**
+ * Anki .apkg reader and writer (server only)
+ * An .apkg is a zip holding a SQLite collection; each note's fields are
+ * joined with \x1f in notes.flds and named by its note type in col.models
+ */
+
+const FIELD_SEPARATOR = '\x1f';
+
+// Largest collection database inflated from an upload (media is never inflated)
+const MAX_COLLECTION_BYTES = 100 * 1024 * 1024;
+
+const COLLECTION_FILE_PATTERN = /^collection\.anki2(1|1b)?$/;
+
+/**
+ * Read the notes of an .apkg file into { headers, rows } like parseVocabFile
+ */
+export async function readAnkiPackage(bytes) {
+  let files;
+  let tooLarge = false;
+  try {
+    // Only the collection is inflated, and only up to its size limit
+    files = unzipSync(bytes, {
+      filter: (file) => {
+        if (!COLLECTION_FILE_PATTERN.test(file.name)) return false;
+        if (file.originalSize > MAX_COLLECTION_BYTES) {
+          tooLarge = true;
+          return false;
+        }
+        return true;
+      },
+    });
+  } catch (e) {
+    throw new Error('This file is not a valid Anki package');
+  }
+
+  if (tooLarge) {
+    throw new Error('This deck is too large to import');
+  }
+
+  const collection = files['collection.anki21'] || files['collection.anki2'];
+  if (!collection) {
+    if (files['collection.anki21b']) {
+      throw new Error('This deck uses the newest Anki format. Export it again with "Support older Anki versions" enabled.');
+    }
+    throw new Error('No Anki collection found in this package');
+  }
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database(collection);
+
+  try {
+    const notes = db.exec('SELECT mid, flds FROM notes ORDER BY id');
+    const rows = (notes[0]?.values || []).map(([mid, fields]) => ({
+      modelId: String(mid),
+      cells: String(fields).split(FIELD_SEPARATOR).map(stripHtml),
+    }));
+
+    // Name the columns after the fields of the most common note type
+    let headers = null;
+    const models = db.exec('SELECT models FROM col');
+    if (models[0]?.values?.[0]?.[0] && rows.length > 0) {
+      const counts = {};
+      rows.forEach(row => { counts[row.modelId] = (counts[row.modelId] || 0) + 1; });
+      const mainModelId = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+
+      try {
+        const model = JSON.parse(models[0].values[0][0])[mainModelId];
+        headers = model?.flds?.map(field => field.name) || null;
+      } catch (e) {
+        headers = null;
+      }
+    }
+
+    return { headers, rows: rows.map(row => row.cells) };
+  } finally {
+    db.close();
+  }
+}
+
+const MODEL_ID = 1700000000000; // Stable so re-imported decks keep the same note type
+
+const COLLECTION_SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld text not null, csum integer not null, flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+const sha1 = (text) => createHash('sha1').update(text).digest('hex');
+
+const escapeHtml = (text) =>
+  (text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+function buildModel(deckId, now) {
+  const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] });
+
+  return {
+    id: MODEL_ID,
+    name: 'Lingozo Vocabulary',
+    type: 0,
+    mod: Math.floor(now / 1000),
+    usn: -1,
+    sortf: 0,
+    did: deckId,
+    tmpls: [{
+      name: 'Card 1',
+      ord: 0,
+      qfmt: '{{Front}}',
+      afmt: '{{FrontSide}}<hr id=answer>{{Back}}{{#Context}}<br><br><i>{{Context}}</i>{{/Context}}',
+      did: null,
+      bqfmt: '',
+      bafmt: '',
+    }],
+    flds: [field('Front', 0), field('Back', 1), field('Context', 2)],
+    css: '.card { font-family: arial; font-size: 22px; text-align: center; color: black; background-color: white; }',
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}',
+    tags: [],
+    vers: [],
+    req: [[0, 'all', [0]]],
+  };
+}
+
+function buildDeck(id, name, now) {
+  return {
+    id,
+    name,
+    desc: '',
+    mod: Math.floor(now / 1000),
+    usn: -1,
+    lrnToday: [0, 0],
+    revToday: [0, 0],
+    newToday: [0, 0],
+    timeToday: [0, 0],
+    collapsed: false,
+    browserCollapsed: false,
+    dyn: 0,
+    conf: 1,
+    extendNew: 10,
+    extendRev: 50,
+  };
+}
+
+const DECK_CONFIG = {
+  1: {
+    id: 1,
+    name: 'Default',
+    replayq: true,
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: false },
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, separate: true, order: 1, perDay: 20, bury: false },
+    maxTaken: 60,
+    timer: 0,
+    autoplay: true,
+    mod: 0,
+    usn: 0,
+    dyn: false,
+  },
+};
+
+/**
+ * Build an .apkg deck from { language, front, back, context } notes.
+ * Note GUIDs come from the language, front and back text, so importing a newer
+ * export updates the existing notes in Anki instead of duplicating them, while
+ * one word with two meanings (e.g. "banco" as bank and bench) stays two notes.
+ */
+export async function createAnkiPackage(deckName, notes) {
+  const now = Date.now();
+  const deckId = parseInt(sha1(deckName).slice(0, 12), 16);
+
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+
+  try {
+    db.run(COLLECTION_SCHEMA);
+
+    db.run(
+      'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+      [
+        Math.floor(now / 1000),
+        now,
+        now,
+        JSON.stringify({ nextPos: notes.length + 1, estTimes: true, activeDecks: [deckId], sortType: 'noteFld', timeLim: 0, sortBackwards: false, addToCur: true, curDeck: deckId, newBury: true, newSpread: 0, dueCounts: true, curModel: MODEL_ID, collapseTime: 1200 }),
+        JSON.stringify({ [MODEL_ID]: buildModel(deckId, now) }),
+        JSON.stringify({ 1: buildDeck(1, 'Default', now), [deckId]: buildDeck(deckId, deckName, now) }),
+        JSON.stringify(DECK_CONFIG),
+        '{}',
+      ]
+    );
+
+    notes.forEach((note, index) => {
+      const noteId = now + index;
+      const front = escapeHtml(note.front);
+      const fields = [front, escapeHtml(note.back), escapeHtml(note.context || '')].join(FIELD_SEPARATOR);
+
+      db.run(
+        'INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, ?)',
+        [noteId, sha1(`lingozo:${note.language || ''}:${note.front}:${note.back}`).slice(0, 10), MODEL_ID, Math.floor(now / 1000), '', fields, front, parseInt(sha1(front).slice(0, 8), 16), '']
+      );
+      db.run(
+        'INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, ?)',
+        [noteId, noteId, deckId, Math.floor(now / 1000), index + 1, '']
+      );
+    });
+
+    return zipSync({
+      'collection.anki2': db.export(),
+      media: strToU8('{}'),
+    });
+  } finally {
+    db.close();
+  }
+}
@@ -1,6 +1,7 @@
 /**
  * Audio utilities for Text-to-Speech and Speech-to-Text
- * Uses browser built-in Web Speech API (free and fast)
+ * Uses browser built-in Web Speech API (free and fast), falling back to
+ * server engines (/api/tts, /api/transcribe) where the browser falls short
  */
 
 // Check if browser supports Speech Synthesis (TTS)
@@ -8,21 +9,31 @@ export const isTTSSupported = () => {
   return typeof window !== 'undefined' && 'speechSynthesis' in window;
 };
 
-// Check if browser supports Speech Recognition (STT)
-export const isSTTSupported = () => {
+// Check if browser supports Speech Recognition natively
+export const isSpeechRecognitionSupported = () => {
   if (typeof window === 'undefined') return false;
   return 'webkitSpeechRecognition' in window || 'SpeechRecognition' in window;
 };
 
+// Check if browser can record audio for server transcription
+export const isRecordingSupported = () => {
+  if (typeof window === 'undefined') return false;
+  return 'MediaRecorder' in window && !!navigator.mediaDevices?.getUserMedia;
+};
+
+// Check if voice input works at all (STT), natively or by recording
+export const isSTTSupported = () => isSpeechRecognitionSupported() || isRecordingSupported();
+
 /**
  * Text-to-Speech: Speak text aloud
  * @param {string} text - Text to speak
  * @param {string} language - Language code (e.g., 'es-ES', 'fr-FR', 'en-US')
  * @param {number} rate - Speech rate (0.1 to 10, default 1)
  * @param {number} pitch - Speech pitch (0 to 2, default 1)
+ * @param {Object} options - { onBoundary(charIndex, charLength) } called as each word is spoken
  * @returns {Promise} Resolves when speech finishes
  */
-export function speak(text, language = 'en-US', rate = 0.9, pitch = 1) {
+export function speak(text, language = 'en-US', rate = 0.9, pitch = 1, { onBoundary } = {}) {
   return new Promise((resolve, reject) => {
     if (!isTTSSupported()) {
       reject(new Error('Text-to-speech not supported in this browser'));
@@ -78,6 +89,10 @@ export function speak(text, language = 'en-US', rate = 0.9, pitch = 1) {
           console.log('Speech started');
         };
 
+        utterance.onboundary = (event) => {
+          if (event.name === 'word') onBoundary?.(event.charIndex, event.charLength || 0);
+        };
+
         utterance.onend = () => {
           if (hasEnded) return; // Prevent double-firing
           hasEnded = true;
@@ -175,10 +190,154 @@ export function speak(text, language = 'en-US', rate = 0.9, pitch = 1) {
   });
 }
 
+// Server-generated audio: object URLs by message (or text), the element
+// currently playing, and which engine each language ended up using
+const audioCache = new Map();
+const engineByLanguage = new Map();
+let currentAudio = null;
+let finishCurrentAudio = null;
+
+/**
+ * Speak text with the engine picked for the user and language (see
+ * resolveTTSProvider): the browser's own voices, or audio generated on the
+ * server. Server audio is cached per message, so replays start instantly.
+ * @param {string} text - Text to speak
+ * @param {string} language - Language name or code
+ * @param {Object} options - { accessToken, messageId, rate, onBoundary(charIndex, charLength), signal }
+ *   An aborted signal stops a server request in flight, so nothing plays late
+ * @returns {Promise} Resolves when speech finishes (or right away once aborted)
+ */
+export async function speakText(text, language = 'en-US', { accessToken, messageId = null, rate = 0.9, onBoundary, signal } = {}) {
+  if (!text || text.trim().length === 0) {
+    throw new Error('No text to speak');
+  }
+
+  // Sentences of a message are cached separately
+  const cacheKey = `${messageId}:${language}:${rate}:${text}`;
+  if (audioCache.has(cacheKey)) {
+    return playAudio(audioCache.get(cacheKey), text, onBoundary);
+  }
+
+  if (engineByLanguage.get(language) === 'browser') {
+    return speak(text, language, rate, 1, { onBoundary });
+  }
+
+  stopSpeaking();
+
+  const browserHasVoice = (await loadVoices()).some(voice =>
+    voice.lang.toLowerCase().startsWith(getVoiceLanguageCode(language).split('-')[0].toLowerCase())
+  );
+  if (signal?.aborted) return;
+
+  let response;
+  try {
+    response = await fetch('/api/tts', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${accessToken}`,
+      },
+      body: JSON.stringify({ text, language, messageId, rate, browserHasVoice }),
+      signal,
+    });
+  } catch (error) {
+    if (signal?.aborted) return;
+    console.warn('TTS request failed, using browser voices:', error);
+    return speak(text, language, rate, 1, { onBoundary });
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    if (signal?.aborted) return;
+    console.warn('Server TTS failed, using browser voices:', data.error || response.status);
+    return speak(text, language, rate, 1, { onBoundary });
+  }
+
+  if (response.headers.get('content-type')?.includes('application/json')) {
+    // The browser has a good voice - remember that for the language
+    const data = await response.json();
+    if (data.engine === 'browser') {
+      engineByLanguage.set(language, 'browser');
+      if (signal?.aborted) return;
+      return speak(text, language, rate, 1, { onBoundary });
+    }
+  }
+
+  let blob;
+  try {
+    blob = await response.blob();
+  } catch (error) {
+    if (signal?.aborted) return;
+    throw error;
+  }
+
+  const url = URL.createObjectURL(blob);
+  audioCache.set(cacheKey, url);
+  if (signal?.aborted) return;
+  return playAudio(url, text, onBoundary);
+}
+
+// Server audio has no word timings, so boundaries are estimated from how far
+// playback is through the text
+function playAudio(url, text, onBoundary) {
+  stopSpeaking();
+
+  return new Promise((resolve, reject) => {
+    const audio = new Audio(url);
+    currentAudio = audio;
+    finishCurrentAudio = resolve;
+
+    if (onBoundary) {
+      audio.ontimeupdate = () => {
+        if (Number.isFinite(audio.duration) && audio.duration > 0) {
+          onBoundary(Math.floor((audio.currentTime / audio.duration) * text.length), 0);
+        }
+      };
+    }
+
+    const release = () => {
+      if (currentAudio === audio) {
+        currentAudio = null;
+        finishCurrentAudio = null;
+      }
+    };
+
+    audio.onended = () => {
+      release();
+      resolve();
+    };
+    audio.onerror = () => {
+      release();
+      reject(new Error('Failed to play audio'));
+    };
+    audio.play().catch((error) => {
+      release();
+      reject(new Error('Failed to start speech: ' + error.message));
+    });
+  });
+}
+
+/**
+ * Forget which engine each language uses (after the voice engine setting changes)
+ */
+export function resetTTSPreferences() {
+  engineByLanguage.clear();
+  audioCache.forEach(url => URL.revokeObjectURL(url));
+  audioCache.clear();
+}
+
 /**
  * Stop any ongoing speech
  */
 export function stopSpeaking() {
+  if (currentAudio) {
+    currentAudio.pause();
+    currentAudio = null;
+    // Stopping counts as finishing, like a cancelled utterance
+    finishCurrentAudio?.();
+    finishCurrentAudio = null;
+  }
+
   if (isTTSSupported()) {
     window.speechSynthesis.cancel();
   }
@@ -188,20 +347,29 @@ export function stopSpeaking() {
  * Check if currently speaking
  */
 export function isSpeaking() {
+  if (currentAudio && !currentAudio.paused) return true;
   if (!isTTSSupported()) return false;
   return window.speechSynthesis.speaking;
 }
 
 /**
  * Speech-to-Text: Listen to microphone and convert to text
+ * Browsers without the Web Speech API (Firefox, Safari) record instead and
+ * get the text from the server once recording stops.
  * @param {string} language - Language code (e.g., 'es-ES', 'fr-FR', 'en-US')
  * @param {function} onResult - Callback for interim results
- * @param {function} onFinalResult - Callback for final result
+ * @param {function} onFinalResult - Callback for final result (transcript, confidence 0-1 or null, words with timestamps or null)
  * @param {function} onError - Callback for errors
+ * @param {function} onEnd - Callback when recognition stops, with or without a result
+ * @param {Object} options - { getAccessToken } for server transcription
  * @returns {Object} Recognition instance with start() and stop() methods
  */
-export function startListening(language = 'en-US', onResult, onFinalResult, onError) {
-  if (!isSTTSupported()) {
+export function startListening(language = 'en-US', onResult, onFinalResult, onError, onEnd, options = {}) {
+  if (!isSpeechRecognitionSupported()) {
+    if (isRecordingSupported()) {
+      return startRecording(language, onResult, onFinalResult, onError, onEnd, options);
+    }
+
     onError?.(new Error('Speech recognition not supported in this browser'));
     return null;
   }
@@ -220,7 +388,7 @@ export function startListening(language = 'en-US', onResult, onFinalResult, onEr
     const transcript = result[0].transcript;
 
     if (result.isFinal) {
-      onFinalResult?.(transcript);
+      onFinalResult?.(transcript, result[0].confidence, null);
     } else {
       onResult?.(transcript);
     }
@@ -233,6 +401,7 @@ export function startListening(language = 'en-US', onResult, onFinalResult, onEr
 
   recognition.onend = () => {
     // Automatically called when speech ends
+    onEnd?.();
   };
 
   return {
@@ -242,64 +411,183 @@ export function startListening(language = 'en-US', onResult, onFinalResult, onEr
   };
 }
 
+// Recording stops by itself after this long (one phrase is much shorter)
+const MAX_RECORDING_MS = 30000;
+
+// Upload names Whisper recognises, by recorded MIME type
+const RECORDING_EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'mp4', 'audio/mpeg': 'mp3', 'audio/wav': 'wav' };
+
+/**
+ * Send recorded audio to the server for transcription
+ * @param {Blob} audio - Recorded audio
+ * @param {string} language - Language hint (name or code)
+ * @param {Object} options - { accessToken }
+ * @returns {Promise<Object>} { text, language, duration, words: [{ word, start, end }], engine }
+ */
+export async function transcribeAudio(audio, language, { accessToken } = {}) {
+  const mimeType = (audio.type || 'audio/webm').split(';')[0];
+  const form = new FormData();
+  form.append('audio', audio, `speech.${RECORDING_EXTENSIONS[mimeType] || 'webm'}`);
+  if (language) form.append('language', language);
+
+  const response = await fetch('/api/transcribe', {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${accessToken}` },
+    body: form,
+  });
+
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Failed to transcribe audio');
+  return data;
+}
+
+/**
+ * Record from the microphone and transcribe on the server when stopped
+ * (same callbacks and return shape as startListening)
+ */
+function startRecording(language, onResult, onFinalResult, onError, onEnd, { getAccessToken } = {}) {
+  let recorder = null;
+  let stream = null;
+  let cancelled = false;
+  let stopRequested = false;
+  let timer = null;
+  const chunks = [];
+
+  const release = () => {
+    clearTimeout(timer);
+    stream?.getTracks().forEach(track => track.stop());
+  };
+
+  const stop = () => {
+    stopRequested = true;
+    if (recorder?.state === 'recording') recorder.stop();
+  };
+
+  const start = async () => {
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      console.error('Microphone error:', error);
+      onError?.(error.name === 'NotAllowedError' ? 'not-allowed' : 'audio-capture');
+      onEnd?.();
+      return;
+    }
+
+    // Stopped while waiting for microphone permission
+    if (cancelled || stopRequested) {
+      release();
+      onEnd?.();
+      return;
+    }
+
+    recorder = new MediaRecorder(stream);
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = async () => {
+      release();
+
+      if (cancelled || chunks.length === 0) {
+        onEnd?.();
+        return;
+      }
+
+      try {
+        onResult?.('…');
+        const result = await transcribeAudio(new Blob(chunks, { type: recorder.mimeType }), language, {
+          accessToken: await getAccessToken?.(),
+        });
+
+        // Aborted while transcribing - drop the result
+        if (!cancelled) {
+          if (result.text) {
+            onFinalResult?.(result.text, null, result.words);
+          } else {
+            onError?.('no-speech');
+          }
+        }
+      } catch (error) {
+        console.error('Transcription error:', error);
+        if (!cancelled) onError?.(error.message);
+      }
+
+      onEnd?.();
+    };
+
+    recorder.start();
+    timer = setTimeout(stop, MAX_RECORDING_MS);
+  };
+
+  return {
+    start: () => { start(); },
+    stop,
+    abort: () => {
+      cancelled = true;
+      stop();
+    },
+  };
+}
+
+// Common language names (English and native) -> BCP 47 language tags
+const VOICE_LANGUAGE_CODES = {
+  'spanish': 'es-ES',
+  'español': 'es-ES',
+  'french': 'fr-FR',
+  'français': 'fr-FR',
+  'german': 'de-DE',
+  'deutsch': 'de-DE',
+  'italian': 'it-IT',
+  'italiano': 'it-IT',
+  'portuguese': 'pt-PT',
+  'português': 'pt-PT',
+  'russian': 'ru-RU',
+  'русский': 'ru-RU',
+  'japanese': 'ja-JP',
+  '日本語': 'ja-JP',
+  'chinese': 'zh-CN',
+  '中文': 'zh-CN',
+  'korean': 'ko-KR',
+  '한국어': 'ko-KR',
+  'arabic': 'ar-SA',
+  'العربية': 'ar-SA',
+  'hindi': 'hi-IN',
+  'हिन्दी': 'hi-IN',
+  'dutch': 'nl-NL',
+  'nederlands': 'nl-NL',
+  'polish': 'pl-PL',
+  'polski': 'pl-PL',
+  'turkish': 'tr-TR',
+  'türkçe': 'tr-TR',
+  'swedish': 'sv-SE',
+  'svenska': 'sv-SE',
+  'norwegian': 'no-NO',
+  'norsk': 'no-NO',
+  'danish': 'da-DK',
+  'dansk': 'da-DK',
+  'finnish': 'fi-FI',
+  'suomi': 'fi-FI',
+  'greek': 'el-GR',
+  'ελληνικά': 'el-GR',
+  'hebrew': 'he-IL',
+  'עברית': 'he-IL',
+  'thai': 'th-TH',
+  'ไทย': 'th-TH',
+  'vietnamese': 'vi-VN',
+  'tiếng việt': 'vi-VN',
+  'indonesian': 'id-ID',
+  'bahasa indonesia': 'id-ID',
+  'malay': 'ms-MY',
+  'bahasa melayu': 'ms-MY',
+  'swahili': 'sw-KE',
+  'kiswahili': 'sw-KE',
+  'english': 'en-US',
+};
+
 /**
  * Convert language name to proper language code for Speech API
  * Maps common language names to BCP 47 language tags
  */
-function getVoiceLanguageCode(language) {
-  const languageMap = {
-    // Common language mappings
-    'spanish': 'es-ES',
-    'español': 'es-ES',
-    'french': 'fr-FR',
-    'français': 'fr-FR',
-    'german': 'de-DE',
-    'deutsch': 'de-DE',
-    'italian': 'it-IT',
-    'italiano': 'it-IT',
-    'portuguese': 'pt-PT',
-    'português': 'pt-PT',
-    'russian': 'ru-RU',
-    'русский': 'ru-RU',
-    'japanese': 'ja-JP',
-    '日本語': 'ja-JP',
-    'chinese': 'zh-CN',
-    '中文': 'zh-CN',
-    'korean': 'ko-KR',
-    '한국어': 'ko-KR',
-    'arabic': 'ar-SA',
-    'العربية': 'ar-SA',
-    'hindi': 'hi-IN',
-    'हिन्दी': 'hi-IN',
-    'dutch': 'nl-NL',
-    'nederlands': 'nl-NL',
-    'polish': 'pl-PL',
-    'polski': 'pl-PL',
-    'turkish': 'tr-TR',
-    'türkçe': 'tr-TR',
-    'swedish': 'sv-SE',
-    'svenska': 'sv-SE',
-    'norwegian': 'no-NO',
-    'norsk': 'no-NO',
-    'danish': 'da-DK',
-    'dansk': 'da-DK',
-    'finnish': 'fi-FI',
-    'suomi': 'fi-FI',
-    'greek': 'el-GR',
-    'ελληνικά': 'el-GR',
-    'hebrew': 'he-IL',
-    'עברית': 'he-IL',
-    'thai': 'th-TH',
-    'ไทย': 'th-TH',
-    'vietnamese': 'vi-VN',
-    'tiếng việt': 'vi-VN',
-    'indonesian': 'id-ID',
-    'bahasa indonesia': 'id-ID',
-    'malay': 'ms-MY',
-    'bahasa melayu': 'ms-MY',
-    'english': 'en-US',
-  };
-
+export function getVoiceLanguageCode(language) {
   const lowerLang = language.toLowerCase().trim();
 
   // Check if it's already a valid language code (e.g., 'es-ES')
@@ -313,7 +601,52 @@ function getVoiceLanguageCode(language) {
   }
 
   // Look up in mapping
-  return languageMap[lowerLang] || 'en-US';
+  return VOICE_LANGUAGE_CODES[lowerLang] || 'en-US';
+}
+
+// Further languages (English names and common alternatives) -> ISO 639-1,
+// covering the languages Whisper can transcribe
+const ISO_LANGUAGE_CODES = {
+  'afrikaans': 'af', 'albanian': 'sq', 'amharic': 'am', 'armenian': 'hy', 'assamese': 'as',
+  'azerbaijani': 'az', 'bashkir': 'ba', 'basque': 'eu', 'belarusian': 'be', 'bengali': 'bn',
+  'bosnian': 'bs', 'breton': 'br', 'bulgarian': 'bg', 'burmese': 'my', 'cantonese': 'zh',
+  'castilian': 'es', 'catalan': 'ca', 'croatian': 'hr', 'czech': 'cs', 'estonian': 'et',
+  'faroese': 'fo', 'farsi': 'fa', 'filipino': 'tl', 'flemish': 'nl', 'galician': 'gl',
+  'georgian': 'ka', 'gujarati': 'gu', 'haitian': 'ht', 'haitian creole': 'ht', 'hausa': 'ha',
+  'hungarian': 'hu', 'icelandic': 'is', 'kannada': 'kn', 'kazakh': 'kk', 'khmer': 'km',
+  'lao': 'lo', 'latin': 'la', 'latvian': 'lv', 'lingala': 'ln', 'lithuanian': 'lt',
+  'luxembourgish': 'lb', 'macedonian': 'mk', 'malagasy': 'mg', 'malayalam': 'ml', 'maltese': 'mt',
+  'mandarin': 'zh', 'maori': 'mi', 'marathi': 'mr', 'mongolian': 'mn', 'myanmar': 'my',
+  'nepali': 'ne', 'nynorsk': 'nn', 'occitan': 'oc', 'panjabi': 'pa', 'pashto': 'ps',
+  'persian': 'fa', 'punjabi': 'pa', 'romanian': 'ro', 'sanskrit': 'sa', 'serbian': 'sr',
+  'shona': 'sn', 'sindhi': 'sd', 'sinhala': 'si', 'sinhalese': 'si', 'slovak': 'sk',
+  'slovenian': 'sl', 'somali': 'so', 'sundanese': 'su', 'tagalog': 'tl', 'tajik': 'tg',
+  'tamil': 'ta', 'tatar': 'tt', 'telugu': 'te', 'tibetan': 'bo', 'turkmen': 'tk',
+  'ukrainian': 'uk', 'urdu': 'ur', 'uzbek': 'uz', 'valencian': 'ca', 'welsh': 'cy',
+  'yiddish': 'yi', 'yoruba': 'yo',
+  'українська': 'uk', 'čeština': 'cs', 'magyar': 'hu', 'română': 'ro', 'hrvatski': 'hr',
+  'srpski': 'sr', 'српски': 'sr', 'български': 'bg', 'فارسی': 'fa', 'اردو': 'ur',
+};
+
+/**
+ * ISO 639-1 code for a language name or code (e.g. 'Ukrainian' -> 'uk'),
+ * or null when the language isn't known. Server engines use it so an unknown
+ * language is left for them to detect instead of being treated as English
+ */
+export function getLanguageISOCode(language) {
+  if (typeof language !== 'string' || !language.trim()) return null;
+
+  const lowerLang = language.toLowerCase().trim();
+
+  // Already a code (e.g. 'es' or 'es-ES')
+  if (/^[a-z]{2}(-[a-z]{2})?$/.test(lowerLang)) {
+    return lowerLang.slice(0, 2);
+  }
+
+  const voiceCode = VOICE_LANGUAGE_CODES[lowerLang];
+  if (voiceCode) return voiceCode.split('-')[0];
+
+  return ISO_LANGUAGE_CODES[lowerLang] || null;
 }
 
 /**
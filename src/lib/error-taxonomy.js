@@ -0,0 +1,66 @@
+/**
+ * Error taxonomy for corrections
+ * The tutor tags each correction with a category; untagged corrections (and
+ * ones saved before tagging existed) are classified from their explanation
+ */
+
+export const ERROR_CATEGORIES = [
+  { id: 'verb-conjugation', label: 'Verb conjugation', pattern: /\b(conjugat|verb ending|person|subject-verb)/i },
+  { id: 'verb-tense', label: 'Verb tense & mood', pattern: /\b(tense|mood|subjunctive|imperative|indicative|preterite|imperfect|conditional|future|past|perfect)/i },
+  { id: 'gender-agreement', label: 'Gender agreement', pattern: /\b(gender|masculine|feminine|neuter)/i },
+  { id: 'number-agreement', label: 'Number agreement', pattern: /\b(plural|singular|agree)/i },
+  { id: 'articles', label: 'Articles', pattern: /\b(article|definite|indefinite)/i },
+  { id: 'prepositions', label: 'Prepositions', pattern: /\bpreposition/i },
+  { id: 'pronouns', label: 'Pronouns', pattern: /\bpronoun/i },
+  { id: 'word-order', label: 'Word order', pattern: /\b(word order|order|placement|position)\b/i },
+  { id: 'spelling', label: 'Spelling & accents', pattern: /\b(spell|accent|typo|capital|punctuation)/i },
+  { id: 'register', label: 'Register & politeness', pattern: /\b(formal|informal|register|polite|rude|slang|colloquial)/i },
+  { id: 'word-choice', label: 'Word choice', pattern: /\b(word choice|vocabulary|wrong word|false friend|instead of|means)\b/i },
+];
+
+export const OTHER_ERROR_CATEGORY = { id: 'other', label: 'Other' };
+
+export const ERROR_CATEGORY_IDS = [...ERROR_CATEGORIES.map(category => category.id), OTHER_ERROR_CATEGORY.id];
+
+export function getErrorCategory(id) {
+  return ERROR_CATEGORIES.find(category => category.id === id) || OTHER_ERROR_CATEGORY;
+}
+
+/**
+ * Category id for a { incorrect, correction, category } correction: its own
+ * tag if it is in the taxonomy, otherwise the first category whose pattern
+ * matches the explanation
+ */
+export function classifyCorrection(correction) {
+  const tag = typeof correction?.category === 'string' ? correction.category.trim().toLowerCase() : '';
+  if (ERROR_CATEGORY_IDS.includes(tag)) return tag;
+
+  const text = correction?.correction || '';
+  return (ERROR_CATEGORIES.find(category => category.pattern.test(text)) || OTHER_ERROR_CATEGORY).id;
+}
+
+/**
+ * Most frequent categories in mistakes rows ({ category, incorrect, correction,
+ * created_at }, newest first), each with its latest examples
+ */
+export function summarizeMistakes(rows, { limit = 5, examples = 2, minCount = 1 } = {}) {
+  const byCategory = new Map();
+
+  rows.forEach((row) => {
+    const category = classifyCorrection(row);
+    if (!byCategory.has(category)) {
+      byCategory.set(category, { category, label: getErrorCategory(category).label, count: 0, examples: [] });
+    }
+
+    const entry = byCategory.get(category);
+    entry.count += 1;
+    if (entry.examples.length < examples && !entry.examples.some(example => example.incorrect === row.incorrect)) {
+      entry.examples.push({ incorrect: row.incorrect, correction: row.correction, createdAt: row.created_at });
+    }
+  });
+
+  return [...byCategory.values()]
+    .filter(entry => entry.count >= minCount)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
@@ -0,0 +1,72 @@
+/**
+ * Adaptive placement test
+ * Short quiz rounds move up or down a CEFR level at a time; a free-writing
+ * sample graded by the AI then refines the result
+ */
+
+import { CEFR_LEVELS, getLevelIndex } from '@/lib/proficiency';
+
+export const PLACEMENT_START_LEVEL = 'A2';
+export const PLACEMENT_MAX_ROUNDS = 3;
+export const PLACEMENT_QUESTIONS_PER_ROUND = 4;
+
+// Share of a round's questions to get right to move up, or wrong to move down
+const PASS_SHARE = 0.75;
+const FAIL_SHARE = 0.25;
+
+export const getPlacementWritingPrompt = (language) =>
+  `Write a few sentences in ${language} about yourself: where you live, what you do, and what you did last weekend. Write as much as you comfortably can.`;
+
+const getShare = (round) => (round.total > 0 ? round.score / round.total : 0);
+
+/**
+ * Level of the next quiz round after rounds [{ level, score, total }] so far,
+ * or null when the quiz part is done
+ */
+export function getNextPlacementLevel(rounds) {
+  if (rounds.length === 0) return PLACEMENT_START_LEVEL;
+  if (rounds.length >= PLACEMENT_MAX_ROUNDS) return null;
+
+  const last = rounds[rounds.length - 1];
+  const share = getShare(last);
+  const step = share >= PASS_SHARE ? 1 : share <= FAIL_SHARE ? -1 : 0;
+  const next = CEFR_LEVELS[getLevelIndex(last.level) + step];
+
+  // Stop on a borderline score, at either end of the scale, or when the next level was already tried
+  if (step === 0 || !next || rounds.some(round => round.level === next)) return null;
+  return next;
+}
+
+/**
+ * Level shown by the quiz rounds: a borderline last round places at that
+ * level, otherwise the highest level passed (A1 if none was)
+ */
+export function getQuizPlacementLevel(rounds) {
+  if (rounds.length === 0) return null;
+
+  const last = rounds[rounds.length - 1];
+  const lastShare = getShare(last);
+  if (lastShare > FAIL_SHARE && lastShare < PASS_SHARE) return last.level;
+
+  const passed = rounds
+    .filter(round => getShare(round) >= PASS_SHARE)
+    .map(round => getLevelIndex(round.level));
+
+  return passed.length > 0 ? CEFR_LEVELS[Math.max(...passed)] : CEFR_LEVELS[0];
+}
+
+/**
+ * Final starting level from the quiz rounds and the graded writing sample
+ * (either may be missing). When both exist the lower half-step wins, so the
+ * tutor doesn't start above the learner.
+ */
+export function getPlacementLevel(rounds, writingLevel = null) {
+  const quizIndex = getLevelIndex(getQuizPlacementLevel(rounds));
+  const writingIndex = getLevelIndex(writingLevel);
+
+  if (quizIndex === -1 && writingIndex === -1) return null;
+  if (quizIndex === -1) return writingLevel;
+  if (writingIndex === -1) return CEFR_LEVELS[quizIndex];
+
+  return CEFR_LEVELS[Math.floor((quizIndex + writingIndex) / 2)];
+}
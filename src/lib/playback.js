@@ -0,0 +1,71 @@
+import { getVoiceLanguageCode } from '@/lib/audio-utils';
+import { tokenizeWords } from '@/lib/pronunciation';
+
+/**
+ * Listening practice playback
+ * Messages are read sentence by sentence so a learner can replay or loop one
+ * sentence, slow it down and follow the current word.
+ */
+
+// Speeds offered in the player and settings (1 = the voice's normal speed)
+export const SPEECH_RATES = [0.5, 0.75, 0.9, 1, 1.25];
+export const DEFAULT_SPEECH_RATE = 0.9;
+
+const MIN_SPEECH_RATE = 0.5;
+const MAX_SPEECH_RATE = 1.5;
+
+export const clampSpeechRate = (rate) => {
+  const value = Number(rate);
+  if (!Number.isFinite(value)) return DEFAULT_SPEECH_RATE;
+  return Math.min(Math.max(value, MIN_SPEECH_RATE), MAX_SPEECH_RATE);
+};
+
+// Sentence ends for languages Intl.Segmenter isn't available for
+const SENTENCE_PATTERN = /[^.!?…。！？\n]+(?:[.!?…。！？]+["'”’)\]]*|\n|$)/g;
+
+/**
+ * Sentences of a text as { text, start, end } (character offsets into the
+ * text, surrounding whitespace left out)
+ */
+export function splitSentences(text, language = 'en-US') {
+  const source = text || '';
+  let pieces;
+
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(getVoiceLanguageCode(language), { granularity: 'sentence' });
+    pieces = [...segmenter.segment(source)].map(({ segment, index }) => ({ segment, index }));
+  } else {
+    pieces = [...source.matchAll(SENTENCE_PATTERN)].map(match => ({ segment: match[0], index: match.index }));
+  }
+
+  // Line breaks inside a segment (lists, paragraphs) end a sentence too
+  return pieces
+    .flatMap(({ segment, index }) => {
+      const lines = [];
+      let offset = 0;
+      segment.split('\n').forEach((line) => {
+        lines.push({ line, index: index + offset });
+        offset += line.length + 1;
+      });
+      return lines;
+    })
+    .map(({ line, index }) => {
+      const leading = line.length - line.trimStart().length;
+      const trimmed = line.trim();
+      return { text: trimmed, start: index + leading, end: index + leading + trimmed.length };
+    })
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence.text));
+}
+
+/**
+ * The word at (or right after) a character offset reported by a speech
+ * boundary event, as { start, end }, or null past the last word
+ */
+export function getWordAt(text, charIndex) {
+  const words = tokenizeWords(text);
+  const word = words.find(candidate => charIndex >= candidate.start && charIndex < candidate.end)
+    // Boundary events can point at punctuation just before the word
+    || words.find(candidate => candidate.start >= charIndex);
+
+  return word ? { start: word.start, end: word.end } : null;
+}
@@ -0,0 +1,107 @@
+/**
+ * "Practice my mistakes" quizzes
+ * Questions are written from the learner's own corrections and saved words in
+ * a chat; an item is mastered after a run of correct answers and stops coming up
+ */
+
+import { classifyCorrection, getErrorCategory } from '@/lib/error-taxonomy';
+
+export const PRACTICE_QUESTION_COUNT = 5;
+export const PRACTICE_MASTERY_STREAK = 3;
+
+// Unmastered rows loaded from each source before picking
+export const PRACTICE_CANDIDATE_LIMIT = 30;
+
+const PRACTICE_SOURCES = ['mistake', 'vocab'];
+
+export const getPracticeItemId = (source, id) => `${source}:${id}`;
+
+/**
+ * { source, id } for an item id like "mistake:<uuid>", or null
+ */
+export function parsePracticeItemId(itemId) {
+  const [source, ...rest] = typeof itemId === 'string' ? itemId.split(':') : [];
+  const id = rest.join(':');
+  return PRACTICE_SOURCES.includes(source) && id ? { source, id } : null;
+}
+
+const toMistakeItem = (row) => ({
+  itemId: getPracticeItemId('mistake', row.id),
+  source: 'mistake',
+  streak: row.practice_streak || 0,
+  category: getErrorCategory(classifyCorrection(row)).label,
+  incorrect: row.incorrect,
+  correction: row.correction,
+});
+
+const toVocabItem = (row) => ({
+  itemId: getPracticeItemId('vocab', row.id),
+  source: 'vocab',
+  streak: row.practice_streak || 0,
+  word: row.word,
+  translation: row.translation,
+  context: row.context || null,
+});
+
+/**
+ * Key shared by every row of the same mistake or word, so repeats count as one item
+ */
+export const getPracticeTextKey = (text) => (typeof text === 'string' ? text.trim().toLowerCase() : '');
+
+// One item per distinct text, least practised first (sort is stable, so newest next)
+const toQueue = (rows, toItem, keyOf) => {
+  const seen = new Set();
+  return rows
+    .filter((row) => {
+      const key = getPracticeTextKey(keyOf(row));
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(toItem)
+    .sort((a, b) => a.streak - b.streak);
+};
+
+/**
+ * Up to `count` items from unmastered mistakes and saved_vocabulary rows
+ * (newest first), alternating between the two while both last
+ */
+export function selectPracticeItems(mistakes, vocabulary, { count = PRACTICE_QUESTION_COUNT } = {}) {
+  const mistakeQueue = toQueue(mistakes, toMistakeItem, row => row.incorrect);
+  const vocabQueue = toQueue(vocabulary, toVocabItem, row => row.word);
+  const items = [];
+
+  while (items.length < count && (mistakeQueue.length > 0 || vocabQueue.length > 0)) {
+    if (mistakeQueue.length > 0) items.push(mistakeQueue.shift());
+    if (items.length < count && vocabQueue.length > 0) items.push(vocabQueue.shift());
+  }
+
+  return items;
+}
+
+/**
+ * User message listing the items for the practice-mistakes prompt
+ */
+export function formatPracticeItems(items) {
+  return items
+    .map((item, index) => {
+      const line = item.source === 'mistake'
+        ? `Mistake (${item.category}): wrote "${item.incorrect}" - ${item.correction}`
+        : `Saved word: "${item.word}" = ${item.translation}${item.context ? ` - seen in "${item.context}"` : ''}`;
+      return `${index + 1}. [${item.itemId}] ${line}`;
+    })
+    .join('\n');
+}
+
+/**
+ * New { practice_streak, mastered_at } for an item after one answer: a right
+ * answer extends the streak, a wrong one resets it and un-masters the item
+ */
+export function getPracticeUpdate(streak, isCorrect, now = new Date()) {
+  const practiceStreak = isCorrect ? (streak || 0) + 1 : 0;
+
+  return {
+    practice_streak: practiceStreak,
+    mastered_at: practiceStreak >= PRACTICE_MASTERY_STREAK ? now.toISOString() : null,
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Learner proficiency model
+ * Estimates a CEFR level per chat from the user's messages and corrections,
+ * quiz results and vocabulary range, with strengths and weaknesses by
+ * error category (see error-taxonomy.js)
+ */
+
+import { classifyCorrection, getErrorCategory, OTHER_ERROR_CATEGORY } from '@/lib/error-taxonomy';
+
+export const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+export const CEFR_DESCRIPTIONS = {
+  A1: 'Beginner',
+  A2: 'Elementary',
+  B1: 'Intermediate',
+  B2: 'Upper intermediate',
+  C1: 'Advanced',
+  C2: 'Proficient',
+};
+
+/**
+ * Position of a CEFR level (A1 = 0), or -1 for no level
+ */
+export const getLevelIndex = (level) => CEFR_LEVELS.indexOf(level);
+
+// Recent messages weigh in; the window before them shows what improved
+const RECENT_MESSAGES = 30;
+const MIN_MESSAGES = 5;
+export const RECENT_QUIZZES = 10;
+const STRONG_QUIZ_PERCENTAGE = 80;
+
+// How much each signal counts towards the level (quiz weight is shared out when there are no quizzes)
+const WEIGHTS = { accuracy: 0.35, complexity: 0.25, vocabulary: 0.2, quizzes: 0.2 };
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const getWords = (text) => (text || '').toLowerCase().match(/\p{L}+(?:['’]\p{L}+)*/gu) || [];
+
+// Mistakes per category in a list of user messages
+function countMistakes(messages) {
+  const counts = {};
+  messages.forEach((message) => {
+    (message.corrections || []).forEach((correction) => {
+      const category = classifyCorrection(correction);
+      counts[category] = (counts[category] || 0) + 1;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Quiz results from quiz_attempts rows, oldest first.
+ * 'quiz-completed' chat messages are only a summary for display.
+ */
+export function getQuizResults(attempts) {
+  return (attempts || []).map(attempt => ({
+    quizType: attempt.quiz_type,
+    percentage: attempt.percentage,
+    completedAt: attempt.created_at,
+  }));
+}
+
+/**
+ * Estimate a proficiency profile from a chat's messages and quiz_attempts
+ * rows (both oldest first) and the number of words saved in it. A placement test result (startingLevel)
+ * counts until the chat has enough messages of its own; without one, level
+ * is null while there's too little to go on.
+ */
+export function estimateProficiency(messages, { quizAttempts = [], savedWordCount = 0, startingLevel = null, now = new Date() } = {}) {
+  const userMessages = messages.filter(message => message.role === 'user' && message.content?.trim());
+  const recent = userMessages.slice(-RECENT_MESSAGES);
+  const earlier = userMessages.slice(-RECENT_MESSAGES * 2, -RECENT_MESSAGES);
+  const quizzes = getQuizResults(quizAttempts).slice(-RECENT_QUIZZES);
+
+  // Share of recent messages that needed no correction
+  const correctedCount = recent.filter(message => message.corrections?.length > 0).length;
+  const accuracy = recent.length > 0 ? 1 - correctedCount / recent.length : null;
+
+  // Longer messages take more command of the language
+  const averageWords = recent.length > 0
+    ? recent.reduce((sum, message) => sum + getWords(message.content).length, 0) / recent.length
+    : 0;
+  const complexity = clamp((averageWords - 2) / 14);
+
+  // Distinct words used in the chat plus saved words, on a log scale (10 words = 0, 3000 = 1)
+  const distinctWords = new Set(userMessages.flatMap(message => getWords(message.content))).size;
+  const vocabularyRange = distinctWords + savedWordCount;
+  const vocabulary = vocabularyRange > 0 ? clamp((Math.log10(vocabularyRange) - 1) / (Math.log10(3000) - 1)) : 0;
+
+  const quizAccuracy = quizzes.length > 0
+    ? quizzes.reduce((sum, quiz) => sum + (quiz.percentage || 0), 0) / quizzes.length / 100
+    : null;
+
+  const signals = {
+    messageCount: userMessages.length,
+    accuracy: accuracy === null ? null : Math.round(accuracy * 100),
+    averageWords: Math.round(averageWords * 10) / 10,
+    vocabularyRange,
+    quizCount: quizzes.length,
+    quizAccuracy: quizAccuracy === null ? null : Math.round(quizAccuracy * 100),
+    startingLevel,
+  };
+
+  let level = null;
+  let score = null;
+  if (recent.length >= MIN_MESSAGES || quizzes.length > 0) {
+    const parts = [
+      [WEIGHTS.accuracy, accuracy],
+      [WEIGHTS.complexity, recent.length > 0 ? complexity : null],
+      [WEIGHTS.vocabulary, vocabulary],
+      [WEIGHTS.quizzes, quizAccuracy],
+    ].filter(([, value]) => value !== null);
+    const totalWeight = parts.reduce((sum, [weight]) => sum + weight, 0);
+
+    score = parts.reduce((sum, [weight, value]) => sum + weight * value, 0) / totalWeight;
+  }
+
+  // The placement result fades out as recent messages fill up
+  const startingIndex = getLevelIndex(startingLevel);
+  if (startingIndex !== -1) {
+    const startingScore = (startingIndex + 0.5) / CEFR_LEVELS.length;
+    const startingWeight = score === null ? 1 : Math.max(0, 1 - recent.length / RECENT_MESSAGES);
+    score = startingWeight * startingScore + (1 - startingWeight) * (score || 0);
+  }
+
+  if (score !== null) {
+    level = CEFR_LEVELS[Math.min(CEFR_LEVELS.length - 1, Math.floor(score * CEFR_LEVELS.length))];
+    score = Math.round(score * 100);
+  }
+
+  // Weaknesses: where recent corrections pile up
+  const recentMistakes = countMistakes(recent);
+  const weaknesses = Object.entries(recentMistakes)
+    .filter(([category, count]) => category !== OTHER_ERROR_CATEGORY.id && count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([category, count]) => ({ category, label: getErrorCategory(category).label, count }));
+
+  // Strengths: categories with far fewer mistakes than before, and quiz types done well
+  const earlierMistakes = countMistakes(earlier);
+  const strengths = Object.entries(earlierMistakes)
+    .filter(([category, count]) =>
+      category !== OTHER_ERROR_CATEGORY.id && count >= 2 && (recentMistakes[category] || 0) <= count / 2
+    )
+    .map(([category]) => ({ category, label: getErrorCategory(category).label, reason: 'Fewer mistakes lately' }));
+
+  const quizTypes = {};
+  quizzes.forEach((quiz) => {
+    const type = (quiz.quizType || 'General').toLowerCase();
+    quizTypes[type] = [...(quizTypes[type] || []), quiz.percentage || 0];
+  });
+  Object.entries(quizTypes).forEach(([type, percentages]) => {
+    const average = Math.round(percentages.reduce((sum, value) => sum + value, 0) / percentages.length);
+    if (average >= STRONG_QUIZ_PERCENTAGE) {
+      strengths.push({
+        category: `quiz-${type}`,
+        label: `${type.charAt(0).toUpperCase()}${type.slice(1)} quizzes`,
+        reason: `${average}% in quizzes`,
+      });
+    }
+  });
+
+  return {
+    level,
+    score,
+    strengths: strengths.slice(0, 3),
+    weaknesses,
+    signals,
+    updatedAt: now.toISOString(),
+  };
+}
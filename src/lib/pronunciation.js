@@ -0,0 +1,164 @@
+/**
+ * Pronunciation scoring
+ * Speech recognition only gives us text, so a word counts as well pronounced
+ * when the recogniser heard it as written. The transcript is aligned word by
+ * word against the expected text and each expected word gets a 0-100 score.
+ */
+
+// Longer texts are cut off - one recognition phrase rarely covers more
+export const PRONUNCIATION_MAX_WORDS = 60;
+
+// Score from which a word counts as correct / close
+const CORRECT_SCORE = 85;
+const CLOSE_SCORE = 50;
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu;
+
+const stripAccents = (text) => text.normalize('NFD').replace(/\p{M}/gu, '');
+
+/**
+ * Plain text of a markdown message, as it would be read aloud
+ */
+export const stripMarkdown = (text) =>
+  (text || '').replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').replace(/[*_`#>~]+/g, '');
+
+export const normalizeWord = (word) => word.toLowerCase().replace(/’/g, "'");
+
+/**
+ * Words of a text as { text, start, end } (character offsets), ignoring
+ * punctuation, emoji and markdown
+ */
+export function tokenizeWords(text) {
+  return [...(text || '').matchAll(WORD_PATTERN)].map(match => ({
+    text: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * 0-100 score for hearing `heard` when `expected` was written: exact match
+ * 100, only the accents differ 85, otherwise by spelling similarity
+ */
+export function scoreWord(expected, heard) {
+  const a = normalizeWord(expected);
+  const b = normalizeWord(heard);
+  if (a === b) return 100;
+
+  const plainA = stripAccents(a);
+  const plainB = stripAccents(b);
+  if (plainA === plainB) return CORRECT_SCORE;
+
+  const similarity = 1 - editDistance(plainA, plainB) / Math.max(plainA.length, plainB.length);
+  // Similar spellings are a near miss, anything else is a different word
+  return Math.round(similarity >= 0.6 ? similarity * 80 : similarity * 40);
+}
+
+const getStatus = (score, heard) => {
+  if (heard === null) return 'missed';
+  if (score >= CORRECT_SCORE) return 'correct';
+  return score >= CLOSE_SCORE ? 'close' : 'wrong';
+};
+
+/**
+ * Align a transcript against the expected text (edit distance over words,
+ * substitutions costing by how different the words are).
+ * Returns { words: [{ word, start, end, heard, score, status }], score,
+ * extraWords }, with status correct | close | wrong | missed.
+ */
+export function scorePronunciation(expectedText, transcript) {
+  const expected = tokenizeWords(expectedText).slice(0, PRONUNCIATION_MAX_WORDS);
+  const spoken = tokenizeWords(transcript).slice(0, PRONUNCIATION_MAX_WORDS * 2);
+  const n = expected.length;
+  const m = spoken.length;
+
+  const substitution = expected.map(word => spoken.map(heard => scoreWord(word.text, heard.text)));
+
+  // cost[i][j]: cheapest alignment of the first i expected and j spoken words
+  const cost = Array.from({ length: n + 1 }, (_, i) => Array.from({ length: m + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + (100 - substitution[i - 1][j - 1]) / 100,
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+
+  // Walk back from the end to see which spoken word (if any) each expected word got
+  const heardIndex = new Array(n).fill(null);
+  let extraWords = 0;
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (100 - substitution[i - 1][j - 1]) / 100) {
+      heardIndex[i - 1] = j - 1;
+      i--;
+      j--;
+    } else if (i > 0 && (j === 0 || cost[i][j] === cost[i - 1][j] + 1)) {
+      i--;
+    } else {
+      extraWords++;
+      j--;
+    }
+  }
+
+  const words = expected.map((word, index) => {
+    const heard = heardIndex[index] === null ? null : spoken[heardIndex[index]].text;
+    const score = heard === null ? 0 : substitution[index][heardIndex[index]];
+    return { word: word.text, start: word.start, end: word.end, heard, score, status: getStatus(score, heard) };
+  });
+
+  return {
+    words,
+    score: words.length > 0 ? Math.round(words.reduce((sum, word) => sum + word.score, 0) / words.length) : 0,
+    extraWords,
+  };
+}
+
+/**
+ * Words a learner keeps getting wrong, from pronunciation_word_scores rows
+ * ({ word, language, score, heard }): average below maxScore over at least
+ * minAttempts tries, worst first
+ */
+export function summarizeMispronounced(rows, { minAttempts = 2, maxScore = 70, limit = 10 } = {}) {
+  const byWord = new Map();
+
+  rows.forEach((row) => {
+    const word = normalizeWord(row.word);
+    const key = `${row.language || ''}:${word}`;
+    if (!byWord.has(key)) byWord.set(key, { word: row.word, language: row.language || null, attempts: 0, total: 0, heardAs: [] });
+
+    const entry = byWord.get(key);
+    entry.attempts += 1;
+    entry.total += row.score;
+    if (row.heard && normalizeWord(row.heard) !== word && !entry.heardAs.includes(row.heard) && entry.heardAs.length < 3) {
+      entry.heardAs.push(row.heard);
+    }
+  });
+
+  return [...byWord.values()]
+    .map(({ total, ...entry }) => ({ ...entry, averageScore: Math.round(total / entry.attempts) }))
+    .filter(entry => entry.attempts >= minAttempts && entry.averageScore < maxScore)
+    .sort((a, b) => a.averageScore - b.averageScore || b.attempts - a.attempts)
+    .slice(0, limit);
+}
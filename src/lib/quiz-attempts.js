@@ -0,0 +1,101 @@
+/**
+ * Quiz attempts
+ * Every finished quiz is stored with its per-question answers, so missed
+ * questions can be retried and accuracy charted over time
+ */
+
+/**
+ * quiz_attempts row for a finished quiz and the results from QuizComponent
+ * (answers are in question order)
+ */
+export function toQuizAttempt(quiz, quizResults, { chatId, userId, language, messageId = null }) {
+  const answers = quizResults.answers.map((answer, index) => {
+    const question = quiz.questions[index] || {};
+    return {
+      question: answer.question,
+      options: question.options || [],
+      correctAnswer: answer.correct,
+      selected: answer.selected,
+      isCorrect: answer.isCorrect,
+      explanation: question.explanation || '',
+      hint: question.hint || null,
+      timeMs: answer.timeMs ?? null,
+      ...(question.itemId && { itemId: question.itemId }),
+    };
+  });
+
+  return {
+    user_id: userId,
+    chat_id: chatId,
+    message_id: messageId,
+    language,
+    quiz_type: quizResults.quizType || 'General',
+    score: quizResults.score,
+    total_questions: quizResults.totalQuestions,
+    percentage: quizResults.percentage,
+    duration_seconds: quizResults.durationSeconds ?? null,
+    answers,
+    retry_of: quiz.retryOf || null,
+  };
+}
+
+/**
+ * Questions answered wrongly in an attempt, in QuizComponent's format.
+ * Answers without options (backfilled from old messages) can't be asked again.
+ */
+export function getMissedQuestions(attempt) {
+  return (attempt.answers || [])
+    .filter(answer => !answer.isCorrect && answer.options?.length >= 2)
+    .map(answer => ({
+      question: answer.question,
+      options: answer.options,
+      correctAnswer: answer.correctAnswer,
+      explanation: answer.explanation || '',
+      hint: answer.hint || null,
+      ...(answer.itemId && { itemId: answer.itemId }),
+    }));
+}
+
+/**
+ * A quiz of just the missed questions of an attempt, or null if there are none
+ */
+export function buildRetryQuiz(attempt) {
+  const questions = getMissedQuestions(attempt);
+  if (questions.length === 0) return null;
+
+  return {
+    type: 'quiz',
+    quizType: attempt.quiz_type,
+    questions,
+    retryOf: attempt.id || null,
+  };
+}
+
+const toDay = (date) => {
+  const day = new Date(date);
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Accuracy per day ({ day, attempts, correct, total, percentage }, oldest
+ * first) from attempts with score, total_questions and created_at
+ */
+export function getQuizAccuracyByDay(attempts) {
+  const byDay = new Map();
+
+  attempts.forEach((attempt) => {
+    if (!(attempt.total_questions > 0)) return;
+
+    const day = toDay(attempt.created_at);
+    if (!byDay.has(day)) byDay.set(day, { day, attempts: 0, correct: 0, total: 0 });
+
+    const entry = byDay.get(day);
+    entry.attempts += 1;
+    entry.correct += attempt.score || 0;
+    entry.total += attempt.total_questions;
+  });
+
+  return [...byDay.values()]
+    .sort((a, b) => a.day.localeCompare(b.day))
+    .map(entry => ({ ...entry, percentage: Math.round((entry.correct / entry.total) * 100) }));
+}
@@ -0,0 +1,133 @@
+/**
+ * Spaced repetition for saved vocabulary (SM-2)
+ * Each card keeps its own ease factor, interval and due date
+ */
+
+// Grades shown on review buttons, mapped to SM-2 quality (0-5)
+export const REVIEW_GRADES = {
+  again: { label: 'Again', quality: 1 },
+  hard: { label: 'Hard', quality: 3 },
+  good: { label: 'Good', quality: 4 },
+  easy: { label: 'Easy', quality: 5 },
+};
+
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+const RELEARN_MINUTES = 10; // Failed cards come back in the same session
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Schedule the next review of a card after grading it.
+ * Returns the saved_vocabulary fields to update.
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+  const { quality } = REVIEW_GRADES[grade] || REVIEW_GRADES.good;
+  const ease = card.ease_factor || DEFAULT_EASE;
+  const repetitions = card.repetitions || 0;
+  const interval = card.interval_days || 0;
+
+  // SM-2 ease update, never below 1.3
+  const nextEase = Math.max(MIN_EASE, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+
+  if (quality < 3) {
+    return {
+      ease_factor: nextEase,
+      interval_days: 0,
+      repetitions: 0,
+      lapses: (card.lapses || 0) + 1,
+      due_at: new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000).toISOString(),
+      last_reviewed_at: now.toISOString(),
+    };
+  }
+
+  let nextInterval;
+  if (repetitions === 0) {
+    nextInterval = grade === 'easy' ? 4 : 1;
+  } else if (repetitions === 1) {
+    nextInterval = grade === 'hard' ? 3 : 6;
+  } else if (grade === 'hard') {
+    nextInterval = Math.round(interval * 1.2);
+  } else {
+    nextInterval = Math.round(interval * nextEase * (grade === 'easy' ? 1.3 : 1));
+  }
+  nextInterval = Math.max(1, nextInterval);
+
+  return {
+    ease_factor: nextEase,
+    interval_days: nextInterval,
+    repetitions: repetitions + 1,
+    lapses: card.lapses || 0,
+    due_at: new Date(now.getTime() + nextInterval * DAY_MS).toISOString(),
+    last_reviewed_at: now.toISOString(),
+  };
+}
+
+// Compare answers ignoring case, accents, punctuation and extra spaces
+const normalize = (text) =>
+  (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[¡!¿?.,;:"'()]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = temp;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Grade a typed answer: exact match is 'good' ('hard' if only accents differ),
+ * a small typo is 'hard', anything else is 'again'
+ */
+export function gradeTypedAnswer(typed, expected) {
+  const answer = normalize(typed);
+  const target = normalize(expected);
+
+  if (!answer) return 'again';
+  if (answer === target) {
+    return typed.trim().toLowerCase() === expected.trim().toLowerCase() ? 'good' : 'hard';
+  }
+
+  // Allow one typo per 6 characters
+  return editDistance(answer, target) <= Math.floor(target.length / 6) ? 'hard' : 'again';
+}
+
+/**
+ * Cards due before the end of today count as "due today"
+ */
+export function getEndOfToday(now = new Date()) {
+  const end = new Date(now);
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+/**
+ * Short human label for when a card is next due ("Due now", "in 3d")
+ */
+export function formatDueDate(dueAt, now = new Date()) {
+  if (!dueAt) return 'New';
+
+  const diff = new Date(dueAt).getTime() - now.getTime();
+  if (diff <= 0) return 'Due now';
+  if (diff < DAY_MS) return 'Due today';
+
+  const days = Math.round(diff / DAY_MS);
+  return days < 30 ? `In ${days}d` : `In ${Math.round(days / 30)}mo`;
+}
@@ -0,0 +1,205 @@
+import OpenAI from 'openai';
+import { getLanguageISOCode } from '@/lib/audio-utils';
+
+/**
+ * STT Provider Factory
+ * Browsers without the Web Speech API record audio instead and send it here
+ * to be transcribed by OpenAI Whisper or a local whisper.cpp server.
+ * Both return the text with word-level timestamps (see transcribe)
+ */
+
+export const STT_PROVIDERS = {
+  OPENAI: {
+    id: 'openai',
+    name: 'OpenAI Whisper',
+    model: process.env.OPENAI_STT_MODEL || 'whisper-1', // Only whisper-1 gives word timestamps
+    settingsKeyColumn: 'openai_api_key', // Same key as the OpenAI chat provider
+    serverKeyEnv: 'OPENAI_API_KEY',
+  },
+  WHISPER_CPP: {
+    id: 'whisper-cpp',
+    name: 'whisper.cpp (local)',
+    // e.g. http://localhost:8080 - start whisper-server with --convert so it accepts webm/mp4
+    serverUrlEnv: 'WHISPER_CPP_URL',
+  },
+};
+
+// Whisper's upload limit
+export const STT_MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+/**
+ * Columns to select from user_settings for engine resolution
+ */
+export const STT_SETTINGS_COLUMNS = 'openai_api_key';
+
+/**
+ * Look up an engine config by its id (e.g. 'whisper-cpp')
+ */
+export function getSTTProviderConfig(providerId) {
+  return Object.values(STT_PROVIDERS).find(provider => provider.id === providerId) || null;
+}
+
+// ISO-639-1 code Whisper expects as the language hint (e.g. 'Vietnamese' -> 'vi'),
+// undefined for unknown languages so Whisper detects them itself
+const toWhisperLanguage = (language) => getLanguageISOCode(language) || undefined;
+
+/**
+ * Words as [{ word, start, end }] (seconds), from either a top-level words
+ * list (OpenAI) or per-segment words (whisper.cpp)
+ */
+function normalizeWords(response) {
+  const words = response.words || (response.segments || []).flatMap(segment => segment.words || []);
+
+  return words
+    .map(word => ({ word: String(word.word ?? word.text ?? '').trim(), start: Number(word.start) || 0, end: Number(word.end) || 0 }))
+    .filter(word => word.word && !/^\[.*\]$/.test(word.word)); // Skip markers like [_BEG_]
+}
+
+/**
+ * Base class for transcription engines
+ */
+class STTProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Returns { text, language, duration, words: [{ word, start, end }] }
+   */
+  async transcribe(audio, language) {
+    throw new Error('transcribe() must be implemented');
+  }
+}
+
+/**
+ * OpenAI Whisper
+ */
+class OpenAISTTProvider extends STTProvider {
+  constructor(apiKey) {
+    super(STT_PROVIDERS.OPENAI);
+    this.client = new OpenAI({ apiKey });
+  }
+
+  async transcribe(audio, language) {
+    const response = await this.client.audio.transcriptions.create({
+      file: audio,
+      model: this.config.model,
+      language: toWhisperLanguage(language),
+      response_format: 'verbose_json',
+      timestamp_granularities: ['word'],
+    });
+
+    return {
+      text: response.text?.trim() || '',
+      language: response.language || null,
+      duration: response.duration ?? null,
+      words: normalizeWords(response),
+    };
+  }
+}
+
+/**
+ * whisper.cpp server (examples/server) - POST /inference with multipart audio
+ */
+class WhisperCppSTTProvider extends STTProvider {
+  constructor({ baseUrl }) {
+    super(STT_PROVIDERS.WHISPER_CPP);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  async transcribe(audio, language) {
+    const form = new FormData();
+    form.append('file', audio, audio.name || 'speech.webm');
+    form.append('response_format', 'verbose_json');
+    form.append('temperature', '0');
+    form.append('language', toWhisperLanguage(language) || 'auto');
+
+    const response = await fetch(`${this.baseUrl}/inference`, { method: 'POST', body: form });
+    if (!response.ok) {
+      throw new Error(`whisper.cpp request failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    if (data.error) {
+      throw new Error(`whisper.cpp error: ${data.error}`);
+    }
+
+    return {
+      text: data.text?.trim() || '',
+      language: data.language || null,
+      duration: data.duration ?? null,
+      words: normalizeWords(data),
+    };
+  }
+}
+
+/**
+ * Factory function to create a transcription engine instance
+ */
+export function createSTTProvider(providerId, apiKey, options = {}) {
+  switch (providerId) {
+    case STT_PROVIDERS.OPENAI.id:
+      if (!apiKey) {
+        throw new Error('API key is required');
+      }
+      return new OpenAISTTProvider(apiKey);
+    case STT_PROVIDERS.WHISPER_CPP.id:
+      if (!options.baseUrl) {
+        throw new Error('whisper.cpp server URL is required');
+      }
+      return new WhisperCppSTTProvider(options);
+    default:
+      throw new Error(`Unknown STT provider: ${providerId}`);
+  }
+}
+
+/**
+ * Get what an engine needs to run for this user, or null if it isn't configured
+ */
+function getSTTProviderKey(config, userSettings) {
+  if (config.id === STT_PROVIDERS.OPENAI.id) {
+    const userKey = userSettings?.[config.settingsKeyColumn]?.trim();
+    if (userKey) return { apiKey: userKey, keySource: 'user' };
+
+    const serverKey = process.env[config.serverKeyEnv];
+    return serverKey ? { apiKey: serverKey, keySource: 'server' } : null;
+  }
+
+  if (config.id === STT_PROVIDERS.WHISPER_CPP.id) {
+    const baseUrl = process.env[config.serverUrlEnv];
+    return baseUrl ? { apiKey: null, keySource: 'server', options: { baseUrl } } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Whether the engine runs on the server's paid API key (and so counts towards
+ * the daily voice limit), rather than the user's own key or a local engine
+ */
+export function usesServerAPIKey(providerInfo) {
+  const config = getSTTProviderConfig(providerInfo.providerId);
+  return providerInfo.keySource === 'server' && !!config?.serverKeyEnv;
+}
+
+/**
+ * Resolve which engine transcribes for a user: the first one in
+ * STT_PROVIDER_CHAIN (default "openai,whisper-cpp") that is configured.
+ * Returns { providerId, providerName, apiKey, keySource, options? } or null
+ */
+export function resolveSTTProvider(userSettings) {
+  const order = (process.env.STT_PROVIDER_CHAIN || 'openai,whisper-cpp')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  for (const providerId of order) {
+    const config = getSTTProviderConfig(providerId);
+    if (!config) continue;
+
+    const key = getSTTProviderKey(config, userSettings);
+    if (key) return { providerId: config.id, providerName: config.name, ...key };
+  }
+
+  return null;
+}
@@ -0,0 +1,211 @@
+/**
+ * Study export formats
+ * Turns saved vocabulary, grammar notes and custom notes into JSON,
+ * CSV, a Markdown study sheet or a printable HTML sheet (Save as PDF)
+ */
+
+export const EXPORT_FORMATS = {
+  apkg: { label: 'Anki deck', extension: 'apkg', mimeType: 'application/octet-stream' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown; charset=utf-8' },
+  print: { label: 'Printable / PDF', extension: 'html', mimeType: 'text/html; charset=utf-8' },
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv; charset=utf-8' },
+};
+
+// Anki and CSV only hold flashcards, so they carry vocabulary alone
+export const VOCAB_ONLY_FORMATS = ['apkg', 'csv'];
+
+export const EXPORT_SECTIONS = ['vocabulary', 'grammar', 'notes'];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '');
+
+/**
+ * File name like "spanish_study_2026-10-18.md"
+ */
+export function getExportFileName(title, format) {
+  const slug = (title || 'lingozo').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '') || 'lingozo';
+  const date = new Date().toISOString().slice(0, 10);
+  return `${slug}_study_${date}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Flashcard notes for an Anki deck - one per saved word and meaning.
+ * The same word saved with the same meaning in several chats becomes one note.
+ */
+export function buildAnkiNotes(data) {
+  const seen = new Set();
+  return data.chats.flatMap(chat =>
+    chat.vocabulary.map(item => ({
+      language: chat.language || '',
+      front: item.word,
+      back: item.translation,
+      context: item.context || '',
+    }))
+  ).filter((note) => {
+    const key = [note.language, note.front, note.back].join('\u001f');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export function buildExportJSON(data) {
+  return JSON.stringify({
+    exportedAt: data.exportedAt,
+    chats: data.chats.map(chat => ({
+      title: chat.title,
+      language: chat.language,
+      vocabulary: chat.vocabulary.map(item => ({
+        word: item.word,
+        translation: item.translation,
+        context: item.context || null,
+        starred: !!item.starred,
+        savedAt: item.created_at,
+      })),
+      grammarNotes: chat.grammarNotes.map(note => ({
+        title: note.title,
+        category: note.category || null,
+        content: note.content,
+        createdAt: note.created_at,
+      })),
+      notes: chat.customNotes.map(note => ({
+        content: note.content,
+        createdAt: note.created_at,
+      })),
+    })),
+  }, null, 2);
+}
+
+const escapeCsvCell = (value) => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function buildVocabCSV(data) {
+  const showLanguage = data.chats.length > 1;
+  const header = ['Word/Phrase', 'Translation', 'Context', 'Date', ...(showLanguage ? ['Language'] : [])];
+
+  const rows = data.chats.flatMap(chat =>
+    chat.vocabulary.map(item => [
+      item.word,
+      item.translation,
+      item.context || '',
+      formatDate(item.created_at),
+      ...(showLanguage ? [chat.language] : []),
+    ])
+  );
+
+  return [header, ...rows].map(row => row.map(escapeCsvCell).join(',')).join('\n');
+}
+
+const escapeMarkdownCell = (text) => (text || '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+export function buildStudySheetMarkdown(data) {
+  const lines = [`# ${data.title}`, '', `_Exported ${formatDate(data.exportedAt)}_`, ''];
+
+  data.chats.forEach((chat) => {
+    if (data.chats.length > 1) {
+      lines.push(`## ${chat.title} (${chat.language})`, '');
+    }
+    const heading = data.chats.length > 1 ? '###' : '##';
+
+    if (chat.vocabulary.length > 0) {
+      lines.push(`${heading} Vocabulary`, '', '| Word | Translation | Context |', '| --- | --- | --- |');
+      chat.vocabulary.forEach((item) => {
+        lines.push(`| ${escapeMarkdownCell(item.word)} | ${escapeMarkdownCell(item.translation)} | ${escapeMarkdownCell(item.context)} |`);
+      });
+      lines.push('');
+    }
+
+    if (chat.grammarNotes.length > 0) {
+      lines.push(`${heading} Grammar Notes`, '');
+      chat.grammarNotes.forEach((note) => {
+        lines.push(`**${note.title}**${note.category ? ` _(${note.category})_` : ''}`, '', note.content, '');
+      });
+    }
+
+    if (chat.customNotes.length > 0) {
+      lines.push(`${heading} My Notes`, '');
+      chat.customNotes.forEach((note) => {
+        lines.push(`- ${note.content.replace(/\r?\n/g, '\n  ')}`);
+      });
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+const escapeHtml = (text) =>
+  (text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const paragraphs = (text) => escapeHtml(text).replace(/\r?\n/g, '<br>');
+
+/**
+ * Standalone HTML study sheet that opens the print dialog on load,
+ * so the browser's "Save as PDF" produces the PDF version
+ */
+export function buildStudySheetHTML(data) {
+  const sections = data.chats.map((chat) => {
+    const parts = [];
+
+    if (data.chats.length > 1) {
+      parts.push(`<h2>${escapeHtml(chat.title)} <small>${escapeHtml(chat.language)}</small></h2>`);
+    }
+
+    if (chat.vocabulary.length > 0) {
+      parts.push(`<h3>Vocabulary</h3><table><thead><tr><th>Word</th><th>Translation</th><th>Context</th></tr></thead><tbody>${
+        chat.vocabulary.map(item => `<tr><td>${escapeHtml(item.word)}</td><td>${escapeHtml(item.translation)}</td><td class="context">${escapeHtml(item.context)}</td></tr>`).join('')
+      }</tbody></table>`);
+    }
+
+    if (chat.grammarNotes.length > 0) {
+      parts.push(`<h3>Grammar Notes</h3>${
+        chat.grammarNotes.map(note => `<div class="note"><h4>${escapeHtml(note.title)}${note.category ? ` <span class="tag">${escapeHtml(note.category)}</span>` : ''}</h4><p>${paragraphs(note.content)}</p></div>`).join('')
+      }`);
+    }
+
+    if (chat.customNotes.length > 0) {
+      parts.push(`<h3>My Notes</h3><ul>${
+        chat.customNotes.map(note => `<li>${paragraphs(note.content)}</li>`).join('')
+      }</ul>`);
+    }
+
+    return `<section>${parts.join('')}</section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(data.title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #111827; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { margin-bottom: 0; }
+  .meta { color: #6b7280; margin-top: 0.25rem; }
+  h2 { border-bottom: 2px solid #10b981; padding-bottom: 0.25rem; margin-top: 2rem; }
+  h2 small { color: #6b7280; font-weight: normal; font-size: 0.9rem; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 1rem; }
+  th, td { border: 1px solid #e5e7eb; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  td.context { color: #6b7280; font-style: italic; }
+  .note { margin-bottom: 1rem; break-inside: avoid; }
+  .note h4 { margin: 0 0 0.25rem; }
+  .tag { font-size: 0.75rem; font-weight: normal; background: #ede9fe; color: #6d28d9; padding: 0.1rem 0.4rem; border-radius: 0.25rem; }
+  section { break-inside: auto; }
+  tr { break-inside: avoid; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(data.title)}</h1>
+<p class="meta">Exported ${escapeHtml(formatDate(data.exportedAt))}</p>
+${sections}
+<script>window.addEventListener('load', function () { window.print(); });</script>
+</body>
+</html>`;
+}
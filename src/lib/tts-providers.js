@@ -0,0 +1,289 @@
+import { execFile } from 'child_process';
+import { createHash } from 'crypto';
+import OpenAI from 'openai';
+import { getLanguageISOCode } from '@/lib/audio-utils';
+
+/**
+ * TTS Provider Factory
+ * Messages are read aloud by the browser's speechSynthesis when it has a voice
+ * for the language, or by a server engine: OpenAI TTS or a local engine
+ * (a Piper HTTP server, or eSpeak NG on the server itself).
+ * The engine is chosen per user (see resolveTTSProvider)
+ */
+
+export const TTS_PROVIDERS = {
+  BROWSER: {
+    id: 'browser',
+    name: 'Browser voices',
+    server: false,
+  },
+  OPENAI: {
+    id: 'openai',
+    name: 'OpenAI TTS',
+    server: true,
+    model: process.env.OPENAI_TTS_MODEL || 'gpt-4o-mini-tts',
+    voice: process.env.OPENAI_TTS_VOICE || 'alloy',
+    format: 'mp3',
+    contentType: 'audio/mpeg',
+    settingsKeyColumn: 'openai_api_key', // Same key as the OpenAI chat provider
+    serverKeyEnv: 'OPENAI_API_KEY',
+  },
+  PIPER: {
+    id: 'piper',
+    name: 'Piper (local)',
+    server: true,
+    format: 'wav',
+    contentType: 'audio/wav',
+    serverUrlEnv: 'PIPER_TTS_URL', // e.g. http://localhost:5000 (python -m piper.http_server)
+    serverVoicesEnv: 'PIPER_TTS_VOICES', // e.g. "vi=http://localhost:5001,sw=http://localhost:5002"
+  },
+  ESPEAK: {
+    id: 'espeak',
+    name: 'eSpeak NG (local)',
+    server: true,
+    format: 'wav',
+    contentType: 'audio/wav',
+    serverEnabledEnv: 'ESPEAK_TTS_ENABLED',
+    binary: process.env.ESPEAK_PATH || 'espeak-ng',
+  },
+};
+
+// Engines tried, in order, when the user leaves the choice on 'auto'
+const DEFAULT_SERVER_ORDER = ['openai', 'piper', 'espeak'];
+
+// Longer texts are cut off - a chat message is never this long
+export const TTS_MAX_TEXT_LENGTH = 4000;
+
+/**
+ * Columns to select from user_settings for engine resolution
+ */
+export const TTS_SETTINGS_COLUMNS = 'tts_provider, openai_api_key';
+
+/**
+ * Look up an engine config by its id (e.g. 'piper')
+ */
+export function getTTSProviderConfig(providerId) {
+  return Object.values(TTS_PROVIDERS).find(provider => provider.id === providerId) || null;
+}
+
+/**
+ * Base class for server engines
+ */
+class TTSProvider {
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Returns { audio: Buffer, contentType }
+   */
+  async synthesize(text, language, { rate = 1 } = {}) {
+    throw new Error('synthesize() must be implemented');
+  }
+}
+
+/**
+ * OpenAI TTS - good voices for most languages, billed per character
+ */
+class OpenAITTSProvider extends TTSProvider {
+  constructor(apiKey) {
+    super(TTS_PROVIDERS.OPENAI);
+    this.client = new OpenAI({ apiKey });
+  }
+
+  async synthesize(text, language, { rate = 1 } = {}) {
+    const response = await this.client.audio.speech.create({
+      model: this.config.model,
+      voice: this.config.voice,
+      input: text,
+      response_format: this.config.format,
+      speed: Math.min(Math.max(rate, 0.25), 4),
+    });
+
+    return { audio: Buffer.from(await response.arrayBuffer()), contentType: this.config.contentType };
+  }
+}
+
+/**
+ * Piper HTTP server - it serves one voice, so the URL is picked per language
+ * (see getTTSProviderKey)
+ */
+class PiperTTSProvider extends TTSProvider {
+  constructor({ baseUrl }) {
+    super(TTS_PROVIDERS.PIPER);
+    this.baseUrl = baseUrl;
+  }
+
+  async synthesize(text, language, { rate = 1 } = {}) {
+    const url = new URL(this.baseUrl);
+    // Piper's length scale is the inverse of speed
+    url.searchParams.set('length_scale', String(Math.round((1 / rate) * 100) / 100));
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+      body: text,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Piper request failed (${response.status})`);
+    }
+
+    return { audio: Buffer.from(await response.arrayBuffer()), contentType: this.config.contentType };
+  }
+}
+
+/**
+ * eSpeak NG - robotic, but installed almost anywhere and covers 100+ languages
+ */
+class ESpeakTTSProvider extends TTSProvider {
+  constructor() {
+    super(TTS_PROVIDERS.ESPEAK);
+  }
+
+  synthesize(text, language, { rate = 1 } = {}) {
+    // Only resolved for known languages (see getTTSProviderKey)
+    const voice = getLanguageISOCode(language);
+    // 175 words per minute is eSpeak's normal speed
+    const args = ['-v', voice, '-s', String(Math.round(175 * rate)), '--stdout', '--', text];
+
+    return new Promise((resolve, reject) => {
+      execFile(this.config.binary, args, { encoding: 'buffer', maxBuffer: 20 * 1024 * 1024, timeout: 30000 }, (error, stdout) => {
+        if (error) {
+          reject(new Error(`eSpeak failed: ${error.message}`));
+          return;
+        }
+        resolve({ audio: stdout, contentType: this.config.contentType });
+      });
+    });
+  }
+}
+
+/**
+ * Factory function to create a server engine instance
+ */
+export function createTTSProvider(providerId, apiKey, options = {}) {
+  switch (providerId) {
+    case TTS_PROVIDERS.OPENAI.id:
+      if (!apiKey) {
+        throw new Error('API key is required');
+      }
+      return new OpenAITTSProvider(apiKey);
+    case TTS_PROVIDERS.PIPER.id:
+      if (!options.baseUrl) {
+        throw new Error('Piper server URL is required');
+      }
+      return new PiperTTSProvider(options);
+    case TTS_PROVIDERS.ESPEAK.id:
+      return new ESpeakTTSProvider();
+    default:
+      throw new Error(`Unknown TTS provider: ${providerId}`);
+  }
+}
+
+/**
+ * Parse "vi=http://...,sw=http://..." into { vi: 'http://...', sw: 'http://...' }
+ */
+function parseVoiceUrls(value) {
+  return Object.fromEntries(
+    (value || '')
+      .split(',')
+      .map(entry => entry.split('='))
+      .filter(([lang, url]) => lang?.trim() && url?.trim())
+      .map(([lang, ...url]) => [lang.trim().toLowerCase(), url.join('=').trim()])
+  );
+}
+
+/**
+ * Get what a server engine needs to run for this user and language,
+ * or null if it isn't configured
+ */
+function getTTSProviderKey(config, userSettings, language) {
+  if (config.id === TTS_PROVIDERS.OPENAI.id) {
+    const userKey = userSettings?.[config.settingsKeyColumn]?.trim();
+    if (userKey) return { apiKey: userKey, keySource: 'user' };
+
+    const serverKey = process.env[config.serverKeyEnv];
+    return serverKey ? { apiKey: serverKey, keySource: 'server' } : null;
+  }
+
+  if (config.id === TTS_PROVIDERS.PIPER.id) {
+    const voices = parseVoiceUrls(process.env[config.serverVoicesEnv]);
+    const baseUrl = process.env[config.serverUrlEnv] || null;
+    const langCode = getLanguageISOCode(language);
+
+    // With only per-language servers, other languages can't be spoken
+    if (!voices[langCode] && !baseUrl) return null;
+
+    return { apiKey: null, keySource: 'server', options: { baseUrl: voices[langCode] || baseUrl } };
+  }
+
+  if (config.id === TTS_PROVIDERS.ESPEAK.id) {
+    // eSpeak would read an unknown language with its English voice
+    if (!getLanguageISOCode(language)) return null;
+    return process.env[config.serverEnabledEnv] === 'true' ? { apiKey: null, keySource: 'server' } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve which engine speaks a text for a user.
+ * user_settings.tts_provider is 'auto' (default), 'browser' or a server engine id.
+ * On 'auto' the browser is used when it has a voice for the language
+ * (browserHasVoice, reported by the client), otherwise the first server engine
+ * in TTS_PROVIDER_CHAIN (default "openai,piper,espeak") that is configured.
+ * A chosen server engine that isn't configured falls back the same way.
+ * Returns { providerId, providerName, server, apiKey?, keySource?, options? }
+ */
+export function resolveTTSProvider(userSettings, language, { browserHasVoice = false } = {}) {
+  const browser = { providerId: TTS_PROVIDERS.BROWSER.id, providerName: TTS_PROVIDERS.BROWSER.name, server: false };
+  const selected = getTTSProviderConfig(userSettings?.tts_provider);
+
+  if (selected?.id === TTS_PROVIDERS.BROWSER.id) return browser;
+
+  if (selected?.server) {
+    const key = getTTSProviderKey(selected, userSettings, language);
+    if (key) return { providerId: selected.id, providerName: selected.name, server: true, ...key };
+  }
+
+  if (!selected && browserHasVoice) return browser;
+
+  const order = process.env.TTS_PROVIDER_CHAIN
+    ? process.env.TTS_PROVIDER_CHAIN.split(',').map(id => id.trim()).filter(Boolean)
+    : DEFAULT_SERVER_ORDER;
+
+  for (const providerId of order) {
+    const config = getTTSProviderConfig(providerId);
+    if (!config?.server) continue;
+
+    const key = getTTSProviderKey(config, userSettings, language);
+    if (key) return { providerId: config.id, providerName: config.name, server: true, ...key };
+  }
+
+  // No server engine available - the browser does its best
+  return browser;
+}
+
+/**
+ * Whether the engine runs on the server's paid API key (and so counts towards
+ * the daily voice limit), rather than the user's own key or a local engine
+ */
+export function usesServerAPIKey(providerInfo) {
+  const config = getTTSProviderConfig(providerInfo.providerId);
+  return providerInfo.keySource === 'server' && !!config?.serverKeyEnv;
+}
+
+/**
+ * Storage path of the cached audio for a text, so each message is only
+ * synthesized once per engine, voice and speed
+ */
+export function getTTSCachePath(userId, providerInfo, text, language, { messageId = null, rate = 1 } = {}) {
+  const config = getTTSProviderConfig(providerInfo.providerId);
+  const hash = createHash('sha256')
+    .update([config.id, config.model || '', config.voice || '', providerInfo.options?.baseUrl || '', language, rate, text].join('\n'))
+    .digest('hex')
+    .slice(0, 32);
+
+  return `${userId}/${messageId || 'text'}/${config.id}-${hash}.${config.format}`;
+}
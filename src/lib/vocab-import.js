@@ -0,0 +1,191 @@
+/**
+ * Vocabulary import helpers
+ * Parses CSV/TSV and Anki plain-text exports into rows, maps columns to
+ * word/translation/context and previews duplicates before saving
+ */
+
+// Anki fields carry HTML and media references - keep only the text
+export function stripHtml(text) {
+  return (text || '')
+    .replace(/\[sound:[^\]]*\]/g, '')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Pick the delimiter used most consistently in the first lines
+ */
+export function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+  const candidates = ['\t', ',', ';', '|'];
+
+  let best = ',';
+  let bestScore = 0;
+  candidates.forEach((delimiter) => {
+    const counts = lines.map(line => line.split(delimiter).length - 1);
+    const min = counts.length > 0 ? Math.min(...counts) : 0;
+    if (min > bestScore) {
+      best = delimiter;
+      bestScore = min;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Parse delimited text into rows of cells (handles quoted fields and escaped quotes)
+ */
+export function parseDelimitedText(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+const SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ' };
+
+/**
+ * Parse a text file (CSV, TSV or Anki "Notes in Plain Text" export)
+ * Returns { headers, rows } - headers are null when the file has none
+ */
+export function parseVocabFile(text, fileName = '') {
+  const content = text.replace(/^\uFEFF/, '');
+
+  // Anki exports start with "#key:value" lines describing the file; later
+  // lines starting with "#" are ordinary rows
+  const lines = content.split(/\r?\n/);
+  const directives = {};
+  let headerLength = 0;
+  while (headerLength < lines.length) {
+    const match = lines[headerLength].match(/^#([a-z ]+):(.*)$/i);
+    if (!match) break;
+    directives[match[1]] = match[2].trim();
+    headerLength++;
+  }
+
+  const body = lines.slice(headerLength).join('\n');
+  const delimiter = SEPARATORS[directives.separator] ||
+    (fileName.toLowerCase().endsWith('.tsv') ? '\t' : detectDelimiter(body));
+  const rows = parseDelimitedText(body, delimiter).map(cells => cells.map(stripHtml));
+
+  if (directives.columns) {
+    return { headers: directives.columns.split(delimiter), rows };
+  }
+
+  // Treat the first row as a header when it names a word or translation column
+  const first = rows[0] || [];
+  if (first.some(cell => /^(word|phrase|term|front|translation|meaning|back|context|example)/i.test(cell))) {
+    return { headers: first, rows: rows.slice(1) };
+  }
+
+  return { headers: null, rows };
+}
+
+/**
+ * Guess which columns hold the word, translation and context
+ */
+export function guessColumnMapping(headers, columnCount) {
+  const find = (pattern) => (headers || []).findIndex(header => pattern.test(header || ''));
+
+  const word = find(/^(word|phrase|term|front|expression|vocab)/i);
+  const translation = find(/^(translation|meaning|back|definition|english)/i);
+  const context = find(/^(context|example|sentence|notes?)/i);
+
+  return {
+    word: word >= 0 ? word : 0,
+    translation: translation >= 0 ? translation : Math.min(1, columnCount - 1),
+    context: context >= 0 ? context : (columnCount > 2 ? 2 : null),
+  };
+}
+
+/**
+ * Saved vocabulary by headword and by each form saved under it (see
+ * POST /api/vocab), so importing an inflected form matches its lemma's row
+ */
+export function indexSavedVocab(savedItems) {
+  const byWord = new Map();
+  savedItems.forEach((item) => {
+    (item.forms || []).forEach((form) => {
+      if (!byWord.has(form)) byWord.set(form, item);
+    });
+  });
+
+  // A saved headword wins over the same text saved as another word's form
+  savedItems.forEach(item => byWord.set(item.word, item));
+  return byWord;
+}
+
+/**
+ * Classify mapped rows against the words already saved in the chat.
+ * A word matches a saved headword or a form saved under one.
+ * Status: 'new', 'duplicate' (same translation), 'conflict' (different translation),
+ * 'repeat' (earlier row in the same file) or 'invalid' (missing word/translation).
+ */
+export function buildImportPreview(rows, mapping, existingItems) {
+  const existingByWord = indexSavedVocab(existingItems);
+  const seen = new Set();
+
+  return rows.map((cells, index) => {
+    const word = (cells[mapping.word] || '').trim();
+    const translation = (cells[mapping.translation] || '').trim();
+    const context = mapping.context !== null ? (cells[mapping.context] || '').trim() || null : null;
+    const item = { index, word, translation, context };
+
+    if (!word || !translation) return { ...item, status: 'invalid' };
+    if (seen.has(word)) return { ...item, status: 'repeat' };
+    seen.add(word);
+
+    const existing = existingByWord.get(word);
+    if (!existing) return { ...item, status: 'new' };
+
+    return {
+      ...item,
+      status: existing.translation.trim() === translation ? 'duplicate' : 'conflict',
+      existingTranslation: existing.translation,
+    };
+  });
+}
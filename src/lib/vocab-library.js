@@ -0,0 +1,86 @@
+/**
+ * Vocabulary library
+ * Merges saved_vocabulary rows from all of a user's chats into one entry
+ * per word and language, keeping every occurrence's sentence and chat
+ */
+
+// Case and spacing differences are the same word; accents are not ("si" / "sí")
+export const normalizeLibraryWord = (word) =>
+  (word || '').normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Saved words per language, most first
+ */
+export function getLibraryLanguages(rows) {
+  const counts = {};
+  rows.forEach((row) => {
+    if (!row.language) return;
+    counts[row.language] = (counts[row.language] || 0) + 1;
+  });
+
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([language, count]) => ({ language, count }));
+}
+
+/**
+ * Group rows into library entries, newest first. Each entry has the
+ * ids of all its rows so starring or deleting acts on every occurrence.
+ */
+export function groupVocabularyLibrary(rows) {
+  const entries = new Map();
+
+  // Rows arrive newest first; keep that order for occurrences
+  const sorted = [...rows].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  sorted.forEach((row) => {
+    const key = `${row.language || ''}:${normalizeLibraryWord(row.word)}`;
+
+    if (!entries.has(key)) {
+      entries.set(key, {
+        key,
+        word: (row.word || '').trim(),
+        language: row.language,
+        translations: [],
+        starred: false,
+        created_at: row.created_at,
+        due_at: row.due_at,
+        part_of_speech: null,
+        gender: null,
+        forms: [],
+        ids: [],
+        occurrences: [],
+      });
+    }
+
+    const entry = entries.get(key);
+    const translation = (row.translation || '').trim();
+    if (translation && !entry.translations.some(t => t.toLowerCase() === translation.toLowerCase())) {
+      entry.translations.push(translation);
+    }
+
+    entry.part_of_speech = entry.part_of_speech || row.part_of_speech || null;
+    entry.gender = entry.gender || row.gender || null;
+    (row.forms || []).forEach((form) => {
+      if (!entry.forms.includes(form)) entry.forms.push(form);
+    });
+
+    entry.starred = entry.starred || !!row.starred;
+    if (row.due_at && (!entry.due_at || new Date(row.due_at) < new Date(entry.due_at))) {
+      entry.due_at = row.due_at;
+    }
+    entry.ids.push(row.id);
+    entry.occurrences.push({
+      id: row.id,
+      context: row.context,
+      chatId: row.chat_id,
+      chatTitle: row.chat_title,
+      createdAt: row.created_at,
+    });
+  });
+
+  return [...entries.values()].map(entry => ({
+    ...entry,
+    translation: entry.translations.join(' / '),
+  }));
+}
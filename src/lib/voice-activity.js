@@ -0,0 +1,106 @@
+/**
+ * Voice activity detection (VAD)
+ * Tells when the learner starts and stops talking from the microphone level,
+ * so voice mode can end a turn on its own. Levels are RMS amplitudes (0-1)
+ * of the echo-cancelled microphone signal.
+ */
+
+export const VAD_DEFAULTS = {
+  threshold: 0.02, // Level that counts as speech
+  minSpeechMs: 200, // Louder than the threshold this long before speech starts (skips clicks)
+  silenceMs: 1200, // Quiet this long before speech ends
+  intervalMs: 50, // How often the level is sampled
+};
+
+/**
+ * Turn a stream of levels into speech start / end events.
+ * update(level, now) returns 'start', 'end' or null.
+ */
+export function createVoiceActivityTracker(options = {}) {
+  const settings = { ...VAD_DEFAULTS, ...options };
+  let speaking = false;
+  let loudSince = null;
+  let quietSince = null;
+
+  return {
+    update(level, now) {
+      if (level >= settings.threshold) {
+        quietSince = null;
+        if (speaking) return null;
+
+        loudSince ??= now;
+        if (now - loudSince < settings.minSpeechMs) return null;
+
+        speaking = true;
+        return 'start';
+      }
+
+      loudSince = null;
+      if (!speaking) return null;
+
+      quietSince ??= now;
+      if (now - quietSince < settings.silenceMs) return null;
+
+      speaking = false;
+      quietSince = null;
+      return 'end';
+    },
+    setThreshold(threshold) {
+      settings.threshold = threshold;
+    },
+    reset() {
+      speaking = false;
+      loudSince = null;
+      quietSince = null;
+    },
+    isSpeaking: () => speaking,
+  };
+}
+
+// RMS amplitude of a block of samples
+export function getLevel(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+}
+
+/**
+ * Watch a microphone stream in the browser.
+ * callbacks: { onSpeechStart, onSpeechEnd, onLevel }
+ * Returns { setThreshold, reset, isSpeaking, stop }
+ */
+export function startVoiceActivityDetection(stream, { onSpeechStart, onSpeechEnd, onLevel } = {}, options = {}) {
+  const settings = { ...VAD_DEFAULTS, ...options };
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContext();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  const tracker = createVoiceActivityTracker(settings);
+
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(samples);
+    const level = getLevel(samples);
+    onLevel?.(level);
+
+    const event = tracker.update(level, performance.now());
+    if (event === 'start') onSpeechStart?.();
+    if (event === 'end') onSpeechEnd?.();
+  }, settings.intervalMs);
+
+  return {
+    setThreshold: tracker.setThreshold,
+    reset: tracker.reset,
+    isSpeaking: tracker.isSpeaking,
+    stop: () => {
+      clearInterval(timer);
+      source.disconnect();
+      context.close().catch(() => {});
+    },
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Daily limits for speech generated or transcribed with the server's API keys.
+ * Like the 20-messages-a-day chat limit, they only apply to non-premium users;
+ * users with their own key or a local engine are never limited.
+ * Usage is kept in voice_usage (see supabase-voice-usage-migration.sql)
+ */
+
+// Server-key requests per day for non-premium users, by kind. Speech for a
+// saved message counts once a day however many sentences, speeds or replays it takes
+export const VOICE_DAILY_LIMITS = {
+  tts: 100,
+  stt: 50,
+};
+
+// Midnight UTC, when the daily limits reset (like the chat limit)
+const getStartOfToday = () => {
+  const today = new Date();
+  today.setUTCHours(0, 0, 0, 0);
+  return today;
+};
+
+const VOICE_LIMIT_MESSAGES = {
+  tts: 'You have reached the daily limit for server voices. Messages will be read by your browser until tomorrow, or you can add your own OpenAI key in Settings.',
+  stt: 'You have reached the daily limit for voice transcription. Your limit will reset tomorrow, or you can add your own OpenAI key in Settings.',
+};
+
+/**
+ * Error message if the user has used up today's server-key requests of a kind,
+ * otherwise null. Premium users are unlimited.
+ */
+export async function getVoiceLimitError(supabase, userId, kind) {
+  const { data: profile, error: profileError } = await supabase
+    .from('profiles')
+    .select('is_premium')
+    .eq('id', userId)
+    .single();
+
+  // Silently handle missing table or profile (default to non-premium)
+  if (profileError && profileError.code !== 'PGRST116' && profileError.code !== '42P01') {
+    console.error('Error checking premium status:', profileError);
+  }
+
+  if (profile?.is_premium) return null;
+
+  const { count, error } = await supabase
+    .from('voice_usage')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('kind', kind)
+    .gte('created_at', getStartOfToday().toISOString());
+
+  if (error && error.code !== '42P01') {
+    console.error('Error counting voice usage:', error);
+  }
+
+  return count >= VOICE_DAILY_LIMITS[kind] ? VOICE_LIMIT_MESSAGES[kind] : null;
+}
+
+/**
+ * Whether speech for a message was already counted today (later requests for it are free)
+ */
+export async function hasVoiceUsageToday(supabase, { userId, kind, messageId }) {
+  const { count, error } = await supabase
+    .from('voice_usage')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('kind', kind)
+    .eq('message_id', messageId)
+    .gte('created_at', getStartOfToday().toISOString());
+
+  if (error && error.code !== '42P01' && error.code !== '42703') {
+    console.error('Error checking voice usage:', error);
+  }
+
+  return count > 0;
+}
+
+/**
+ * Record one server-key request (best effort - the table may not exist yet)
+ */
+export async function recordVoiceUsage(supabase, { userId, kind, provider, amount = 0, messageId = null }) {
+  const { error } = await supabase
+    .from('voice_usage')
+    .insert({ user_id: userId, kind, provider, amount, message_id: messageId });
+
+  if (error && error.code !== '42P01') {
+    console.log('Failed to record voice usage:', error.message || error);
+  }
+}
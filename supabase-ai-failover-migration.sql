@@ -0,0 +1,6 @@
+-- Flag user messages whose AI reply failed so they can be retried
+-- Run in the Supabase SQL Editor
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_failed BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_messages_reply_failed ON messages(chat_id) WHERE reply_failed;
@@ -0,0 +1,25 @@
+-- Track AI replies that failed schema validation, per provider
+-- Run in the Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS ai_response_failures (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+  provider TEXT NOT NULL,
+  feature_mode TEXT,
+  schema_name TEXT NOT NULL,
+  errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+  raw_response TEXT,
+  repaired BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_response_failures_provider ON ai_response_failures(provider, created_at DESC);
+
+ALTER TABLE ai_response_failures ENABLE ROW LEVEL SECURITY;
+
+-- Users may log failures for their own chats; reading is left to the service role
+CREATE POLICY "Users can insert failures for own chats"
+  ON ai_response_failures FOR INSERT
+  WITH CHECK (
+    chat_id IN (SELECT id FROM chats WHERE user_id = auth.uid())
+  );
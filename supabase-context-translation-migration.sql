@@ -0,0 +1,11 @@
+-- Context-aware word translations
+-- Run in the Supabase SQL Editor
+
+-- Hash of the sentence a word was looked up in ('' = looked up without one)
+ALTER TABLE translation_cache ADD COLUMN IF NOT EXISTS context_key TEXT NOT NULL DEFAULT '';
+
+-- One entry per word, language and sentence instead of per word and language
+ALTER TABLE translation_cache DROP CONSTRAINT IF EXISTS translation_cache_word_target_language_key;
+DROP INDEX IF EXISTS translation_cache_word_target_language_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_translation_cache_lookup
+  ON translation_cache(word, target_language, context_key);
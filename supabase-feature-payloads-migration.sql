@@ -0,0 +1,8 @@
+-- Store feature payloads (quiz, challenge, scenario, speed round) and their
+-- completion results in typed columns instead of JSON inside messages.content
+-- Run in the Supabase SQL Editor
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS feature_type TEXT;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS feature_data JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_messages_feature_type ON messages(chat_id, feature_type) WHERE feature_type IS NOT NULL;
@@ -0,0 +1,7 @@
+-- Local / OpenAI-compatible AI provider settings
+-- Run in the Supabase SQL Editor
+
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS local_base_url TEXT;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS local_api_key TEXT;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS local_chat_model TEXT;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS local_translate_model TEXT;
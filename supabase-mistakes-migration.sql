@@ -0,0 +1,48 @@
+-- Error taxonomy: every correction as a categorised, queryable mistake
+-- Run in the Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS mistakes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  language TEXT NOT NULL,
+  -- ids from ERROR_CATEGORIES in src/lib/error-taxonomy.js; NULL (or an
+  -- unknown tag) is classified when read, see classifyCorrection
+  category TEXT,
+  incorrect TEXT NOT NULL,
+  correction TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mistakes_user_language ON mistakes(user_id, language, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mistakes_user_category ON mistakes(user_id, category);
+
+ALTER TABLE mistakes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own mistakes" ON mistakes;
+CREATE POLICY "Users can manage own mistakes"
+  ON mistakes FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Backfill from corrections already saved on messages. Older corrections have
+-- no category tag - those are left NULL and classified by the app when read
+INSERT INTO mistakes (user_id, chat_id, message_id, language, category, incorrect, correction, created_at)
+SELECT
+  c.user_id,
+  c.id,
+  m.id,
+  c.language,
+  correction->>'category',
+  correction->>'incorrect',
+  correction->>'correction',
+  m.created_at
+FROM messages m
+JOIN chats c ON c.id = m.chat_id
+CROSS JOIN LATERAL jsonb_array_elements(m.corrections) AS correction
+WHERE m.role = 'user'
+  AND jsonb_typeof(m.corrections) = 'array'
+  AND correction->>'incorrect' IS NOT NULL
+  AND correction->>'correction' IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM mistakes WHERE mistakes.message_id = m.id);
@@ -0,0 +1,12 @@
+-- Native-language translations
+-- Run in the Supabase SQL Editor
+
+-- The language translations and explanations are given in
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS native_language TEXT NOT NULL DEFAULT 'English';
+
+-- Cached translations are per native language too
+ALTER TABLE translation_cache ADD COLUMN IF NOT EXISTS native_language TEXT NOT NULL DEFAULT 'English';
+
+DROP INDEX IF EXISTS idx_translation_cache_lookup;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_translation_cache_lookup
+  ON translation_cache(word, target_language, native_language, context_key);
@@ -0,0 +1,8 @@
+-- Placement test at chat creation: the starting level the tutor works from
+-- Run in the Supabase SQL Editor (after supabase-proficiency-migration.sql)
+
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS starting_level TEXT
+  CHECK (starting_level IN ('A1', 'A2', 'B1', 'B2', 'C1', 'C2'));
+
+-- { rounds: [{ level, score, total }], writing: { level, feedback }, completedAt }
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS placement_result JSONB;
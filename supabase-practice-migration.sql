@@ -0,0 +1,16 @@
+-- Practice my mistakes: per-item streaks so mastered mistakes and words stop coming up
+-- Run in the Supabase SQL Editor (after supabase-mistakes-migration.sql)
+
+-- Consecutive correct answers in practice quizzes; mastered_at is set once
+-- the streak reaches PRACTICE_MASTERY_STREAK (src/lib/practice.js)
+ALTER TABLE mistakes ADD COLUMN IF NOT EXISTS practice_streak INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE mistakes ADD COLUMN IF NOT EXISTS mastered_at TIMESTAMPTZ;
+
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS practice_streak INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS mastered_at TIMESTAMPTZ;
+
+-- Practice quizzes pick from a chat's unmastered items
+CREATE INDEX IF NOT EXISTS idx_mistakes_chat_unmastered
+  ON mistakes(chat_id, created_at DESC) WHERE mastered_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_saved_vocabulary_chat_unmastered
+  ON saved_vocabulary(chat_id, created_at DESC) WHERE mastered_at IS NULL;
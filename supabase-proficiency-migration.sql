@@ -0,0 +1,32 @@
+-- Learner proficiency: an estimated CEFR level per chat, and its history
+-- Run in the Supabase SQL Editor
+
+-- Current profile: { level, score, strengths, weaknesses, signals, updatedAt }
+ALTER TABLE chats ADD COLUMN IF NOT EXISTS proficiency JSONB;
+
+-- One row per estimate, for the level-over-time chart in analytics
+CREATE TABLE IF NOT EXISTS proficiency_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chat_id UUID REFERENCES chats(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  level TEXT NOT NULL CHECK (level IN ('A1', 'A2', 'B1', 'B2', 'C1', 'C2')),
+  score INTEGER NOT NULL,
+  strengths JSONB NOT NULL DEFAULT '[]'::jsonb,
+  weaknesses JSONB NOT NULL DEFAULT '[]'::jsonb,
+  signals JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proficiency_snapshots_chat ON proficiency_snapshots(chat_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_proficiency_snapshots_user ON proficiency_snapshots(user_id, created_at);
+
+ALTER TABLE proficiency_snapshots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own proficiency snapshots" ON proficiency_snapshots;
+CREATE POLICY "Users can manage own proficiency snapshots"
+  ON proficiency_snapshots FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (
+    auth.uid() = user_id
+    AND chat_id IN (SELECT id FROM chats WHERE user_id = auth.uid())
+  );
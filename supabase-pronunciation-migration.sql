@@ -0,0 +1,53 @@
+-- Pronunciation practice: spoken attempts at messages and saved words, scored per word
+-- Run in the Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS pronunciation_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  chat_id UUID REFERENCES chats(id) ON DELETE SET NULL,
+  -- What was read aloud: an AI message or a saved word
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  vocabulary_id UUID REFERENCES saved_vocabulary(id) ON DELETE SET NULL,
+  language TEXT NOT NULL,
+  expected_text TEXT NOT NULL,
+  transcript TEXT NOT NULL,
+  -- Recogniser confidence (0-1), when the browser reports one
+  confidence REAL,
+  score INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One row per expected word, so words that are often mispronounced can be found
+CREATE TABLE IF NOT EXISTS pronunciation_word_scores (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  attempt_id UUID REFERENCES pronunciation_attempts(id) ON DELETE CASCADE NOT NULL,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  language TEXT NOT NULL,
+  -- Lowercased word as written, and what the recogniser heard instead (null if nothing)
+  word TEXT NOT NULL,
+  heard TEXT,
+  score INTEGER NOT NULL,
+  -- correct | close | wrong | missed (see scorePronunciation)
+  status TEXT NOT NULL,
+  position INTEGER NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pronunciation_attempts_user ON pronunciation_attempts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pronunciation_word_scores_user_word ON pronunciation_word_scores(user_id, language, word);
+CREATE INDEX IF NOT EXISTS idx_pronunciation_word_scores_user_created ON pronunciation_word_scores(user_id, created_at DESC);
+
+ALTER TABLE pronunciation_attempts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pronunciation_word_scores ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own pronunciation attempts" ON pronunciation_attempts;
+CREATE POLICY "Users can manage own pronunciation attempts"
+  ON pronunciation_attempts FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own pronunciation word scores" ON pronunciation_word_scores;
+CREATE POLICY "Users can manage own pronunciation word scores"
+  ON pronunciation_word_scores FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
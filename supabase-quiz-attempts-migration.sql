@@ -0,0 +1,85 @@
+-- Quiz attempts: every finished quiz with its per-question answers and time taken
+-- Run in the Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  chat_id UUID REFERENCES chats(id) ON DELETE CASCADE,
+  -- The 'quiz-completed' message shown in the chat
+  message_id UUID REFERENCES messages(id) ON DELETE SET NULL,
+  language TEXT,
+  quiz_type TEXT NOT NULL DEFAULT 'General',
+  score INTEGER NOT NULL,
+  total_questions INTEGER NOT NULL,
+  percentage INTEGER NOT NULL,
+  duration_seconds INTEGER,
+  -- [{ question, options, correctAnswer, selected, isCorrect, explanation, hint, timeMs, itemId? }]
+  answers JSONB NOT NULL DEFAULT '[]',
+  -- Set when the attempt only retried the questions missed in another one
+  retry_of UUID REFERENCES quiz_attempts(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_user ON quiz_attempts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_quiz_attempts_chat ON quiz_attempts(chat_id, created_at DESC);
+
+ALTER TABLE quiz_attempts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage own quiz attempts" ON quiz_attempts;
+CREATE POLICY "Users can manage own quiz attempts"
+  ON quiz_attempts FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+-- Backfill from quiz results saved on messages. Their answers have no options,
+-- so they can be reviewed but not retried.
+INSERT INTO quiz_attempts (user_id, chat_id, message_id, language, quiz_type, score, total_questions, percentage, answers, created_at)
+SELECT
+  c.user_id,
+  c.id,
+  m.id,
+  c.language,
+  COALESCE(m.feature_data->'results'->>'quizType', 'General'),
+  (m.feature_data->'results'->>'score')::INTEGER,
+  (m.feature_data->'results'->>'totalQuestions')::INTEGER,
+  COALESCE((m.feature_data->'results'->>'percentage')::INTEGER, 0),
+  COALESCE(m.feature_data->'results'->'answers', '[]'::JSONB),
+  m.created_at
+FROM messages m
+JOIN chats c ON c.id = m.chat_id
+WHERE m.feature_type = 'quiz-completed'
+  AND m.feature_data->'results'->>'score' IS NOT NULL
+  AND m.feature_data->'results'->>'totalQuestions' IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM quiz_attempts a WHERE a.message_id = m.id);
+
+-- Quizzes finished before feature_type/feature_data existed kept the completion
+-- record as JSON in content ({"type":"quiz-completed","summary":...,"results":...})
+WITH legacy AS (
+  SELECT
+    m.id,
+    m.chat_id,
+    m.created_at,
+    -- CASE keeps the cast away from content that isn't a completion record
+    CASE WHEN m.content LIKE '{"type":"quiz-completed",%' THEN m.content::JSONB END AS data
+  FROM messages m
+  WHERE m.feature_type IS NULL
+    AND m.role = 'assistant'
+    AND m.content LIKE '{"type":"quiz-completed",%'
+)
+INSERT INTO quiz_attempts (user_id, chat_id, message_id, language, quiz_type, score, total_questions, percentage, answers, created_at)
+SELECT
+  c.user_id,
+  c.id,
+  l.id,
+  c.language,
+  COALESCE(l.data->'results'->>'quizType', 'General'),
+  (l.data->'results'->>'score')::INTEGER,
+  (l.data->'results'->>'totalQuestions')::INTEGER,
+  COALESCE((l.data->'results'->>'percentage')::INTEGER, 0),
+  COALESCE(l.data->'results'->'answers', '[]'::JSONB),
+  l.created_at
+FROM legacy l
+JOIN chats c ON c.id = l.chat_id
+WHERE l.data->'results'->>'score' IS NOT NULL
+  AND l.data->'results'->>'totalQuestions' IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM quiz_attempts a WHERE a.message_id = l.id);
@@ -0,0 +1,9 @@
+-- Speech speed: how fast messages are read aloud for each user
+-- Run in the Supabase SQL Editor
+
+-- 0.5 (slow listening practice) to 1.5; 1 is the voice's normal speed
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS speech_rate REAL NOT NULL DEFAULT 0.9;
+
+-- Same range as clampSpeechRate in src/lib/playback.js
+ALTER TABLE user_settings DROP CONSTRAINT IF EXISTS user_settings_speech_rate_check;
+ALTER TABLE user_settings ADD CONSTRAINT user_settings_speech_rate_check CHECK (speech_rate BETWEEN 0.5 AND 1.5);
@@ -0,0 +1,16 @@
+-- Voice engines: which engine reads messages aloud, and a cache for server-generated audio
+-- Run in the Supabase SQL Editor
+
+-- auto | browser | openai | piper | espeak (see src/lib/tts-providers.js)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS tts_provider TEXT NOT NULL DEFAULT 'auto';
+
+-- Generated audio, stored as <user id>/<message id>/<engine>-<hash>.<ext>
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('tts-audio', 'tts-audio', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Users can manage own tts audio" ON storage.objects;
+CREATE POLICY "Users can manage own tts audio"
+  ON storage.objects FOR ALL
+  USING (bucket_id = 'tts-audio' AND (storage.foldername(name))[1] = auth.uid()::text)
+  WITH CHECK (bucket_id = 'tts-audio' AND (storage.foldername(name))[1] = auth.uid()::text);
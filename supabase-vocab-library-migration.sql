@@ -0,0 +1,58 @@
+-- User-level vocabulary library: saved words belong to the user and language
+-- and outlive the chat they were saved in
+-- Run in the Supabase SQL Editor
+
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS language TEXT;
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS chat_title TEXT;
+
+UPDATE saved_vocabulary sv
+SET user_id = c.user_id, language = c.language, chat_title = c.title
+FROM chats c
+WHERE sv.chat_id = c.id AND sv.user_id IS NULL;
+
+-- Copy the owner, language and chat title from the chat on insert,
+-- so every place that saves a word fills them in
+CREATE OR REPLACE FUNCTION fill_saved_vocabulary_owner()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.chat_id IS NOT NULL AND (NEW.user_id IS NULL OR NEW.language IS NULL OR NEW.chat_title IS NULL) THEN
+    SELECT COALESCE(NEW.user_id, c.user_id), COALESCE(NEW.language, c.language), COALESCE(NEW.chat_title, c.title)
+    INTO NEW.user_id, NEW.language, NEW.chat_title
+    FROM chats c
+    WHERE c.id = NEW.chat_id;
+
+    -- The lookup runs under RLS, so someone else's chat isn't found either
+    IF NOT FOUND THEN
+      RAISE EXCEPTION 'Chat % not found for saved word', NEW.chat_id
+        USING ERRCODE = 'foreign_key_violation';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS saved_vocabulary_fill_owner ON saved_vocabulary;
+CREATE TRIGGER saved_vocabulary_fill_owner
+  BEFORE INSERT ON saved_vocabulary
+  FOR EACH ROW EXECUTE FUNCTION fill_saved_vocabulary_owner();
+
+-- Keep words when their chat is deleted
+ALTER TABLE saved_vocabulary ALTER COLUMN chat_id DROP NOT NULL;
+ALTER TABLE saved_vocabulary DROP CONSTRAINT IF EXISTS saved_vocabulary_chat_id_fkey;
+ALTER TABLE saved_vocabulary
+  ADD CONSTRAINT saved_vocabulary_chat_id_fkey
+  FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE SET NULL;
+
+-- Words without a chat can't be checked through the chat, so check the owner,
+-- and words saved to a chat only into the user's own chats
+DROP POLICY IF EXISTS "Users can manage their vocabulary library" ON saved_vocabulary;
+CREATE POLICY "Users can manage their vocabulary library"
+  ON saved_vocabulary FOR ALL
+  USING (auth.uid() = user_id)
+  WITH CHECK (
+    auth.uid() = user_id
+    AND (chat_id IS NULL OR EXISTS (SELECT 1 FROM chats WHERE chats.id = chat_id AND chats.user_id = auth.uid()))
+  );
+
+CREATE INDEX IF NOT EXISTS idx_saved_vocabulary_library ON saved_vocabulary(user_id, language);
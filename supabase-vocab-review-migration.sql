@@ -0,0 +1,11 @@
+-- Spaced-repetition (SM-2) scheduling for saved vocabulary
+-- Run in the Supabase SQL Editor
+
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS ease_factor REAL NOT NULL DEFAULT 2.5;
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS interval_days INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS repetitions INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS lapses INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS due_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS last_reviewed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_saved_vocabulary_due ON saved_vocabulary(chat_id, due_at);
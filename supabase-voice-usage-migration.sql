@@ -0,0 +1,31 @@
+-- Voice usage: speech generated or transcribed with the server's API keys, so free users get a daily limit
+-- Run in the Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS voice_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  -- tts | stt (see src/lib/voice-usage.js)
+  kind TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  -- Characters spoken (tts) or audio bytes transcribed (stt)
+  amount INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Message the speech was for; it is only counted once a day
+ALTER TABLE voice_usage ADD COLUMN IF NOT EXISTS message_id UUID REFERENCES messages(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_voice_usage_user ON voice_usage(user_id, kind, created_at DESC);
+
+ALTER TABLE voice_usage ENABLE ROW LEVEL SECURITY;
+
+-- Rows can be added and counted but not removed, so the limit can't be reset
+DROP POLICY IF EXISTS "Users can view own voice usage" ON voice_usage;
+CREATE POLICY "Users can view own voice usage"
+  ON voice_usage FOR SELECT
+  USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can record own voice usage" ON voice_usage;
+CREATE POLICY "Users can record own voice usage"
+  ON voice_usage FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
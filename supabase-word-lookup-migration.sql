@@ -0,0 +1,11 @@
+-- Dictionary forms and grammar for looked-up and saved words
+-- Run in the Supabase SQL Editor
+
+-- { lemma, lemmaTranslation, partOfSpeech, gender, inflection } from /api/translate
+ALTER TABLE translation_cache ADD COLUMN IF NOT EXISTS details JSONB;
+
+-- Saved words are stored under their dictionary form; the inflected
+-- forms they were saved from are kept as examples
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS part_of_speech TEXT;
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS gender TEXT;
+ALTER TABLE saved_vocabulary ADD COLUMN IF NOT EXISTS forms TEXT[] NOT NULL DEFAULT '{}';